@@ -1,5 +1,6 @@
 import { chromium, errors as PlaywrightErrors } from 'playwright';
 import fs from 'fs';
+import crypto from 'crypto';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fetch from 'node-fetch';
@@ -88,6 +89,38 @@ const BOOKING_PATTERNS = [
   { id: 'other_booking', patterns: ['iframe', 'booking', 'rezervace'] } // generic heuristic
 ];
 
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+/**
+ * Hash of a page's cleaned text – detects changed pages on re-crawl when the server sends no ETag / Last-Modified.
+ * @param {string} text
+ * @returns {string} sha256 hex
+ */
+export function hashPageContent(text) {
+  return crypto.createHash('sha256').update(text || '').digest('hex');
+}
+
+/**
+ * Conditional GET with the validators stored on the last crawl (If-None-Match / If-Modified-Since).
+ * @param {string} url
+ * @param {{etag?: string|null, last_modified?: string|null}} known - kb_pages row
+ * @returns {Promise<boolean>} true when the server answered 304 Not Modified
+ */
+async function isPageNotModified(url, known) {
+  const headers = { 'User-Agent': USER_AGENT };
+  if (known.etag) headers['If-None-Match'] = known.etag;
+  if (known.last_modified) headers['If-Modified-Since'] = known.last_modified;
+
+  try {
+    const res = await fetch(url, { headers, signal: AbortSignal.timeout(15000) });
+    if (res.status !== 304) res.body?.resume?.();
+    return res.status === 304;
+  } catch (e) {
+    logCrawl('Conditional request failed', url, e.message);
+    return false;
+  }
+}
+
 /**
  * Discover URLs from sitemap.xml
  * @param {string} baseUrl - Base URL of the website
@@ -188,7 +221,12 @@ function detectBookingProviders(url, html) {
  * @param {Function} options.chunkText - Text chunking function
  * @param {Function} options.cleanText - Text cleaning function
  * @param {Object} options.supabase - Supabase client instance
- * @returns {Promise<{pagesIndexed: number, chunksCreated: number}>}
+ * @param {Map<string, Object>|null} [options.knownPages] - Re-crawl: kb_pages rows of the source by URL
+ *   ({ id, etag, last_modified, content_hash }). Known pages are revisited; unchanged ones (304 or same
+ *   content hash) keep their chunks, changed ones are re-chunked, pages now answering 404/410 are removed.
+ * @param {Function|null} [options.onProgress] - Called with { phase: 'sitemap' } and
+ *   { phase: 'crawling', pagesDone, pagesTotal } (pagesTotal = estimate, at most maxPages)
+ * @returns {Promise<{pagesIndexed: number, chunksCreated: number, changes: {newPages: string[], changedPages: string[], unchangedPages: string[], removedPages: string[]}}>}
  */
 export async function crawlWebsiteWithPlaywright({
   baseUrl,
@@ -200,7 +238,9 @@ export async function crawlWebsiteWithPlaywright({
   forcedUrls = [],
   chunkText,
   cleanText,
-  supabase
+  supabase,
+  knownPages = null,
+  onProgress = null
 }) {
   const visited = new Set();
   const baseDomain = new URL(baseUrl).hostname;
@@ -209,6 +249,16 @@ export async function crawlWebsiteWithPlaywright({
   const crawledPages = []; // For storing page metadata in DB
   const crawledPagesWithContent = []; // For agentic planner: { url, depth, text, bookingProvider }
   const bookingProviders = new Set();
+  const changes = { newPages: [], changedPages: [], unchangedPages: [], removedPages: [] };
+
+  // Progress is informational – a failing callback must not stop the crawl
+  const reportProgress = (progress) => {
+    try {
+      onProgress?.(progress);
+    } catch (e) {
+      logCrawl('Progress callback failed', e.message);
+    }
+  };
 
   // Normalize URL: remove fragments, trailing slashes (except root)
   function normalizeUrl(url) {
@@ -273,6 +323,7 @@ export async function crawlWebsiteWithPlaywright({
   }
 
   // 3) Sitemap URLs (optional, also depth 1)
+  reportProgress({ phase: 'sitemap' });
   let sitemapUrls = [];
   try {
     sitemapUrls = await discoverUrlsFromSitemap(baseUrl, maxPages, excludePaths);
@@ -283,6 +334,13 @@ export async function crawlWebsiteWithPlaywright({
     enqueue(sUrl, 1, false);
   }
 
+  // 4) Re-crawl: pages indexed last time (even if no longer linked from the changed pages)
+  if (knownPages) {
+    for (const knownUrl of knownPages.keys()) {
+      enqueue(knownUrl, 1, false);
+    }
+  }
+
   logCrawl('Initial queue size and settings', {
     queueLength: queue.length,
     maxDepth,
@@ -342,7 +400,7 @@ export async function crawlWebsiteWithPlaywright({
   }
 
   const context = await browser.newContext({
-    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    userAgent: USER_AGENT,
     viewport: { width: 1920, height: 1080 }
   });
 
@@ -410,8 +468,23 @@ export async function crawlWebsiteWithPlaywright({
       }
       
       visited.add(normalizedUrl);
+      const known = knownPages?.get(normalizedUrl) || null;
+      reportProgress({
+        phase: 'crawling',
+        pagesDone: pagesCrawled,
+        pagesTotal: Math.min(maxPages, pagesCrawled + queue.length + 1),
+      });
 
       try {
+        // Re-crawl: skip rendering pages the server reports as not modified
+        if (known && (known.etag || known.last_modified) && await isPageNotModified(normalizedUrl, known)) {
+          console.log(`= Not modified (304): ${normalizedUrl}`);
+          await supabase.from('kb_pages').update({ last_checked_at: new Date().toISOString() }).eq('id', known.id);
+          changes.unchangedPages.push(normalizedUrl);
+          pagesCrawled++;
+          continue;
+        }
+
         // Navigate to page using safeGoto with retry logic
         const priorityNote = fromPriority ? ', priority' : '';
         const response = await safeGoto(page, normalizedUrl, priorityNote, depth);
@@ -424,6 +497,12 @@ export async function crawlWebsiteWithPlaywright({
         if (!response.ok()) {
           const status = response.status();
           console.error(`❌ HTTP ${status} for ${normalizedUrl}`);
+          if (known && (status === 404 || status === 410)) {
+            await supabase.from('kb_chunks').delete().eq('page_id', known.id);
+            await supabase.from('kb_pages').delete().eq('id', known.id);
+            changes.removedPages.push(normalizedUrl);
+            console.log(`  → Removed page that no longer exists: ${normalizedUrl}`);
+          }
           continue;
         }
 
@@ -524,30 +603,64 @@ export async function crawlWebsiteWithPlaywright({
           bookingProvider: pageBookingProvider
         });
 
-        // Insert page into kb_pages
-        const { data: pageRow, error: pageErr } = await supabase
-          .from('kb_pages')
-          .insert({
-            source_id: sourceId,
-            url: normalizedUrl,
-            title: cleanTitle,
-            status_code: response.status(),
-            content_length: contentLength,
-            indexed_at: new Date().toISOString()
-          })
-          .select()
-          .single();
+        const responseHeaders = response.headers();
+        const pageFields = {
+          title: cleanTitle,
+          status_code: response.status(),
+          content_length: contentLength,
+          indexed_at: new Date().toISOString(),
+          content_hash: hashPageContent(cleanedText),
+          etag: responseHeaders['etag'] || null,
+          last_modified: responseHeaders['last-modified'] || null,
+          last_checked_at: new Date().toISOString()
+        };
+        const unchanged = Boolean(known) && known.content_hash === pageFields.content_hash;
+
+        let pageRow = null;
+        let pageErr = null;
+        if (unchanged) {
+          // Same content as last time: keep the page's chunks (and their embeddings)
+          const { error: touchErr } = await supabase
+            .from('kb_pages')
+            .update({ etag: pageFields.etag, last_modified: pageFields.last_modified, last_checked_at: pageFields.last_checked_at })
+            .eq('id', known.id);
+          if (touchErr) {
+            console.error(`❌ Error updating page ${normalizedUrl}:`, touchErr);
+          }
+        } else if (known) {
+          // Changed page: update the row and replace its chunks
+          await supabase.from('kb_chunks').delete().eq('page_id', known.id);
+          ({ data: pageRow, error: pageErr } = await supabase
+            .from('kb_pages')
+            .update(pageFields)
+            .eq('id', known.id)
+            .select()
+            .single());
+        } else {
+          // Insert page into kb_pages
+          ({ data: pageRow, error: pageErr } = await supabase
+            .from('kb_pages')
+            .insert({ source_id: sourceId, url: normalizedUrl, ...pageFields })
+            .select()
+            .single());
+        }
 
         if (pageErr) {
-          console.error(`❌ Error inserting page ${normalizedUrl}:`, pageErr);
+          console.error(`❌ Error saving page ${normalizedUrl}:`, pageErr);
           continue;
         }
 
-        crawledPages.push(pageRow);
         pagesCrawled++;
+        if (unchanged) {
+          changes.unchangedPages.push(normalizedUrl);
+          console.log(`  = Content unchanged, keeping chunks`);
+        } else {
+          crawledPages.push(pageRow);
+          (known ? changes.changedPages : changes.newPages).push(normalizedUrl);
+        }
 
         // Chunk and insert content
-        const chunks = chunkText(cleanedText, 900, 150);
+        const chunks = unchanged ? [] : chunkText(cleanedText, 900, 150);
         const chunkRows = chunks
           .map((text, i) => {
             const cleanChunkText = (text || '').trim();
@@ -734,6 +847,12 @@ export async function crawlWebsiteWithPlaywright({
     }
 
     console.log(`[CRAWL] Completed: ${pagesCrawled} pages, ${totalChunks} chunks`);
+    reportProgress({ phase: 'crawling', pagesDone: pagesCrawled, pagesTotal: pagesCrawled });
+    if (knownPages) {
+      console.log(
+        `[CRAWL] Re-crawl changes: new=${changes.newPages.length} changed=${changes.changedPages.length} unchanged=${changes.unchangedPages.length} removed=${changes.removedPages.length}`
+      );
+    }
     if (bookingProviders.size > 0) {
       console.log(`[BOOKING] Detected providers: ${Array.from(bookingProviders).join(', ')}`);
     }
@@ -742,7 +861,8 @@ export async function crawlWebsiteWithPlaywright({
       pagesIndexed: pagesCrawled,
       chunksCreated: totalChunks,
       bookingProviders: Array.from(bookingProviders),
-      pages: crawledPagesWithContent // Array of { url, depth, text, html, bookingProvider }
+      pages: crawledPagesWithContent, // Array of { url, depth, text, html, bookingProvider }
+      changes
     };
 
   } finally {
@@ -7,7 +7,18 @@ import { chromium } from 'playwright';
 import vapiRouter from './routes/vapi.js';
 import dashboardRouter from './routes/dashboard.js';
 import onboardingRouter from './routes/onboarding.js';
+import calendarRouter from './routes/calendar.js';
+import chatRouter from './routes/chat.js';
+import widgetRouter from './routes/widget.js';
+import teamRouter from './routes/team.js';
+import billingRouter from './routes/billing.js';
+import clientsRouter from './routes/clients.js';
 import { extractCalledNumberDetailed, normalizeE164Like } from './lib/tenantResolver.js';
+import { startReminderScheduler } from './lib/notifications.js';
+import { startCalendarSyncScheduler } from './lib/calendarSync.js';
+import { startWebRecrawlScheduler } from './lib/webRecrawl.js';
+import { startImportJobWorker } from './lib/importJobs.js';
+import { startWaitlistOfferScheduler } from './lib/waitlist.js';
 
 const MAX_BODY_SIZE_BYTES = 4.5 * 1024 * 1024;
 const COMMIT_SHA =
@@ -27,6 +38,11 @@ function isDebugEnabled() {
 
 const app = express();
 
+// req.ip = client address from X-Forwarded-For, trusting only the hops our proxies add (Railway: 1).
+// The leftmost entries are client-supplied and never used.
+const trustProxyHops = Number.parseInt(process.env.TRUST_PROXY_HOPS ?? '1', 10);
+app.set('trust proxy', Number.isInteger(trustProxyHops) && trustProxyHops >= 0 ? trustProxyHops : 1);
+
 // ---- Playwright browser check ----
 const playwrightBrowsersPath = process.env.PLAYWRIGHT_BROWSERS_PATH || "0";
 process.env.PLAYWRIGHT_BROWSERS_PATH = playwrightBrowsersPath;
@@ -60,7 +76,20 @@ if (!playwrightExecutableExists) {
 // Body parsing:
 // - Most routes want JSON/urlencoded parsing.
 // - Vapi debug endpoints must NEVER be rejected by global parsers (we parse raw text there).
-const jsonParser = express.json({ limit: MAX_BODY_SIZE_BYTES });
+// - Vapi routes and the Stripe webhook keep the raw body (req.rawBody) for signature verification
+//   (lib/vapiAuth.js, lib/stripeBilling.js).
+const jsonParser = express.json({
+  limit: MAX_BODY_SIZE_BYTES,
+  verify: (req, res, buf) => {
+    if (
+      req.originalUrl.startsWith('/vapi/') ||
+      req.originalUrl.startsWith('/api/vapi/') ||
+      req.originalUrl.startsWith('/api/billing/stripe_webhook')
+    ) {
+      req.rawBody = buf;
+    }
+  },
+});
 const urlParser = express.urlencoded({ extended: true, limit: MAX_BODY_SIZE_BYTES });
 app.use((req, res, next) => {
   // Use req.path (no query string) for exact matches.
@@ -104,9 +133,25 @@ const corsOptions = {
   },
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   credentials: true,
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-tenant-id'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-tenant-id', 'Idempotency-Key', 'x-session-id', 'x-widget-key'],
+};
+
+// Web chat is called from salon websites (any origin) with a public widget key.
+// Trusted origins keep the normal options; other origins get no credentials and no x-tenant-id.
+const publicChatCorsOptions = {
+  origin: true,
+  methods: ['POST', 'OPTIONS'],
+  credentials: false,
+  allowedHeaders: ['Content-Type', 'Accept', 'x-widget-key', 'x-session-id'],
 };
 
+function chatCorsOptionsDelegate(req, callback) {
+  const origin = req.header('Origin');
+  callback(null, !origin || allowedOrigins.includes(origin) ? corsOptions : publicChatCorsOptions);
+}
+
+app.use('/api/chat', cors(chatCorsOptionsDelegate));
+
 app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
 
@@ -168,13 +213,39 @@ app.get('/health', (req, res) => {
 
 app.use('/vapi', vapiRouter); // /vapi/webhook
 app.use('/api/vapi', vapiRouter); // /api/vapi/book_appointment, etc.
-app.use('/api', dashboardRouter); // /api/bookings, /api/dashboard/*
 app.use('/api/onboarding', onboardingRouter); // /api/onboarding/import_from_web
+app.use('/api/calendar', calendarRouter); // /api/calendar/webhook (Google push), /api/calendar/sync
+app.use('/api/chat', chatRouter); // /api/chat (web chat, SSE streaming)
+app.use('/api/team', teamRouter); // /api/team, /api/team/invites, /api/team/members/:id
+app.use('/api/billing', billingRouter); // /api/billing/stripe_webhook, /api/billing/checkout_session, /api/billing/portal_session
+app.use('/api/clients', clientsRouter); // /api/clients, /api/clients/:id
+app.use('/', widgetRouter); // /widget.js?key= (embeddable website chat)
+// Mounted last under /api: its auth middleware applies to every /api request that reaches it
+app.use('/api', dashboardRouter); // /api/bookings, /api/dashboard/*
 
 const port = Number(process.env.PORT ?? 8787);
 const host = '0.0.0.0';
 app.listen(port, host, () => {
   console.log(`[iva-backend] listening on http://${host}:${port}`);
   console.log(`[iva-backend] resolved PORT=${port}, HOST=${host}`);
+
+  if (process.env.NOTIFY_REMINDERS_ENABLED !== 'false') {
+    startReminderScheduler();
+  }
+
+  if (process.env.WAITLIST_OFFERS_ENABLED !== 'false') {
+    startWaitlistOfferScheduler();
+  }
+
+  if (process.env.CALENDAR_SYNC_ENABLED !== 'false' && process.env.GOOGLE_CLIENT_ID) {
+    startCalendarSyncScheduler();
+  }
+
+  if (process.env.WEB_RECRAWL_ENABLED !== 'false' && process.env.OPENAI_API_KEY) {
+    startWebRecrawlScheduler();
+  }
+
+  // Always on: POST /api/onboarding/import_from_web only queues the job
+  startImportJobWorker();
 });
 
@@ -1,17 +1,24 @@
 import { supabase } from './supabaseClient.js';
 import { getIvaSettingsForTenant } from './chatHandler.js';
-import { createBooking } from './bookingService.js';
+import { createBooking, checkRescheduleHours } from './bookingService.js';
 import { parseRelativeDate } from './dateUtils.js';
-import { cancelCalendarEvent, rescheduleCalendarEvent, isSlotAvailable } from './googleCalendar.js';
+import { cancelCalendarEvent, rescheduleCalendarEvent, isSlotAvailable } from './calendarProvider.js';
+import { getCalendarSettingsForBooking } from './staff.js';
+import { queueBookingNotification } from './notifications.js';
+import { queueWaitlistForFreedSlot } from './waitlist.js';
+import { findConflictingBooking, isBookingOverlapError } from './bookingConflicts.js';
 import { DateTime } from 'luxon';
 
+// Bookings that can still be marked as a no-show
+const NO_SHOW_STATUSES = ['confirmed', 'rescheduled'];
+
 /**
- * Shared function to handle booking updates (cancel or reschedule)
+ * Shared function to handle booking updates (cancel, reschedule or no-show)
  * Used by both VAPI and Dashboard routes
  * 
  * @param {Object} params
  * @param {string} params.bookingId - Booking ID (UUID)
- * @param {string} params.action - 'cancel' or 'reschedule'
+ * @param {string} params.action - 'cancel', 'reschedule' or 'no_show' (client did not come – dashboard only)
  * @param {string} params.businessId - Business ID (UUID)
  * @param {string} [params.date] - New date for reschedule (YYYY-MM-DD)
  * @param {string} [params.time] - New time for reschedule (HH:mm)
@@ -28,7 +35,7 @@ export async function handleUpdateAppointment({ bookingId, action, businessId, d
       };
     }
 
-    if (!action || (action !== 'cancel' && action !== 'reschedule')) {
+    if (!action || !['cancel', 'reschedule', 'no_show'].includes(action)) {
       return {
         success: false,
         error: 'INVALID_ACTION',
@@ -68,6 +75,9 @@ export async function handleUpdateAppointment({ bookingId, action, businessId, d
       };
     }
 
+    // Bookings assigned to a staff member live in that person's calendar
+    const calendarSettings = await getCalendarSettingsForBooking(settings, booking);
+
     // Handle cancel action
     if (action === 'cancel') {
       // Update booking status to cancelled
@@ -88,7 +98,7 @@ export async function handleUpdateAppointment({ bookingId, action, businessId, d
       // Delete calendar event if exists (log errors but don't fail the request)
       if (booking.calendar_event_id) {
         try {
-          await cancelCalendarEvent(booking.calendar_event_id, settings);
+          await cancelCalendarEvent(booking.calendar_event_id, calendarSettings);
           console.log('[APPOINTMENTS] Cancelled calendar event:', booking.calendar_event_id);
         } catch (calendarError) {
           console.error('[APPOINTMENTS] Error cancelling calendar event:', calendarError);
@@ -97,12 +107,67 @@ export async function handleUpdateAppointment({ bookingId, action, businessId, d
       }
 
       console.log('[APPOINTMENTS] Cancelled booking:', bookingId);
+      queueBookingNotification('cancellation', { ...booking, status: 'cancelled' });
+      queueWaitlistForFreedSlot(booking);
       return {
         success: true,
         message_cs: 'Rezervace byla úspěšně zrušena.',
       };
     }
 
+    // Handle no-show: only an active booking whose slot has started; the calendar event stays and nobody is notified
+    if (action === 'no_show') {
+      if (!NO_SHOW_STATUSES.includes(booking.status)) {
+        return {
+          success: false,
+          error: 'INVALID_STATUS',
+          message_cs: 'Jako nedostavení lze označit jen potvrzenou nebo přesunutou rezervaci.',
+        };
+      }
+
+      const slotStart = DateTime.fromISO(`${booking.date}T${String(booking.time || '').slice(0, 5)}`, {
+        zone: 'Europe/Prague',
+      });
+      if (!slotStart.isValid || slotStart > DateTime.now().setZone('Europe/Prague')) {
+        return {
+          success: false,
+          error: 'NOT_STARTED_YET',
+          message_cs: 'Termín rezervace ještě nezačal, nedostavení lze označit až po jeho začátku.',
+        };
+      }
+
+      // Status guard: a concurrent cancel / reschedule wins
+      const { data: updated, error: updateError } = await supabase
+        .from('bookings')
+        .update({ status: 'no_show' })
+        .eq('id', bookingId)
+        .in('status', NO_SHOW_STATUSES)
+        .select('id');
+
+      if (updateError) {
+        console.error('[APPOINTMENTS] Error marking booking as no-show:', updateError);
+        return {
+          success: false,
+          error: 'UPDATE_FAILED',
+          message_cs: 'Omlouvám se, rezervaci se nepodařilo označit jako nedostavení.',
+        };
+      }
+
+      if (!updated || updated.length === 0) {
+        return {
+          success: false,
+          error: 'INVALID_STATUS',
+          message_cs: 'Jako nedostavení lze označit jen potvrzenou nebo přesunutou rezervaci.',
+        };
+      }
+
+      console.log('[APPOINTMENTS] Marked booking as no-show:', bookingId);
+      return {
+        success: true,
+        message_cs: 'Rezervace byla označena jako nedostavení se klienta.',
+      };
+    }
+
     // Handle reschedule action
     if (action === 'reschedule') {
       // Validate: reschedule requires both date and time
@@ -157,6 +222,16 @@ export async function handleUpdateAppointment({ bookingId, action, businessId, d
         };
       }
 
+      // Opening hours (location / business) and staff working hours, as for a new booking
+      const hoursCheck = await checkRescheduleHours(businessId, booking, { date: resolvedDate, time: normalizedTime });
+      if (!hoursCheck.ok) {
+        return {
+          success: false,
+          error: hoursCheck.error,
+          message_cs: hoursCheck.message_cs,
+        };
+      }
+
       // Check slot availability using the same helper as book_appointment
       const durationMinutes = booking.duration_minutes || 60;
       const availability = await isSlotAvailable(
@@ -165,8 +240,9 @@ export async function handleUpdateAppointment({ bookingId, action, businessId, d
           date: resolvedDate,
           time: normalizedTime,
           duration_minutes: durationMinutes,
+          exclude_booking_id: booking.id,
         },
-        settings || {}
+        calendarSettings
       );
 
       if (availability.ok && !availability.available) {
@@ -177,6 +253,25 @@ export async function handleUpdateAppointment({ bookingId, action, businessId, d
         };
       }
 
+      // Overlapping bookings in the DB (independent of the calendar provider)
+      const conflictCheck = await findConflictingBooking({
+        businessId,
+        date: resolvedDate,
+        time: normalizedTime,
+        durationMinutes,
+        staffId: booking.staff_id || null,
+        locationId: booking.location_id || null,
+        excludeBookingId: booking.id,
+      });
+
+      if (conflictCheck.ok && conflictCheck.conflict) {
+        return {
+          success: false,
+          error: 'TIME_NOT_AVAILABLE',
+          message_cs: 'V tomto termínu už je plno. Zkuste prosím jiný čas.',
+        };
+      }
+
       // Update booking date/time and status to 'rescheduled'
       const payload = {
         date: resolvedDate,
@@ -190,6 +285,13 @@ export async function handleUpdateAppointment({ bookingId, action, businessId, d
         .eq('id', bookingId);
 
       if (updateError) {
+        if (isBookingOverlapError(updateError)) {
+          return {
+            success: false,
+            error: 'TIME_NOT_AVAILABLE',
+            message_cs: 'V tomto termínu už je plno. Zkuste prosím jiný čas.',
+          };
+        }
         console.error('[APPOINTMENTS] Error updating booking date/time:', updateError);
         return {
           success: false,
@@ -206,7 +308,7 @@ export async function handleUpdateAppointment({ bookingId, action, businessId, d
             resolvedDate,
             normalizedTime,
             durationMinutes,
-            settings
+            calendarSettings
           );
           console.log('[APPOINTMENTS] Rescheduled calendar event:', booking.calendar_event_id);
         } catch (calendarError) {
@@ -216,6 +318,7 @@ export async function handleUpdateAppointment({ bookingId, action, businessId, d
       }
 
       console.log('[APPOINTMENTS] Rescheduled booking:', bookingId);
+      queueBookingNotification('reschedule', { ...booking, ...payload });
       return {
         success: true,
         message_cs: `Rezervaci jsem přesunula na ${resolvedDate} v ${normalizedTime}.`,
@@ -246,7 +349,10 @@ export async function handleUpdateAppointment({ bookingId, action, businessId, d
  * @param {string} [params.notes] - Notes (optional)
  * @param {string} [params.customerEmail] - Customer email (optional)
  * @param {number} [params.durationMinutes] - Duration in minutes (optional)
- * @returns {Promise<{success: boolean, error?: string, message_cs?: string, bookingId?: string, calendarEventId?: string}>}
+ * @param {string} [params.staffName] - Requested staff member (optional)
+ * @param {boolean} [params.anyStaff] - Book anyone free if the requested staff member is not (optional)
+ * @param {string} [params.idempotencyKey] - Retried requests with the same key return the original booking (optional)
+ * @returns {Promise<{success: boolean, duplicate?: boolean, error?: string, message_cs?: string, bookingId?: string, calendarEventId?: string, staffName?: string}>}
  */
 export async function handleBookAppointment({
   businessId,
@@ -259,6 +365,9 @@ export async function handleBookAppointment({
   notes = '',
   customerEmail = null,
   durationMinutes = null,
+  staffName = null,
+  anyStaff = false,
+  idempotencyKey = null,
 }) {
   try {
     // Validate required fields
@@ -296,35 +405,48 @@ export async function handleBookAppointment({
       time: time, // Already in HH:mm format from dashboard
       duration_minutes: durationMinutes || null,
       notes: notes || '',
+      staff_name: staffName || null,
+      any_staff: anyStaff === true,
     };
 
     // Call the existing booking logic (same as IVA chat)
-    const result = await createBooking(businessId, settings || {}, bookingPayload);
+    const result = await createBooking(businessId, settings || {}, bookingPayload, { idempotencyKey });
 
     if (!result.ok) {
       // Map error codes to Czech messages
       let errorMessageCs = 'Omlouvám se, rezervaci se nepodařilo vytvořit. Zkuste prosím jiný termín nebo službu.';
       
       if (result.error === 'TIME_CONFLICT') {
-        errorMessageCs = 'Bohužel tento termín už je obsazený. Zkuste prosím jiný čas nebo den.';
+        errorMessageCs = 'Bohužel tento termín už je obsazený. Zkuste prosím jiný čas nebo den, případně klienta zapište na čekací listinu.';
       } else if (result.error === 'INVALID_DATE') {
         errorMessageCs = 'Omlouvám se, nerozumím přesně datu rezervace. Prosím zadejte platné datum.';
       } else if (result.error === 'INVALID_PAYLOAD') {
         errorMessageCs = 'Omlouvám se, některé údaje o rezervaci chybí. Prosím vyplňte všechny povinné položky.';
+      } else if (result.error === 'OUTSIDE_OPENING_HOURS') {
+        errorMessageCs = result.message_cs || 'Omlouvám se, tento čas je mimo otevírací dobu salonu.';
+      } else if (result.message_cs) {
+        // Staff errors (STAFF_NOT_FOUND, STAFF_UNAVAILABLE, ...) come with their own message
+        errorMessageCs = result.message_cs;
       }
 
       return {
         success: false,
         error: result.error || 'BOOKING_FAILED',
         message_cs: errorMessageCs,
+        ...(result.details?.alternatives ? { suggestedSlots: result.details.alternatives } : {}),
+        ...(result.error === 'TIME_CONFLICT' ? { waitlistAvailable: true } : {}),
       };
     }
 
     return {
       success: true,
+      duplicate: result.duplicate === true,
       bookingId: result.bookingId || null,
       calendarEventId: result.calendarEventId || null,
-      message_cs: 'Rezervace byla úspěšně vytvořena.',
+      staffName: result.staffName || null,
+      message_cs: result.staffName
+        ? `Rezervace byla úspěšně vytvořena (${result.staffName}).`
+        : 'Rezervace byla úspěšně vytvořena.',
     };
   } catch (err) {
     console.error('[APPOINTMENTS] handleBookAppointment error', err);
@@ -0,0 +1,242 @@
+import crypto from 'node:crypto';
+import { supabase } from './supabaseClient.js';
+
+// Dashboard authentication: Supabase JWTs (Authorization: Bearer <access_token>) + business access check.
+//
+// - Tokens are verified locally with SUPABASE_JWT_SECRET (HS256 projects); otherwise – or for
+//   asymmetric signing keys – by asking Supabase Auth (supabase.auth.getUser).
+// - The business comes from x-tenant-id (or body.businessId for onboarding). The user must own it
+//   (businesses.owner_id) or be an active member (business_members, see lib/team.js).
+// - Roles: owner > admin > staff > read_only; routes declare the minimum with requireRole().
+// - AUTH_DISABLED=true skips all checks outside production (local development only).
+
+function base64UrlDecode(value) {
+  return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Verify an HS256 JWT with the project's JWT secret.
+ * @returns {{ok: boolean, claims?: Object, reason?: string}}
+ */
+function verifyHs256Jwt(token, secret) {
+  const parts = token.split('.');
+  if (parts.length !== 3) return { ok: false, reason: 'MALFORMED' };
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(base64UrlDecode(parts[0]).toString('utf8'));
+    claims = JSON.parse(base64UrlDecode(parts[1]).toString('utf8'));
+  } catch {
+    return { ok: false, reason: 'MALFORMED' };
+  }
+
+  if (header.alg !== 'HS256') return { ok: false, reason: 'UNSUPPORTED_ALG' };
+
+  const expected = crypto.createHmac('sha256', secret).update(`${parts[0]}.${parts[1]}`).digest();
+  const actual = base64UrlDecode(parts[2]);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return { ok: false, reason: 'BAD_SIGNATURE' };
+  }
+
+  if (typeof claims.exp === 'number' && claims.exp * 1000 <= Date.now()) {
+    return { ok: false, reason: 'EXPIRED' };
+  }
+  if (claims.aud && claims.aud !== 'authenticated') {
+    return { ok: false, reason: 'WRONG_AUDIENCE' };
+  }
+  if (!claims.sub) return { ok: false, reason: 'MISSING_SUBJECT' };
+
+  return { ok: true, claims };
+}
+
+/**
+ * Verify a Supabase access token.
+ * @param {string} token - JWT from the Authorization header
+ * @returns {Promise<{ok: boolean, user?: {id: string, email: string|null}, reason?: string}>}
+ */
+export async function verifySupabaseJwt(token) {
+  if (!token) return { ok: false, reason: 'MISSING_TOKEN' };
+
+  const secret = process.env.SUPABASE_JWT_SECRET;
+  if (secret) {
+    const local = verifyHs256Jwt(token, secret);
+    if (local.ok) {
+      return { ok: true, user: { id: local.claims.sub, email: local.claims.email || null } };
+    }
+    if (local.reason !== 'UNSUPPORTED_ALG') {
+      return { ok: false, reason: local.reason };
+    }
+  }
+
+  // Asymmetric keys / no secret configured – let Supabase Auth validate the token
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error || !data?.user) {
+    return { ok: false, reason: 'INVALID_TOKEN' };
+  }
+  return { ok: true, user: { id: data.user.id, email: data.user.email || null } };
+}
+
+export const BUSINESS_ROLES = ['read_only', 'staff', 'admin', 'owner'];
+
+/**
+ * Whether `role` is at least `minRole` in the owner > admin > staff > read_only hierarchy.
+ */
+export function hasRole(role, minRole) {
+  const rank = BUSINESS_ROLES.indexOf(role);
+  return rank !== -1 && rank >= BUSINESS_ROLES.indexOf(minRole);
+}
+
+/**
+ * The user's role in a business, or null without access.
+ * The owner (businesses.owner_id) is always 'owner'; everyone else needs an active business_members row.
+ * @returns {Promise<{ok: boolean, role: string|null, error?: any}>}
+ */
+export async function getBusinessRole(userId, businessId) {
+  const { data, error } = await supabase
+    .from('businesses')
+    .select('id, owner_id')
+    .eq('id', businessId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[AUTH] Error loading business for access check:', error);
+    return { ok: false, role: null, error };
+  }
+  if (!data) return { ok: true, role: null };
+  if (data.owner_id === userId) return { ok: true, role: 'owner' };
+
+  const { data: member, error: memberError } = await supabase
+    .from('business_members')
+    .select('role')
+    .eq('business_id', businessId)
+    .eq('user_id', userId)
+    .eq('status', 'active')
+    .maybeSingle();
+
+  if (memberError) {
+    console.error('[AUTH] Error loading business membership:', memberError);
+    return { ok: false, role: null, error: memberError };
+  }
+
+  return { ok: true, role: BUSINESS_ROLES.includes(member?.role) ? member.role : null };
+}
+
+function isAuthDisabled() {
+  return process.env.AUTH_DISABLED === 'true' && process.env.NODE_ENV !== 'production';
+}
+
+function getBearerToken(req) {
+  const header = req.get('authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Express middleware: requires a valid Supabase JWT. Sets req.auth = { userId, email }.
+ */
+export async function requireAuth(req, res, next) {
+  if (isAuthDisabled()) {
+    req.auth = { userId: null, email: null };
+    return next();
+  }
+
+  try {
+    const result = await verifySupabaseJwt(getBearerToken(req));
+    if (!result.ok) {
+      console.warn('[AUTH] Rejected request', { path: req.originalUrl, reason: result.reason });
+      return res.status(401).json({
+        success: false,
+        error: 'UNAUTHORIZED',
+        message_cs: 'Přihlášení vypršelo nebo chybí. Přihlaste se prosím znovu.',
+      });
+    }
+
+    req.auth = { userId: result.user.id, email: result.user.email };
+    return next();
+  } catch (err) {
+    console.error('[AUTH] Token verification error', err);
+    return res.status(500).json({
+      success: false,
+      error: 'UNEXPECTED_ERROR',
+      message_cs: 'Omlouvám se, ověření přihlášení se nepodařilo. Zkuste to prosím znovu.',
+    });
+  }
+}
+
+/**
+ * Express middleware: requires a valid Supabase JWT and access to the business in
+ * x-tenant-id (or body.businessId). Sets req.auth = { userId, email, businessId, role }.
+ */
+export async function requireTenantAuth(req, res, next) {
+  return requireAuth(req, res, async () => {
+    const tenantId = req.headers['x-tenant-id'] || req.body?.businessId;
+
+    if (!tenantId || typeof tenantId !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'MISSING_TENANT_ID',
+        message_cs: 'Chybí identifikátor firmy (tenant). Zkuste se znovu přihlásit.',
+      });
+    }
+
+    if (isAuthDisabled()) {
+      req.auth = { ...req.auth, businessId: tenantId, role: 'owner' };
+      return next();
+    }
+
+    try {
+      const access = await getBusinessRole(req.auth.userId, tenantId);
+      if (!access.ok) {
+        return res.status(500).json({
+          success: false,
+          error: 'DB_ERROR',
+          message_cs: 'Omlouvám se, nepodařilo se ověřit přístup k firmě. Zkuste to prosím znovu.',
+        });
+      }
+
+      if (!access.role) {
+        console.warn('[AUTH] User has no access to business', { userId: req.auth.userId, tenantId });
+        return res.status(403).json({
+          success: false,
+          error: 'FORBIDDEN',
+          message_cs: 'K této firmě nemáte přístup.',
+        });
+      }
+
+      req.auth = { ...req.auth, businessId: tenantId, role: access.role };
+      return next();
+    } catch (err) {
+      console.error('[AUTH] Business access check error', err);
+      return res.status(500).json({
+        success: false,
+        error: 'UNEXPECTED_ERROR',
+        message_cs: 'Omlouvám se, nepodařilo se ověřit přístup k firmě. Zkuste to prosím znovu.',
+      });
+    }
+  });
+}
+
+/**
+ * Express middleware factory: requires req.auth.role (set by requireTenantAuth) of at least `minRole`.
+ * @param {'read_only'|'staff'|'admin'|'owner'} minRole
+ */
+export function requireRole(minRole) {
+  return (req, res, next) => {
+    if (hasRole(req.auth?.role, minRole)) {
+      return next();
+    }
+
+    console.warn('[AUTH] Insufficient role', {
+      path: req.originalUrl,
+      userId: req.auth?.userId,
+      role: req.auth?.role,
+      required: minRole,
+    });
+    return res.status(403).json({
+      success: false,
+      error: 'INSUFFICIENT_ROLE',
+      message_cs: 'K této akci nemáte dostatečná oprávnění. Požádejte prosím majitele nebo správce firmy.',
+    });
+  };
+}
@@ -0,0 +1,357 @@
+import { DateTime } from 'luxon';
+import { supabase } from './supabaseClient.js';
+import { getBusyIntervals } from './calendarProvider.js';
+
+const TIME_ZONE = 'Europe/Prague';
+
+// opening_hours.weekday keys, indexed by Luxon weekday - 1 (Monday = 1)
+const WEEKDAY_KEYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+// Used only by the free-slot search when a business has no opening_hours rows yet
+const DEFAULT_OPENING_HOURS = {
+  mon: { opensAt: '09:00', closesAt: '18:00', closed: false },
+  tue: { opensAt: '09:00', closesAt: '18:00', closed: false },
+  wed: { opensAt: '09:00', closesAt: '18:00', closed: false },
+  thu: { opensAt: '09:00', closesAt: '18:00', closed: false },
+  fri: { opensAt: '09:00', closesAt: '18:00', closed: false },
+  sat: { opensAt: null, closesAt: null, closed: true },
+  sun: { opensAt: null, closesAt: null, closed: true },
+};
+
+const DEFAULT_SLOT_STEP_MINUTES = 30;
+const DEFAULT_SLOT_LIMIT = 3;
+const MAX_SLOT_LIMIT = 10;
+const MAX_RANGE_DAYS = 14;
+
+// Part-of-day windows in minutes from midnight
+const PARTS_OF_DAY = {
+  morning: { from: 0, to: 12 * 60 },
+  afternoon: { from: 12 * 60, to: 17 * 60 },
+  evening: { from: 17 * 60, to: 24 * 60 },
+};
+
+const PART_OF_DAY_ALIASES = {
+  morning: 'morning',
+  rano: 'morning',
+  dopoledne: 'morning',
+  afternoon: 'afternoon',
+  odpoledne: 'afternoon',
+  evening: 'evening',
+  vecer: 'evening',
+  podvecer: 'evening',
+};
+
+/**
+ * Normalize part of day from English or Czech ("odpoledne", "večer") to
+ * 'morning' | 'afternoon' | 'evening'. Returns null if unknown/empty.
+ */
+export function normalizePartOfDay(raw) {
+  if (!raw || typeof raw !== 'string') return null;
+  const key = raw
+    .trim()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+  return PART_OF_DAY_ALIASES[key] || null;
+}
+
+/**
+ * Parse "HH:MM" or "HH:MM:SS" (Postgres time) into minutes from midnight.
+ * Returns null if invalid.
+ */
+export function parseTimeToMinutes(value) {
+  if (!value) return null;
+  const m = String(value).trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?$/);
+  if (!m) return null;
+  const hours = Number(m[1]);
+  const minutes = Number(m[2]);
+  if (hours > 24 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+/**
+ * Map Luxon DateTime to opening_hours.weekday key ('mon'...'sun').
+ */
+export function weekdayKeyFor(dt) {
+  return WEEKDAY_KEYS[dt.weekday - 1];
+}
+
+/**
+ * Load opening hours for a business, keyed by weekday.
+ * @param {string} businessId - Business ID (UUID)
+ * @returns {Promise<{openingHours: Object<string, {opensAt: string|null, closesAt: string|null, closed: boolean}>|null, error: any}>}
+ *   openingHours is null when the business has no opening_hours rows.
+ */
+export async function getOpeningHoursForBusiness(businessId) {
+  if (!businessId) {
+    return { openingHours: null, error: null };
+  }
+
+  const { data, error } = await supabase
+    .from('opening_hours')
+    .select('*')
+    .eq('business_id', businessId);
+
+  if (error) {
+    console.error('[AVAILABILITY] Error loading opening_hours:', error);
+    return { openingHours: null, error };
+  }
+
+  if (!data || data.length === 0) {
+    return { openingHours: null, error: null };
+  }
+
+  return { openingHours: buildWeeklyHours(data), error: null };
+}
+
+/**
+ * Turn weekday rows ({ weekday, opens_at, closes_at, closed? }) into an hours map keyed by weekday.
+ * Used for opening_hours and staff_working_hours rows. Weekdays without a row are treated as closed.
+ * @param {Array<Object>} rows
+ * @returns {Object<string, {opensAt: string|null, closesAt: string|null, closed: boolean}>}
+ */
+export function buildWeeklyHours(rows) {
+  const hours = {};
+  for (const row of rows || []) {
+    if (!row?.weekday) continue;
+    hours[row.weekday] = {
+      opensAt: row.opens_at || null,
+      closesAt: row.closes_at || null,
+      closed: row.closed === true || !row.opens_at || !row.closes_at,
+    };
+  }
+
+  for (const key of WEEKDAY_KEYS) {
+    if (!hours[key]) {
+      hours[key] = { opensAt: null, closesAt: null, closed: true };
+    }
+  }
+
+  return hours;
+}
+
+/**
+ * Format minutes from midnight as "H:MM" (e.g. 540 -> "9:00").
+ */
+function formatMinutes(total) {
+  const hours = Math.floor(total / 60);
+  const minutes = String(total % 60).padStart(2, '0');
+  return `${hours}:${minutes}`;
+}
+
+/**
+ * Check that a booking (date + time + duration) fits into the business opening hours.
+ *
+ * Businesses without any opening_hours rows are not restricted (withinHours: true, checked: false),
+ * so onboarding without an import keeps working.
+ *
+ * @param {Object} params
+ * @param {string} params.businessId - Business ID (UUID)
+ * @param {string} params.date - Date (YYYY-MM-DD)
+ * @param {string} params.time - Start time (HH:MM)
+ * @param {number} params.durationMinutes - Duration in minutes
+ * @returns {Promise<{ok: boolean, withinHours: boolean, checked?: boolean, reason?: string, opensAt?: string, closesAt?: string, error?: any}>}
+ *   reason: 'CLOSED_DAY' | 'BEFORE_OPENING' | 'AFTER_CLOSING' | 'INVALID_TIME'
+ */
+export async function checkOpeningHours({ businessId, date, time, durationMinutes }) {
+  const { openingHours, error } = await getOpeningHoursForBusiness(businessId);
+
+  if (error) {
+    return { ok: false, withinHours: false, error };
+  }
+
+  if (!openingHours) {
+    console.log('[AVAILABILITY] No opening_hours for business, skipping opening hours check', { businessId });
+    return { ok: true, withinHours: true, checked: false };
+  }
+
+  return checkHoursWindow(openingHours, { date, time, durationMinutes });
+}
+
+/**
+ * Check a booking against a weekly hours map ({ mon: { opensAt, closesAt, closed }, ... }).
+ * Shared by business opening hours and staff working hours.
+ * @param {Object} hoursByWeekday - Hours keyed by weekday ('mon'...'sun')
+ * @param {Object} params
+ * @param {string} params.date - Date (YYYY-MM-DD)
+ * @param {string} params.time - Start time (HH:MM)
+ * @param {number} params.durationMinutes - Duration in minutes
+ * @returns {{ok: boolean, withinHours: boolean, checked: boolean, reason?: string, opensAt?: string, closesAt?: string}}
+ */
+export function checkHoursWindow(hoursByWeekday, { date, time, durationMinutes }) {
+  const day = DateTime.fromISO(date || '', { zone: TIME_ZONE });
+  const start = parseTimeToMinutes(time);
+  if (!day.isValid || start === null) {
+    return { ok: true, withinHours: false, checked: true, reason: 'INVALID_TIME' };
+  }
+
+  const hours = hoursByWeekday[weekdayKeyFor(day)];
+  if (!hours || hours.closed) {
+    return { ok: true, withinHours: false, checked: true, reason: 'CLOSED_DAY' };
+  }
+
+  const opens = parseTimeToMinutes(hours.opensAt);
+  const closes = parseTimeToMinutes(hours.closesAt);
+  if (opens === null || closes === null) {
+    return { ok: true, withinHours: false, checked: true, reason: 'CLOSED_DAY' };
+  }
+
+  const opensAt = formatMinutes(opens);
+  const closesAt = formatMinutes(closes);
+  const end = start + (Number(durationMinutes) > 0 ? Number(durationMinutes) : 0);
+
+  if (start < opens) {
+    return { ok: true, withinHours: false, checked: true, reason: 'BEFORE_OPENING', opensAt, closesAt };
+  }
+
+  if (start >= closes || end > closes) {
+    return { ok: true, withinHours: false, checked: true, reason: 'AFTER_CLOSING', opensAt, closesAt };
+  }
+
+  return { ok: true, withinHours: true, checked: true, opensAt, closesAt };
+}
+
+/**
+ * Format a slot for the Czech voice reply, e.g. "úterý 20. října v 14:00".
+ * @param {{date: string, time: string}} slot
+ * @returns {string}
+ */
+export function formatSlotForCzech(slot) {
+  const dt = DateTime.fromISO(slot.date, { zone: TIME_ZONE }).setLocale('cs');
+  if (!dt.isValid) return `${slot.date} v ${slot.time}`;
+  return `${dt.toFormat('cccc d. MMMM')} v ${slot.time}`;
+}
+
+/**
+ * Find the nearest free start times for a service.
+ *
+ * Candidates are generated every `stepMinutes` inside the opening hours of each day
+ * (optionally narrowed to a part of day) and are dropped when they overlap a busy
+ * interval from the business calendar (lib/calendarProvider.js) or start in the past.
+ *
+ * @param {Object} params
+ * @param {string} params.businessId - Business ID (UUID)
+ * @param {Object} params.settings - IVA settings object (may contain google_calendar_id)
+ * @param {number} params.durationMinutes - Service duration
+ * @param {string} params.fromDate - First day to search (YYYY-MM-DD)
+ * @param {string} [params.toDate] - Last day to search (YYYY-MM-DD), defaults to fromDate
+ * @param {string|null} [params.partOfDay] - 'morning' | 'afternoon' | 'evening'
+ * @param {number} [params.limit] - Max number of slots (default 3, max 10)
+ * @param {number} [params.stepMinutes] - Spacing of candidate start times (default 30)
+ * @param {Object|null} [params.openingHours] - Hours map to use instead of the business opening hours (e.g. a location's)
+ * @returns {Promise<{ok: boolean, error?: string, slots?: Array<{date: string, time: string, startIso: string, endIso: string}>, durationMinutes?: number, calendarChecked?: boolean}>}
+ */
+export async function findFreeSlots({
+  businessId,
+  settings,
+  durationMinutes,
+  fromDate,
+  toDate = null,
+  partOfDay = null,
+  limit = DEFAULT_SLOT_LIMIT,
+  stepMinutes = DEFAULT_SLOT_STEP_MINUTES,
+  openingHours: openingHoursOverride = null,
+}) {
+  if (!businessId) {
+    return { ok: false, error: 'MISSING_BUSINESS_ID' };
+  }
+
+  const firstDay = DateTime.fromISO(fromDate || '', { zone: TIME_ZONE }).startOf('day');
+  if (!firstDay.isValid) {
+    return { ok: false, error: 'INVALID_DATE' };
+  }
+
+  let lastDay = toDate ? DateTime.fromISO(toDate, { zone: TIME_ZONE }).startOf('day') : firstDay;
+  if (!lastDay.isValid || lastDay < firstDay) {
+    return { ok: false, error: 'INVALID_DATE' };
+  }
+  const maxLastDay = firstDay.plus({ days: MAX_RANGE_DAYS - 1 });
+  if (lastDay > maxLastDay) {
+    lastDay = maxLastDay;
+  }
+
+  const duration = Number(durationMinutes) > 0 ? Number(durationMinutes) : 60;
+  const step = Number(stepMinutes) > 0 ? Number(stepMinutes) : DEFAULT_SLOT_STEP_MINUTES;
+  const maxSlots = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_SLOT_LIMIT, 1), MAX_SLOT_LIMIT);
+  const partWindow = partOfDay ? PARTS_OF_DAY[partOfDay] || null : null;
+
+  let openingHours = openingHoursOverride;
+  if (!openingHours) {
+    const hoursResult = await getOpeningHoursForBusiness(businessId);
+    if (hoursResult.error) {
+      return { ok: false, error: 'DB_ERROR' };
+    }
+    openingHours = hoursResult.openingHours;
+  }
+  if (!openingHours) {
+    console.warn('[AVAILABILITY] No opening_hours for business, using default hours', { businessId });
+    openingHours = DEFAULT_OPENING_HOURS;
+  }
+
+  const now = DateTime.now().setZone(TIME_ZONE);
+  const rangeStart = firstDay < now ? now : firstDay;
+  const rangeEnd = lastDay.endOf('day');
+
+  if (rangeEnd <= now) {
+    return { ok: true, slots: [], durationMinutes: duration, calendarChecked: false };
+  }
+
+  const busyResult = await getBusyIntervals({ start: rangeStart, end: rangeEnd, businessId }, settings);
+  if (!busyResult.ok) {
+    console.warn('[AVAILABILITY] Calendar busy data unavailable, using opening hours only:', busyResult.reason);
+  }
+
+  const busy = (busyResult.busy || [])
+    .map((b) => ({
+      start: DateTime.fromISO(b.start).toMillis(),
+      end: DateTime.fromISO(b.end).toMillis(),
+    }))
+    .filter((b) => Number.isFinite(b.start) && Number.isFinite(b.end));
+
+  const slots = [];
+
+  for (let day = firstDay; day <= lastDay && slots.length < maxSlots; day = day.plus({ days: 1 })) {
+    const hours = openingHours[weekdayKeyFor(day)];
+    if (!hours || hours.closed) continue;
+
+    let windowStart = parseTimeToMinutes(hours.opensAt);
+    let windowEnd = parseTimeToMinutes(hours.closesAt);
+    if (windowStart === null || windowEnd === null || windowEnd <= windowStart) continue;
+
+    if (partWindow) {
+      windowStart = Math.max(windowStart, partWindow.from);
+      windowEnd = Math.min(windowEnd, partWindow.to);
+    }
+
+    for (let minute = windowStart; minute + duration <= windowEnd && slots.length < maxSlots; minute += step) {
+      // Wall-clock time: on DST-change days plus({ minutes }) would shift the slot by an hour
+      const start = day.set({ hour: Math.floor(minute / 60), minute: minute % 60 });
+      const end = start.plus({ minutes: duration });
+
+      if (start < now) continue;
+
+      const startMs = start.toMillis();
+      const endMs = end.toMillis();
+      const overlaps = busy.some((b) => b.start < endMs && b.end > startMs);
+      if (overlaps) continue;
+
+      slots.push({
+        date: start.toISODate(),
+        time: start.toFormat('HH:mm'),
+        startIso: start.toISO(),
+        endIso: end.toISO(),
+      });
+    }
+  }
+
+  console.log('[AVAILABILITY] Free slots found', {
+    businessId,
+    fromDate: firstDay.toISODate(),
+    toDate: lastDay.toISODate(),
+    partOfDay,
+    durationMinutes: duration,
+    count: slots.length,
+  });
+
+  return { ok: true, slots, durationMinutes: duration, calendarChecked: busyResult.ok };
+}
@@ -0,0 +1,82 @@
+import { supabase } from './supabaseClient.js';
+import { parseTimeToMinutes } from './availability.js';
+
+// Double-booking protection based on the bookings table alone (works without any external calendar).
+//
+// A booking occupies one "resource": its staff member if assigned, else its location, else the business.
+// The same rule is enforced in the database by the bookings_no_overlap exclusion constraint
+// (sql/2026-10-booking-overlap-constraint.sql), so two simultaneous inserts cannot both win;
+// the losing insert/update fails with SQLSTATE 23P01 (see isBookingOverlapError()).
+
+export const ACTIVE_BOOKING_STATUSES = ['confirmed', 'rescheduled'];
+
+/**
+ * Find an active booking on the same resource that overlaps the given slot.
+ * @param {Object} params
+ * @param {string} params.businessId - Business ID (UUID)
+ * @param {string} params.date - YYYY-MM-DD
+ * @param {string} params.time - HH:MM
+ * @param {number} params.durationMinutes
+ * @param {string|null} [params.staffId] - Assigned staff member
+ * @param {string|null} [params.locationId] - Booking location
+ * @param {string|null} [params.excludeBookingId] - Booking being rescheduled
+ * @returns {Promise<{ok: boolean, conflict: Object|null, error?: any}>}
+ */
+export async function findConflictingBooking({
+  businessId,
+  date,
+  time,
+  durationMinutes,
+  staffId = null,
+  locationId = null,
+  excludeBookingId = null,
+}) {
+  const start = parseTimeToMinutes(time);
+  if (!businessId || !date || start === null) {
+    return { ok: false, conflict: null, error: 'INVALID_PARAMS' };
+  }
+  const end = start + (durationMinutes || 30);
+
+  // Same-day rows only: bookings never span midnight (opening hours end the same day)
+  let query = supabase
+    .from('bookings')
+    .select('id, date, time, duration_minutes, staff_id, location_id, client_name')
+    .eq('business_id', businessId)
+    .eq('date', date)
+    .in('status', ACTIVE_BOOKING_STATUSES);
+
+  if (staffId) {
+    query = query.eq('staff_id', staffId);
+  } else if (locationId) {
+    query = query.is('staff_id', null).eq('location_id', locationId);
+  } else {
+    query = query.is('staff_id', null).is('location_id', null);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    console.error('[CONFLICT] Error loading bookings for overlap check:', error);
+    return { ok: false, conflict: null, error };
+  }
+
+  const conflict = (data || []).find((row) => {
+    if (excludeBookingId && row.id === excludeBookingId) return false;
+    const rowStart = parseTimeToMinutes(row.time);
+    if (rowStart === null) return false;
+    return rowStart < end && rowStart + (row.duration_minutes || 30) > start;
+  });
+
+  if (conflict) {
+    console.log('[CONFLICT] Overlapping booking found:', { bookingId: conflict.id, date, time: conflict.time });
+  }
+
+  return { ok: true, conflict: conflict || null };
+}
+
+/**
+ * Whether a Supabase insert/update error is the bookings_no_overlap exclusion constraint
+ * (a concurrent request booked the same slot first).
+ */
+export function isBookingOverlapError(error) {
+  return error?.code === '23P01';
+}
@@ -0,0 +1,79 @@
+import * as cheerio from 'cheerio';
+import {
+  normalizePhone,
+  walkJson,
+  buildImportedData,
+  findServicesInJson,
+  findOpeningHoursInJson,
+  mergeProfiles,
+  parseSchemaOrgHtml,
+} from './structuredData.js';
+
+// Booking platform listings (Fresha, Reservio) → ImportedBusinessData.
+//
+// Both platforms render the salon page from embedded state: a saved page has schema.org JSON-LD
+// (name, address, phone, opening hours) plus the app state (Fresha: __NEXT_DATA__, Reservio: JSON in
+// <script> tags) with the service menu. JSON exports – the embedded state or the platform API response
+// (the Reservio API is JSON:API with "attributes") – are searched for services and hours directly.
+
+function embeddedJsonStates(html) {
+  const $ = cheerio.load(html);
+  const states = [];
+  $('script#__NEXT_DATA__, script[type="application/json"]').each((_, el) => {
+    try {
+      states.push(JSON.parse($(el).contents().text()));
+    } catch {
+      // Not JSON – skip
+    }
+  });
+  return states;
+}
+
+function formatAddress(address) {
+  if (!address) return null;
+  if (typeof address === 'string') return address;
+  const street = address.street || address.streetAddress;
+  const city = [address.zip || address.postalCode, address.city].filter(Boolean).join(' ');
+  return [street, city].filter(Boolean).join(', ') || null;
+}
+
+// The salon in a platform JSON: the first object with a name and an address or phone
+function findBusinessProfile(tree) {
+  let profile = {};
+  walkJson(tree, (node) => {
+    if (typeof node.name !== 'string' || !(node.address || node.phone || node.contactPhone)) return false;
+    profile = {
+      name: node.name,
+      address: formatAddress(node.address),
+      phone: normalizePhone(node.phone || node.contactPhone),
+      email: typeof node.email === 'string' ? node.email : null,
+      website: typeof node.website === 'string' ? node.website : null,
+    };
+    return true;
+  });
+  return profile;
+}
+
+/**
+ * Fresha / Reservio salon page (saved HTML) or their JSON (embedded state, Reservio API response).
+ * Profile and hours from JSON-LD win over the app state; services of both are merged.
+ * @param {Object|string} content
+ * @returns {import('./importFromWeb.js').ImportedBusinessData}
+ */
+export function parseBookingPlatformListing(content) {
+  if (typeof content !== 'string') {
+    return buildImportedData({
+      profile: findBusinessProfile(content),
+      services: findServicesInJson(content),
+      openingHours: findOpeningHoursInJson(content),
+    });
+  }
+
+  const fromSchema = parseSchemaOrgHtml(content);
+  const states = embeddedJsonStates(content);
+  return buildImportedData({
+    profile: mergeProfiles(fromSchema.profile, ...states.map(findBusinessProfile)),
+    services: [...fromSchema.services, ...states.flatMap(findServicesInJson)],
+    openingHours: fromSchema.openingHours.length > 0 ? fromSchema.openingHours : findOpeningHoursInJson(states),
+  });
+}
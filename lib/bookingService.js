@@ -1,6 +1,15 @@
 import { supabase } from './supabaseClient.js';
-import { isSlotAvailable, createCalendarEvent, cancelCalendarEvent, rescheduleCalendarEvent } from './googleCalendar.js';
+import { isSlotAvailable, createCalendarEvent, cancelCalendarEvent, rescheduleCalendarEvent } from './calendarProvider.js';
 import { parseRelativeDate } from './dateUtils.js';
+import { checkOpeningHours, checkHoursWindow, findFreeSlots, formatSlotForCzech } from './availability.js';
+import { getLocationsForBusiness, getBookableLocations, resolveBookingLocation, settingsForLocation } from './locations.js';
+import { getStaffForBusiness, pickAvailableStaff, settingsForStaff, getCalendarSettingsForBooking } from './staff.js';
+import { queueBookingNotification } from './notifications.js';
+import { isValidEmailAddress } from './notificationTransports.js';
+import { findConflictingBooking, isBookingOverlapError } from './bookingConflicts.js';
+import { DateTime } from 'luxon';
+import { recordUsage, checkPlanLimit } from './usage.js';
+import { linkBookingToClient } from './clients.js';
 
 // Default service durations (fallback if not found in Supabase)
 const DEFAULT_SERVICE_DURATIONS = {
@@ -13,9 +22,45 @@ const DEFAULT_SERVICE_DURATIONS = {
   balayage: 150,
 };
 
+// Same phone + date + time + service within this window counts as a retried request
+const DUPLICATE_WINDOW_MINUTES = Number(process.env.BOOKING_DUPLICATE_WINDOW_MINUTES) || 10;
+
 // Fallback used if we find nothing at all
 const GLOBAL_FALLBACK_DURATION_MINUTES = 60;
 
+/**
+ * Find the services row matching a service slug or (partial) name.
+ */
+function matchServiceRow(rows, normalizedCode) {
+  return rows.find((svc) => {
+    const slug = (svc.slug || '').toLowerCase();
+    const name = (svc.name || '').toLowerCase();
+    return slug === normalizedCode || name.includes(normalizedCode) || normalizedCode.includes(slug);
+  }) || null;
+}
+
+/**
+ * Resolve the `services` row for a business by slug or name.
+ * @param {string} tenantId - Business ID (UUID)
+ * @param {string} serviceCodeOrName - Service slug or name
+ * @returns {Promise<{id: string, name: string, slug: string, duration_minutes: number|null}|null>}
+ */
+export async function resolveServiceRow(tenantId, serviceCodeOrName) {
+  if (!tenantId || !serviceCodeOrName) return null;
+
+  const { data, error } = await supabase
+    .from('services')
+    .select('id, name, slug, duration_minutes')
+    .eq('business_id', tenantId);
+
+  if (error) {
+    console.error('[BOOKING] Error fetching services:', error);
+    return null;
+  }
+
+  return matchServiceRow(data || [], serviceCodeOrName.toLowerCase().trim());
+}
+
 /**
  * Resolve service duration in minutes for a given business and service identifier.
  * Tries:
@@ -23,7 +68,7 @@ const GLOBAL_FALLBACK_DURATION_MINUTES = 60;
  *  2) DEFAULT_SERVICE_DURATIONS mapping
  *  3) GLOBAL_FALLBACK_DURATION_MINUTES
  */
-async function resolveServiceDurationMinutes(tenantId, serviceCodeOrName) {
+export async function resolveServiceDurationMinutes(tenantId, serviceCodeOrName) {
   try {
     if (!tenantId || !serviceCodeOrName) {
       console.warn('[BOOKING] Missing tenantId or service code for duration, using global fallback.');
@@ -42,11 +87,7 @@ async function resolveServiceDurationMinutes(tenantId, serviceCodeOrName) {
       console.error('[BOOKING] Error fetching services for duration:', error);
     } else if (data && data.length > 0) {
       // Try to find best match by slug or name
-      const match = data.find((svc) => {
-        const slug = (svc.slug || '').toLowerCase();
-        const name = (svc.name || '').toLowerCase();
-        return slug === normalizedCode || name.includes(normalizedCode) || normalizedCode.includes(slug);
-      });
+      const match = matchServiceRow(data, normalizedCode);
 
       if (match && match.duration_minutes && match.duration_minutes > 0) {
         console.log('[BOOKING] Using duration from services table:', match.duration_minutes, 'minutes for service', normalizedCode);
@@ -69,19 +110,171 @@ async function resolveServiceDurationMinutes(tenantId, serviceCodeOrName) {
   }
 }
 
+/**
+ * Build Czech explanation for a slot outside opening hours, with alternative slots if we found any.
+ */
+function buildOutsideOpeningHoursMessage(hoursCheck, alternatives) {
+  let message;
+  if (hoursCheck.reason === 'CLOSED_DAY') {
+    message = 'V tento den má salon zavřeno.';
+  } else if (hoursCheck.reason === 'BEFORE_OPENING') {
+    message = `Salon v tento den otevírá až v ${hoursCheck.opensAt}.`;
+  } else if (hoursCheck.reason === 'AFTER_CLOSING') {
+    message = `Salon má v tento den otevřeno do ${hoursCheck.closesAt} a služba by přesáhla zavírací dobu.`;
+  } else {
+    message = 'Omlouvám se, tento čas je mimo otevírací dobu salonu.';
+  }
+
+  if (alternatives && alternatives.length > 0) {
+    return `${message} Můžu vám nabídnout: ${alternatives.map(formatSlotForCzech).join(', ')}.`;
+  }
+  return `${message} Můžeme zkusit jiný den nebo čas?`;
+}
+
+/**
+ * Hours checks of createBooking() for a new time of an existing booking: opening hours of its location
+ * (or of the business) and working hours of the assigned staff member.
+ * @param {string} tenantId - Business ID (UUID)
+ * @param {Object} booking - bookings row (location_id, staff_id, duration_minutes)
+ * @param {{date: string, time: string}} slot - New date (YYYY-MM-DD) and time (HH:mm)
+ * @returns {Promise<{ok: boolean, error?: string, message_cs?: string, details?: Object}>}
+ *   error: 'OUTSIDE_OPENING_HOURS' | 'OUTSIDE_WORKING_HOURS'
+ */
+export async function checkRescheduleHours(tenantId, booking, { date, time }) {
+  const window = { date, time, durationMinutes: booking.duration_minutes || 60 };
+
+  let location = null;
+  if (booking.location_id) {
+    const { locations } = await getLocationsForBusiness(tenantId);
+    location = locations.find((loc) => loc.id === booking.location_id) || null;
+  }
+
+  const hoursCheck = location?.openingHours
+    ? checkHoursWindow(location.openingHours, window)
+    : await checkOpeningHours({ businessId: tenantId, ...window });
+
+  if (hoursCheck.ok && !hoursCheck.withinHours) {
+    return {
+      ok: false,
+      error: 'OUTSIDE_OPENING_HOURS',
+      message_cs: buildOutsideOpeningHoursMessage(hoursCheck, []),
+      details: hoursCheck,
+    };
+  }
+  if (!hoursCheck.ok) {
+    console.warn('[BOOKING] Opening hours check failed – proceeding anyway:', hoursCheck.error);
+  }
+
+  if (booking.staff_id) {
+    const { staff } = await getStaffForBusiness(tenantId);
+    const member = staff.find((m) => m.id === booking.staff_id);
+    const staffCheck = member?.workingHours ? checkHoursWindow(member.workingHours, window) : null;
+    if (staffCheck && !staffCheck.withinHours) {
+      return {
+        ok: false,
+        error: 'OUTSIDE_WORKING_HOURS',
+        message_cs: `${member.name} v tento čas nepracuje. Můžeme zkusit jiný den nebo čas?`,
+        details: staffCheck,
+      };
+    }
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Find a booking this request already created (retried tool call / double submit):
+ * 1) same idempotency key for the business,
+ * 2) same business, phone, date, time and service created within the duplicate window.
+ * @returns {Promise<Object|null>} The original bookings row
+ */
+async function findDuplicateBooking(tenantId, booking, idempotencyKey) {
+  if (idempotencyKey) {
+    const { data, error } = await supabase
+      .from('bookings')
+      .select('*')
+      .eq('business_id', tenantId)
+      .eq('idempotency_key', idempotencyKey)
+      .limit(1);
+
+    if (error) {
+      console.error('[BOOKING] Error looking up idempotency key:', error);
+    } else if (data && data.length > 0) {
+      return data[0];
+    }
+  }
+
+  const windowStart = DateTime.now().minus({ minutes: DUPLICATE_WINDOW_MINUTES }).toUTC().toISO();
+  const { data, error } = await supabase
+    .from('bookings')
+    .select('*')
+    .eq('business_id', tenantId)
+    .eq('client_phone', booking.client_phone)
+    .eq('date', booking.date)
+    .eq('time', booking.time)
+    .eq('service_slug', booking.service_slug)
+    .in('status', ['confirmed', 'rescheduled'])
+    .gte('created_at', windowStart)
+    .order('created_at', { ascending: true })
+    .limit(1);
+
+  if (error) {
+    console.error('[BOOKING] Error looking up duplicate bookings:', error);
+    return null;
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Success result for an already existing booking (same shape as a fresh one, plus duplicate: true).
+ */
+async function buildDuplicateResult(existing) {
+  let staffName = null;
+  if (existing.staff_id) {
+    const { data: staffRow } = await supabase
+      .from('staff')
+      .select('name')
+      .eq('id', existing.staff_id)
+      .maybeSingle();
+    staffName = staffRow?.name || null;
+  }
+
+  return {
+    ok: true,
+    duplicate: true,
+    bookingId: existing.id,
+    calendarEventId: existing.calendar_event_id || null,
+    ...(existing.staff_id ? { staffId: existing.staff_id, staffName } : {}),
+    ...(existing.location_id ? { locationId: existing.location_id, locationName: existing.location } : {}),
+  };
+}
+
 /**
  * Creates a booking in Supabase and Google Calendar.
  * @param {string} tenantId - Business ID (UUID)
  * @param {Object} settings - IVA settings object (may contain google_calendar_id)
  * @param {Object} bookingPayload - Booking payload from BOOKING_REQUEST_JSON marker
- * @returns {Promise<{ok: boolean, error?: string, bookingId?: string, calendarEventId?: string, details?: Object}>}
+ *   (optional staff_name / any_staff select the staff member, see lib/staff.js;
+ *   location is validated against the locations table when the business has locations)
+ * @param {Object} [options]
+ * @param {string} [options.idempotencyKey] - Vapi tool call id / Idempotency-Key header
+ * @param {boolean} [options.enforcePlanLimit] - Refuse with PLAN_LIMIT_REACHED when the monthly booking limit
+ *   of the plan is used up (IVA chat and phone). Checked after the duplicate lookup, so a retried request
+ *   still gets the booking it created with the last one.
+ * @returns {Promise<{ok: boolean, duplicate?: boolean, error?: string, message_cs?: string, bookingId?: string, calendarEventId?: string, staffId?: string, staffName?: string, locationId?: string, locationName?: string, details?: Object}>}
+ *   error 'OUTSIDE_OPENING_HOURS' carries message_cs and details.alternatives (nearest free slots);
+ *   staff errors ('STAFF_NOT_FOUND', 'STAFF_NOT_AT_LOCATION', 'STAFF_NOT_QUALIFIED', 'NO_QUALIFIED_STAFF', 'STAFF_UNAVAILABLE')
+ *   and location errors ('UNKNOWN_LOCATION', 'LOCATION_REQUIRED') carry message_cs.
+ *   A retried request (same options.idempotencyKey, or same phone/date/time/service within
+ *   BOOKING_DUPLICATE_WINDOW_MINUTES) returns the original booking with duplicate: true.
  * 
  * Test flow (PowerShell):
  * 1) iwr ... /api/chat with x-session-id "test-booking-1" and full booking details
  * 2) iwr ... /api/chat with SAME x-session-id and message "Ano, je to tak."
  * Then check backend logs for [BOOKING] and [GCAL], and Supabase "bookings" table for new row.
  */
-export async function createBooking(tenantId, settings, bookingPayload) {
+export async function createBooking(tenantId, settings, bookingPayload, { idempotencyKey = null, enforcePlanLimit = false } = {}) {
   if (!tenantId) {
     return { ok: false, error: 'MISSING_TENANT_ID' };
   }
@@ -104,12 +297,19 @@ export async function createBooking(tenantId, settings, bookingPayload) {
     return { ok: false, error: 'INVALID_DATE', details: bookingPayload.date };
   }
 
+  // E-mail is optional: an invalid one is dropped (never reaches mail headers), the booking still goes through
+  let clientEmail = typeof bookingPayload.client_email === 'string' ? bookingPayload.client_email.trim() : '';
+  if (clientEmail && !isValidEmailAddress(clientEmail)) {
+    console.warn('[BOOKING] Dropping invalid client_email from payload');
+    clientEmail = '';
+  }
+
   // Normalize the booking
   const booking = {
     business_id: tenantId,
     client_name: bookingPayload.client_name,
     client_phone: bookingPayload.client_phone,
-    client_email: bookingPayload.client_email || null,
+    client_email: clientEmail || null,
     service_slug: bookingPayload.service,
     location: bookingPayload.location || '',
     date: parsedDate,
@@ -124,17 +324,132 @@ export async function createBooking(tenantId, settings, bookingPayload) {
     original_date: bookingPayload.date,
   });
 
-  // Check availability in Google Calendar
-  const availability = await isSlotAvailable(booking, settings);
+  // Retried request? Return the original instead of a second row / calendar event.
+  // (Must run before the availability checks – the original booking makes the slot look taken.)
+  const duplicate = await findDuplicateBooking(tenantId, booking, idempotencyKey);
+  if (duplicate) {
+    console.log('[BOOKING] Duplicate request, returning existing booking:', duplicate.id, { idempotencyKey });
+    return buildDuplicateResult(duplicate);
+  }
+
+  if (enforcePlanLimit) {
+    const bookingLimit = await checkPlanLimit(tenantId, 'bookings');
+    if (!bookingLimit.allowed) {
+      return { ok: false, error: 'PLAN_LIMIT_REACHED', message_cs: bookingLimit.message_cs };
+    }
+  }
 
-  if (availability.ok && !availability.available) {
-    console.log('[BOOKING] Time conflict detected, not creating booking');
-    return { ok: false, error: 'TIME_CONFLICT', details: availability };
+  // Resolve the location (branch) – businesses without locations keep the free-text value
+  const { locations } = await getBookableLocations(tenantId);
+  const locationResult = resolveBookingLocation(locations, bookingPayload.location);
+  if (!locationResult.ok) {
+    console.log('[BOOKING] Location not resolved, not creating booking:', locationResult.error);
+    return locationResult;
   }
 
-  if (!availability.ok && availability.reason === 'MISSING_CONFIG') {
-    console.warn('[BOOKING] Availability check skipped due to missing config – proceeding anyway');
-    // continue and create booking, but log
+  const location = locationResult.location;
+  if (location) {
+    booking.location = location.name;
+    booking.location_id = location.id;
+  }
+  const locationSettings = settingsForLocation(settings, location);
+
+  // Check opening hours (closed day, before opening, running past closing time).
+  // A location with its own hours replaces the business opening hours.
+  const hoursCheck = location?.openingHours
+    ? checkHoursWindow(location.openingHours, {
+        date: booking.date,
+        time: booking.time,
+        durationMinutes: booking.duration_minutes,
+      })
+    : await checkOpeningHours({
+        businessId: tenantId,
+        date: booking.date,
+        time: booking.time,
+        durationMinutes: booking.duration_minutes,
+      });
+
+  if (hoursCheck.ok && !hoursCheck.withinHours) {
+    console.log('[BOOKING] Slot outside opening hours, not creating booking:', hoursCheck.reason);
+
+    // Suggest the nearest free slots within the following week
+    let alternatives = [];
+    try {
+      const slotsResult = await findFreeSlots({
+        businessId: tenantId,
+        settings: locationSettings,
+        durationMinutes: booking.duration_minutes,
+        fromDate: booking.date,
+        toDate: DateTime.fromISO(booking.date).plus({ days: 6 }).toISODate(),
+        limit: 3,
+        openingHours: location?.openingHours || null,
+      });
+      alternatives = slotsResult.ok ? slotsResult.slots : [];
+    } catch (err) {
+      console.error('[BOOKING] Failed to load alternative slots:', err.message);
+    }
+
+    return {
+      ok: false,
+      error: 'OUTSIDE_OPENING_HOURS',
+      message_cs: buildOutsideOpeningHoursMessage(hoursCheck, alternatives),
+      details: { ...hoursCheck, alternatives },
+    };
+  }
+
+  if (!hoursCheck.ok) {
+    console.warn('[BOOKING] Opening hours check failed – proceeding anyway:', hoursCheck.error);
+  }
+
+  // Pick a free, qualified staff member (businesses without staff skip this)
+  const serviceRow = await resolveServiceRow(tenantId, booking.service_slug);
+  const staffResult = await pickAvailableStaff({
+    businessId: tenantId,
+    settings: locationSettings,
+    booking,
+    serviceId: serviceRow?.id || null,
+    staffName: bookingPayload.staff_name || null,
+    anyStaff: bookingPayload.any_staff === true,
+  });
+
+  if (!staffResult.ok) {
+    console.log('[BOOKING] No staff available, not creating booking:', staffResult.error);
+    return staffResult;
+  }
+
+  const staffMember = staffResult.staff;
+  const calendarSettings = staffMember ? settingsForStaff(locationSettings, staffMember) : locationSettings;
+
+  // Check overlapping bookings in the DB – independent of the calendar provider
+  // (pickAvailableStaff already did this for the chosen staff member)
+  if (!staffMember) {
+    const dbCheck = await findConflictingBooking({
+      businessId: tenantId,
+      date: booking.date,
+      time: booking.time,
+      durationMinutes: booking.duration_minutes,
+      locationId: location?.id || null,
+    });
+
+    if (dbCheck.ok && dbCheck.conflict) {
+      console.log('[BOOKING] Overlapping booking in DB, not creating booking');
+      return { ok: false, error: 'TIME_CONFLICT', details: { reason: 'BOOKED', bookingId: dbCheck.conflict.id } };
+    }
+  }
+
+  // Check availability in the business calendar (staff availability already covers their own calendar)
+  if (!staffMember) {
+    const availability = await isSlotAvailable(booking, locationSettings);
+
+    if (availability.ok && !availability.available) {
+      console.log('[BOOKING] Time conflict detected, not creating booking');
+      return { ok: false, error: 'TIME_CONFLICT', details: availability };
+    }
+
+    if (!availability.ok && availability.reason === 'MISSING_CONFIG') {
+      console.warn('[BOOKING] Calendar availability check skipped due to missing config – relying on DB overlap check');
+      // continue – the DB check above and the bookings_no_overlap constraint still prevent double-booking
+    }
   }
 
   // Insert booking into Supabase
@@ -153,11 +468,29 @@ export async function createBooking(tenantId, settings, bookingPayload) {
       duration_minutes: booking.duration_minutes,
       status: booking.status,
       raw_booking_json: booking.raw_booking_json,
+      ...(staffMember ? { staff_id: staffMember.id } : {}),
+      ...(location ? { location_id: location.id } : {}),
+      ...(idempotencyKey ? { idempotency_key: idempotencyKey } : {}),
     })
     .select()
     .single();
 
   if (error) {
+    // Concurrent retry with the same key won the insert – return its booking
+    if (error.code === '23505' && idempotencyKey) {
+      const original = await findDuplicateBooking(tenantId, booking, idempotencyKey);
+      if (original) {
+        console.log('[BOOKING] Concurrent duplicate request, returning existing booking:', original.id);
+        return buildDuplicateResult(original);
+      }
+    }
+
+    // Concurrent request booked an overlapping slot first (bookings_no_overlap constraint)
+    if (isBookingOverlapError(error)) {
+      console.log('[BOOKING] Slot taken by a concurrent booking, not creating booking');
+      return { ok: false, error: 'TIME_CONFLICT', details: { reason: 'BOOKED_CONCURRENTLY' } };
+    }
+
     console.error('[BOOKING] Error inserting booking:', error);
     return { ok: false, error: 'DB_ERROR', details: error };
   }
@@ -165,14 +498,24 @@ export async function createBooking(tenantId, settings, bookingPayload) {
   const bookingRecord = data;
   console.log('[BOOKING] Created booking record:', bookingRecord.id);
 
+  queueBookingNotification('confirmation', { ...bookingRecord, staff_name: staffMember?.name || null });
+  await recordUsage({ businessId: tenantId, kind: 'booking', refId: bookingRecord.id });
+  await linkBookingToClient(bookingRecord);
+
+  const assignmentInfo = {
+    ...(staffMember ? { staffId: staffMember.id, staffName: staffMember.name } : {}),
+    ...(location ? { locationId: location.id, locationName: location.name } : {}),
+  };
+
   // Create calendar event
   try {
     const event = await createCalendarEvent(
       {
         ...booking,
         service: booking.service_slug,
+        staff_name: staffMember?.name || null,
       },
-      settings
+      calendarSettings
     );
 
     if (event && event.id) {
@@ -183,11 +526,11 @@ export async function createBooking(tenantId, settings, bookingPayload) {
         .eq('id', bookingRecord.id);
 
       console.log('[BOOKING] Created calendar event:', event.id);
-      return { ok: true, bookingId: bookingRecord.id, calendarEventId: event.id };
+      return { ok: true, bookingId: bookingRecord.id, calendarEventId: event.id, ...assignmentInfo };
     }
 
     console.warn('[BOOKING] Calendar event creation returned null - booking saved but calendar sync skipped');
-    return { ok: true, bookingId: bookingRecord.id, calendarEventId: null };
+    return { ok: true, bookingId: bookingRecord.id, calendarEventId: null, ...assignmentInfo };
   } catch (err) {
     console.error('[BOOKING] Failed to create calendar event:', {
       message: err.message,
@@ -200,10 +543,29 @@ export async function createBooking(tenantId, settings, bookingPayload) {
       bookingId: bookingRecord.id,
       calendarEventId: null,
       calendarError: err,
+      ...assignmentInfo,
     };
   }
 }
 
+/**
+ * Calendar settings for an existing booking (iva_settings scoped to its staff / location calendar).
+ * Reads iva_settings directly – importing chatHandler here would be circular.
+ */
+async function loadCalendarSettingsForBooking(tenantId, booking) {
+  const { data, error } = await supabase
+    .from('iva_settings')
+    .select('*')
+    .eq('business_id', tenantId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[BOOKING] Error loading iva_settings for calendar:', error);
+  }
+
+  return getCalendarSettingsForBooking(data || null, booking);
+}
+
 /**
  * Cancels a booking.
  * @param {string} tenantId - Business ID (UUID)
@@ -250,10 +612,9 @@ export async function cancelBooking(tenantId, intent) {
   const booking = bookings[0];
 
   // Cancel calendar event if exists
-  // Note: cancelBooking would need settings parameter - for now using null (will fall back to env)
   if (booking.calendar_event_id) {
     try {
-      await cancelCalendarEvent(booking.calendar_event_id, null);
+      await cancelCalendarEvent(booking.calendar_event_id, await loadCalendarSettingsForBooking(tenantId, booking));
       console.log('[BOOKING] Cancelled calendar event:', booking.calendar_event_id);
     } catch (calendarError) {
       console.error('[BOOKING] Error cancelling calendar event:', calendarError.message);
@@ -275,6 +636,7 @@ export async function cancelBooking(tenantId, intent) {
   }
 
   console.log('[BOOKING] Cancelled booking:', booking.id);
+  queueBookingNotification('cancellation', updatedBooking);
   return { cancelled: true, booking: updatedBooking };
 }
 
@@ -323,8 +685,28 @@ export async function rescheduleBooking(tenantId, intent) {
 
   const booking = bookings[0];
 
+  const hoursCheck = await checkRescheduleHours(tenantId, booking, { date: intent.new_date, time: intent.new_time });
+  if (!hoursCheck.ok) {
+    console.log('[BOOKING] New time outside opening / working hours, not rescheduling:', hoursCheck.error);
+    return { rescheduled: false, reason: hoursCheck.error };
+  }
+
+  const conflictCheck = await findConflictingBooking({
+    businessId: tenantId,
+    date: intent.new_date,
+    time: intent.new_time,
+    durationMinutes: booking.duration_minutes,
+    staffId: booking.staff_id || null,
+    locationId: booking.location_id || null,
+    excludeBookingId: booking.id,
+  });
+
+  if (conflictCheck.ok && conflictCheck.conflict) {
+    console.log('[BOOKING] New time overlaps another booking, not rescheduling');
+    return { rescheduled: false, reason: 'TIME_CONFLICT' };
+  }
+
   // Reschedule calendar event if exists
-  // Note: rescheduleBooking would need settings parameter - for now using null (will fall back to env)
   let calendarEvent = null;
   if (booking.calendar_event_id) {
     try {
@@ -333,7 +715,7 @@ export async function rescheduleBooking(tenantId, intent) {
         intent.new_date,
         intent.new_time,
         booking.duration_minutes,
-        null
+        await loadCalendarSettingsForBooking(tenantId, booking)
       );
       console.log('[BOOKING] Rescheduled calendar event:', booking.calendar_event_id);
     } catch (calendarError) {
@@ -355,11 +737,16 @@ export async function rescheduleBooking(tenantId, intent) {
     .single();
 
   if (updateError) {
+    if (isBookingOverlapError(updateError)) {
+      console.log('[BOOKING] New time taken by a concurrent booking, not rescheduling');
+      return { rescheduled: false, reason: 'TIME_CONFLICT' };
+    }
     console.error('[BOOKING] Error updating booking date/time:', updateError);
     return { rescheduled: false, reason: 'UPDATE_ERROR' };
   }
 
   console.log('[BOOKING] Rescheduled booking:', booking.id);
+  queueBookingNotification('reschedule', updatedBooking);
   return { rescheduled: true, booking: updatedBooking, calendarEvent };
 }
 
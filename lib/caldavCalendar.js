@@ -0,0 +1,263 @@
+import crypto from 'node:crypto';
+import fetch from 'node-fetch';
+import { combineDateTime } from './dateUtils.js';
+import { parseIcsEvents, busyIntervalsFromEvents, buildIcsEvent, rescheduleIcsEvent } from './icalendar.js';
+
+// CalDAV calendar provider (iCloud, Nextcloud, Fastmail, SOGo, ...).
+// Same functions and return shapes as lib/googleCalendar.js; selected via lib/calendarProvider.js.
+//
+// iva_settings columns: caldav_url (calendar collection URL, e.g.
+// https://cloud.example.com/remote.php/dav/calendars/salon/rezervace/), caldav_username, caldav_password.
+// Events are stored as <caldav_url>/<uid>.ics; bookings.calendar_event_id holds the uid.
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+function getCaldavConfig(settings) {
+  const url = settings?.caldav_url || null;
+  if (!url) return null;
+  return {
+    url: url.endsWith('/') ? url : `${url}/`,
+    username: settings.caldav_username || null,
+    password: settings.caldav_password || null,
+  };
+}
+
+async function caldavRequest(config, { method, path = '', headers = {}, body = undefined }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+  try {
+    return await fetch(`${config.url}${path}`, {
+      method,
+      headers: {
+        ...(config.username
+          ? { Authorization: `Basic ${Buffer.from(`${config.username}:${config.password || ''}`).toString('base64')}` }
+          : {}),
+        ...headers,
+      },
+      body,
+      signal: controller.signal,
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function eventPath(eventId) {
+  return `${encodeURIComponent(eventId)}.ics`;
+}
+
+function decodeXmlText(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&#13;/g, '\r')
+    .replace(/&#10;/g, '\n')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function caldavError(operation, err, extra = {}) {
+  console.error(`[CALDAV] Error in ${operation}:`, { message: err.message, ...extra });
+}
+
+/**
+ * Busy intervals in a range via a calendar-query REPORT (server-side recurrence expansion).
+ * @param {{start: DateTime, end: DateTime}} range
+ * @param {Object} settings - IVA settings (caldav_*)
+ * @returns {Promise<{ok: boolean, busy: Array<{start: string, end: string}>, reason?: string, error?: Error}>}
+ */
+export async function getBusyIntervals({ start, end }, settings) {
+  const config = getCaldavConfig(settings);
+  if (!config) {
+    console.warn('[CALDAV] getBusyIntervals: missing caldav_url');
+    return { ok: false, busy: [], reason: 'MISSING_CONFIG' };
+  }
+
+  const startUtc = start.toUTC().toFormat("yyyyMMdd'T'HHmmss'Z'");
+  const endUtc = end.toUTC().toFormat("yyyyMMdd'T'HHmmss'Z'");
+  const body =
+    '<?xml version="1.0" encoding="utf-8"?>' +
+    '<C:calendar-query xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav">' +
+    '<D:prop><C:calendar-data>' +
+    `<C:expand start="${startUtc}" end="${endUtc}"/>` +
+    '</C:calendar-data></D:prop>' +
+    '<C:filter><C:comp-filter name="VCALENDAR"><C:comp-filter name="VEVENT">' +
+    `<C:time-range start="${startUtc}" end="${endUtc}"/>` +
+    '</C:comp-filter></C:comp-filter></C:filter>' +
+    '</C:calendar-query>';
+
+  try {
+    const res = await caldavRequest(config, {
+      method: 'REPORT',
+      headers: { Depth: '1', 'Content-Type': 'application/xml; charset=utf-8' },
+      body,
+    });
+
+    if (res.status !== 207 && !res.ok) {
+      console.error('[CALDAV] calendar-query failed:', res.status);
+      return { ok: false, busy: [], reason: 'API_ERROR' };
+    }
+
+    const xml = await res.text();
+    const events = [];
+    const dataRe = /<(?:[\w-]+:)?calendar-data[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?calendar-data>/g;
+    let match;
+    while ((match = dataRe.exec(xml)) !== null) {
+      events.push(...parseIcsEvents(decodeXmlText(match[1])));
+    }
+
+    const busy = busyIntervalsFromEvents(events, { start, end });
+    console.log('[CALDAV] Busy intervals result', { busyCount: busy.length });
+    return { ok: true, busy };
+  } catch (err) {
+    caldavError('getBusyIntervals', err);
+    return { ok: false, busy: [], reason: 'API_ERROR', error: err };
+  }
+}
+
+/**
+ * Checks if a time slot is free in the CalDAV calendar.
+ * @param {Object} booking - { date, time, duration_minutes }
+ * @param {Object} settings - IVA settings (caldav_*)
+ * @returns {Promise<{ok: boolean, available: boolean, reason?: string, busy?: Array, error?: Error}>}
+ */
+export async function isSlotAvailable(booking, settings) {
+  const startDt = combineDateTime(booking.date, booking.time);
+  if (!startDt) {
+    return { ok: false, available: false, reason: 'INVALID_DATE' };
+  }
+  const endDt = startDt.plus({ minutes: booking.duration_minutes || 30 });
+
+  const result = await getBusyIntervals({ start: startDt, end: endDt }, settings);
+  if (!result.ok) {
+    return { ok: false, available: false, reason: result.reason, error: result.error };
+  }
+
+  return { ok: true, available: result.busy.length === 0, busy: result.busy };
+}
+
+/**
+ * Creates the booking event (PUT <uid>.ics).
+ * @returns {Promise<{id: string}|null>} Created event ({ id: uid }) or null when not configured
+ */
+export async function createCalendarEvent(booking, settings) {
+  const config = getCaldavConfig(settings);
+  if (!config) {
+    console.warn('[CALDAV] createCalendarEvent: missing caldav_url – skipping event creation');
+    return null;
+  }
+
+  const startDt = combineDateTime(booking.date, booking.time);
+  if (!startDt) {
+    console.warn('[CALDAV] createCalendarEvent: invalid date/time', booking.date, booking.time);
+    return null;
+  }
+
+  const uid = `${crypto.randomUUID()}@iva`;
+  const ics = buildIcsEvent({
+    uid,
+    start: startDt,
+    end: startDt.plus({ minutes: booking.duration_minutes || 30 }),
+    summary: `${booking.service_slug || booking.service} – ${booking.client_name}${booking.staff_name ? ` (${booking.staff_name})` : ''}`,
+    description:
+      `Phone: ${booking.client_phone}\n` +
+      (booking.client_email ? `Email: ${booking.client_email}\n` : '') +
+      (booking.notes || ''),
+    location: booking.location || '',
+  });
+
+  try {
+    const res = await caldavRequest(config, {
+      method: 'PUT',
+      path: eventPath(uid),
+      headers: { 'Content-Type': 'text/calendar; charset=utf-8', 'If-None-Match': '*' },
+      body: ics,
+    });
+
+    if (!res.ok) {
+      throw new Error(`CalDAV PUT failed with HTTP ${res.status}`);
+    }
+
+    console.log('[CALDAV] Created event', uid);
+    return { id: uid };
+  } catch (err) {
+    caldavError('createCalendarEvent', err);
+    throw err;
+  }
+}
+
+/**
+ * Deletes the booking event (already deleted = success).
+ */
+export async function cancelCalendarEvent(eventId, settings) {
+  const config = getCaldavConfig(settings);
+  if (!config) {
+    console.warn('[CALDAV] Missing CalDAV config – skipping event deletion');
+    return null;
+  }
+
+  try {
+    const res = await caldavRequest(config, { method: 'DELETE', path: eventPath(eventId) });
+    if (!res.ok && res.status !== 404) {
+      throw new Error(`CalDAV DELETE failed with HTTP ${res.status}`);
+    }
+    console.log('[CALDAV] Deleted event', eventId);
+  } catch (err) {
+    caldavError('cancelCalendarEvent', err, { eventId });
+    throw err;
+  }
+}
+
+/**
+ * Moves the booking event to a new date/time (GET → rewrite DTSTART/DTEND → PUT with If-Match).
+ * @returns {Promise<{id: string}|null>}
+ */
+export async function rescheduleCalendarEvent(eventId, newDate, newTime, durationMinutes, settings) {
+  const config = getCaldavConfig(settings);
+  if (!config) {
+    console.warn('[CALDAV] Missing CalDAV config – skipping event reschedule');
+    return null;
+  }
+
+  const startDt = combineDateTime(newDate, newTime);
+  if (!startDt) {
+    console.warn('[CALDAV] rescheduleCalendarEvent: invalid date/time', newDate, newTime);
+    return null;
+  }
+
+  try {
+    const current = await caldavRequest(config, { method: 'GET', path: eventPath(eventId) });
+    if (!current.ok) {
+      throw new Error(`CalDAV GET failed with HTTP ${current.status}`);
+    }
+
+    const etag = current.headers.get('etag');
+    const updated = rescheduleIcsEvent(await current.text(), {
+      start: startDt,
+      end: startDt.plus({ minutes: durationMinutes || 60 }),
+    });
+
+    const res = await caldavRequest(config, {
+      method: 'PUT',
+      path: eventPath(eventId),
+      headers: {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        ...(etag ? { 'If-Match': etag } : {}),
+      },
+      body: updated,
+    });
+
+    if (!res.ok) {
+      throw new Error(`CalDAV PUT failed with HTTP ${res.status}`);
+    }
+
+    console.log('[CALDAV] Rescheduled event', eventId, 'to', newDate, newTime);
+    return { id: eventId };
+  } catch (err) {
+    caldavError('rescheduleCalendarEvent', err, { eventId });
+    throw err;
+  }
+}
@@ -0,0 +1,60 @@
+import * as googleCalendar from './googleCalendar.js';
+import * as caldavCalendar from './caldavCalendar.js';
+import * as internalCalendar from './internalCalendar.js';
+
+// Calendar provider selection. Booking code calls these functions instead of lib/googleCalendar.js
+// directly; each provider module exports the same five functions with the same return shapes:
+//   isSlotAvailable(booking, settings), getBusyIntervals(range, settings),
+//   createCalendarEvent(booking, settings), cancelCalendarEvent(eventId, settings),
+//   rescheduleCalendarEvent(eventId, newDate, newTime, durationMinutes, settings)
+
+export const CALENDAR_PROVIDERS = ['google', 'caldav', 'internal'];
+
+const PROVIDER_MODULES = {
+  google: googleCalendar,
+  caldav: caldavCalendar,
+  internal: internalCalendar,
+};
+
+/**
+ * Calendar provider for the business:
+ * 1) iva_settings.calendar_provider when set ('google' | 'caldav' | 'internal')
+ * 2) 'google' when Google Calendar is configured (previous behaviour)
+ * 3) 'internal' – bookings table only
+ * @param {Object} settings - IVA settings
+ * @returns {'google'|'caldav'|'internal'}
+ */
+export function resolveCalendarProvider(settings) {
+  const explicit = settings?.calendar_provider;
+  if (explicit && CALENDAR_PROVIDERS.includes(explicit)) {
+    return explicit;
+  }
+  if (explicit) {
+    console.warn('[CALENDAR] Unknown calendar_provider, falling back to default:', explicit);
+  }
+  return googleCalendar.isGoogleCalendarConfigured(settings) ? 'google' : 'internal';
+}
+
+function providerFor(settings) {
+  return PROVIDER_MODULES[resolveCalendarProvider(settings)];
+}
+
+export function isSlotAvailable(booking, settings) {
+  return providerFor(settings).isSlotAvailable(booking, settings);
+}
+
+export function getBusyIntervals(range, settings) {
+  return providerFor(settings).getBusyIntervals(range, settings);
+}
+
+export function createCalendarEvent(booking, settings) {
+  return providerFor(settings).createCalendarEvent(booking, settings);
+}
+
+export function cancelCalendarEvent(eventId, settings) {
+  return providerFor(settings).cancelCalendarEvent(eventId, settings);
+}
+
+export function rescheduleCalendarEvent(eventId, newDate, newTime, durationMinutes, settings) {
+  return providerFor(settings).rescheduleCalendarEvent(eventId, newDate, newTime, durationMinutes, settings);
+}
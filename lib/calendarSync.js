@@ -0,0 +1,424 @@
+import crypto from 'node:crypto';
+import { supabase } from './supabaseClient.js';
+import { getIvaSettingsForTenant } from './chatHandler.js';
+import { resolveCalendarProvider } from './calendarProvider.js';
+import {
+  resolveCalendarId,
+  listCalendarEventChanges,
+  watchCalendarEvents,
+  stopCalendarChannel,
+} from './googleCalendar.js';
+import { queueBookingNotification } from './notifications.js';
+import { queueWaitlistForFreedSlot } from './waitlist.js';
+import { isBookingOverlapError } from './bookingConflicts.js';
+import { DateTime } from 'luxon';
+
+// Two-way Google Calendar sync (see sql/2026-10-calendar-sync.sql):
+// - every calendar a business books into (business, location and staff calendars) has a row in
+//   calendar_sync_state with its sync token and push channel
+// - Google push notifications (POST /api/calendar/webhook) trigger an incremental sync
+// - changed events linked to a booking (bookings.calendar_event_id) update the booking:
+//   deleted → cancelled, moved → new date/time (status 'rescheduled')
+// - a periodic job renews channels and runs the incremental sync as a fallback for missed pushes
+
+const TIME_ZONE = 'Europe/Prague';
+// Renew channels this long before they expire
+const CHANNEL_RENEW_BEFORE_HOURS = 12;
+const EVENT_LOOKUP_CHUNK = 100;
+
+// Per-calendar sync in progress → re-run once more when another push arrives meanwhile
+const runningSyncs = new Map();
+
+function syncKey(businessId, calendarId) {
+  return `${businessId}:${calendarId}`;
+}
+
+/**
+ * All calendars a business books into, each with the settings to access it.
+ * @returns {Promise<Array<{calendarId: string, settings: Object}>>}
+ */
+export async function getSyncCalendarsForBusiness(businessId, settings) {
+  const calendarIds = new Set();
+
+  const businessCalendarId = resolveCalendarId(settings);
+  if (businessCalendarId) calendarIds.add(businessCalendarId);
+
+  const [{ data: locationRows, error: locationsError }, { data: staffRows, error: staffError }] = await Promise.all([
+    supabase.from('locations').select('google_calendar_id').eq('business_id', businessId).not('google_calendar_id', 'is', null),
+    supabase.from('staff').select('google_calendar_id').eq('business_id', businessId).not('google_calendar_id', 'is', null),
+  ]);
+
+  if (locationsError) console.error('[CALSYNC] Error loading location calendars:', locationsError);
+  if (staffError) console.error('[CALSYNC] Error loading staff calendars:', staffError);
+
+  for (const row of [...(locationRows || []), ...(staffRows || [])]) {
+    if (row.google_calendar_id) calendarIds.add(row.google_calendar_id);
+  }
+
+  return [...calendarIds].map((calendarId) => ({
+    calendarId,
+    settings: { ...(settings || {}), google_calendar_id: calendarId },
+  }));
+}
+
+async function loadSyncState(businessId, calendarId) {
+  const { data, error } = await supabase
+    .from('calendar_sync_state')
+    .select('*')
+    .eq('business_id', businessId)
+    .eq('calendar_id', calendarId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[CALSYNC] Error loading sync state:', error);
+  }
+  return data || null;
+}
+
+async function saveSyncState(businessId, calendarId, fields) {
+  const { error } = await supabase
+    .from('calendar_sync_state')
+    .upsert({
+      business_id: businessId,
+      calendar_id: calendarId,
+      ...fields,
+      updated_at: new Date().toISOString(),
+    }, { onConflict: 'business_id,calendar_id' });
+
+  if (error) {
+    console.error('[CALSYNC] Error saving sync state:', error);
+  }
+}
+
+/**
+ * Date/time/duration of a timed event in Europe/Prague (null for all-day or malformed events).
+ */
+export function eventSlot(event) {
+  if (!event?.start?.dateTime) return null;
+  const start = DateTime.fromISO(event.start.dateTime, { setZone: true }).setZone(TIME_ZONE);
+  const end = event.end?.dateTime ? DateTime.fromISO(event.end.dateTime, { setZone: true }).setZone(TIME_ZONE) : null;
+  if (!start.isValid) return null;
+
+  return {
+    date: start.toISODate(),
+    time: start.toFormat('HH:mm'),
+    durationMinutes: end?.isValid ? Math.round(end.diff(start, 'minutes').minutes) : null,
+  };
+}
+
+/**
+ * Compare a changed event with its booking.
+ * @returns {{action: 'cancel'|'move'|'resize'|'none', update?: Object}}
+ */
+export function diffBookingWithEvent(booking, event) {
+  if (event.status === 'cancelled') {
+    return booking.status === 'cancelled' ? { action: 'none' } : { action: 'cancel', update: { status: 'cancelled' } };
+  }
+
+  const slot = eventSlot(event);
+  if (!slot || booking.status === 'cancelled') {
+    return { action: 'none' };
+  }
+
+  const moved = slot.date !== booking.date || slot.time !== String(booking.time || '').slice(0, 5);
+  const resized = slot.durationMinutes && slot.durationMinutes !== booking.duration_minutes;
+
+  if (!moved && !resized) {
+    return { action: 'none' };
+  }
+
+  return {
+    action: moved ? 'move' : 'resize',
+    update: {
+      date: slot.date,
+      time: slot.time,
+      ...(slot.durationMinutes ? { duration_minutes: slot.durationMinutes } : {}),
+      ...(moved ? { status: 'rescheduled' } : {}),
+    },
+  };
+}
+
+/**
+ * Apply changed Google events to the linked bookings of a business.
+ * @returns {Promise<{cancelled: number, moved: number, updated: number}>}
+ */
+async function applyEventChanges(businessId, events) {
+  const stats = { cancelled: 0, moved: 0, updated: 0 };
+  const eventIds = events.map((e) => e.id).filter(Boolean);
+  if (eventIds.length === 0) return stats;
+
+  // A full sync returns every event of the calendar – look bookings up in chunks
+  const bookingByEventId = new Map();
+  for (let i = 0; i < eventIds.length; i += EVENT_LOOKUP_CHUNK) {
+    const { data: bookings, error } = await supabase
+      .from('bookings')
+      .select('*')
+      .eq('business_id', businessId)
+      .in('calendar_event_id', eventIds.slice(i, i + EVENT_LOOKUP_CHUNK));
+
+    if (error) {
+      console.error('[CALSYNC] Error loading bookings for changed events:', error);
+      return stats;
+    }
+
+    for (const booking of bookings || []) {
+      bookingByEventId.set(booking.calendar_event_id, booking);
+    }
+  }
+
+  for (const event of events) {
+    const booking = bookingByEventId.get(event.id);
+    if (!booking) continue;
+
+    const { action, update } = diffBookingWithEvent(booking, event);
+    if (!update) continue;
+
+    const { error: updateError } = await supabase
+      .from('bookings')
+      .update({ ...update, updated_at: new Date().toISOString() })
+      .eq('id', booking.id);
+
+    if (updateError) {
+      if (isBookingOverlapError(updateError)) {
+        // Event was moved onto another booking's slot – keep the booking where it is
+        console.warn('[CALSYNC] Moved event overlaps another booking, not updating', { bookingId: booking.id, update });
+        continue;
+      }
+      console.error('[CALSYNC] Error updating booking from calendar:', { bookingId: booking.id, updateError });
+      continue;
+    }
+
+    console.log('[CALSYNC] Booking updated from Google Calendar', { bookingId: booking.id, action, update });
+
+    if (action === 'cancel') {
+      stats.cancelled += 1;
+      queueBookingNotification('cancellation', { ...booking, ...update });
+      queueWaitlistForFreedSlot(booking);
+    } else if (action === 'move') {
+      stats.moved += 1;
+      queueBookingNotification('reschedule', { ...booking, ...update });
+      // The booking row still holds the old slot, which is free now
+      queueWaitlistForFreedSlot(booking);
+    } else {
+      stats.updated += 1;
+    }
+  }
+
+  return stats;
+}
+
+async function runCalendarSync(businessId, calendarId, settings) {
+  const state = await loadSyncState(businessId, calendarId);
+  let result = await listCalendarEventChanges(settings, { syncToken: state?.sync_token || null });
+
+  if (!result.ok && result.reason === 'SYNC_TOKEN_EXPIRED') {
+    result = await listCalendarEventChanges(settings, { syncToken: null });
+  }
+
+  if (!result.ok) {
+    await saveSyncState(businessId, calendarId, { last_error: result.reason || 'UNKNOWN' });
+    return { ok: false, reason: result.reason };
+  }
+
+  const stats = await applyEventChanges(businessId, result.events);
+
+  await saveSyncState(businessId, calendarId, {
+    ...(result.nextSyncToken ? { sync_token: result.nextSyncToken } : {}),
+    last_synced_at: new Date().toISOString(),
+    last_error: null,
+  });
+
+  return { ok: true, events: result.events.length, ...stats };
+}
+
+/**
+ * Incremental sync of one calendar (full sync when there is no valid sync token yet).
+ * Concurrent calls for the same calendar are coalesced into one extra run.
+ * @returns {Promise<{ok: boolean, events?: number, cancelled?: number, moved?: number, updated?: number, reason?: string, queued?: boolean}>}
+ */
+export async function syncCalendar(businessId, calendarId, settings) {
+  const key = syncKey(businessId, calendarId);
+  const running = runningSyncs.get(key);
+  if (running) {
+    running.rerun = true;
+    return { ok: true, queued: true };
+  }
+
+  const entry = { rerun: false };
+  runningSyncs.set(key, entry);
+
+  try {
+    let result;
+    do {
+      entry.rerun = false;
+      result = await runCalendarSync(businessId, calendarId, settings);
+    } while (entry.rerun);
+    return result;
+  } finally {
+    runningSyncs.delete(key);
+  }
+}
+
+/**
+ * Make sure a push channel exists for the calendar (needs GOOGLE_CALENDAR_WEBHOOK_URL).
+ * Channels close to expiry are replaced.
+ */
+async function ensureCalendarWatch(businessId, calendarId, settings) {
+  const address = process.env.GOOGLE_CALENDAR_WEBHOOK_URL;
+  if (!address) return { ok: false, reason: 'NO_WEBHOOK_URL' };
+
+  const state = await loadSyncState(businessId, calendarId);
+  const renewAfter = DateTime.now().plus({ hours: CHANNEL_RENEW_BEFORE_HOURS });
+  if (state?.channel_id && state.channel_expires_at && DateTime.fromISO(state.channel_expires_at) > renewAfter) {
+    return { ok: true, renewed: false };
+  }
+
+  const channel = { id: crypto.randomUUID(), address, token: crypto.randomUUID() };
+  const watch = await watchCalendarEvents(settings, channel);
+  if (!watch.ok) {
+    return { ok: false, reason: watch.reason };
+  }
+
+  if (state?.channel_id) {
+    await stopCalendarChannel(settings, { id: state.channel_id, resourceId: state.channel_resource_id });
+  }
+
+  await saveSyncState(businessId, calendarId, {
+    channel_id: channel.id,
+    channel_token: channel.token,
+    channel_resource_id: watch.resourceId,
+    channel_expires_at: watch.expiration,
+  });
+
+  return { ok: true, renewed: true };
+}
+
+/**
+ * Renew push channels and sync every calendar of a business.
+ * @returns {Promise<{ok: boolean, calendars: Array<Object>}>}
+ */
+export async function syncBusinessCalendars(businessId) {
+  const { settings } = await getIvaSettingsForTenant(businessId);
+  if (resolveCalendarProvider(settings) !== 'google') {
+    // CalDAV / internal calendars have no push channels – nothing to sync back
+    return { ok: true, calendars: [] };
+  }
+
+  const calendars = await getSyncCalendarsForBusiness(businessId, settings || {});
+  const results = [];
+
+  for (const { calendarId, settings: calendarSettings } of calendars) {
+    const watch = await ensureCalendarWatch(businessId, calendarId, calendarSettings);
+    const sync = await syncCalendar(businessId, calendarId, calendarSettings);
+    results.push({ calendarId, watch: watch.ok ? 'ok' : watch.reason, ...sync });
+  }
+
+  return { ok: results.every((r) => r.ok), calendars: results };
+}
+
+/**
+ * Handle a Google push notification (headers only; the body is empty).
+ * @param {Object} headers - Lower-cased request headers
+ * @returns {Promise<{ok: boolean, reason?: string}>}
+ */
+export async function handleCalendarNotification(headers) {
+  const channelId = headers['x-goog-channel-id'];
+  const resourceState = headers['x-goog-resource-state'];
+
+  if (!channelId) {
+    return { ok: false, reason: 'MISSING_CHANNEL_ID' };
+  }
+
+  const { data: state, error } = await supabase
+    .from('calendar_sync_state')
+    .select('*')
+    .eq('channel_id', channelId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[CALSYNC] Error loading channel:', error);
+    return { ok: false, reason: 'DB_ERROR' };
+  }
+
+  if (!state) {
+    console.warn('[CALSYNC] Notification for unknown channel', channelId);
+    return { ok: false, reason: 'UNKNOWN_CHANNEL' };
+  }
+
+  if (state.channel_token !== headers['x-goog-channel-token'] ||
+    (headers['x-goog-resource-id'] && state.channel_resource_id && state.channel_resource_id !== headers['x-goog-resource-id'])) {
+    console.warn('[CALSYNC] Channel token/resource mismatch', channelId);
+    return { ok: false, reason: 'INVALID_TOKEN' };
+  }
+
+  // 'sync' = channel created, nothing changed yet
+  if (resourceState === 'sync') {
+    return { ok: true };
+  }
+
+  const { settings } = await getIvaSettingsForTenant(state.business_id);
+  syncCalendar(state.business_id, state.calendar_id, { ...(settings || {}), google_calendar_id: state.calendar_id })
+    .catch((err) => console.error('[CALSYNC] Sync after notification failed:', err.message));
+
+  return { ok: true };
+}
+
+/**
+ * Periodic fallback: renew channels and run the incremental sync for all businesses.
+ */
+export async function runCalendarSyncJob() {
+  if (!process.env.GOOGLE_CLIENT_ID || !process.env.GOOGLE_CLIENT_SECRET) {
+    return { ok: false, reason: 'MISSING_CONFIG' };
+  }
+
+  const { data: rows, error } = await supabase
+    .from('iva_settings')
+    .select('business_id');
+
+  if (error) {
+    console.error('[CALSYNC] Error loading businesses:', error);
+    return { ok: false, reason: 'DB_ERROR' };
+  }
+
+  let calendars = 0;
+  for (const row of rows || []) {
+    try {
+      const result = await syncBusinessCalendars(row.business_id);
+      calendars += result.calendars.length;
+    } catch (err) {
+      console.error('[CALSYNC] Sync failed for business', row.business_id, err.message);
+    }
+  }
+
+  console.log('[CALSYNC] Reconciliation finished', { businesses: (rows || []).length, calendars });
+  return { ok: true, calendars };
+}
+
+/**
+ * Start the periodic reconciliation job (GOOGLE_CALENDAR_SYNC_INTERVAL_MINUTES, default 30).
+ * The first run happens shortly after start so channels exist right after a deploy.
+ * @returns {NodeJS.Timeout} Interval handle (unref'd)
+ */
+export function startCalendarSyncScheduler({
+  intervalMinutes = Number(process.env.GOOGLE_CALENDAR_SYNC_INTERVAL_MINUTES) || 30,
+} = {}) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runCalendarSyncJob();
+    } catch (err) {
+      console.error('[CALSYNC] Reconciliation job failed:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  setTimeout(tick, 30 * 1000).unref();
+  const handle = setInterval(tick, intervalMinutes * 60 * 1000);
+  handle.unref();
+  console.log(`[CALSYNC] Reconciliation scheduler started (every ${intervalMinutes} min)`);
+  return handle;
+}
@@ -0,0 +1,174 @@
+import { supabase } from './supabaseClient.js';
+import { normalizeE164Like } from './tenantResolver.js';
+import { recordUsage } from './usage.js';
+
+/**
+ * Call log persistence for Vapi calls (table `calls`, see sql/2026-10-calls-table.sql).
+ *
+ * One row per Vapi call id. Rows are upserted from several events:
+ * - status-update (call started / in progress)
+ * - end-of-call-report (end time, duration, transcript, summary, ended reason; also metered in lib/usage.js)
+ * - book_appointment / conversation-update bookings (booking_ids)
+ */
+
+function pickIso(...candidates) {
+  for (const c of candidates) {
+    if (!c) continue;
+    const d = new Date(c);
+    if (!Number.isNaN(d.getTime())) return d.toISOString();
+  }
+  return null;
+}
+
+function getCallNumbers(message) {
+  const call = message?.call || {};
+  const called = call.phoneNumber?.number ?? (typeof call.phoneNumber === 'string' ? call.phoneNumber : null);
+  const caller = call.customer?.number ?? message?.customer?.number ?? null;
+  return {
+    calledNumber: called ? normalizeE164Like(String(called)) : null,
+    callerNumber: caller ? normalizeE164Like(String(caller)) : null,
+  };
+}
+
+/**
+ * Upsert a partial call row by vapi_call_id. Only non-undefined fields are written,
+ * so later events don't wipe data from earlier ones.
+ */
+async function upsertCall(callId, fields) {
+  const row = { vapi_call_id: callId, updated_at: new Date().toISOString() };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) row[key] = value;
+  }
+
+  const { data, error } = await supabase
+    .from('calls')
+    .upsert(row, { onConflict: 'vapi_call_id' })
+    .select('id')
+    .single();
+
+  if (error) {
+    console.error('[CALLS] Error upserting call:', { callId, error });
+    return { ok: false, error };
+  }
+
+  return { ok: true, id: data?.id ?? null };
+}
+
+/**
+ * Persist a Vapi status-update event.
+ * @param {Object} message - Vapi message ({ type: 'status-update', status, call })
+ * @param {string} businessId - Resolved tenant
+ * @returns {Promise<{ok: boolean, id?: string, error?: any}>}
+ */
+export async function recordCallStatus(message, businessId) {
+  const callId = message?.call?.id || null;
+  if (!callId || !businessId) {
+    return { ok: false, error: 'MISSING_CALL_OR_TENANT' };
+  }
+
+  const { calledNumber, callerNumber } = getCallNumbers(message);
+  const status = typeof message.status === 'string' ? message.status : null;
+
+  return upsertCall(callId, {
+    business_id: businessId,
+    caller_number: callerNumber ?? undefined,
+    called_number: calledNumber ?? undefined,
+    status: status ?? undefined,
+    started_at: status === 'in-progress'
+      ? pickIso(message.call?.startedAt, message.timestamp, Date.now())
+      : undefined,
+  });
+}
+
+/**
+ * Persist a Vapi end-of-call-report event.
+ * @param {Object} message - Vapi message ({ type: 'end-of-call-report', call, endedReason, transcript, summary, ... })
+ * @param {string} businessId - Resolved tenant
+ * @returns {Promise<{ok: boolean, id?: string, error?: any}>}
+ */
+export async function recordEndOfCallReport(message, businessId) {
+  const callId = message?.call?.id || null;
+  if (!callId || !businessId) {
+    return { ok: false, error: 'MISSING_CALL_OR_TENANT' };
+  }
+
+  const { calledNumber, callerNumber } = getCallNumbers(message);
+  const startedAt = pickIso(message.startedAt, message.call?.startedAt);
+  const endedAt = pickIso(message.endedAt, message.call?.endedAt, message.timestamp);
+
+  let durationSeconds = Number.isFinite(Number(message.durationSeconds))
+    ? Math.round(Number(message.durationSeconds))
+    : null;
+  if (durationSeconds === null && startedAt && endedAt) {
+    durationSeconds = Math.max(0, Math.round((new Date(endedAt) - new Date(startedAt)) / 1000));
+  }
+
+  const transcript = message.transcript ?? message.artifact?.transcript ?? null;
+  const summary = message.summary ?? message.analysis?.summary ?? null;
+
+  const result = await upsertCall(callId, {
+    business_id: businessId,
+    caller_number: callerNumber ?? undefined,
+    called_number: calledNumber ?? undefined,
+    status: 'ended',
+    started_at: startedAt ?? undefined,
+    ended_at: endedAt,
+    duration_seconds: durationSeconds,
+    transcript: typeof transcript === 'string' ? transcript : null,
+    summary: typeof summary === 'string' ? summary : null,
+    ended_reason: message.endedReason ?? message.call?.endedReason ?? null,
+  });
+
+  // Metered call minutes (plan limits, GET /api/usage); a re-sent report is counted once
+  if (durationSeconds !== null) {
+    await recordUsage({
+      businessId,
+      kind: 'call_seconds',
+      refId: callId,
+      quantity: durationSeconds,
+      occurredAt: startedAt || endedAt,
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Link a booking created during a call to the call row (creates the row if needed).
+ * @param {Object} params
+ * @param {string} params.callId - Vapi call id
+ * @param {string} params.businessId - Business ID (UUID)
+ * @param {string} params.bookingId - Booking ID (UUID)
+ * @returns {Promise<{ok: boolean, error?: any}>}
+ */
+export async function linkBookingToCall({ callId, businessId, bookingId }) {
+  if (!callId || !businessId || !bookingId) {
+    return { ok: false, error: 'MISSING_PARAMS' };
+  }
+
+  const { data: existing, error } = await supabase
+    .from('calls')
+    .select('booking_ids')
+    .eq('vapi_call_id', callId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[CALLS] Error loading call for booking link:', error);
+    return { ok: false, error };
+  }
+
+  const bookingIds = Array.isArray(existing?.booking_ids) ? existing.booking_ids : [];
+  if (bookingIds.includes(bookingId)) {
+    return { ok: true };
+  }
+
+  const result = await upsertCall(callId, {
+    business_id: businessId,
+    booking_ids: [...bookingIds, bookingId],
+  });
+
+  if (result.ok) {
+    console.log('[CALLS] Linked booking to call', { callId, bookingId });
+  }
+  return result;
+}
@@ -1,5 +1,6 @@
 import { supabase } from './supabaseClient.js';
 import { createBooking } from './bookingService.js';
+import { buildReturningClientContext, returningClientPrompt } from './clients.js';
 import { getHistory, appendMessage } from './conversationStore.js';
 import { buildSystemPrompt } from './systemPromptBuilder.js';
 import OpenAI from 'openai';
@@ -150,22 +151,30 @@ function extractBookingJsonFromText(text) {
   return null;
 }
 
-/**
- * Handle a chat message and return response with optional booking creation.
- * @param {Object} params
- * @param {string} params.message - User message
- * @param {string} params.tenantId - Business ID
- * @param {string} params.source - Source of the message (e.g., 'web', 'vapi')
- * @param {string} params.sessionId - Optional session ID
- * @returns {Promise<{message: string, booking_sent: boolean}>}
- */
-export async function handleChatMessage({ message, tenantId, source = 'web', sessionId = null }) {
-  console.log(`[CHAT] Handling message from ${source}, tenantId =`, tenantId);
+// Returning-caller facts per session: loaded on the first turn of a call, reused by the following ones
+const CLIENT_CONTEXT_TTL_MS = 2 * 60 * 60 * 1000;
+const clientContextCache = new Map();
 
-  if (!message || typeof message !== 'string') {
-    throw new Error('message is required');
+async function getReturningClientContext(tenantId, callerPhone, sessionId) {
+  const key = sessionId ? `${tenantId}:${sessionId}` : null;
+  const cached = key ? clientContextCache.get(key) : null;
+  if (cached && cached.expiresAt > Date.now()) return cached.context;
+
+  const context = await buildReturningClientContext(tenantId, callerPhone);
+  if (key) {
+    for (const [cachedKey, entry] of clientContextCache) {
+      if (entry.expiresAt <= Date.now()) clientContextCache.delete(cachedKey);
+    }
+    clientContextCache.set(key, { context, expiresAt: Date.now() + CLIENT_CONTEXT_TTL_MS });
   }
+  return context;
+}
 
+/**
+ * Load tenant settings and build the LLM messages (system prompts, history, user message).
+ * @returns {Promise<{settings: Object|null, messages: Array<{role: string, content: string}>}>}
+ */
+async function prepareChatMessages({ message, tenantId, sessionId, callerPhone = null }) {
   // Load IVA settings for this tenant
   const { settings, error: settingsError } = await getIvaSettingsForTenant(tenantId);
 
@@ -182,7 +191,7 @@ export async function handleChatMessage({ message, tenantId, source = 'web', ses
   });
 
   // Get conversation history for this session (if sessionId is provided)
-  const history = getHistory(sessionId);
+  const history = await getHistory(sessionId);
   
   // Build messages for the LLM
   const messages = [];
@@ -199,6 +208,19 @@ export async function handleChatMessage({ message, tenantId, source = 'web', ses
     content: BOOKING_TECH_PROMPT,
   });
 
+  // Returning caller (phone): name and visit history so IVA can greet them by name (first turn only)
+  if (callerPhone) {
+    try {
+      const clientContext = await getReturningClientContext(tenantId, callerPhone, sessionId);
+      if (clientContext) {
+        const firstTurn = !history || history.length === 0;
+        messages.push({ role: 'system', content: returningClientPrompt(clientContext, { firstTurn }) });
+      }
+    } catch (err) {
+      console.error('[CHAT] Error loading returning client context:', err);
+    }
+  }
+
   // 3) Previous conversation state if available
   if (history && history.length > 0) {
     messages.push(...history);
@@ -210,16 +232,15 @@ export async function handleChatMessage({ message, tenantId, source = 'web', ses
     content: message,
   });
 
-  // Call OpenAI Chat Completions API
-  const completion = await openai.chat.completions.create({
-    model: process.env.OPENAI_CHAT_MODEL || 'gpt-4o-mini',
-    messages: messages,
-    temperature: 0.7,
-    max_tokens: 1000
-  });
-
-  const assistantText = completion.choices[0]?.message?.content || '';
+  return { settings, messages };
+}
 
+/**
+ * Booking handling shared by the plain and streaming chat: extract BOOKING_REQUEST_JSON,
+ * create the booking, clean the marker from the text and store the turn in the history.
+ * @returns {Promise<{message: string, booking_sent: boolean, booking_id: string|null, calendar_event_id: string|null}>}
+ */
+async function finalizeAssistantReply({ assistantText, message, tenantId, settings, sessionId }) {
   // Log raw assistant response for debugging
   console.log('[CHAT] Assistant raw response (first 400 chars):', assistantText.slice(0, 400));
 
@@ -236,7 +257,8 @@ export async function handleChatMessage({ message, tenantId, source = 'web', ses
     // Create booking via bookingService
     if (bookingPayload && tenantId) {
       try {
-        bookingResult = await createBooking(tenantId, settings, bookingPayload);
+        // Plan limit: bookings per month (phone and web chat alike)
+        bookingResult = await createBooking(tenantId, settings, bookingPayload, { enforcePlanLimit: true });
         bookingSent = !!(bookingResult && bookingResult.ok);
         
         if (bookingSent) {
@@ -273,9 +295,16 @@ export async function handleChatMessage({ message, tenantId, source = 'web', ses
         // Override LLM text when time is not available
         cleanedText = 'Bohužel tento termín už je obsazený. Můžu vám nabídnout jiný čas nebo den?';
         bookingSent = false;
+      } else if (bookingResult.error === 'OUTSIDE_OPENING_HOURS') {
+        cleanedText = bookingResult.message_cs || 'Omlouvám se, tento čas je mimo otevírací dobu salonu. Můžeme zkusit jiný čas?';
+        bookingSent = false;
       } else if (bookingResult.error === 'INVALID_DATE') {
         cleanedText = 'Omlouvám se, nerozumím přesně datu rezervace. Můžete mi prosím říct konkrétní den (například „ve středu 27. listopadu")?';
         bookingSent = false;
+      } else if (bookingResult.message_cs) {
+        // Staff / location errors (STAFF_UNAVAILABLE, UNKNOWN_LOCATION, ...) come with their own message
+        cleanedText = bookingResult.message_cs;
+        bookingSent = false;
       } else {
         // Generic failure
         console.error('[BOOKING] Unexpected booking error:', bookingResult.error, bookingResult.details);
@@ -297,8 +326,8 @@ export async function handleChatMessage({ message, tenantId, source = 'web', ses
 
   // Update conversation history (if sessionId is present)
   if (sessionId) {
-    appendMessage(sessionId, { role: 'user', content: message });
-    appendMessage(sessionId, { role: 'assistant', content: assistantText });
+    await appendMessage(sessionId, { role: 'user', content: message });
+    await appendMessage(sessionId, { role: 'assistant', content: assistantText });
   }
 
   return {
@@ -309,6 +338,116 @@ export async function handleChatMessage({ message, tenantId, source = 'web', ses
   };
 }
 
+/**
+ * Handle a chat message and return response with optional booking creation.
+ * @param {Object} params
+ * @param {string} params.message - User message
+ * @param {string} params.tenantId - Business ID
+ * @param {string} params.source - Source of the message (e.g., 'web', 'vapi')
+ * @param {string} params.sessionId - Optional session ID
+ * @param {string|null} [params.callerPhone] - Caller's phone (phone calls) – known clients are greeted by name
+ * @returns {Promise<{message: string, booking_sent: boolean}>}
+ */
+export async function handleChatMessage({ message, tenantId, source = 'web', sessionId = null, callerPhone = null }) {
+  console.log(`[CHAT] Handling message from ${source}, tenantId =`, tenantId);
+
+  if (!message || typeof message !== 'string') {
+    throw new Error('message is required');
+  }
+
+  const { settings, messages } = await prepareChatMessages({ message, tenantId, sessionId, callerPhone });
+
+  // Call OpenAI Chat Completions API
+  const completion = await openai.chat.completions.create({
+    model: process.env.OPENAI_CHAT_MODEL || 'gpt-4o-mini',
+    messages: messages,
+    temperature: 0.7,
+    max_tokens: 1000
+  });
+
+  const assistantText = completion.choices[0]?.message?.content || '';
+
+  return finalizeAssistantReply({ assistantText, message, tenantId, settings, sessionId });
+}
+
+// Streamed text is held back from the first booking marker on, so the JSON block never reaches the user
+const BOOKING_MARKERS = ['[[', 'BOOKING_REQUEST_JSON'];
+
+/**
+ * Length of the streamed text that is safe to show: everything before a booking marker,
+ * minus a trailing partial marker ("[", "BOOKING_RE", ...) that may still grow into one.
+ */
+function visibleStreamLength(text) {
+  let cut = text.length;
+  for (const marker of BOOKING_MARKERS) {
+    const idx = text.indexOf(marker);
+    if (idx !== -1) {
+      cut = Math.min(cut, idx);
+      continue;
+    }
+    for (let len = Math.min(marker.length - 1, text.length); len > 0; len--) {
+      if (text.endsWith(marker.slice(0, len))) {
+        cut = Math.min(cut, text.length - len);
+        break;
+      }
+    }
+  }
+  return cut;
+}
+
+/**
+ * Streaming variant of handleChatMessage(): calls onDelta with reply text as it is generated,
+ * then handles the booking exactly like the non-streaming flow.
+ * The returned `message` is authoritative – it can differ from the streamed text
+ * (booking errors replace the reply, a confirmation sentence may be appended).
+ * @param {Object} params
+ * @param {string} params.message - User message
+ * @param {string} params.tenantId - Business ID
+ * @param {string} [params.source] - Source of the message
+ * @param {string} [params.sessionId] - Session ID (conversation history)
+ * @param {string|null} [params.callerPhone] - Caller's phone – known clients are greeted by name
+ * @param {(text: string) => void} params.onDelta - Receives visible text chunks
+ * @param {AbortSignal} [params.signal] - Aborts the LLM request (client disconnected)
+ * @returns {Promise<{message: string, booking_sent: boolean, booking_id: string|null, calendar_event_id: string|null}>}
+ */
+export async function streamChatMessage({ message, tenantId, source = 'web', sessionId = null, callerPhone = null, onDelta, signal }) {
+  console.log(`[CHAT] Handling streamed message from ${source}, tenantId =`, tenantId);
+
+  if (!message || typeof message !== 'string') {
+    throw new Error('message is required');
+  }
+
+  const { settings, messages } = await prepareChatMessages({ message, tenantId, sessionId, callerPhone });
+
+  const stream = await openai.chat.completions.create(
+    {
+      model: process.env.OPENAI_CHAT_MODEL || 'gpt-4o-mini',
+      messages: messages,
+      temperature: 0.7,
+      max_tokens: 1000,
+      stream: true,
+    },
+    { signal }
+  );
+
+  let assistantText = '';
+  let emitted = 0;
+
+  for await (const chunk of stream) {
+    const delta = chunk.choices[0]?.delta?.content || '';
+    if (!delta) continue;
+
+    assistantText += delta;
+    const visible = visibleStreamLength(assistantText);
+    if (visible > emitted) {
+      onDelta(assistantText.slice(emitted, visible));
+      emitted = visible;
+    }
+  }
+
+  return finalizeAssistantReply({ assistantText, message, tenantId, settings, sessionId });
+}
+
 /*
  * Testing instructions:
  * 
@@ -0,0 +1,334 @@
+import { DateTime } from 'luxon';
+import { supabase } from './supabaseClient.js';
+import { normalizePhoneToE164 } from './extractContact.js';
+
+// Client records (`clients`, sql/2026-10-clients.sql): one row per business and normalized phone,
+// linked from bookings.client_id by createBooking(). Visit history, no-shows and the most frequent
+// staff member are derived from the client's bookings, so they never drift from the booking data.
+
+const TIME_ZONE = 'Europe/Prague';
+const ACTIVE_STATUSES = ['confirmed', 'rescheduled'];
+const CLIENT_COLUMNS = 'id, phone, name, email, notes, preferred_staff_id, created_at, updated_at';
+const HISTORY_COLUMNS = 'id, client_id, date, time, duration_minutes, service_slug, status, staff_id, location';
+
+/**
+ * Normalized phone used as the client key (+420XXXXXXXXX for Czech numbers), or null.
+ */
+export function normalizeClientPhone(phone) {
+  return normalizePhoneToE164(typeof phone === 'string' ? phone : String(phone ?? ''));
+}
+
+/**
+ * Create / update the client for a new booking and set bookings.client_id.
+ * Never throws – a failed link must not fail the booking.
+ * @param {Object} booking - Inserted bookings row
+ * @returns {Promise<{ok: boolean, clientId?: string, error?: any}>}
+ */
+export async function linkBookingToClient(booking) {
+  const phone = normalizeClientPhone(booking?.client_phone);
+  if (!booking?.business_id || !phone) {
+    return { ok: false, error: 'MISSING_PHONE' };
+  }
+
+  try {
+    // Latest name wins (callers correct typos); email only when given, so it is not wiped
+    const { data: client, error } = await supabase
+      .from('clients')
+      .upsert(
+        {
+          business_id: booking.business_id,
+          phone,
+          name: booking.client_name || undefined,
+          email: booking.client_email || undefined,
+          updated_at: new Date().toISOString(),
+        },
+        { onConflict: 'business_id,phone' }
+      )
+      .select('id')
+      .single();
+
+    if (error) {
+      console.error('[CLIENTS] Error upserting client for booking:', error);
+      return { ok: false, error };
+    }
+
+    const { error: linkError } = await supabase
+      .from('bookings')
+      .update({ client_id: client.id })
+      .eq('id', booking.id);
+
+    if (linkError) {
+      console.error('[CLIENTS] Error linking booking to client:', linkError);
+      return { ok: false, error: linkError };
+    }
+
+    return { ok: true, clientId: client.id };
+  } catch (err) {
+    console.error('[CLIENTS] Unexpected error linking booking to client:', err);
+    return { ok: false, error: err };
+  }
+}
+
+/**
+ * Summary of a client's bookings (newest first or any order).
+ */
+export function computeClientStats(bookings, now = new Date()) {
+  const today = DateTime.fromJSDate(now).setZone(TIME_ZONE).toISODate();
+  const staffCounts = new Map();
+  let visitCount = 0;
+  let noShowCount = 0;
+  let cancelledCount = 0;
+  let lastVisitDate = null;
+  let nextBooking = null;
+
+  for (const row of bookings) {
+    if (row.status === 'no_show') noShowCount += 1;
+    else if (row.status === 'cancelled') cancelledCount += 1;
+    if (!ACTIVE_STATUSES.includes(row.status)) continue;
+
+    if (row.date < today) {
+      visitCount += 1;
+      if (!lastVisitDate || row.date > lastVisitDate) lastVisitDate = row.date;
+      if (row.staff_id) staffCounts.set(row.staff_id, (staffCounts.get(row.staff_id) || 0) + 1);
+    } else if (!nextBooking || `${row.date} ${row.time}` < `${nextBooking.date} ${nextBooking.time}`) {
+      nextBooking = row;
+    }
+  }
+
+  const frequentStaffId = [...staffCounts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+
+  return {
+    visitCount,
+    noShowCount,
+    cancelledCount,
+    lastVisitDate,
+    nextBooking: nextBooking
+      ? { id: nextBooking.id, date: nextBooking.date, time: String(nextBooking.time).slice(0, 5), service: nextBooking.service_slug }
+      : null,
+    frequentStaffId,
+  };
+}
+
+/**
+ * Client of a business by phone (any format), or null.
+ * @returns {Promise<{client: Object|null, error?: any}>}
+ */
+export async function findClientByPhone(businessId, phone) {
+  const normalized = normalizeClientPhone(phone);
+  if (!businessId || !normalized) return { client: null };
+
+  const { data, error } = await supabase
+    .from('clients')
+    .select(CLIENT_COLUMNS)
+    .eq('business_id', businessId)
+    .eq('phone', normalized)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[CLIENTS] Error finding client by phone:', error);
+    return { client: null, error };
+  }
+  return { client: data || null };
+}
+
+async function loadBookingsForClients(businessId, clientIds) {
+  if (clientIds.length === 0) return { data: [], error: null };
+  return supabase
+    .from('bookings')
+    .select(HISTORY_COLUMNS)
+    .eq('business_id', businessId)
+    .in('client_id', clientIds)
+    .order('date', { ascending: false })
+    .order('time', { ascending: false });
+}
+
+/**
+ * Clients of a business with their booking stats (alphabetical).
+ * @param {Object} params
+ * @param {string} params.businessId
+ * @param {string|null} [params.search] - Part of the name or phone
+ * @param {number} [params.limit]
+ * @param {number} [params.offset]
+ * @returns {Promise<{ok: boolean, clients?: Array<Object>, total?: number, error?: any}>}
+ */
+export async function listClients({ businessId, search = null, limit = 50, offset = 0 }) {
+  let query = supabase
+    .from('clients')
+    .select(CLIENT_COLUMNS, { count: 'exact' })
+    .eq('business_id', businessId)
+    .order('name', { ascending: true, nullsFirst: false })
+    .range(offset, offset + limit - 1);
+
+  if (search) {
+    // PostgREST or-filter syntax: strip characters that would break it
+    const term = search.replace(/[,()*%]/g, ' ').trim();
+    if (term) query = query.or(`name.ilike.*${term}*,phone.ilike.*${term.replace(/\s+/g, '')}*`);
+  }
+
+  const { data: clients, error, count } = await query;
+  if (error) {
+    console.error('[CLIENTS] Error listing clients:', error);
+    return { ok: false, error };
+  }
+
+  const { data: bookings, error: bookingsError } = await loadBookingsForClients(
+    businessId,
+    (clients || []).map((c) => c.id)
+  );
+  if (bookingsError) {
+    console.error('[CLIENTS] Error loading client bookings:', bookingsError);
+    return { ok: false, error: bookingsError };
+  }
+
+  return {
+    ok: true,
+    total: count ?? (clients || []).length,
+    clients: (clients || []).map((client) => ({
+      ...client,
+      stats: computeClientStats((bookings || []).filter((b) => b.client_id === client.id)),
+    })),
+  };
+}
+
+/**
+ * One client with the full booking history (newest first) and stats.
+ * @returns {Promise<{ok: boolean, client?: Object|null, history?: Array<Object>, stats?: Object, error?: any}>}
+ */
+export async function getClientDetail(businessId, clientId) {
+  const { data: client, error } = await supabase
+    .from('clients')
+    .select(CLIENT_COLUMNS)
+    .eq('id', clientId)
+    .eq('business_id', businessId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[CLIENTS] Error loading client:', error);
+    return { ok: false, error };
+  }
+  if (!client) return { ok: true, client: null };
+
+  const { data: history, error: historyError } = await loadBookingsForClients(businessId, [client.id]);
+  if (historyError) {
+    console.error('[CLIENTS] Error loading client history:', historyError);
+    return { ok: false, error: historyError };
+  }
+
+  return { ok: true, client, history: history || [], stats: computeClientStats(history || []) };
+}
+
+/**
+ * Create a client (no id) or update one (id). Only fields present in `fields` are changed.
+ * @param {Object} params
+ * @param {string} params.businessId
+ * @param {string|null} [params.id]
+ * @param {{name?: string, phone?: string, email?: string|null, notes?: string|null, preferred_staff_id?: string|null}} params.fields
+ * @returns {Promise<{ok: boolean, client?: Object, clientId?: string, error?: string, message_cs?: string}>}
+ */
+export async function saveClient({ businessId, id = null, fields }) {
+  const row = {};
+
+  if (fields.phone !== undefined) {
+    const phone = normalizeClientPhone(fields.phone);
+    if (!phone) {
+      return { ok: false, error: 'INVALID_PHONE', message_cs: 'Zadejte prosím platné telefonní číslo (např. +420 777 123 456).' };
+    }
+    row.phone = phone;
+  } else if (!id) {
+    return { ok: false, error: 'MISSING_PHONE', message_cs: 'Telefonní číslo klienta je povinné.' };
+  }
+
+  for (const key of ['name', 'email', 'notes']) {
+    if (fields[key] !== undefined) {
+      row[key] = typeof fields[key] === 'string' && fields[key].trim() ? fields[key].trim() : null;
+    }
+  }
+
+  if (fields.preferred_staff_id !== undefined) {
+    if (fields.preferred_staff_id) {
+      const { data: staff, error: staffError } = await supabase
+        .from('staff')
+        .select('id')
+        .eq('id', fields.preferred_staff_id)
+        .eq('business_id', businessId)
+        .maybeSingle();
+      if (staffError || !staff) {
+        return { ok: false, error: 'UNKNOWN_STAFF', message_cs: 'Vybraný kolega / kolegyně nebyl(a) nalezen(a).' };
+      }
+    }
+    row.preferred_staff_id = fields.preferred_staff_id || null;
+  }
+
+  row.updated_at = new Date().toISOString();
+
+  const query = id
+    ? supabase.from('clients').update(row).eq('id', id).eq('business_id', businessId)
+    : supabase.from('clients').insert({ ...row, business_id: businessId });
+  const { data, error } = await query.select(CLIENT_COLUMNS).maybeSingle();
+
+  if (error) {
+    if (error.code === '23505') {
+      const { client: existing } = await findClientByPhone(businessId, row.phone);
+      return {
+        ok: false,
+        error: 'CLIENT_EXISTS',
+        clientId: existing?.id || null,
+        message_cs: 'Klient s tímto telefonním číslem už existuje.',
+      };
+    }
+    console.error('[CLIENTS] Error saving client:', error);
+    return { ok: false, error: 'DB_ERROR', message_cs: 'Klienta se nepodařilo uložit.' };
+  }
+  if (!data) {
+    return { ok: false, error: 'NOT_FOUND', message_cs: 'Klient nebyl nalezen.' };
+  }
+
+  console.log('[CLIENTS] Saved client', { businessId, clientId: data.id, created: !id });
+  return { ok: true, client: data };
+}
+
+/**
+ * Facts about a returning caller (name, visits, preferred staff) for the system prompt, or null for
+ * unknown numbers. Loaded once per call – see returningClientPrompt() for the prompt text.
+ * @returns {Promise<{facts: Array<string>}|null>}
+ */
+export async function buildReturningClientContext(businessId, phone) {
+  const { client } = await findClientByPhone(businessId, phone);
+  if (!client?.name) return null;
+
+  const { data: history } = await loadBookingsForClients(businessId, [client.id]);
+  const stats = computeClientStats(history || []);
+  if (stats.visitCount === 0 && !stats.nextBooking) return null;
+
+  const staffId = client.preferred_staff_id || stats.frequentStaffId;
+  let staffName = null;
+  if (staffId) {
+    const { data: staff } = await supabase.from('staff').select('name').eq('id', staffId).maybeSingle();
+    staffName = staff?.name || null;
+  }
+
+  const facts = [`jméno: ${client.name}`, `počet návštěv: ${stats.visitCount}`];
+  if (stats.lastVisitDate) facts.push(`poslední návštěva: ${stats.lastVisitDate}`);
+  if (stats.nextBooking) facts.push(`nejbližší rezervace: ${stats.nextBooking.date} ${stats.nextBooking.time} (${stats.nextBooking.service})`);
+  if (staffName) facts.push(`oblíbený kolega / kolegyně: ${staffName}`);
+
+  return { facts };
+}
+
+/**
+ * System-prompt note for a returning caller. Only the first turn asks IVA to greet by name
+ * ("Dobrý den, paní Nováková"); later turns keep the facts without greeting again.
+ * @param {{facts: Array<string>}} context - From buildReturningClientContext()
+ * @param {{firstTurn: boolean}} options
+ * @returns {string}
+ */
+export function returningClientPrompt(context, { firstTurn }) {
+  const greeting = firstTurn
+    ? 'Na začátku rozhovoru ho/ji pozdrav jménem ve správném 5. pádě, např. „Dobrý den, paní Nováková" nebo „Dobrý den, pane Nováku". '
+    : 'Pozdravili jste se už na začátku hovoru – znovu nezdrav. ';
+  return (
+    `Volá stálý klient salonu (${context.facts.join('; ')}). ` +
+    greeting +
+    'Jméno a telefon už znáš – při rezervaci se na ně znovu neptej, jen je potvrď.'
+  );
+}
@@ -1,15 +1,226 @@
-// In-memory conversation store for stateful chat sessions
-// Map<sessionId, Array<{ role: 'user' | 'assistant', content: string }>>
-const conversations = new Map();
+import { supabase } from './supabaseClient.js';
+
+// Conversation store for stateful chat sessions (web chat + Vapi calls).
+//
+// Store interface (all methods async):
+// - getHistory(sessionId) -> Array<{ role: 'user' | 'assistant', content: string }>
+// - appendMessage(sessionId, { role, content })
+// - clearHistory(sessionId)
+//
+// Backends:
+// - 'supabase' (default in production): rows in `conversation_messages`, shared across
+//   instances and restarts (see sql/2026-10-conversation-messages.sql)
+// - 'memory' (default in dev/tests): process-local Map
+//
+// Select with CONVERSATION_STORE=supabase|memory.
+
+const DEFAULT_TTL_MINUTES = 120;
+const DEFAULT_MAX_MESSAGES = 40;
+
+// Supabase backend purges idle sessions at most this often (piggybacks on appendMessage).
+const PURGE_INTERVAL_MS = 10 * 60 * 1000;
+
+function readPositiveInt(value, fallback) {
+  const n = parseInt(value ?? '', 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/**
+ * In-memory store. Sessions idle for longer than ttlMs are dropped,
+ * and each session keeps at most maxMessages (oldest are discarded).
+ * @param {Object} [options]
+ * @param {number} [options.ttlMs] - Idle session expiry in ms
+ * @param {number} [options.maxMessages] - Max messages kept per session
+ */
+export function createMemoryConversationStore({
+  ttlMs = DEFAULT_TTL_MINUTES * 60 * 1000,
+  maxMessages = DEFAULT_MAX_MESSAGES,
+} = {}) {
+  // Map<sessionId, { messages: Array<{ role, content }>, updatedAt: number }>
+  const conversations = new Map();
+
+  const isExpired = (entry) => Date.now() - entry.updatedAt > ttlMs;
+
+  const purgeExpired = () => {
+    for (const [sessionId, entry] of conversations) {
+      if (isExpired(entry)) conversations.delete(sessionId);
+    }
+  };
+
+  return {
+    name: 'memory',
+
+    async getHistory(sessionId) {
+      if (!sessionId) return [];
+      const entry = conversations.get(sessionId);
+      if (!entry) return [];
+      if (isExpired(entry)) {
+        conversations.delete(sessionId);
+        return [];
+      }
+      return [...entry.messages];
+    },
+
+    async appendMessage(sessionId, message) {
+      if (!sessionId) return;
+      purgeExpired();
+      const entry = conversations.get(sessionId) || { messages: [], updatedAt: 0 };
+      entry.messages.push({ role: message.role, content: message.content });
+      if (entry.messages.length > maxMessages) {
+        entry.messages.splice(0, entry.messages.length - maxMessages);
+      }
+      entry.updatedAt = Date.now();
+      conversations.set(sessionId, entry);
+    },
+
+    async clearHistory(sessionId) {
+      if (!sessionId) return;
+      conversations.delete(sessionId);
+    },
+  };
+}
+
+/**
+ * Supabase/Postgres-backed store (table `conversation_messages`).
+ * A session whose newest message is older than ttlMs is treated as expired and deleted.
+ * getHistory returns at most the last maxMessages messages.
+ * Errors are logged and never thrown, so a DB outage degrades to a stateless conversation.
+ * @param {Object} [options]
+ * @param {any} [options.client] - Supabase client (defaults to the shared service-role client)
+ * @param {number} [options.ttlMs] - Idle session expiry in ms
+ * @param {number} [options.maxMessages] - Max messages returned per session
+ */
+export function createSupabaseConversationStore({
+  client = supabase,
+  ttlMs = DEFAULT_TTL_MINUTES * 60 * 1000,
+  maxMessages = DEFAULT_MAX_MESSAGES,
+} = {}) {
+  let lastPurgeAt = 0;
+
+  const purgeExpired = async () => {
+    if (Date.now() - lastPurgeAt < PURGE_INTERVAL_MS) return;
+    lastPurgeAt = Date.now();
+
+    // Whole idle sessions only (sql/2026-10-conversation-messages.sql) – an active session keeps its oldest turns
+    const cutoff = new Date(Date.now() - ttlMs).toISOString();
+    const { error } = await client.rpc('purge_idle_conversations', { p_cutoff: cutoff });
+
+    if (error) {
+      console.error('[CONVERSATION] Error purging expired sessions:', error);
+    }
+  };
+
+  const clearHistory = async (sessionId) => {
+    if (!sessionId) return;
+
+    const { error } = await client
+      .from('conversation_messages')
+      .delete()
+      .eq('session_id', sessionId);
+
+    if (error) {
+      console.error('[CONVERSATION] Error clearing history:', error);
+    }
+  };
+
+  return {
+    name: 'supabase',
+
+    async getHistory(sessionId) {
+      if (!sessionId) return [];
+
+      const { data, error } = await client
+        .from('conversation_messages')
+        .select('role, content, created_at')
+        .eq('session_id', sessionId)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(maxMessages);
+
+      if (error) {
+        console.error('[CONVERSATION] Error loading history:', error);
+        return [];
+      }
+
+      if (!data || data.length === 0) return [];
+
+      const newest = new Date(data[0].created_at).getTime();
+      if (Number.isFinite(newest) && Date.now() - newest > ttlMs) {
+        console.log('[CONVERSATION] Session expired, clearing history:', sessionId);
+        await clearHistory(sessionId);
+        return [];
+      }
+
+      return data
+        .reverse()
+        .map((row) => ({ role: row.role, content: row.content }));
+    },
+
+    async appendMessage(sessionId, message) {
+      if (!sessionId) return;
+
+      const { error } = await client
+        .from('conversation_messages')
+        .insert({
+          session_id: sessionId,
+          role: message.role,
+          content: message.content,
+        });
+
+      if (error) {
+        console.error('[CONVERSATION] Error appending message:', error);
+      }
+
+      await purgeExpired();
+    },
+
+    clearHistory,
+  };
+}
+
+function createDefaultStore() {
+  const options = {
+    ttlMs: readPositiveInt(process.env.CONVERSATION_TTL_MINUTES, DEFAULT_TTL_MINUTES) * 60 * 1000,
+    maxMessages: readPositiveInt(process.env.CONVERSATION_MAX_MESSAGES, DEFAULT_MAX_MESSAGES),
+  };
+
+  const configured = (process.env.CONVERSATION_STORE || '').toLowerCase();
+  const backend = configured || (process.env.NODE_ENV === 'production' ? 'supabase' : 'memory');
+
+  if (backend === 'supabase') {
+    return createSupabaseConversationStore(options);
+  }
+  if (backend !== 'memory') {
+    console.warn('[CONVERSATION] Unknown CONVERSATION_STORE, using memory:', configured);
+  }
+  return createMemoryConversationStore(options);
+}
+
+let activeStore = null;
+
+function getStore() {
+  if (!activeStore) {
+    activeStore = createDefaultStore();
+    console.log('[CONVERSATION] Using conversation store:', activeStore.name);
+  }
+  return activeStore;
+}
+
+/**
+ * Replace the active store (e.g. memory store in tests).
+ * @param {{getHistory: Function, appendMessage: Function, clearHistory: Function}} store
+ */
+export function setConversationStore(store) {
+  activeStore = store;
+}
 
 /**
  * Get conversation history for a session (without the system prompt).
  * @param {string|null} sessionId - Session identifier
- * @returns {Array<{role: string, content: string}>} Conversation history
+ * @returns {Promise<Array<{role: string, content: string}>>} Conversation history
  */
-export function getHistory(sessionId) {
-  if (!sessionId) return [];
-  return conversations.get(sessionId) || [];
+export async function getHistory(sessionId) {
+  return getStore().getHistory(sessionId);
 }
 
 /**
@@ -18,34 +229,17 @@ export function getHistory(sessionId) {
  * @param {Object} message - Message object with role and content
  * @param {string} message.role - 'user' or 'assistant'
  * @param {string} message.content - Message content
+ * @returns {Promise<void>}
  */
-export function appendMessage(sessionId, message) {
-  if (!sessionId) return;
-  const history = conversations.get(sessionId) || [];
-  history.push({ role: message.role, content: message.content });
-  conversations.set(sessionId, history);
+export async function appendMessage(sessionId, message) {
+  return getStore().appendMessage(sessionId, message);
 }
 
 /**
- * Optionally clear a session (not strictly needed now).
+ * Clear a session's history.
  * @param {string|null} sessionId - Session identifier
+ * @returns {Promise<void>}
  */
-export function clearHistory(sessionId) {
-  if (!sessionId) return;
-  conversations.delete(sessionId);
+export async function clearHistory(sessionId) {
+  return getStore().clearHistory(sessionId);
 }
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
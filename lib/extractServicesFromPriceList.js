@@ -15,7 +15,7 @@ import * as cheerio from 'cheerio';
  * @param {string} text - Duration text
  * @returns {number|null} Duration in minutes
  */
-function parseDurationMinutes(text) {
+export function parseDurationMinutes(text) {
   if (!text) return null;
   const t = text.toLowerCase();
 
@@ -40,7 +40,7 @@ function parseDurationMinutes(text) {
  * @param {string} text - Price text
  * @returns {{priceFrom: number|null, priceTo: number|null}} Price range
  */
-function parsePriceRange(text) {
+export function parsePriceRange(text) {
   if (!text) return { priceFrom: null, priceTo: null };
   const cleaned = text
     .replace(/\u00A0/g, ' ')
@@ -0,0 +1,73 @@
+import {
+  toHHMM,
+  toWeekday,
+  normalizePhone,
+  addHourRange,
+  buildOpeningHours,
+  buildImportedData,
+  findServicesInJson,
+  parseSchemaOrgHtml,
+} from './structuredData.js';
+
+// Facebook page → ImportedBusinessData.
+//
+// Accepts the page object of the Graph API (GET /{page-id}?fields=name,phone,emails,website,
+// single_line_address,location,hours,services – or the same fields from a page data export) and a saved
+// HTML page (og: meta tags, JSON-LD when present). Graph API hours look like { "mon_1_open": "09:00",
+// "mon_1_close": "12:00", "mon_2_open": "13:00", ... }. Facebook exposes no price list, so services come
+// only from a "services" field if the export has one.
+
+function formatLocation(location) {
+  if (!location) return null;
+  const city = [location.zip, location.city].filter(Boolean).join(' ');
+  return [location.street, city].filter(Boolean).join(', ') || null;
+}
+
+function parseHours(hoursField) {
+  // mon_1_open + mon_1_close is one range; several ranges a day (lunch break) are kept apart –
+  // buildOpeningHours() skips such a day
+  const ranges = new Map();
+  for (const [key, value] of Object.entries(hoursField || {})) {
+    const match = key.match(/^([a-z]{3})_(\d)_(open|close)$/);
+    const weekday = match && toWeekday(match[1]);
+    const time = toHHMM(value);
+    if (!weekday || !time) continue;
+
+    const range = ranges.get(`${weekday}_${match[2]}`) || { weekday, opensAt: null, closesAt: null };
+    range[match[3] === 'open' ? 'opensAt' : 'closesAt'] = time;
+    ranges.set(`${weekday}_${match[2]}`, range);
+  }
+
+  const hours = new Map();
+  for (const { weekday, opensAt, closesAt } of ranges.values()) addHourRange(hours, weekday, opensAt, closesAt);
+  return buildOpeningHours(hours);
+}
+
+// "website" may hold several space-separated URLs
+function firstWebsite(website) {
+  if (typeof website !== 'string') return null;
+  return website.split(/\s+/).find((url) => /^https?:\/\//i.test(url)) || website.trim() || null;
+}
+
+/**
+ * @param {Object|string} content - Parsed Graph API JSON or HTML
+ * @returns {import('./importFromWeb.js').ImportedBusinessData}
+ */
+export function parseFacebookPage(content) {
+  if (typeof content === 'string') {
+    return buildImportedData(parseSchemaOrgHtml(content));
+  }
+
+  const page = content || {};
+  return buildImportedData({
+    profile: {
+      name: page.name || null,
+      address: page.single_line_address || formatLocation(page.location),
+      phone: normalizePhone(page.phone),
+      email: Array.isArray(page.emails) ? page.emails[0] || null : page.email || null,
+      website: firstWebsite(page.website),
+    },
+    services: page.services ? findServicesInJson(page.services) : [],
+    openingHours: parseHours(page.hours),
+  });
+}
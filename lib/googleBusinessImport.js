@@ -0,0 +1,122 @@
+import {
+  toWeekday,
+  toHHMM,
+  toPriceRange,
+  normalizePhone,
+  makeService,
+  addHourRange,
+  buildOpeningHours,
+  buildImportedData,
+  parseSchemaOrgHtml,
+} from './structuredData.js';
+
+// Google Business Profile → ImportedBusinessData.
+//
+// Accepts a location as returned by the Business Profile API (v1: title, storefrontAddress, regularHours,
+// serviceItems; v4 / Google Takeout: locationName, address, priceLists), an array of them or
+// { locations: [...] }, and a saved HTML page (schema.org JSON-LD). With several locations the first one
+// is the profile and every location becomes a branch named by its city, like branches found on the website.
+
+function formatAddress(address) {
+  if (!address) return null;
+  const street = (address.addressLines || []).filter(Boolean).join(', ');
+  const city = [address.postalCode, address.locality].filter(Boolean).join(' ');
+  return [street, city].filter(Boolean).join(', ') || null;
+}
+
+// "job_type_id:mens_haircut" → "mens haircut" (structured items only carry a Google service type ID)
+function labelFromServiceTypeId(serviceTypeId) {
+  if (!serviceTypeId) return null;
+  return String(serviceTypeId).split(':').pop().replace(/_/g, ' ').trim() || null;
+}
+
+function parseRegularHours(regularHours) {
+  const hours = new Map();
+  for (const period of regularHours?.periods || []) {
+    const weekday = toWeekday(period.openDay);
+    const opensAt = toHHMM(period.openTime);
+    let closesAt = toHHMM(period.closeTime);
+    // Open until midnight is closeTime 24:00 (v1) or closeDay = next day 00:00
+    if (closesAt === '00:00' || closesAt === '24:00') closesAt = '23:59';
+    // Several periods a day (lunch break) are kept apart – buildOpeningHours() skips such a day
+    addHourRange(hours, weekday, opensAt, closesAt);
+  }
+  return buildOpeningHours(hours);
+}
+
+function parseServiceItems(location) {
+  const services = [];
+
+  // v1 serviceItems
+  for (const item of location.serviceItems || []) {
+    const label = item.freeFormServiceItem?.label;
+    services.push(
+      makeService({
+        name: label?.displayName || labelFromServiceTypeId(item.structuredServiceItem?.serviceTypeId),
+        description: label?.description || item.structuredServiceItem?.description || null,
+        ...toPriceRange(item.price ?? null),
+      })
+    );
+  }
+
+  // v4 priceLists → sections → items
+  for (const priceList of location.priceLists || []) {
+    for (const section of priceList.sections || []) {
+      for (const item of section.items || []) {
+        const label = (item.labels || [])[0];
+        services.push(
+          makeService({
+            name: label?.displayName,
+            description: label?.description || null,
+            ...toPriceRange(item.price ?? null),
+          })
+        );
+      }
+    }
+  }
+
+  return services;
+}
+
+function parseLocation(location) {
+  const address = location.storefrontAddress || location.address;
+  return {
+    city: address?.locality || null,
+    profile: {
+      name: location.title || location.locationName || null,
+      address: formatAddress(address),
+      phone: normalizePhone(location.phoneNumbers?.primaryPhone || location.primaryPhone),
+      email: null,
+      website: location.websiteUri || location.websiteUrl || null,
+    },
+    services: parseServiceItems(location),
+    openingHours: parseRegularHours(location.regularHours),
+  };
+}
+
+/**
+ * @param {Object|Array|string} content - Parsed JSON export or HTML
+ * @returns {import('./importFromWeb.js').ImportedBusinessData}
+ */
+export function parseGoogleBusinessProfile(content) {
+  if (typeof content === 'string') {
+    return buildImportedData(parseSchemaOrgHtml(content));
+  }
+
+  const locations = Array.isArray(content) ? content : content?.locations || [content];
+  const parsed = locations.filter((location) => location && typeof location === 'object').map(parseLocation);
+  if (parsed.length === 0) return buildImportedData({});
+
+  const [main] = parsed;
+  return buildImportedData({
+    profile: main.profile,
+    services: parsed.flatMap((location) => location.services),
+    openingHours: main.openingHours,
+    locations:
+      parsed.length > 1
+        ? parsed
+            .filter((location) => location.city || location.profile.address)
+            .map((location) => ({ name: location.city, address: location.profile.address, booking_providers: [] }))
+        : [],
+  });
+}
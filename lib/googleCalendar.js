@@ -53,6 +53,21 @@ export function resolveCalendarId(settings) {
   return null;
 }
 
+/**
+ * Whether Google Calendar can be used for these settings (OAuth app + refresh token + calendar ID).
+ * Does not log – used by lib/calendarProvider.js to pick the default provider.
+ * @param {Object} settings - IVA settings object
+ * @returns {boolean}
+ */
+export function isGoogleCalendarConfigured(settings) {
+  return !!(
+    process.env.GOOGLE_CLIENT_ID &&
+    process.env.GOOGLE_CLIENT_SECRET &&
+    (settings?.google_refresh_token || process.env.GOOGLE_REFRESH_TOKEN) &&
+    resolveCalendarId(settings)
+  );
+}
+
 /**
  * Creates and returns an OAuth2 client for Google Calendar API.
  * Uses per-tenant refresh token if available, otherwise falls back to env var.
@@ -146,6 +161,53 @@ export async function isSlotAvailable(booking, settings) {
   }
 }
 
+/**
+ * Fetches busy intervals from Google Calendar for a whole time range (single freebusy query).
+ * Used by the free-slot search so we don't have to call isSlotAvailable() per candidate time.
+ * @param {Object} range
+ * @param {DateTime} range.start - Luxon DateTime (range start)
+ * @param {DateTime} range.end - Luxon DateTime (range end)
+ * @param {Object} settings - IVA settings object (may contain google_calendar_id)
+ * @returns {Promise<{ok: boolean, busy: Array<{start: string, end: string}>, reason?: string, error?: Error}>}
+ */
+export async function getBusyIntervals({ start, end }, settings) {
+  const oauth2Client = getOAuthClient(settings);
+  const calendarId = resolveCalendarId(settings);
+
+  if (!oauth2Client || !calendarId) {
+    console.warn('[GCAL] getBusyIntervals: missing OAuth or calendarId');
+    return { ok: false, busy: [], reason: 'MISSING_CONFIG' };
+  }
+
+  try {
+    console.log('[GCAL] Fetching busy intervals', {
+      calendarId,
+      start: start.toISO(),
+      end: end.toISO(),
+    });
+
+    const response = await google.calendar({ version: 'v3', auth: oauth2Client }).freebusy.query({
+      requestBody: {
+        timeMin: start.toISO(),
+        timeMax: end.toISO(),
+        items: [{ id: calendarId }],
+      },
+    });
+
+    const busy = response.data.calendars?.[calendarId]?.busy || [];
+    console.log('[GCAL] Busy intervals result', { busyCount: busy.length });
+
+    return { ok: true, busy };
+  } catch (err) {
+    console.error('[GCAL] Error in getBusyIntervals:', {
+      message: err.message,
+      code: err.code,
+      errors: err.errors,
+    });
+    return { ok: false, busy: [], reason: 'API_ERROR', error: err };
+  }
+}
+
 /**
  * Creates a calendar event in Google Calendar.
  * @param {Object} booking - Booking object with:
@@ -158,6 +220,7 @@ export async function isSlotAvailable(booking, settings) {
  *   - client_email?: string (optional)
  *   - location?: string (optional)
  *   - notes?: string (optional)
+ *   - staff_name?: string (optional, appended to the event summary)
  * @param {Object} settings - IVA settings object (may contain google_calendar_id)
  * @returns {Promise<Object|null>} Created event data from Google Calendar API or null
  */
@@ -181,7 +244,7 @@ export async function createCalendarEvent(booking, settings) {
   const endDt = startDt.plus({ minutes: booking.duration_minutes || 30 });
 
   const event = {
-    summary: `${booking.service_slug || booking.service} – ${booking.client_name}`,
+    summary: `${booking.service_slug || booking.service} – ${booking.client_name}${booking.staff_name ? ` (${booking.staff_name})` : ''}`,
     location: booking.location,
     description:
       `Phone: ${booking.client_phone}\n` +
@@ -314,3 +377,132 @@ export async function rescheduleCalendarEvent(eventId, newDate, newTime, duratio
     throw err;
   }
 }
+
+/**
+ * Lists changed events since the last sync (incremental sync with sync tokens).
+ * Without a syncToken this is a full sync (deleted events included) that yields the first token.
+ * @param {Object} settings - IVA settings object (may contain google_calendar_id)
+ * @param {Object} [options]
+ * @param {string|null} [options.syncToken] - nextSyncToken from the previous call
+ * @returns {Promise<{ok: boolean, events: Array<Object>, nextSyncToken?: string, reason?: string, error?: Error}>}
+ *   reason 'SYNC_TOKEN_EXPIRED' (HTTP 410) = drop the token and run a full sync.
+ */
+export async function listCalendarEventChanges(settings, { syncToken = null } = {}) {
+  const oauth2Client = getOAuthClient(settings);
+  const calendarId = resolveCalendarId(settings);
+
+  if (!oauth2Client || !calendarId) {
+    console.warn('[GCAL] listCalendarEventChanges: missing OAuth or calendarId');
+    return { ok: false, events: [], reason: 'MISSING_CONFIG' };
+  }
+
+  const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+  const events = [];
+  let pageToken = undefined;
+
+  try {
+    do {
+      const res = await calendar.events.list({
+        calendarId,
+        singleEvents: true,
+        maxResults: 250,
+        // Deleted events on full syncs too: after an expired sync token they are the only trace of a deletion
+        showDeleted: true,
+        ...(syncToken ? { syncToken } : {}),
+        ...(pageToken ? { pageToken } : {}),
+      });
+
+      events.push(...(res.data.items || []));
+      pageToken = res.data.nextPageToken;
+
+      if (!pageToken) {
+        console.log('[GCAL] Event changes loaded', { calendarId, count: events.length, incremental: !!syncToken });
+        return { ok: true, events, nextSyncToken: res.data.nextSyncToken };
+      }
+    } while (pageToken);
+  } catch (err) {
+    if (err.code === 410) {
+      console.warn('[GCAL] Sync token expired for calendar', calendarId);
+      return { ok: false, events: [], reason: 'SYNC_TOKEN_EXPIRED' };
+    }
+
+    console.error('[GCAL] Error listing event changes:', {
+      message: err.message,
+      code: err.code,
+      errors: err.errors,
+      calendarId,
+    });
+    return { ok: false, events: [], reason: 'API_ERROR', error: err };
+  }
+
+  return { ok: true, events };
+}
+
+/**
+ * Starts a push notification channel for event changes on a calendar.
+ * Google then POSTs to `address` (headers only) whenever an event changes.
+ * @param {Object} settings - IVA settings object (may contain google_calendar_id)
+ * @param {Object} channel
+ * @param {string} channel.id - Channel ID (UUID, unique per watch)
+ * @param {string} channel.address - Public HTTPS webhook URL
+ * @param {string} channel.token - Secret echoed back in X-Goog-Channel-Token
+ * @param {number} [channel.ttlSeconds] - Requested channel lifetime (Google caps it)
+ * @returns {Promise<{ok: boolean, resourceId?: string, expiration?: string, reason?: string, error?: Error}>}
+ */
+export async function watchCalendarEvents(settings, { id, address, token, ttlSeconds = 7 * 24 * 3600 }) {
+  const oauth2Client = getOAuthClient(settings);
+  const calendarId = resolveCalendarId(settings);
+
+  if (!oauth2Client || !calendarId) {
+    console.warn('[GCAL] watchCalendarEvents: missing OAuth or calendarId');
+    return { ok: false, reason: 'MISSING_CONFIG' };
+  }
+
+  try {
+    const res = await google.calendar({ version: 'v3', auth: oauth2Client }).events.watch({
+      calendarId,
+      requestBody: {
+        id,
+        type: 'web_hook',
+        address,
+        token,
+        params: { ttl: String(ttlSeconds) },
+      },
+    });
+
+    const expiration = res.data.expiration
+      ? new Date(Number(res.data.expiration)).toISOString()
+      : null;
+
+    console.log('[GCAL] Watching calendar', calendarId, { channelId: id, expiration });
+    return { ok: true, resourceId: res.data.resourceId, expiration };
+  } catch (err) {
+    console.error('[GCAL] Error starting calendar watch:', {
+      message: err.message,
+      code: err.code,
+      errors: err.errors,
+      calendarId,
+    });
+    return { ok: false, reason: 'API_ERROR', error: err };
+  }
+}
+
+/**
+ * Stops a push notification channel (errors are logged, not thrown – the channel expires anyway).
+ * @param {Object} settings - IVA settings object
+ * @param {Object} channel - { id, resourceId }
+ * @returns {Promise<void>}
+ */
+export async function stopCalendarChannel(settings, { id, resourceId }) {
+  const oauth2Client = getOAuthClient(settings);
+  if (!oauth2Client || !id || !resourceId) return;
+
+  try {
+    await google.calendar({ version: 'v3', auth: oauth2Client }).channels.stop({
+      requestBody: { id, resourceId },
+    });
+    console.log('[GCAL] Stopped channel', id);
+  } catch (err) {
+    console.warn('[GCAL] Error stopping channel:', { id, message: err.message, code: err.code });
+  }
+}
@@ -0,0 +1,229 @@
+import { DateTime } from 'luxon';
+
+// Minimal iCalendar (RFC 5545) helpers for the CalDAV provider and ICS busy feeds.
+// Only what availability needs: VEVENT start/end/status/transparency; recurring events are
+// expected to be expanded by the server (CalDAV <C:expand>) – RRULEs in plain ICS feeds are not.
+
+const DEFAULT_ZONE = 'Europe/Prague';
+
+/**
+ * Unfold continuation lines ("\r\n " / "\r\n\t") and split into content lines.
+ */
+function unfoldLines(text) {
+  return String(text || '')
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .filter((line) => line.length > 0);
+}
+
+/**
+ * Parse "NAME;PARAM=x;PARAM2=y:value" into { name, params, value }.
+ */
+function parseContentLine(line) {
+  const colon = line.indexOf(':');
+  if (colon < 0) return null;
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = {};
+  for (const part of paramParts) {
+    const eq = part.indexOf('=');
+    if (eq > 0) params[part.slice(0, eq).toUpperCase()] = part.slice(eq + 1).replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Parse a DATE / DATE-TIME property value into a Luxon DateTime.
+ * UTC ("...Z"), TZID-qualified and floating times (Europe/Prague) are supported.
+ * @returns {{dt: DateTime, allDay: boolean}|null}
+ */
+function parseIcsDate(value, params = {}) {
+  if (params.VALUE === 'DATE' || /^\d{8}$/.test(value)) {
+    const dt = DateTime.fromFormat(value, 'yyyyMMdd', { zone: DEFAULT_ZONE });
+    return dt.isValid ? { dt, allDay: true } : null;
+  }
+
+  const utc = value.endsWith('Z');
+  const raw = utc ? value.slice(0, -1) : value;
+  let zone = utc ? 'utc' : (params.TZID || DEFAULT_ZONE);
+  let dt = DateTime.fromFormat(raw, "yyyyMMdd'T'HHmmss", { zone });
+
+  // Unknown Windows/Outlook TZIDs ("Central Europe Standard Time") → assume the salon's zone
+  if (!dt.isValid && !utc) {
+    zone = DEFAULT_ZONE;
+    dt = DateTime.fromFormat(raw, "yyyyMMdd'T'HHmmss", { zone });
+  }
+
+  return dt.isValid ? { dt, allDay: false } : null;
+}
+
+/**
+ * Parse an ISO 8601 duration ("PT1H30M", "P1D") into minutes.
+ */
+function parseIcsDurationMinutes(value) {
+  const m = String(value || '').match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!m) return null;
+  const [, sign, w, d, h, min] = m;
+  const total = (Number(w || 0) * 7 * 24 * 60) + (Number(d || 0) * 24 * 60) + (Number(h || 0) * 60) + Number(min || 0);
+  return sign === '-' ? -total : total;
+}
+
+/**
+ * Extract VEVENTs from iCalendar text.
+ * @returns {Array<{uid: string|null, start: DateTime, end: DateTime, allDay: boolean, status: string|null, transparent: boolean}>}
+ */
+export function parseIcsEvents(text) {
+  const events = [];
+  let current = null;
+
+  for (const line of unfoldLines(text)) {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+      continue;
+    }
+    if (line === 'END:VEVENT') {
+      if (current?.start) {
+        let end = current.end;
+        if (!end && current.durationMinutes != null) {
+          end = current.start.plus({ minutes: current.durationMinutes });
+        }
+        if (!end) {
+          end = current.allDay ? current.start.plus({ days: 1 }) : current.start;
+        }
+        events.push({
+          uid: current.uid || null,
+          start: current.start,
+          end,
+          allDay: current.allDay,
+          status: current.status || null,
+          transparent: current.transparent === true,
+        });
+      }
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+
+    const prop = parseContentLine(line);
+    if (!prop) continue;
+
+    if (prop.name === 'UID') {
+      current.uid = prop.value;
+    } else if (prop.name === 'DTSTART') {
+      const parsed = parseIcsDate(prop.value, prop.params);
+      if (parsed) {
+        current.start = parsed.dt;
+        current.allDay = parsed.allDay;
+      }
+    } else if (prop.name === 'DTEND') {
+      const parsed = parseIcsDate(prop.value, prop.params);
+      if (parsed) current.end = parsed.dt;
+    } else if (prop.name === 'DURATION') {
+      current.durationMinutes = parseIcsDurationMinutes(prop.value);
+    } else if (prop.name === 'STATUS') {
+      current.status = prop.value.toUpperCase();
+    } else if (prop.name === 'TRANSP') {
+      current.transparent = prop.value.toUpperCase() === 'TRANSPARENT';
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Busy intervals ({ start, end } ISO strings, like Google freebusy) overlapping a range.
+ * Cancelled and transparent ("free") events are ignored.
+ * @param {Array<Object>} events - From parseIcsEvents()
+ * @param {{start: DateTime, end: DateTime}} range
+ */
+export function busyIntervalsFromEvents(events, { start, end }) {
+  return events
+    .filter((e) => e.status !== 'CANCELLED' && !e.transparent)
+    .filter((e) => e.start < end && e.end > start)
+    .map((e) => ({ start: e.start.toISO(), end: e.end.toISO() }));
+}
+
+function formatUtc(dt) {
+  return dt.toUTC().toFormat("yyyyMMdd'T'HHmmss'Z'");
+}
+
+/**
+ * Escape a TEXT value (RFC 5545 3.3.11).
+ */
+function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Build a VCALENDAR with one VEVENT (times in UTC, so no VTIMEZONE is needed).
+ * @param {Object} event - { uid, start: DateTime, end: DateTime, summary, description?, location?, sequence? }
+ * @returns {string}
+ */
+export function buildIcsEvent({ uid, start, end, summary, description = '', location = '', sequence = 0 }) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//IVA//Booking//CS',
+    'CALSCALE:GREGORIAN',
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatUtc(DateTime.utc())}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SEQUENCE:${sequence}`,
+    `SUMMARY:${escapeText(summary)}`,
+    ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+    ...(location ? [`LOCATION:${escapeText(location)}`] : []),
+    'END:VEVENT',
+    'END:VCALENDAR',
+    '',
+  ].join('\r\n');
+}
+
+/**
+ * Move the VEVENT of a single-event iCalendar object to a new start/end and bump its SEQUENCE.
+ * Other properties (summary, attendees, ...) are kept as they are.
+ * @returns {string}
+ */
+export function rescheduleIcsEvent(text, { start, end }) {
+  const lines = unfoldLines(text);
+  const result = [];
+  let inEvent = false;
+  let sequenceSeen = false;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') inEvent = true;
+
+    if (inEvent) {
+      const prop = parseContentLine(line);
+      if (prop?.name === 'DTSTART') {
+        result.push(`DTSTART:${formatUtc(start)}`);
+        continue;
+      }
+      if (prop?.name === 'DTEND') {
+        result.push(`DTEND:${formatUtc(end)}`);
+        continue;
+      }
+      if (prop?.name === 'DURATION') {
+        continue; // replaced by DTEND
+      }
+      if (prop?.name === 'SEQUENCE') {
+        result.push(`SEQUENCE:${(parseInt(prop.value, 10) || 0) + 1}`);
+        sequenceSeen = true;
+        continue;
+      }
+      if (line === 'END:VEVENT') {
+        if (!result.some((l) => l.startsWith('DTEND'))) result.push(`DTEND:${formatUtc(end)}`);
+        if (!sequenceSeen) result.push('SEQUENCE:1');
+        inEvent = false;
+      }
+    }
+
+    result.push(line);
+  }
+
+  return `${result.join('\r\n')}\r\n`;
+}
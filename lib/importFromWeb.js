@@ -25,17 +25,37 @@
  * @property {boolean} closed
  */
 
+/**
+ * @typedef {Object} ImportedLocation
+ * @property {string|null} name - Branch name (e.g. "Praha", "Brno")
+ * @property {string|null} address
+ * @property {string[]} booking_providers
+ */
+
+/**
+ * @typedef {Object} CrawlChanges
+ * @property {string[]} newPages
+ * @property {string[]} changedPages
+ * @property {string[]} unchangedPages
+ * @property {string[]} removedPages
+ */
+
 /**
  * @typedef {Object} ImportedBusinessData
  * @property {ImportedProfile} profile
  * @property {ImportedService[]} services
  * @property {ImportedOpeningHour[]} openingHours
+ * @property {ImportedLocation[]} locations
+ * @property {CrawlChanges} [crawl] - Pages new / changed / unchanged / removed since the last crawl
  */
 
 import { crawlWebsiteWithPlaywright } from '../crawlers/playwrightCrawler.js';
 import { extractServicesIfPriceList } from './extractServicesFromPriceList.js';
 import { extractContactFromPages, mergeContactData } from './extractContact.js';
 import { pickBusinessName, scoreBusinessName, isGenericBusinessName } from './pickBusinessName.js';
+import { detectLocationsFromChunks } from '../utils/locationUtils.js';
+import { getBusinessPlan } from './usage.js';
+import { embedSourceChunks } from './knowledgeBase.js';
 import { chromium } from 'playwright';
 
 /**
@@ -48,10 +68,13 @@ import { chromium } from 'playwright';
  * @param {any} options.openai - OpenAI client instance
  * @param {Function} options.chunkText - Text chunking function
  * @param {Function} options.cleanText - Text cleaning function
- * @returns {Promise<ImportedBusinessData>} Extracted business data
+ * @param {boolean} [options.incremental] - Re-crawl: keep pages/chunks of unchanged pages and only re-chunk
+ *   changed ones (ETag / Last-Modified / content hash). Without any page change nothing is extracted.
+ * @param {Function} [options.onProgress] - Progress callback: crawler phases, then { phase: 'extracting' }
+ * @returns {Promise<ImportedBusinessData|null>} Extracted business data (null: incremental and no page changed)
  */
 async function crawlBusinessWebsite(url, options) {
-  const { businessId, supabase, openai, chunkText, cleanText } = options;
+  const { businessId, supabase, openai, chunkText, cleanText, incremental = false, onProgress = null } = options;
 
   if (!url || typeof url !== 'string' || !url.startsWith('http')) {
     throw new Error('INVALID_URL: URL must be a valid HTTP/HTTPS URL');
@@ -113,9 +136,20 @@ async function crawlBusinessWebsite(url, options) {
   const sourceId = sourceRow.id;
   console.log(`[ONBOARDING] Created/updated kb_source ${sourceId}`);
 
-  // Step 2: Delete old chunks and pages for reindex
-  await supabase.from('kb_chunks').delete().eq('source_id', sourceId);
-  await supabase.from('kb_pages').delete().eq('source_id', sourceId);
+  // Step 2: Full import deletes old chunks and pages; a re-crawl compares against them instead
+  let knownPages = null;
+  if (incremental && existingSource) {
+    const { data: pageRows, error: pagesError } = await supabase
+      .from('kb_pages')
+      .select('id, url, etag, last_modified, content_hash')
+      .eq('source_id', sourceId);
+    if (pagesError) throw new Error(`Failed to load indexed pages: ${pagesError.message}`);
+    knownPages = new Map((pageRows || []).map((row) => [row.url, row]));
+    console.log(`[ONBOARDING] Re-crawl of ${knownPages.size} known pages`);
+  } else {
+    await supabase.from('kb_chunks').delete().eq('source_id', sourceId);
+    await supabase.from('kb_pages').delete().eq('source_id', sourceId);
+  }
 
   // Step 3: Crawl website
   let crawlResult;
@@ -130,7 +164,9 @@ async function crawlBusinessWebsite(url, options) {
       forcedUrls: [],
       chunkText,
       cleanText,
-      supabase
+      supabase,
+      knownPages,
+      onProgress
     });
   } catch (crawlError) {
     console.error(`[ONBOARDING] Crawl failed for ${url}:`, crawlError);
@@ -154,6 +190,21 @@ async function crawlBusinessWebsite(url, options) {
 
   console.log(`[ONBOARDING] Crawled ${crawlResult.pagesIndexed} pages, created ${crawlResult.chunksCreated} chunks`);
 
+  onProgress?.({ phase: 'extracting' });
+
+  // Embeddings for kb_search (failures only mean lexical search for this source)
+  await embedSourceChunks(sourceId);
+
+  const crawlChanges = crawlResult.changes;
+  if (knownPages && crawlChanges.newPages.length + crawlChanges.changedPages.length + crawlChanges.removedPages.length === 0) {
+    console.log('[ONBOARDING] Re-crawl found no changed pages – skipping extraction');
+    await supabase
+      .from('kb_sources')
+      .update({ status: 'success', last_indexed_at: new Date().toISOString() })
+      .eq('id', sourceId);
+    return null;
+  }
+
   // Extract contact info (phone/email/address) from crawled pages BEFORE LLM extraction
   // This is deterministic and uses tel:/mailto: links, JSON-LD, and regex
   let deterministicContact = { phone: null, email: null, address: null, sources: {} };
@@ -191,12 +242,20 @@ async function crawlBusinessWebsite(url, options) {
     }
   }
 
-  // Update source status
+  // Update source status (a re-crawl keeps the chunks of unchanged pages – count them all)
+  let chunksCount = crawlResult.chunksCreated;
+  if (knownPages) {
+    const { count } = await supabase
+      .from('kb_chunks')
+      .select('id', { count: 'exact', head: true })
+      .eq('source_id', sourceId);
+    chunksCount = count ?? chunksCount;
+  }
   await supabase
     .from('kb_sources')
     .update({
       status: 'success',
-      chunks_count: crawlResult.chunksCreated,
+      chunks_count: chunksCount,
       last_indexed_at: new Date().toISOString()
     })
     .eq('id', sourceId);
@@ -838,6 +897,13 @@ ${websiteText}
     topCandidates: pickedName.topCandidates,
   });
 
+  // Detect branches (one per city, max 5) from the crawled chunks
+  const detectedLocations = detectLocationsFromChunks({
+    chunks,
+    extractedProfile: { address: finalAddress },
+    detectedBookingProviders: crawlResult.bookingProviders || [],
+  });
+
   const importedData = {
     profile: {
       name: pickedNameVal,
@@ -847,10 +913,12 @@ ${websiteText}
       website: url
     },
     services: cleanServices(services),
-    openingHours: finalOpeningHoursArray
+    openingHours: finalOpeningHoursArray,
+    locations: detectedLocations,
+    crawl: crawlChanges
   };
 
-  console.log(`[ONBOARDING] Successfully extracted data: profile=${!!importedData.profile.name}, services=${services.length}, openingHours=${finalOpeningHoursArray.length}`);
+  console.log(`[ONBOARDING] Successfully extracted data: profile=${!!importedData.profile.name}, services=${services.length}, openingHours=${finalOpeningHoursArray.length}, locations=${detectedLocations.length}`);
   console.log(`[ONBOARDING] Final profile: name="${importedData.profile.name}", phone="${importedData.profile.phone}", email="${importedData.profile.email}", address="${importedData.profile.address}"`);
 
   return importedData;
@@ -885,6 +953,8 @@ function makeSlugFromName(name) {
  * - services: business_id, name, slug, description, duration_minutes,
  *             price_from, price_to, is_active
  * - opening_hours: business_id, weekday, opens_at, closes_at
+ * - locations: business_id, name, slug, address, booking_providers
+ *   (google_calendar_id and location_opening_hours are managed manually and never touched)
  *
  * @param {any} supabase - Supabase client instance
  * @param {string} businessId - Business UUID
@@ -1147,9 +1217,76 @@ if (Array.isArray(data.services) && data.services.length > 0) {
     } else {
       console.log('[ONBOARDING] No opening hours extracted; skipping opening_hours upsert (preserving existing).');
     }
+
+    //
+    // STEP 4: Upsert locations (by business_id + slug)
+    // ------------------------------------------------
+    // Only add/update detected branches; branches missing from this crawl are kept.
+    //
+    const importedLocations = Array.isArray(data.locations)
+      ? data.locations.filter((loc) => loc && (loc.name || loc.address))
+      : [];
+
+    if (importedLocations.length > 0) {
+      const locationsMap = new Map();
+      for (const loc of importedLocations) {
+        const name = loc.name || loc.address;
+        const slug = makeSlugFromName(name);
+        if (!slug) continue;
+        locationsMap.set(slug, {
+          business_id: businessId,
+          name,
+          slug,
+          address: loc.address ?? null,
+          booking_providers: Array.isArray(loc.booking_providers) ? loc.booking_providers : [],
+          is_active: true,
+          updated_at: new Date().toISOString(),
+        });
+      }
+      let locationsPayload = Array.from(locationsMap.values());
+
+      // Plan limit: existing branches are updated, new ones added only while the plan allows (lib/usage.js)
+      const { limits } = await getBusinessPlan(businessId);
+      if (limits.locations !== null) {
+        const { data: activeRows } = await supabase
+          .from('locations')
+          .select('slug')
+          .eq('business_id', businessId)
+          .eq('is_active', true);
+        const activeSlugs = new Set((activeRows || []).map((row) => row.slug));
+        let activeCount = activeSlugs.size;
+        const allowed = locationsPayload.filter((loc) => {
+          if (activeSlugs.has(loc.slug)) return true;
+          if (activeCount >= limits.locations) return false;
+          activeCount += 1;
+          return true;
+        });
+        if (allowed.length < locationsPayload.length) {
+          console.warn(
+            `[ONBOARDING] Plan allows ${limits.locations} locations – skipped ${locationsPayload.length - allowed.length} new ones`
+          );
+        }
+        locationsPayload = allowed;
+      }
+
+      const { error: locationsError } = await supabase
+        .from('locations')
+        .upsert(locationsPayload, { onConflict: 'business_id,slug' });
+
+      if (locationsError) {
+        console.error('[ONBOARDING] Error upserting locations:', locationsError);
+        throw new Error(`Failed to upsert locations: ${locationsError.message}`);
+      }
+
+      console.log(
+        `[ONBOARDING] Upserted ${locationsPayload.length} locations for business ${businessId}`
+      );
+    } else {
+      console.log('[ONBOARDING] No locations detected; skipping locations upsert.');
+    }
   
     console.log(`[ONBOARDING] Successfully applied imported data for business ${businessId}`);
   }
   
-  export { applyImportedBusinessData, crawlBusinessWebsite };
+  export { applyImportedBusinessData, crawlBusinessWebsite, makeSlugFromName };
   
\ No newline at end of file
@@ -0,0 +1,392 @@
+import OpenAI from 'openai';
+import { supabase } from './supabaseClient.js';
+import { crawlBusinessWebsite, applyImportedBusinessData } from './importFromWeb.js';
+import { chunkText, cleanText } from '../utils/textUtils.js';
+import { loadCurrentBusinessData, saveImportReview, recrawlBusinessWebsite } from './webRecrawl.js';
+import { buildImportPreview, summarizeImportPreview } from './importPreview.js';
+
+// Website import as a background job (sql/2026-10-import-jobs.sql).
+//
+// POST /api/onboarding/import_from_web only inserts an import_jobs row; the worker in this process
+// runs the jobs one at a time (Playwright is heavy) and writes the phase and page progress to the row.
+// State lives in the DB, so after a restart the worker picks up queued jobs and jobs whose heartbeat
+// (updated_at) is older than IMPORT_JOB_STALE_MINUTES – the import simply starts over (it is idempotent).
+//
+// A job in mode 'preview' (dry run) does not write business data: it ends with a pending import review
+// (lib/importPreview.js) that the owner accepts – possibly only in part – or rejects. Mode 'recrawl' is
+// the incremental re-crawl of lib/webRecrawl.js (scheduled or POST /api/onboarding/recrawl); a review is
+// created only when the business data changed.
+
+const STALE_MINUTES = Number(process.env.IMPORT_JOB_STALE_MINUTES) || 10;
+const MAX_ATTEMPTS = 3;
+const ACTIVE_STATUSES = ['queued', 'running'];
+export const IMPORT_JOB_MODES = ['apply', 'preview'];
+// Not selectable in import_from_web – queued by POST /api/onboarding/recrawl and the re-crawl scheduler
+export const RECRAWL_JOB_MODE = 'recrawl';
+
+const openai = new OpenAI({
+  apiKey: process.env.OPENAI_API_KEY,
+});
+
+/**
+ * Maps an error thrown by crawlBusinessWebsite (message prefixed with the error code) to an HTTP status,
+ * error code and Czech message.
+ * @returns {{status: number, error: string, message_cs: string}}
+ */
+export function describeImportError(err) {
+  const errorMessage = err?.message || String(err);
+
+  if (errorMessage.includes('PLAYWRIGHT_MISSING')) {
+    return {
+      status: 503,
+      error: 'PLAYWRIGHT_MISSING',
+      message_cs: 'Spouštění Playwright pro crawling je momentálně nedostupné. Zkuste to prosím za chvíli.',
+    };
+  }
+  if (errorMessage.includes('INVALID_URL')) {
+    return { status: 400, error: 'INVALID_URL', message_cs: 'Zadejte prosím platnou URL adresu.' };
+  }
+  if (errorMessage.includes('FETCH_FAILED')) {
+    return {
+      status: 502,
+      error: 'FETCH_FAILED',
+      message_cs: 'Nepodařilo se načíst webovou stránku. Zkontrolujte, že URL je správná a stránka je dostupná.',
+    };
+  }
+  if (errorMessage.includes('PARSE_FAILED')) {
+    return {
+      status: 422,
+      error: 'PARSE_FAILED',
+      message_cs: 'Nepodařilo se analyzovat obsah webu. Zkuste to prosím znovu později.',
+    };
+  }
+  return {
+    status: 500,
+    error: 'CRAWL_ERROR',
+    message_cs: 'Při analýze webu došlo k chybě. Zkuste to prosím znovu později.',
+  };
+}
+
+async function updateJob(jobId, fields) {
+  const { error } = await supabase
+    .from('import_jobs')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', jobId);
+  if (error) console.error('[IMPORT_JOB] Error updating job', jobId, error);
+}
+
+async function findActiveJob(businessId) {
+  return supabase
+    .from('import_jobs')
+    .select('*')
+    .eq('business_id', businessId)
+    .in('status', ACTIVE_STATUSES)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+}
+
+/**
+ * Queue a website import. A business has at most one active job (unique index import_jobs_one_active_idx)
+ * – a second request returns it.
+ * @param {Object} params
+ * @param {string} params.businessId
+ * @param {string} params.url - Normalized website URL
+ * @param {string|null} [params.userId]
+ * @param {'apply'|'preview'|'recrawl'} [params.mode] - 'preview': only compute what would change (import review),
+ *   'recrawl': incremental re-crawl of the imported website (url = its kb_sources.source_url)
+ * @returns {Promise<{ok: boolean, job?: Object, existing?: boolean, error?: any}>}
+ */
+export async function createImportJob({ businessId, url, userId = null, mode = 'apply' }) {
+  const { data: active, error: activeError } = await findActiveJob(businessId);
+
+  if (activeError) {
+    console.error('[IMPORT_JOB] Error checking active jobs:', activeError);
+    return { ok: false, error: activeError };
+  }
+  if (active) {
+    return { ok: true, job: active, existing: true };
+  }
+
+  const { data: job, error } = await supabase
+    .from('import_jobs')
+    .insert({ business_id: businessId, url, mode, created_by: userId })
+    .select('*')
+    .single();
+
+  if (error?.code === '23505') {
+    // A concurrent request (double click) queued its job first
+    const { data: existing } = await findActiveJob(businessId);
+    if (existing) return { ok: true, job: existing, existing: true };
+  }
+  if (error) {
+    console.error('[IMPORT_JOB] Error creating job:', error);
+    return { ok: false, error };
+  }
+
+  console.log('[IMPORT_JOB] Queued', { jobId: job.id, businessId, url, mode });
+  setImmediate(() => processImportJobs().catch((err) => console.error('[IMPORT_JOB] Worker failed:', err.message)));
+  return { ok: true, job, existing: false };
+}
+
+/**
+ * One import job of a business, or null.
+ */
+export async function getImportJob(businessId, jobId) {
+  const { data, error } = await supabase
+    .from('import_jobs')
+    .select('*')
+    .eq('id', jobId)
+    .eq('business_id', businessId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[IMPORT_JOB] Error loading job:', error);
+    return { ok: false, error };
+  }
+  return { ok: true, job: data || null };
+}
+
+/**
+ * Latest import jobs of a business (newest first).
+ */
+export async function listImportJobs(businessId, limit = 10) {
+  const { data, error } = await supabase
+    .from('import_jobs')
+    .select('*')
+    .eq('business_id', businessId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    console.error('[IMPORT_JOB] Error listing jobs:', error);
+    return { ok: false, error };
+  }
+  return { ok: true, jobs: data || [] };
+}
+
+async function claimNextJob() {
+  const staleBefore = new Date(Date.now() - STALE_MINUTES * 60 * 1000).toISOString();
+  const { data: candidates, error } = await supabase
+    .from('import_jobs')
+    .select('*')
+    .or(`status.eq.queued,and(status.eq.running,updated_at.lt.${staleBefore})`)
+    .order('created_at', { ascending: true })
+    .limit(5);
+
+  if (error) {
+    console.error('[IMPORT_JOB] Error loading queued jobs:', error);
+    return null;
+  }
+
+  for (const candidate of candidates || []) {
+    if (candidate.attempts >= MAX_ATTEMPTS) {
+      await updateJob(candidate.id, {
+        status: 'failed',
+        error: 'INTERRUPTED',
+        error_message_cs: 'Import byl opakovaně přerušen. Spusťte ho prosím znovu.',
+        finished_at: new Date().toISOString(),
+      });
+      continue;
+    }
+
+    // Optimistic lock: only one worker (instance) gets the job
+    const now = new Date().toISOString();
+    const { data: claimed } = await supabase
+      .from('import_jobs')
+      .update({
+        status: 'running',
+        phase: 'starting',
+        attempts: candidate.attempts + 1,
+        pages_done: 0,
+        pages_total: null,
+        started_at: now,
+        updated_at: now,
+      })
+      .eq('id', candidate.id)
+      .eq('status', candidate.status)
+      .eq('updated_at', candidate.updated_at)
+      .select('*')
+      .maybeSingle();
+
+    if (claimed) {
+      if (candidate.status === 'running') {
+        console.warn('[IMPORT_JOB] Resuming interrupted job', { jobId: claimed.id, attempt: claimed.attempts });
+      }
+      return claimed;
+    }
+  }
+  return null;
+}
+
+async function failJob(job, failure, err) {
+  console.error('[IMPORT_JOB] Failed', { jobId: job.id, error: failure.error, message: err?.message || err });
+  await updateJob(job.id, {
+    status: 'failed',
+    error: failure.error,
+    error_message_cs: failure.message_cs,
+    finished_at: new Date().toISOString(),
+  });
+}
+
+function summarizeImport(importedData) {
+  return {
+    name: importedData.profile?.name || null,
+    servicesCount: importedData.services?.length || 0,
+    hasOpeningHours: importedData.openingHours?.some((oh) => !oh.closed) || false,
+    locationsCount: importedData.locations?.length || 0,
+  };
+}
+
+async function finishPreviewJob(job, importedData) {
+  let review;
+  try {
+    await updateJob(job.id, { phase: 'comparing' });
+    const current = await loadCurrentBusinessData(job.business_id);
+    const preview = buildImportPreview(current, importedData);
+    const saved = await saveImportReview({
+      businessId: job.business_id,
+      importedData,
+      diff: summarizeImportPreview(preview),
+      kind: 'preview',
+      preview,
+    });
+    if (saved.error) throw saved.error;
+    review = saved.review;
+  } catch (previewError) {
+    return failJob(job, {
+      error: 'SAVE_ERROR',
+      message_cs: 'Data byla načtena, ale náhled změn se nepodařilo připravit. Zkuste to prosím znovu.',
+    }, previewError);
+  }
+
+  const summary = { ...summarizeImport(importedData), changes: review.preview.counts };
+  await updateJob(job.id, {
+    status: 'succeeded',
+    phase: 'done',
+    review_id: review.id,
+    summary,
+    finished_at: new Date().toISOString(),
+  });
+  console.log('[IMPORT_JOB] Preview ready', { jobId: job.id, reviewId: review.id, ...summary.changes });
+}
+
+async function runRecrawlJob(job, onProgress) {
+  let result;
+  try {
+    result = await recrawlBusinessWebsite(job.business_id, { onProgress });
+  } catch (crawlError) {
+    return { failure: describeImportError(crawlError), err: crawlError };
+  }
+
+  if (!result.ok) {
+    return {
+      failure: {
+        error: result.error,
+        message_cs: result.error === 'NO_WEB_SOURCE'
+          ? 'Web zatím nebyl importován. Nejdřív ho načtěte přes import z webu.'
+          : 'Omlouvám se, kontrolu webu se nepodařilo dokončit.',
+      },
+      err: result.error,
+    };
+  }
+
+  return {
+    fields: {
+      review_id: result.review?.id || null,
+      summary: { changed: result.changed, crawlChanges: result.crawl || null },
+    },
+  };
+}
+
+async function runImportJob(job) {
+  console.log('[IMPORT_JOB] Running', { jobId: job.id, businessId: job.business_id, url: job.url, mode: job.mode });
+
+  // Progress writes are chained, so a late one can't overwrite the final status / phase
+  let progressWrites = Promise.resolve();
+  const onProgress = ({ phase, pagesDone, pagesTotal }) => {
+    const fields = { phase };
+    if (pagesDone !== undefined) fields.pages_done = pagesDone;
+    if (pagesTotal !== undefined) fields.pages_total = pagesTotal;
+    progressWrites = progressWrites.then(() => updateJob(job.id, fields));
+    return progressWrites;
+  };
+
+  if (job.mode === RECRAWL_JOB_MODE) {
+    const { failure, err, fields } = await runRecrawlJob(job, onProgress);
+    await progressWrites;
+    if (failure) return failJob(job, failure, err);
+    await updateJob(job.id, { status: 'succeeded', phase: 'done', ...fields, finished_at: new Date().toISOString() });
+    console.log('[IMPORT_JOB] Re-crawl finished', { jobId: job.id, changed: fields.summary.changed });
+    return;
+  }
+
+  let importedData;
+  try {
+    importedData = await crawlBusinessWebsite(job.url, {
+      businessId: job.business_id,
+      supabase,
+      openai,
+      chunkText,
+      cleanText,
+      onProgress,
+    });
+  } catch (crawlError) {
+    await progressWrites;
+    return failJob(job, describeImportError(crawlError), crawlError);
+  }
+  await progressWrites;
+
+  if (job.mode === 'preview') {
+    return finishPreviewJob(job, importedData);
+  }
+
+  try {
+    await updateJob(job.id, { phase: 'applying' });
+    await applyImportedBusinessData(supabase, job.business_id, importedData);
+  } catch (applyError) {
+    return failJob(job, {
+      error: 'SAVE_ERROR',
+      message_cs: 'Data byla načtena, ale nepodařilo se je uložit. Zkuste to prosím znovu.',
+    }, applyError);
+  }
+
+  const summary = summarizeImport(importedData);
+  await updateJob(job.id, { status: 'succeeded', phase: 'done', summary, finished_at: new Date().toISOString() });
+  console.log('[IMPORT_JOB] Succeeded', { jobId: job.id, ...summary });
+}
+
+let processing = false;
+
+/**
+ * Run queued (and interrupted) import jobs one by one until none is left.
+ */
+export async function processImportJobs() {
+  if (processing) return;
+  processing = true;
+  try {
+    let job;
+    while ((job = await claimNextJob())) {
+      await runImportJob(job);
+    }
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Start the import job worker: picks up jobs left from before a restart shortly after start,
+ * then polls every IMPORT_JOB_POLL_SECONDS (default 30) for jobs queued by other instances.
+ * @returns {NodeJS.Timeout} Interval handle (unref'd)
+ */
+export function startImportJobWorker({
+  pollSeconds = Number(process.env.IMPORT_JOB_POLL_SECONDS) || 30,
+} = {}) {
+  const tick = () => processImportJobs().catch((err) => console.error('[IMPORT_JOB] Worker failed:', err.message));
+
+  setTimeout(tick, 5 * 1000).unref();
+  const handle = setInterval(tick, pollSeconds * 1000);
+  handle.unref();
+  console.log(`[IMPORT_JOB] Worker started (poll every ${pollSeconds} s)`);
+  return handle;
+}
@@ -0,0 +1,263 @@
+import { makeSlugFromName } from './importFromWeb.js';
+
+// Import preview (dry run): what applyImportedBusinessData() would do with each row, before anything is saved.
+//
+// A preview job (POST /api/onboarding/import_from_web with mode "preview", lib/importJobs.js) stores the
+// extracted data as a pending import_reviews row of kind "preview" together with buildImportPreview().
+// The owner deselects services / hours / profile fields / branches and accepts the review with a selection;
+// selectImportedData() then drops everything not selected before applyImportedBusinessData() runs.
+// The review's diff (changes only, shown for re-crawls) is summarizeImportPreview() of the same preview,
+// so both views always agree on what an import changes.
+
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const PROFILE_FIELDS = { name: 'name', address: 'address', phone: 'phone', email: 'email', website: 'website_url' };
+const SELECTION_KEYS = ['services', 'openingHours', 'profile', 'locations'];
+
+function normalizeValue(value) {
+  if (value === undefined || value === '') return null;
+  return typeof value === 'string' ? value.trim() || null : value;
+}
+
+function sameValue(a, b) {
+  const left = normalizeValue(a);
+  const right = normalizeValue(b);
+  if (left === null || right === null) return left === right;
+  if (typeof left === 'number' || typeof right === 'number') return Number(left) === Number(right);
+  return String(left) === String(right);
+}
+
+function toHHMM(time) {
+  return time ? String(time).slice(0, 5) : null;
+}
+
+function serviceSlug(service, index) {
+  return makeSlugFromName(service.name || `Služba z webu ${index + 1}`) || `service-${index + 1}`;
+}
+
+function locationSlug(location) {
+  return makeSlugFromName(location.name || location.address);
+}
+
+/**
+ * Field-level diff: per change, 'before' (current value) and 'after' (value the import would save).
+ * Returns null when nothing differs.
+ */
+function diffFields(current, next, fields) {
+  const changes = {};
+  for (const [key, column] of fields) {
+    if (!sameValue(current[column], next[key])) {
+      changes[key] = { before: current[column] ?? null, after: next[key] ?? null };
+    }
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * What applyImportedBusinessData() would do, row by row: 'create', 'update' (with the changed fields)
+ * or 'unchanged'. Current rows missing from the import are listed as 'unchanged' with inImport=false –
+ * the import never deletes services, hours or branches.
+ * @param {{profile: Object|null, services: Array<Object>, openingHours: Array<Object>, locations: Array<Object>}} current - DB rows
+ * @param {import('./importFromWeb.js').ImportedBusinessData} imported
+ * @returns {{services: Array<Object>, openingHours: Array<Object>, profile: Array<Object>, locations: Array<Object>, counts: {create: number, update: number, unchanged: number}}}
+ */
+export function buildImportPreview(current, imported) {
+  const serviceFields = [
+    ['priceFrom', 'price_from'],
+    ['priceTo', 'price_to'],
+    ['durationMinutes', 'duration_minutes'],
+    ['description', 'description'],
+  ];
+
+  // Same dedupe as applyImportedBusinessData: the last service with a slug wins
+  const importedServices = new Map();
+  (imported.services || []).forEach((service, index) => {
+    const slug = serviceSlug(service, index);
+    importedServices.set(slug, {
+      name: service.name || `Služba z webu ${index + 1}`,
+      priceFrom: service.priceFrom ?? null,
+      priceTo: service.priceTo ?? null,
+      durationMinutes: service.durationMinutes ?? null,
+      description: service.description ?? null,
+    });
+  });
+
+  const currentServices = new Map((current.services || []).map((row) => [row.slug, row]));
+  const services = [];
+  for (const [slug, next] of importedServices) {
+    const existing = currentServices.get(slug);
+    if (!existing) {
+      services.push({ slug, name: next.name, action: 'create', inImport: true, after: next });
+      continue;
+    }
+    const fields = diffFields(existing, next, serviceFields);
+    const before = Object.fromEntries(serviceFields.map(([key, column]) => [key, existing[column] ?? null]));
+    services.push({ slug, name: next.name, action: fields ? 'update' : 'unchanged', inImport: true, fields, before, after: next });
+  }
+  for (const [slug, row] of currentServices) {
+    if (!importedServices.has(slug)) {
+      services.push({ slug, name: row.name, action: 'unchanged', inImport: false, fields: null });
+    }
+  }
+
+  // Days without opening / closing time are not written (closed days keep their current row)
+  const importedHours = new Map(
+    (imported.openingHours || [])
+      .filter((hours) => hours?.opensAt && hours?.closesAt)
+      .map((hours) => [hours.weekday, { opensAt: toHHMM(hours.opensAt), closesAt: toHHMM(hours.closesAt) }])
+  );
+  const currentHours = new Map((current.openingHours || []).map((row) => [row.weekday, row]));
+  const openingHours = WEEKDAYS.filter((weekday) => importedHours.has(weekday) || currentHours.has(weekday)).map((weekday) => {
+    const existing = currentHours.get(weekday);
+    const before = existing ? { opensAt: toHHMM(existing.opens_at), closesAt: toHHMM(existing.closes_at) } : null;
+    const after = importedHours.get(weekday) || null;
+    if (!after) return { weekday, action: 'unchanged', inImport: false, before, after: null };
+    if (!before) return { weekday, action: 'create', inImport: true, before: null, after };
+    const same = before.opensAt === after.opensAt && before.closesAt === after.closesAt;
+    return { weekday, action: same ? 'unchanged' : 'update', inImport: true, before, after };
+  });
+
+  // Profile fields are only overwritten with non-empty values (coalesce in applyImportedBusinessData);
+  // an existing name is kept unless it looks generic, which is decided when applying
+  const importedProfile = imported.profile || {};
+  const profile = Object.entries(PROFILE_FIELDS).map(([field, column]) => {
+    const before = current.profile?.[column] ?? null;
+    const after = normalizeValue(importedProfile[field]);
+    if (!after) return { field, action: 'unchanged', inImport: false, before, after: null };
+    if (!normalizeValue(before)) return { field, action: 'create', inImport: true, before: null, after };
+    if (field === 'name' || sameValue(before, after)) return { field, action: 'unchanged', inImport: true, before, after };
+    return { field, action: 'update', inImport: true, before, after };
+  });
+
+  const currentLocations = new Map((current.locations || []).map((row) => [row.slug, row]));
+  const importedLocations = new Map();
+  for (const location of imported.locations || []) {
+    if (!location || !(location.name || location.address)) continue;
+    const slug = locationSlug(location);
+    if (slug) importedLocations.set(slug, { name: location.name || location.address, address: location.address ?? null });
+  }
+  const locations = [];
+  for (const [slug, next] of importedLocations) {
+    const existing = currentLocations.get(slug);
+    if (!existing) {
+      locations.push({ slug, name: next.name, action: 'create', inImport: true, after: next });
+      continue;
+    }
+    const fields = diffFields(existing, next, [['address', 'address']]);
+    locations.push({ slug, name: next.name, action: fields ? 'update' : 'unchanged', inImport: true, fields });
+  }
+  for (const [slug, row] of currentLocations) {
+    if (!importedLocations.has(slug)) {
+      locations.push({ slug, name: row.name || slug, action: 'unchanged', inImport: false, fields: null });
+    }
+  }
+
+  const counts = { create: 0, update: 0, unchanged: 0 };
+  for (const item of [...services, ...openingHours, ...profile, ...locations]) {
+    counts[item.action] += 1;
+  }
+
+  return { services, openingHours, profile, locations, counts };
+}
+
+/**
+ * Changes only, as stored in import_reviews.diff: new services, price changes, other service changes,
+ * opening hours, profile fields, new and changed branches.
+ * @param {ReturnType<typeof buildImportPreview>} preview
+ * @returns {{newServices: Array<Object>, priceChanges: Array<Object>, changedServices: Array<Object>, openingHours: Array<Object>, profile: Array<Object>, newLocations: Array<Object>, changedLocations: Array<Object>, hasChanges: boolean}}
+ */
+export function summarizeImportPreview(preview) {
+  const newServices = [];
+  const priceChanges = [];
+  const changedServices = [];
+  for (const { slug, name, action, fields, before, after } of preview.services) {
+    if (action === 'create') {
+      newServices.push({ slug, name, priceFrom: after.priceFrom, priceTo: after.priceTo, durationMinutes: after.durationMinutes });
+      continue;
+    }
+    if (action !== 'update') continue;
+
+    const { priceFrom, priceTo, ...otherFields } = fields;
+    if (priceFrom || priceTo) {
+      priceChanges.push({
+        slug,
+        name,
+        before: { priceFrom: before.priceFrom, priceTo: before.priceTo },
+        after: { priceFrom: after.priceFrom, priceTo: after.priceTo },
+      });
+    }
+    if (Object.keys(otherFields).length > 0) changedServices.push({ slug, name, fields: otherFields });
+  }
+
+  const changed = (items) => items.filter((item) => item.action === 'create' || item.action === 'update');
+  const openingHours = changed(preview.openingHours).map(({ weekday, before, after }) => ({ weekday, before, after }));
+  const profile = changed(preview.profile).map(({ field, before, after }) => ({ field, before, after }));
+  const newLocations = preview.locations
+    .filter((item) => item.action === 'create')
+    .map(({ slug, name, after }) => ({ slug, name, address: after.address }));
+  const changedLocations = preview.locations
+    .filter((item) => item.action === 'update')
+    .map(({ slug, name, fields }) => ({ slug, name, fields }));
+
+  return {
+    newServices,
+    priceChanges,
+    changedServices,
+    openingHours,
+    profile,
+    newLocations,
+    changedLocations,
+    hasChanges: preview.counts.create + preview.counts.update > 0,
+  };
+}
+
+/**
+ * Validate the selection of an accepted preview: optional arrays of strings
+ * (services / locations: slugs, openingHours: weekdays, profile: field names).
+ * @returns {{ok: boolean, selection?: Object|null, error?: string}}
+ */
+export function parseImportSelection(body) {
+  const selection = {};
+  for (const key of SELECTION_KEYS) {
+    const value = body?.[key];
+    if (value === undefined || value === null) continue;
+    if (!Array.isArray(value) || value.some((item) => typeof item !== 'string')) {
+      return { ok: false, error: `${key} must be an array of strings` };
+    }
+    selection[key] = value;
+  }
+  return { ok: true, selection: Object.keys(selection).length > 0 ? selection : null };
+}
+
+/**
+ * Keep only the selected part of imported data. A missing key keeps everything of that kind,
+ * an empty array nothing. Deselected profile fields are emptied, so the current values stay.
+ * @param {import('./importFromWeb.js').ImportedBusinessData} imported
+ * @param {{services?: string[], openingHours?: string[], profile?: string[], locations?: string[]}|null} selection
+ * @returns {import('./importFromWeb.js').ImportedBusinessData}
+ */
+export function selectImportedData(imported, selection) {
+  if (!selection) return imported;
+
+  const pick = (key, keyOf) => {
+    const items = imported[key] || [];
+    if (!selection[key]) return items;
+    const selected = new Set(selection[key]);
+    return items.filter((item, index) => item && selected.has(keyOf(item, index)));
+  };
+
+  const profile = { ...(imported.profile || {}) };
+  if (selection.profile) {
+    const selected = new Set(selection.profile);
+    for (const field of Object.keys(PROFILE_FIELDS)) {
+      if (!selected.has(field)) profile[field] = null;
+    }
+  }
+
+  return {
+    ...imported,
+    profile,
+    services: pick('services', serviceSlug),
+    openingHours: pick('openingHours', (hours) => hours.weekday),
+    locations: pick('locations', (location) => locationSlug(location)),
+  };
+}
@@ -0,0 +1,96 @@
+import { supabase } from './supabaseClient.js';
+import { applyImportedBusinessData } from './importFromWeb.js';
+import { loadCurrentBusinessData, saveImportReview } from './webRecrawl.js';
+import { buildImportPreview, summarizeImportPreview } from './importPreview.js';
+import { parseGoogleBusinessProfile } from './googleBusinessImport.js';
+import { parseFacebookPage } from './facebookImport.js';
+import { parseBookingPlatformListing } from './bookingPlatformImport.js';
+
+// Import from sources other than the salon's website. Each adapter maps an exported JSON or saved HTML page
+// to the same ImportedBusinessData as crawlBusinessWebsite(), so the data is merged by
+// applyImportedBusinessData() (upsert by slug / weekday, profile fields only filled in) or, in preview
+// mode, stored as an import review (lib/importPreview.js) to be accepted in part.
+
+export const IMPORT_SOURCES = ['google_business', 'facebook', 'fresha', 'reservio'];
+
+const SOURCE_PARSERS = {
+  google_business: parseGoogleBusinessProfile,
+  facebook: parseFacebookPage,
+  fresha: parseBookingPlatformListing,
+  reservio: parseBookingPlatformListing,
+};
+
+/**
+ * Export content as the adapters take it: parsed JSON (object / array) or an HTML string.
+ * @param {Object|Array|string} content - JSON object, JSON text or HTML
+ * @returns {Object|Array|string}
+ */
+function decodeContent(content) {
+  if (content && typeof content === 'object') return content;
+  const text = typeof content === 'string' ? content.trim() : '';
+  if (text.startsWith('{') || text.startsWith('[')) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw new Error('PARSE_FAILED: content is not valid JSON');
+    }
+  }
+  if (text.includes('<')) return text;
+  throw new Error('PARSE_FAILED: content is neither JSON nor HTML');
+}
+
+/**
+ * Map an export of an external source to ImportedBusinessData.
+ * Throws INVALID_SOURCE (unknown source) or PARSE_FAILED (unreadable content or nothing found).
+ * @param {string} source - One of IMPORT_SOURCES
+ * @param {Object|Array|string} content - Exported JSON (object or text) or saved HTML page
+ * @returns {import('./importFromWeb.js').ImportedBusinessData}
+ */
+export function parseImportSource(source, content) {
+  const parse = SOURCE_PARSERS[source];
+  if (!parse) {
+    throw new Error(`INVALID_SOURCE: unknown import source "${source}"`);
+  }
+
+  const data = parse(decodeContent(content));
+  if (!data.profile.name && data.services.length === 0 && data.openingHours.length === 0) {
+    throw new Error('PARSE_FAILED: no business name, services or opening hours found');
+  }
+
+  console.log(
+    `[IMPORT_SOURCE] Parsed ${source}: name=${data.profile.name || '-'} services=${data.services.length} openingHours=${data.openingHours.length} locations=${data.locations.length}`
+  );
+  return data;
+}
+
+/**
+ * Import an external source into the business: merge it right away (mode 'apply') or prepare
+ * a pending import review with the per-row preview (mode 'preview').
+ * Parse errors are thrown (see parseImportSource); DB errors of apply are thrown as well.
+ * @param {Object} params
+ * @param {string} params.businessId
+ * @param {string} params.source - One of IMPORT_SOURCES
+ * @param {Object|Array|string} params.content
+ * @param {'apply'|'preview'} [params.mode]
+ * @returns {Promise<{ok: boolean, importedData?: Object, review?: Object, error?: string}>}
+ */
+export async function importFromSource({ businessId, source, content, mode = 'apply' }) {
+  const importedData = parseImportSource(source, content);
+
+  if (mode === 'preview') {
+    const current = await loadCurrentBusinessData(businessId);
+    const preview = buildImportPreview(current, importedData);
+    const { review, error } = await saveImportReview({
+      businessId,
+      importedData,
+      diff: summarizeImportPreview(preview),
+      kind: 'preview',
+      preview,
+    });
+    if (error) return { ok: false, error: 'DB_ERROR' };
+    return { ok: true, importedData, review };
+  }
+
+  await applyImportedBusinessData(supabase, businessId, importedData);
+  return { ok: true, importedData };
+}
@@ -0,0 +1,158 @@
+import fetch from 'node-fetch';
+import { supabase } from './supabaseClient.js';
+import { combineDateTime } from './dateUtils.js';
+import { parseIcsEvents, busyIntervalsFromEvents } from './icalendar.js';
+
+// Internal (DB-only) calendar provider: the bookings table is the calendar.
+// Same functions and return shapes as lib/googleCalendar.js; selected via lib/calendarProvider.js.
+//
+// Busy time = active bookings of the business (narrowed to the staff member / location the
+// settings were scoped to by settingsForStaff() / settingsForLocation()), plus – optionally –
+// a read-only ICS feed (iva_settings.calendar_ics_url, e.g. a shared Outlook/Apple calendar).
+// Recurring events (RRULE) in the ICS feed are not expanded.
+
+const ACTIVE_STATUSES = ['confirmed', 'rescheduled'];
+const ICS_TIMEOUT_MS = 15000;
+const TZ = 'Europe/Prague';
+
+function bookingInterval(row) {
+  const start = combineDateTime(row.date, String(row.time || '').slice(0, 5));
+  if (!start) return null;
+  return { start, end: start.plus({ minutes: row.duration_minutes || 60 }) };
+}
+
+/**
+ * Active bookings overlapping [start, end) as busy intervals.
+ */
+async function getBookingBusyIntervals({ start, end, businessId, excludeBookingId }, settings) {
+  let query = supabase
+    .from('bookings')
+    .select('id, date, time, duration_minutes')
+    .eq('business_id', businessId)
+    .in('status', ACTIVE_STATUSES)
+    .gte('date', start.setZone(TZ).minus({ days: 1 }).toISODate())
+    .lte('date', end.setZone(TZ).toISODate());
+
+  if (settings?.calendar_staff_id) {
+    query = query.eq('staff_id', settings.calendar_staff_id);
+  } else if (settings?.calendar_location_id) {
+    query = query.eq('location_id', settings.calendar_location_id);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    console.error('[INTCAL] Error loading bookings:', error);
+    return { ok: false, busy: [], reason: 'DB_ERROR', error };
+  }
+
+  const busy = (data || [])
+    .filter((row) => row.id !== excludeBookingId)
+    .map(bookingInterval)
+    .filter((interval) => interval && interval.start < end && interval.end > start)
+    .map((interval) => ({ start: interval.start.toISO(), end: interval.end.toISO() }));
+
+  return { ok: true, busy };
+}
+
+/**
+ * Busy intervals from the read-only ICS feed (empty when no feed is configured).
+ */
+async function getIcsFeedBusyIntervals({ start, end }, settings) {
+  const url = settings?.calendar_ics_url;
+  if (!url) return { ok: true, busy: [] };
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), ICS_TIMEOUT_MS);
+
+  try {
+    const res = await fetch(url.replace(/^webcal:/i, 'https:'), { signal: controller.signal });
+    if (!res.ok) {
+      console.error('[INTCAL] ICS feed request failed:', res.status);
+      return { ok: false, busy: [], reason: 'API_ERROR' };
+    }
+    return { ok: true, busy: busyIntervalsFromEvents(parseIcsEvents(await res.text()), { start, end }) };
+  } catch (err) {
+    console.error('[INTCAL] Error loading ICS feed:', err.message);
+    return { ok: false, busy: [], reason: 'API_ERROR', error: err };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Busy intervals for a whole range (bookings + ICS feed).
+ * @param {Object} range
+ * @param {DateTime} range.start
+ * @param {DateTime} range.end
+ * @param {string} [range.businessId] - Defaults to settings.business_id
+ * @param {string} [range.excludeBookingId] - Booking being rescheduled (does not block itself)
+ * @param {Object} settings - IVA settings (business_id, calendar_ics_url, calendar_staff_id, calendar_location_id)
+ * @returns {Promise<{ok: boolean, busy: Array<{start: string, end: string}>, reason?: string, error?: Error}>}
+ */
+export async function getBusyIntervals({ start, end, businessId = null, excludeBookingId = null }, settings) {
+  const tenantId = businessId || settings?.business_id || null;
+  if (!tenantId) {
+    console.warn('[INTCAL] getBusyIntervals: missing business id');
+    return { ok: false, busy: [], reason: 'MISSING_CONFIG' };
+  }
+
+  const [bookings, feed] = await Promise.all([
+    getBookingBusyIntervals({ start, end, businessId: tenantId, excludeBookingId }, settings),
+    getIcsFeedBusyIntervals({ start, end }, settings),
+  ]);
+
+  if (!bookings.ok) return bookings;
+  if (!feed.ok) {
+    // A broken feed must not block bookings – the bookings table is the source of truth
+    console.warn('[INTCAL] ICS feed unavailable, using bookings only');
+  }
+
+  const busy = [...bookings.busy, ...feed.busy];
+  console.log('[INTCAL] Busy intervals result', { busyCount: busy.length });
+  return { ok: true, busy };
+}
+
+/**
+ * Checks if a time slot is free (no overlapping booking / feed event).
+ * @param {Object} booking - { business_id, date, time, duration_minutes, exclude_booking_id? }
+ * @param {Object} settings - IVA settings
+ * @returns {Promise<{ok: boolean, available: boolean, reason?: string, busy?: Array, error?: Error}>}
+ */
+export async function isSlotAvailable(booking, settings) {
+  const startDt = combineDateTime(booking.date, booking.time);
+  if (!startDt) {
+    return { ok: false, available: false, reason: 'INVALID_DATE' };
+  }
+  const endDt = startDt.plus({ minutes: booking.duration_minutes || 30 });
+
+  const result = await getBusyIntervals(
+    {
+      start: startDt,
+      end: endDt,
+      businessId: booking.business_id || null,
+      excludeBookingId: booking.exclude_booking_id || null,
+    },
+    settings
+  );
+  if (!result.ok) {
+    return { ok: false, available: false, reason: result.reason, error: result.error };
+  }
+
+  return { ok: true, available: result.busy.length === 0, busy: result.busy };
+}
+
+/**
+ * No external event – the booking row itself is the calendar entry.
+ * @returns {Promise<null>}
+ */
+export async function createCalendarEvent() {
+  return null;
+}
+
+export async function cancelCalendarEvent() {
+  return null;
+}
+
+export async function rescheduleCalendarEvent() {
+  return null;
+}
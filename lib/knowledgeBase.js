@@ -0,0 +1,214 @@
+import OpenAI from 'openai';
+import { supabase } from './supabaseClient.js';
+import { normalizeForMatch } from '../utils/textUtils.js';
+
+// Knowledge-base search over kb_chunks (written by crawlers/playwrightCrawler.js).
+//
+// - Semantic: chunks get an OpenAI embedding at import time (embedSourceChunks), the query is embedded
+//   and matched by the match_kb_chunks RPC (pgvector, sql/2026-10-kb-embeddings.sql).
+// - Lexical fallback: when embeddings are unavailable (no OPENAI_API_KEY, migration not applied,
+//   chunks imported before it, OpenAI error), the tenant's chunks are ranked by matching query terms.
+
+const EMBEDDING_MODEL = process.env.KB_EMBEDDING_MODEL || 'text-embedding-3-small';
+const EMBEDDING_BATCH_SIZE = 64;
+const MIN_SIMILARITY = Number(process.env.KB_MIN_SIMILARITY) || 0.25;
+const LEXICAL_MAX_CHUNKS = 2000;
+const MAX_TOP_K = 10;
+
+// Question words and fillers that say nothing about the content
+const STOP_WORDS = new Set([
+  'jak', 'jake', 'jaka', 'jaky', 'kde', 'kdy', 'kolik', 'mate', 'mame', 'muzu', 'muzete', 'prosim',
+  'chci', 'chtel', 'chtela', 'bych', 'jsou', 'neni', 'nebo', 'pro', 'pri', 'ktery', 'ktera', 'ktere', 'taky',
+  'take', 'tak', 'ten', 'tam', 'tady', 'vas', 'vam', 'nas', 'dobry', 'den', 'dekuji', 'stoji', 'the', 'and',
+]);
+
+const openai = new OpenAI({
+  apiKey: process.env.OPENAI_API_KEY
+});
+
+function embeddingsAvailable() {
+  return Boolean(process.env.OPENAI_API_KEY);
+}
+
+async function embedTexts(texts) {
+  const response = await openai.embeddings.create({ model: EMBEDDING_MODEL, input: texts });
+  return response.data.sort((a, b) => a.index - b.index).map((item) => item.embedding);
+}
+
+/**
+ * Generate embeddings for the chunks of a kb_source that do not have one yet.
+ * Never throws – without embeddings kb_search falls back to lexical search.
+ * @param {string} sourceId - kb_sources.id
+ * @returns {Promise<{ok: boolean, embedded: number, error?: any}>}
+ */
+export async function embedSourceChunks(sourceId) {
+  if (!embeddingsAvailable()) {
+    console.warn('[KB] OPENAI_API_KEY not set – skipping chunk embeddings (lexical kb_search only)');
+    return { ok: false, embedded: 0, error: 'EMBEDDINGS_NOT_CONFIGURED' };
+  }
+
+  try {
+    const { data: chunks, error } = await supabase
+      .from('kb_chunks')
+      .select('id, text, content')
+      .eq('source_id', sourceId)
+      .is('embedding', null);
+
+    if (error) {
+      console.error('[KB] Error loading chunks to embed (migration applied?):', error);
+      return { ok: false, embedded: 0, error };
+    }
+
+    let embedded = 0;
+    for (let i = 0; i < (chunks || []).length; i += EMBEDDING_BATCH_SIZE) {
+      const batch = chunks.slice(i, i + EMBEDDING_BATCH_SIZE);
+      const vectors = await embedTexts(batch.map((chunk) => chunk.content || chunk.text || ''));
+
+      const results = await Promise.all(
+        batch.map((chunk, j) =>
+          supabase
+            .from('kb_chunks')
+            .update({ embedding: vectors[j], embedding_model: EMBEDDING_MODEL })
+            .eq('id', chunk.id)
+        )
+      );
+      const failed = results.find((result) => result.error);
+      if (failed) {
+        console.error('[KB] Error saving chunk embeddings:', failed.error);
+        return { ok: false, embedded, error: failed.error };
+      }
+      embedded += batch.length;
+    }
+
+    console.log(`[KB] Embedded ${embedded} chunks for source ${sourceId}`);
+    return { ok: true, embedded };
+  } catch (err) {
+    console.error('[KB] Error generating chunk embeddings:', err);
+    return { ok: false, embedded: 0, error: err };
+  }
+}
+
+/**
+ * Search terms of a question: lowercase without diacritics, without stop words, cut to a stem
+ * so Czech inflections match ("střihu" / "střih" → "stri").
+ */
+export function extractSearchTerms(query) {
+  const words = normalizeForMatch(query).split(/[^a-z0-9]+/);
+  const terms = new Set();
+  for (const word of words) {
+    if (word.length < 3 || STOP_WORDS.has(word)) continue;
+    terms.add(word.length > 5 ? word.slice(0, Math.max(4, word.length - 2)) : word);
+  }
+  return [...terms];
+}
+
+/**
+ * Rank chunks by the query terms they contain (rarer terms weigh more, title hits count half).
+ * @param {string} query
+ * @param {Array<{text: string, title?: string|null, source_url?: string|null}>} chunks
+ * @param {number} topK
+ * @returns {Array<{title: string|null, text: string, source_url: string|null, score: number}>}
+ */
+export function rankChunksLexically(query, chunks, topK) {
+  const terms = extractSearchTerms(query);
+  if (terms.length === 0 || chunks.length === 0) return [];
+
+  const docs = chunks.map((chunk) => ({
+    chunk,
+    body: normalizeForMatch(chunk.text),
+    title: normalizeForMatch(chunk.title),
+  }));
+
+  const weights = terms.map((term) => {
+    const df = docs.filter((doc) => doc.body.includes(term) || doc.title.includes(term)).length;
+    return Math.log(1 + docs.length / (df || 1));
+  });
+  const maxScore = weights.reduce((sum, w) => sum + w * 1.5, 0);
+
+  return docs
+    .map(({ chunk, body, title }) => {
+      let score = 0;
+      terms.forEach((term, i) => {
+        if (body.includes(term)) score += weights[i];
+        if (title.includes(term)) score += weights[i] * 0.5;
+      });
+      return {
+        title: chunk.title || null,
+        text: chunk.text,
+        source_url: chunk.source_url || null,
+        score: Math.round((score / maxScore) * 1000) / 1000,
+      };
+    })
+    .filter((result) => result.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+}
+
+async function searchSemantic(businessId, query, topK) {
+  const [queryEmbedding] = await embedTexts([query]);
+  const { data, error } = await supabase.rpc('match_kb_chunks', {
+    p_business_id: businessId,
+    p_query_embedding: queryEmbedding,
+    p_match_count: topK,
+  });
+  if (error) throw error;
+
+  return {
+    searched: (data || []).length > 0,
+    results: (data || [])
+      .filter((row) => row.similarity >= MIN_SIMILARITY)
+      .map((row) => ({
+        title: row.page_title || null,
+        text: row.text,
+        source_url: row.page_url || null,
+        score: Math.round(row.similarity * 1000) / 1000,
+      })),
+  };
+}
+
+async function searchLexical(businessId, query, topK) {
+  const { data, error } = await supabase
+    .from('kb_chunks')
+    .select('text, content, kb_pages ( url, title )')
+    .eq('business_id', businessId)
+    .limit(LEXICAL_MAX_CHUNKS);
+  if (error) throw error;
+
+  const chunks = (data || []).map((row) => ({
+    text: row.content || row.text || '',
+    title: row.kb_pages?.title || null,
+    source_url: row.kb_pages?.url || null,
+  }));
+  return rankChunksLexically(query, chunks, topK);
+}
+
+/**
+ * Top-k knowledge-base passages of a business for a question.
+ * @param {Object} params
+ * @param {string} params.businessId
+ * @param {string} params.query - Question in Czech
+ * @param {number} [params.topK] - 1–10, default 5
+ * @returns {Promise<{ok: boolean, mode?: 'semantic'|'lexical', results?: Array<{title: string|null, text: string, source_url: string|null, score: number}>, error?: any}>}
+ */
+export async function searchKnowledgeBase({ businessId, query, topK = 5 }) {
+  const k = Math.min(Math.max(parseInt(topK, 10) || 5, 1), MAX_TOP_K);
+
+  if (embeddingsAvailable()) {
+    try {
+      const semantic = await searchSemantic(businessId, query, k);
+      // No embedded chunks at all (imported before the migration) → lexical
+      if (semantic.searched) {
+        return { ok: true, mode: 'semantic', results: semantic.results };
+      }
+    } catch (err) {
+      console.warn('[KB] Semantic search unavailable, falling back to lexical:', err?.message || err);
+    }
+  }
+
+  try {
+    return { ok: true, mode: 'lexical', results: await searchLexical(businessId, query, k) };
+  } catch (err) {
+    console.error('[KB] Lexical search failed:', err);
+    return { ok: false, error: err };
+  }
+}
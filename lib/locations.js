@@ -0,0 +1,175 @@
+import { supabase } from './supabaseClient.js';
+import { buildWeeklyHours } from './availability.js';
+import { normalizeForMatch } from '../utils/textUtils.js';
+import { getBusinessPlan } from './usage.js';
+
+// Business locations / branches (see sql/2026-10-locations-tables.sql):
+// - locations: one row per branch (name, address, optional own google_calendar_id), fed by the web importer
+// - location_opening_hours: weekly hours per branch (no rows = business opening_hours apply)
+//
+// Businesses without location rows keep `bookings.location` as free text.
+
+/**
+ * Load active locations for a business, including their opening hours.
+ * @param {string} businessId - Business ID (UUID)
+ * @returns {Promise<{locations: Array<{id: string, name: string, slug: string, address: string|null, calendarId: string|null, openingHours: Object|null}>, error: any}>}
+ *   openingHours null = business opening hours apply.
+ */
+export async function getLocationsForBusiness(businessId) {
+  if (!businessId) {
+    return { locations: [], error: null };
+  }
+
+  const { data: rows, error } = await supabase
+    .from('locations')
+    .select('id, name, slug, address, google_calendar_id, created_at')
+    .eq('business_id', businessId)
+    .eq('is_active', true)
+    .order('name', { ascending: true });
+
+  if (error) {
+    console.error('[LOCATIONS] Error loading locations:', error);
+    return { locations: [], error };
+  }
+
+  if (!rows || rows.length === 0) {
+    return { locations: [], error: null };
+  }
+
+  const { data: hourRows, error: hoursError } = await supabase
+    .from('location_opening_hours')
+    .select('*')
+    .in('location_id', rows.map((row) => row.id));
+
+  if (hoursError) {
+    console.error('[LOCATIONS] Error loading location_opening_hours:', hoursError);
+  }
+
+  const locations = rows.map((row) => {
+    const own = (hourRows || []).filter((h) => h.location_id === row.id);
+    return {
+      id: row.id,
+      name: row.name,
+      slug: row.slug,
+      address: row.address || null,
+      calendarId: row.google_calendar_id || null,
+      openingHours: own.length > 0 ? buildWeeklyHours(own) : null,
+      createdAt: row.created_at || null,
+    };
+  });
+
+  return { locations, error: null };
+}
+
+/**
+ * Active locations IVA may book: the oldest ones up to the plan's location limit (lib/usage.js).
+ * Branches over the limit (e.g. added manually, or the plan was lowered) are left out.
+ * @param {string} businessId - Business ID (UUID)
+ * @returns {Promise<{locations: Array<Object>, error: any}>} Same shape as getLocationsForBusiness()
+ */
+export async function getBookableLocations(businessId) {
+  const result = await getLocationsForBusiness(businessId);
+  if (result.error || result.locations.length === 0) return result;
+
+  const { limits } = await getBusinessPlan(businessId);
+  if (limits.locations === null || result.locations.length <= limits.locations) return result;
+
+  const allowedIds = new Set(
+    [...result.locations]
+      .sort((a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || '')))
+      .slice(0, Math.max(limits.locations, 0))
+      .map((loc) => loc.id)
+  );
+  console.warn('[LOCATIONS] Plan allows', limits.locations, 'locations – using', allowedIds.size, 'of', result.locations.length, {
+    businessId,
+  });
+  return { locations: result.locations.filter((loc) => allowedIds.has(loc.id)), error: null };
+}
+
+/**
+ * Find a location by spoken/typed name ("Brno", "pobočka Vinohrady", part of the address).
+ * Diacritics-insensitive; exact name/slug match wins over partial matches.
+ */
+export function findLocationByName(locations, name) {
+  const wanted = normalizeForMatch(name);
+  if (!wanted) return null;
+
+  const exact = locations.find((loc) =>
+    normalizeForMatch(loc.name) === wanted || normalizeForMatch(loc.slug).replace(/_/g, ' ') === wanted
+  );
+  if (exact) return exact;
+
+  return locations.find((loc) => {
+    const locName = normalizeForMatch(loc.name);
+    const address = normalizeForMatch(loc.address);
+    return (locName && (wanted.includes(locName) || locName.includes(wanted))) ||
+      (address && address.includes(wanted));
+  }) || null;
+}
+
+/**
+ * Resolve the location for a booking.
+ * @param {Array<Object>} locations - From getLocationsForBusiness()
+ * @param {string|null} locationName - Requested location (free text)
+ * @returns {{ok: boolean, location?: Object|null, error?: string, message_cs?: string, details?: Object}}
+ *   location null = business has no locations (free-text location is kept).
+ *   error: 'UNKNOWN_LOCATION' | 'LOCATION_REQUIRED'
+ */
+export function resolveBookingLocation(locations, locationName) {
+  if (!locations || locations.length === 0) {
+    return { ok: true, location: null };
+  }
+
+  const names = locations.map((loc) => loc.name);
+
+  if (locationName && String(locationName).trim()) {
+    const location = findLocationByName(locations, locationName);
+    if (location) return { ok: true, location };
+
+    return {
+      ok: false,
+      error: 'UNKNOWN_LOCATION',
+      message_cs: `Pobočku „${locationName}" neznám. Máme tyto pobočky: ${names.join(', ')}. Na kterou se chcete objednat?`,
+      details: { locations: names },
+    };
+  }
+
+  if (locations.length === 1) {
+    return { ok: true, location: locations[0] };
+  }
+
+  return {
+    ok: false,
+    error: 'LOCATION_REQUIRED',
+    message_cs: `Máme více poboček: ${names.join(', ')}. Na kterou se chcete objednat?`,
+    details: { locations: names },
+  };
+}
+
+/**
+ * IVA settings with the location's own calendar (if any) instead of the business calendar.
+ * Also records the location (calendar_location_id) for the internal calendar provider.
+ */
+export function settingsForLocation(settings, location) {
+  if (!location?.id && !location?.calendarId) return settings || {};
+  return {
+    ...(settings || {}),
+    ...(location.id ? { calendar_location_id: location.id } : {}),
+    ...(location.calendarId ? { google_calendar_id: location.calendarId } : {}),
+  };
+}
+
+/**
+ * Format locations for the {{LOCATIONS_LIST}} prompt placeholder ("- Brno – Kobližná 5, Brno").
+ * @param {Array<{name: string, address?: string|null}>} locations
+ * @returns {string}
+ */
+export function formatLocationsForPrompt(locations) {
+  return (locations || [])
+    .map((loc) => {
+      const name = loc?.name || '';
+      const addr = loc?.address ? ` – ${loc.address}` : '';
+      return `- ${name}${addr}`;
+    })
+    .join('\n');
+}
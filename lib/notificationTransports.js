@@ -0,0 +1,239 @@
+import crypto from 'node:crypto';
+import { appendFile } from 'node:fs/promises';
+import fetch from 'node-fetch';
+import nodemailer from 'nodemailer';
+
+// Notification transports. Every transport is a plain object:
+//   { name, channel: 'email' | 'sms', send({ to, subject?, text }) -> Promise<{ ok, id?, error? }> }
+// send() never throws – failures are returned as { ok: false, error }.
+
+const SMTP_TIMEOUT_MS = 15000;
+const SMS_TIMEOUT_MS = 10000;
+
+// Deliberately strict: the address ends up in the SMTP envelope and a mail header, so anything unusual is refused
+const EMAIL_ADDRESS_PATTERN =
+  /^[A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]+@[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?)+$/;
+
+/**
+ * True for a plain e-mail address (no display name) that is safe to put into RCPT TO and the To: header.
+ * Rejects CR / LF / angle brackets and anything not matching a strict addr-spec.
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isValidEmailAddress(value) {
+  if (typeof value !== 'string' || value.length > 254) return false;
+  if (/[\r\n<>]/.test(value)) return false;
+  return EMAIL_ADDRESS_PATTERN.test(value);
+}
+
+/**
+ * SMTP e-mail transport (nodemailer): implicit TLS on `secure`, otherwise STARTTLS when the server offers it.
+ * @param {Object} config
+ * @param {string} config.host - SMTP host
+ * @param {number} [config.port] - Port (default 465 when secure, else 587)
+ * @param {boolean} [config.secure] - Implicit TLS
+ * @param {string} [config.user] - Username
+ * @param {string} [config.pass] - Password
+ * @param {string} config.from - Sender, e.g. "Salon <rezervace@salon.cz>"
+ */
+export function createSmtpTransport({ host, port, secure = false, user = null, pass = null, from }) {
+  const mailer = host
+    ? nodemailer.createTransport({
+        host,
+        port: Number(port) || (secure ? 465 : 587),
+        secure,
+        ...(user ? { auth: { user, pass: pass || '' } } : {}),
+        connectionTimeout: SMTP_TIMEOUT_MS,
+        greetingTimeout: SMTP_TIMEOUT_MS,
+        socketTimeout: SMTP_TIMEOUT_MS,
+      })
+    : null;
+
+  return {
+    name: 'smtp',
+    channel: 'email',
+
+    async send({ to, subject, text }) {
+      if (!mailer || !from) {
+        return { ok: false, error: 'SMTP_NOT_CONFIGURED' };
+      }
+      if (!isValidEmailAddress(to)) {
+        console.warn('[NOTIFY] Refusing to send e-mail to an invalid address');
+        return { ok: false, error: 'INVALID_RECIPIENT' };
+      }
+
+      try {
+        const info = await mailer.sendMail({ from, to, subject: subject || '', text: text || '' });
+        return { ok: true, id: info.messageId || null };
+      } catch (err) {
+        console.error('[NOTIFY] SMTP send failed:', { to, message: err.message });
+        return { ok: false, error: err.message };
+      }
+    },
+  };
+}
+
+/**
+ * Generic SMS HTTP gateway transport.
+ * POSTs JSON { to, text, from } to the gateway URL (Authorization: Bearer <token> when set)
+ * and treats any 2xx response as success.
+ * @param {Object} config
+ * @param {string} config.url - Gateway endpoint
+ * @param {string} [config.token] - Bearer token
+ * @param {string} [config.sender] - Sender id / number
+ */
+export function createSmsHttpTransport({ url, token = null, sender = null }) {
+  return {
+    name: 'http',
+    channel: 'sms',
+
+    async send({ to, text }) {
+      if (!url) {
+        return { ok: false, error: 'SMS_GATEWAY_NOT_CONFIGURED' };
+      }
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), SMS_TIMEOUT_MS);
+
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+          },
+          body: JSON.stringify({ to, text, ...(sender ? { from: sender } : {}) }),
+          signal: controller.signal,
+        });
+
+        const responseText = await response.text();
+        if (!response.ok) {
+          console.error('[NOTIFY] SMS gateway error:', { to, status: response.status, body: responseText.slice(0, 200) });
+          return { ok: false, error: `HTTP_${response.status}` };
+        }
+
+        let id = null;
+        try {
+          const parsed = JSON.parse(responseText);
+          id = parsed?.id ?? parsed?.messageId ?? null;
+        } catch {
+          // Non-JSON success body is fine
+        }
+        return { ok: true, id };
+      } catch (err) {
+        console.error('[NOTIFY] SMS send failed:', { to, message: err.message });
+        return { ok: false, error: err.message };
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+  };
+}
+
+/**
+ * File transport: appends one JSON line per message (local development / manual testing).
+ * @param {Object} config
+ * @param {'email'|'sms'} config.channel
+ * @param {string} config.path - File to append to
+ */
+export function createFileTransport({ channel, path }) {
+  return {
+    name: 'file',
+    channel,
+
+    async send(message) {
+      const id = crypto.randomUUID();
+      try {
+        await appendFile(path, `${JSON.stringify({ id, channel, sentAt: new Date().toISOString(), ...message })}\n`, 'utf8');
+        return { ok: true, id };
+      } catch (err) {
+        console.error('[NOTIFY] File transport write failed:', err.message);
+        return { ok: false, error: err.message };
+      }
+    },
+  };
+}
+
+/**
+ * Console transport: logs the message (incl. client name and contact) instead of sending it.
+ * Local development only – createTransportsFromEnv() refuses it in production.
+ * @param {Object} config
+ * @param {'email'|'sms'} config.channel
+ */
+export function createConsoleTransport({ channel }) {
+  return {
+    name: 'console',
+    channel,
+
+    async send(message) {
+      console.log(`[NOTIFY][console] ${channel} →`, message);
+      return { ok: true, id: null };
+    },
+  };
+}
+
+/**
+ * Transport kind for a channel. Without configuration the channel is off ('none') – notifications are
+ * skipped, not logged as sent, so they still go out once a real transport is configured. 'console' and
+ * 'file' write client contact details locally and are refused in production.
+ */
+function resolveTransportKind(channel, explicit, fallback, env) {
+  const kind = (explicit || fallback).toLowerCase();
+  if ((kind === 'console' || kind === 'file') && env.NODE_ENV === 'production') {
+    console.warn(`[NOTIFY] ${kind} ${channel} transport is not allowed in production – ${channel} disabled`);
+    return 'none';
+  }
+  if (kind === 'none') {
+    console.warn(`[NOTIFY] No ${channel} transport configured – ${channel} notifications are skipped`);
+  }
+  return kind;
+}
+
+/**
+ * Build transports from env:
+ * - NOTIFY_EMAIL_TRANSPORT = smtp | file | console | none (default: smtp when SMTP_HOST is set, else none)
+ * - NOTIFY_SMS_TRANSPORT = http | file | console | none (default: http when SMS_GATEWAY_URL is set, else none)
+ * console / file only outside production (local testing).
+ * @returns {{email: Object|null, sms: Object|null}}
+ */
+export function createTransportsFromEnv(env = process.env) {
+  const filePath = env.NOTIFY_FILE_PATH || 'notifications.log';
+
+  const emailKind = resolveTransportKind('e-mail', env.NOTIFY_EMAIL_TRANSPORT, env.SMTP_HOST ? 'smtp' : 'none', env);
+  const smsKind = resolveTransportKind('SMS', env.NOTIFY_SMS_TRANSPORT, env.SMS_GATEWAY_URL ? 'http' : 'none', env);
+
+  let email = null;
+  if (emailKind === 'smtp') {
+    email = createSmtpTransport({
+      host: env.SMTP_HOST,
+      port: env.SMTP_PORT,
+      secure: env.SMTP_SECURE === 'true',
+      user: env.SMTP_USER || null,
+      pass: env.SMTP_PASS || null,
+      from: env.SMTP_FROM,
+    });
+  } else if (emailKind === 'file') {
+    email = createFileTransport({ channel: 'email', path: filePath });
+  } else if (emailKind === 'console') {
+    email = createConsoleTransport({ channel: 'email' });
+  } else if (emailKind !== 'none') {
+    console.warn('[NOTIFY] Unknown NOTIFY_EMAIL_TRANSPORT, e-mail disabled:', emailKind);
+  }
+
+  let sms = null;
+  if (smsKind === 'http') {
+    sms = createSmsHttpTransport({
+      url: env.SMS_GATEWAY_URL,
+      token: env.SMS_GATEWAY_TOKEN || null,
+      sender: env.SMS_SENDER || null,
+    });
+  } else if (smsKind === 'file') {
+    sms = createFileTransport({ channel: 'sms', path: filePath });
+  } else if (smsKind === 'console') {
+    sms = createConsoleTransport({ channel: 'sms' });
+  } else if (smsKind !== 'none') {
+    console.warn('[NOTIFY] Unknown NOTIFY_SMS_TRANSPORT, SMS disabled:', smsKind);
+  }
+
+  return { email, sms };
+}
@@ -0,0 +1,407 @@
+import { supabase } from './supabaseClient.js';
+import { createTransportsFromEnv } from './notificationTransports.js';
+import { DateTime } from 'luxon';
+
+// Booking notifications (confirmation, cancellation, reschedule, reminder, waitlist offer) by SMS and e-mail.
+// - Transports come from env (see lib/notificationTransports.js)
+// - Per-business settings live in iva_settings (see sql/2026-10-notifications.sql):
+//   notifications_enabled, reminder_hours_before, notification_templates (jsonb overrides)
+// - Every send attempt is logged to booking_notifications; reminders are sent once per booking
+
+const TIME_ZONE = 'Europe/Prague';
+const DEFAULT_REMINDER_HOURS = 24;
+const MAX_REMINDER_HOURS = 72;
+// Failed reminders are retried by the next reminder rounds up to this many attempts
+const MAX_REMINDER_ATTEMPTS = 3;
+// A claimed reminder is claimed again (retry) only after this long – less than the reminder job interval
+const REMINDER_RETRY_MINUTES = 10;
+const REMINDER_BATCH_SIZE = 100;
+
+export const NOTIFICATION_TYPES = ['confirmation', 'cancellation', 'reschedule', 'reminder'];
+
+/**
+ * Default Czech templates. Placeholders: {{CLIENT_NAME}}, {{SERVICE}}, {{DATE}}, {{TIME}},
+ * {{LOCATION}}, {{STAFF}}, {{BUSINESS_NAME}}, {{BUSINESS_PHONE}}.
+ * iva_settings.notification_templates may override any of them, e.g.
+ *   { "reminder": { "sms": "Zítra v {{TIME}} se těšíme! {{BUSINESS_NAME}}" } }
+ */
+export const DEFAULT_NOTIFICATION_TEMPLATES = {
+  confirmation: {
+    sms: 'Dobrý den, potvrzujeme rezervaci {{SERVICE}} dne {{DATE}} v {{TIME}}. {{BUSINESS_NAME}}',
+    email_subject: 'Potvrzení rezervace – {{BUSINESS_NAME}}',
+    email_body:
+      'Dobrý den {{CLIENT_NAME}},\n\n' +
+      'potvrzujeme Vaši rezervaci:\n' +
+      'Služba: {{SERVICE}}\n' +
+      'Termín: {{DATE}} v {{TIME}}\n\n' +
+      'Pokud se nemůžete dostavit, dejte nám prosím vědět.\n\n' +
+      'S pozdravem\n{{BUSINESS_NAME}}',
+  },
+  cancellation: {
+    sms: 'Dobrý den, Vaše rezervace {{SERVICE}} dne {{DATE}} v {{TIME}} byla zrušena. {{BUSINESS_NAME}}',
+    email_subject: 'Zrušení rezervace – {{BUSINESS_NAME}}',
+    email_body:
+      'Dobrý den {{CLIENT_NAME}},\n\n' +
+      'Vaše rezervace {{SERVICE}} dne {{DATE}} v {{TIME}} byla zrušena.\n\n' +
+      'S pozdravem\n{{BUSINESS_NAME}}',
+  },
+  reschedule: {
+    sms: 'Dobrý den, Vaše rezervace {{SERVICE}} byla přesunuta na {{DATE}} v {{TIME}}. {{BUSINESS_NAME}}',
+    email_subject: 'Změna termínu rezervace – {{BUSINESS_NAME}}',
+    email_body:
+      'Dobrý den {{CLIENT_NAME}},\n\n' +
+      'Vaše rezervace {{SERVICE}} byla přesunuta na nový termín:\n' +
+      '{{DATE}} v {{TIME}}\n\n' +
+      'S pozdravem\n{{BUSINESS_NAME}}',
+  },
+  waitlist_offer: {
+    sms: 'Dobrý den, uvolnil se termín {{SERVICE}} dne {{DATE}} v {{TIME}}. Máte-li zájem, ozvěte se nám prosím co nejdříve. {{BUSINESS_NAME}} {{BUSINESS_PHONE}}',
+    email_subject: 'Uvolnil se termín – {{BUSINESS_NAME}}',
+    email_body:
+      'Dobrý den {{CLIENT_NAME}},\n\n' +
+      'na čekací listině jste čekal(a) na termín {{SERVICE}}. Uvolnil se termín {{DATE}} v {{TIME}}.\n\n' +
+      'Termín je nabídnutý nejdříve Vám a chvíli Vám ho podržíme – máte-li zájem, ozvěte se nám prosím co nejdříve.\n\n' +
+      'S pozdravem\n{{BUSINESS_NAME}}\n{{BUSINESS_PHONE}}',
+  },
+  reminder: {
+    sms: 'Připomínáme rezervaci {{SERVICE}} dne {{DATE}} v {{TIME}}. Těšíme se na Vás! {{BUSINESS_NAME}}',
+    email_subject: 'Připomenutí rezervace – {{BUSINESS_NAME}}',
+    email_body:
+      'Dobrý den {{CLIENT_NAME}},\n\n' +
+      'připomínáme Vaši rezervaci {{SERVICE}} dne {{DATE}} v {{TIME}}.\n\n' +
+      'Pokud se nemůžete dostavit, dejte nám prosím vědět.\n\n' +
+      'S pozdravem\n{{BUSINESS_NAME}}',
+  },
+};
+
+let transports = null;
+
+function getTransports() {
+  if (!transports) {
+    transports = createTransportsFromEnv();
+  }
+  return transports;
+}
+
+/**
+ * Replace the env-configured transports (local testing).
+ * @param {{email?: Object|null, sms?: Object|null}|null} next - null = rebuild from env on next send
+ */
+export function setNotificationTransports(next) {
+  transports = next ? { email: next.email || null, sms: next.sms || null } : null;
+}
+
+/**
+ * Fill {{PLACEHOLDER}} values; unknown placeholders become empty strings.
+ */
+export function renderTemplate(template, values) {
+  return String(template || '').replace(/\{\{([A-Z_]+)\}\}/g, (_, key) => (values[key] ?? ''));
+}
+
+/**
+ * Merge per-business template overrides over the defaults.
+ * @param {Object|null} overrides - iva_settings.notification_templates
+ */
+export function resolveTemplates(overrides) {
+  const merged = {};
+  for (const type of Object.keys(DEFAULT_NOTIFICATION_TEMPLATES)) {
+    const custom = overrides && typeof overrides[type] === 'object' ? overrides[type] : {};
+    merged[type] = { ...DEFAULT_NOTIFICATION_TEMPLATES[type] };
+    for (const [field, value] of Object.entries(custom || {})) {
+      if (typeof value === 'string' && value.trim()) {
+        merged[type][field] = value;
+      }
+    }
+  }
+  return merged;
+}
+
+/**
+ * Load notification settings + business name/phone for a business.
+ * (Queried directly – chatHandler.js imports bookingService.js, which imports this module.)
+ */
+async function loadNotificationContext(businessId) {
+  const [{ data: settings, error: settingsError }, { data: profile }] = await Promise.all([
+    supabase.from('iva_settings').select('*').eq('business_id', businessId).maybeSingle(),
+    supabase.from('business_profile').select('name, phone').eq('business_id', businessId).maybeSingle(),
+  ]);
+
+  if (settingsError) {
+    console.error('[NOTIFY] Error loading iva_settings:', settingsError);
+  }
+
+  const reminderHours = Number(settings?.reminder_hours_before);
+
+  return {
+    enabled: settings?.notifications_enabled !== false,
+    reminderHoursBefore: Number.isFinite(reminderHours)
+      ? Math.min(Math.max(reminderHours, 0), MAX_REMINDER_HOURS)
+      : DEFAULT_REMINDER_HOURS,
+    templates: resolveTemplates(settings?.notification_templates || null),
+    businessName: profile?.name || '',
+    businessPhone: profile?.phone || '',
+  };
+}
+
+function formatDateCs(isoDate) {
+  const dt = DateTime.fromISO(String(isoDate || ''), { zone: TIME_ZONE });
+  return dt.isValid ? dt.setLocale('cs').toFormat('cccc d. M. yyyy') : String(isoDate || '');
+}
+
+function templateValuesFor(booking, context) {
+  return {
+    CLIENT_NAME: booking.client_name || '',
+    SERVICE: String(booking.service_slug || booking.service || '').replace(/_/g, ' '),
+    DATE: formatDateCs(booking.date),
+    TIME: String(booking.time || '').slice(0, 5),
+    LOCATION: booking.location || '',
+    STAFF: booking.staff_name || '',
+    BUSINESS_NAME: context.businessName,
+    BUSINESS_PHONE: context.businessPhone,
+  };
+}
+
+async function logNotification(booking, type, channel, recipient, result, attempt = 1) {
+  const { error } = await supabase
+    .from('booking_notifications')
+    .upsert({
+      booking_id: booking.id,
+      business_id: booking.business_id,
+      type,
+      channel,
+      recipient,
+      status: result.ok ? 'sent' : 'failed',
+      provider_message_id: result.id || null,
+      error: result.ok ? null : String(result.error || 'UNKNOWN'),
+      attempts: attempt,
+      sent_at: new Date().toISOString(),
+    }, { onConflict: 'booking_id,type,channel' });
+
+  if (error) {
+    console.error('[NOTIFY] Failed to log notification:', error.message);
+  }
+}
+
+/**
+ * Render a template and send it over every channel the recipient has (SMS → phone, e-mail → email).
+ * @param {Function} [onResult] - async (channel, recipient, result) callback, e.g. for logging
+ */
+async function deliver(template, values, { phone, email: emailAddress }, onResult = null) {
+  const { email, sms } = getTransports();
+  const results = [];
+
+  if (sms && phone) {
+    const result = await sms.send({ to: phone, text: renderTemplate(template.sms, values) });
+    if (onResult) await onResult('sms', phone, result);
+    results.push({ channel: 'sms', ok: result.ok, ...(result.ok ? {} : { error: result.error }) });
+  }
+
+  if (email && emailAddress) {
+    const result = await email.send({
+      to: emailAddress,
+      subject: renderTemplate(template.email_subject, values),
+      text: renderTemplate(template.email_body, values),
+    });
+    if (onResult) await onResult('email', emailAddress, result);
+    results.push({ channel: 'email', ok: result.ok, ...(result.ok ? {} : { error: result.error }) });
+  }
+
+  return results;
+}
+
+/**
+ * Send one notification for a booking over every channel the client has (SMS → phone, e-mail → email).
+ * @param {'confirmation'|'cancellation'|'reschedule'|'reminder'} type
+ * @param {Object} booking - bookings row (id, business_id, client_*, service_slug, date, time, ...)
+ * @param {Object} [options]
+ * @param {number} [options.attempt] - Send attempt (reminder retries), stored in booking_notifications.attempts
+ * @returns {Promise<{ok: boolean, skipped?: string, results?: Array<{channel: string, ok: boolean, error?: string}>}>}
+ */
+export async function sendBookingNotification(type, booking, { attempt = 1 } = {}) {
+  if (!NOTIFICATION_TYPES.includes(type)) {
+    return { ok: false, skipped: 'UNKNOWN_TYPE' };
+  }
+  if (!booking?.id || !booking?.business_id) {
+    return { ok: false, skipped: 'MISSING_BOOKING' };
+  }
+
+  const context = await loadNotificationContext(booking.business_id);
+  if (!context.enabled) {
+    return { ok: true, skipped: 'DISABLED' };
+  }
+
+  const results = await deliver(
+    context.templates[type],
+    templateValuesFor(booking, context),
+    { phone: booking.client_phone, email: booking.client_email },
+    (channel, recipient, result) => logNotification(booking, type, channel, recipient, result, attempt)
+  );
+
+  // No transport for the client's channels: nothing logged, so it goes out once a transport is configured
+  if (results.length === 0) {
+    console.log('[NOTIFY] Skipped', type, 'for booking', booking.id, '- no transport for the client contact');
+    return { ok: true, skipped: 'NO_TRANSPORT' };
+  }
+
+  // A moved booking gets a fresh reminder for the new time
+  if (type === 'reschedule') {
+    await Promise.all(
+      ['booking_notifications', 'booking_notification_claims'].map((table) =>
+        supabase.from(table).delete().eq('booking_id', booking.id).eq('type', 'reminder')
+      )
+    );
+  }
+
+  console.log('[NOTIFY] Sent', type, 'for booking', booking.id, results);
+  return { ok: results.every((r) => r.ok), results };
+}
+
+/**
+ * Tell a waitlisted client that a slot opened up (see lib/waitlist.js).
+ * Not logged to booking_notifications – the waitlist entry records notified_at itself.
+ * @param {Object} entry - waitlist_entries row (business_id, client_*, service_slug)
+ * @param {{date: string, time: string, location?: string}} slot - The freed slot
+ * @returns {Promise<{ok: boolean, skipped?: string, results?: Array<{channel: string, ok: boolean, error?: string}>}>}
+ */
+export async function sendWaitlistOffer(entry, slot) {
+  const context = await loadNotificationContext(entry.business_id);
+  if (!context.enabled) {
+    return { ok: true, skipped: 'DISABLED' };
+  }
+
+  const results = await deliver(
+    context.templates.waitlist_offer,
+    templateValuesFor({ ...entry, date: slot.date, time: slot.time, location: slot.location || entry.location }, context),
+    { phone: entry.client_phone, email: entry.client_email }
+  );
+
+  console.log('[NOTIFY] Sent waitlist offer for entry', entry.id, results);
+  return { ok: results.length > 0 && results.every((r) => r.ok), results };
+}
+
+/**
+ * E-mail a dashboard team invitation (see lib/team.js).
+ * Not a client notification, so iva_settings.notifications_enabled does not apply.
+ * @param {{to: string, businessName: string, roleLabel: string, inviteUrl: string}} invite
+ * @returns {Promise<{ok: boolean, skipped?: string, id?: string, error?: string}>}
+ */
+export async function sendTeamInviteEmail({ to, businessName, roleLabel, inviteUrl }) {
+  const { email } = getTransports();
+  if (!email) {
+    return { ok: false, skipped: 'NO_EMAIL_TRANSPORT' };
+  }
+
+  const result = await email.send({
+    to,
+    subject: `Pozvánka do týmu ${businessName} v IVA`,
+    text:
+      `Dobrý den,\n\n` +
+      `byli jste pozváni do týmu ${businessName} v aplikaci IVA (role: ${roleLabel}).\n` +
+      `Pozvánku přijmete po přihlášení na tomto odkazu:\n${inviteUrl}\n\n` +
+      `Pokud pozvánku nečekáte, tento e-mail ignorujte.`,
+  });
+
+  console.log('[NOTIFY] Sent team invite to', to, { ok: result.ok });
+  return result;
+}
+
+/**
+ * Fire-and-forget wrapper – notifications must never fail or delay a booking operation.
+ */
+export function queueBookingNotification(type, booking) {
+  sendBookingNotification(type, booking).catch((err) => {
+    console.error('[NOTIFY] Failed to send', type, 'notification:', err.message);
+  });
+}
+
+/**
+ * Send reminders for upcoming bookings that entered their business's reminder window
+ * (reminder_hours_before, default 24 h) and were not reminded yet. Due reminders are claimed in batches
+ * by the claim_due_reminders() RPC (sql/2026-10-notifications.sql) before they are sent, so several app
+ * instances never send the same one. Reminders that failed on every channel are claimed again by later
+ * rounds, at most MAX_REMINDER_ATTEMPTS times.
+ * @param {Object} [options]
+ * @param {DateTime} [options.now] - Current time (testing)
+ * @returns {Promise<{ok: boolean, sent: number, error?: any}>}
+ */
+export async function sendDueReminders({ now = DateTime.now().setZone(TIME_ZONE) } = {}) {
+  let sent = 0;
+
+  for (;;) {
+    const { data: claims, error } = await supabase.rpc('claim_due_reminders', {
+      p_now: now.toISO(),
+      p_limit: REMINDER_BATCH_SIZE,
+      p_max_attempts: MAX_REMINDER_ATTEMPTS,
+      p_retry_minutes: REMINDER_RETRY_MINUTES,
+    });
+
+    if (error) {
+      console.error('[NOTIFY] Error claiming due reminders:', error);
+      return { ok: false, sent, error };
+    }
+    if (!claims || claims.length === 0) break;
+
+    const { data: bookings, error: bookingsError } = await supabase
+      .from('bookings')
+      .select('*')
+      .in('id', claims.map((c) => c.booking_id));
+
+    if (bookingsError) {
+      // The claims expire after REMINDER_RETRY_MINUTES, so these reminders go out in a later round
+      console.error('[NOTIFY] Error loading claimed bookings:', bookingsError);
+      return { ok: false, sent, error: bookingsError };
+    }
+
+    const byId = new Map((bookings || []).map((b) => [b.id, b]));
+    for (const { booking_id: bookingId, attempt } of claims) {
+      const booking = byId.get(bookingId);
+      if (!booking) continue;
+
+      const result = await sendBookingNotification('reminder', booking, { attempt });
+      if (result.results?.some((r) => r.ok)) {
+        sent += 1;
+      } else if (result.skipped) {
+        // Nothing was sent (no transport for the client's contact): don't use up an attempt
+        await supabase
+          .from('booking_notification_claims')
+          .update({ attempts: attempt - 1 })
+          .eq('booking_id', bookingId)
+          .eq('type', 'reminder');
+      }
+    }
+
+    if (claims.length < REMINDER_BATCH_SIZE) break;
+  }
+
+  if (sent > 0) {
+    console.log('[NOTIFY] Reminders sent:', sent);
+  }
+  return { ok: true, sent };
+}
+
+/**
+ * Start the periodic reminder job (NOTIFY_REMINDER_INTERVAL_MINUTES, default 15).
+ * @returns {NodeJS.Timeout} Interval handle (unref'd so it never keeps the process alive)
+ */
+export function startReminderScheduler({
+  intervalMinutes = Number(process.env.NOTIFY_REMINDER_INTERVAL_MINUTES) || 15,
+} = {}) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await sendDueReminders();
+    } catch (err) {
+      console.error('[NOTIFY] Reminder job failed:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const handle = setInterval(tick, intervalMinutes * 60 * 1000);
+  handle.unref();
+  console.log(`[NOTIFY] Reminder scheduler started (every ${intervalMinutes} min)`);
+  return handle;
+}
@@ -0,0 +1,44 @@
+// Process-local fixed-window rate limiter (web chat: per session and per IP).
+// Counters live in memory, so with several instances each one enforces the limit on its own.
+
+/**
+ * @param {Object} options
+ * @param {number} options.max - Allowed hits per window
+ * @param {number} options.windowMs - Window length in ms
+ * @returns {{consume: (key: string) => {allowed: boolean, remaining: number, retryAfterSeconds: number}}}
+ */
+export function createRateLimiter({ max, windowMs }) {
+  // Map<key, { count: number, resetAt: number }>
+  const windows = new Map();
+  let nextPurgeAt = Date.now() + windowMs;
+
+  const purgeExpired = (now) => {
+    if (now < nextPurgeAt) return;
+    nextPurgeAt = now + windowMs;
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(key);
+    }
+  };
+
+  return {
+    consume(key) {
+      const now = Date.now();
+      purgeExpired(now);
+
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+
+      entry.count += 1;
+      const allowed = entry.count <= max;
+
+      return {
+        allowed,
+        remaining: Math.max(0, max - entry.count),
+        retryAfterSeconds: allowed ? 0 : Math.ceil((entry.resetAt - now) / 1000),
+      };
+    },
+  };
+}
@@ -0,0 +1,338 @@
+import { supabase } from './supabaseClient.js';
+import { isSlotAvailable } from './calendarProvider.js';
+import { buildWeeklyHours, checkHoursWindow, parseTimeToMinutes } from './availability.js';
+import { settingsForLocation } from './locations.js';
+import { normalizeForMatch } from '../utils/textUtils.js';
+
+// Staff / resource model (see sql/2026-10-staff-tables.sql):
+// - staff: one row per person (name, optional own google_calendar_id, is_active,
+//   optional location_id = works only at that branch; null = works at every branch)
+// - staff_services: which services a person performs (no rows = performs every service)
+// - staff_working_hours: weekly hours per person (no rows = follows business opening hours)
+//
+// Businesses without any staff rows keep the original single-calendar behaviour.
+
+// Booking statuses that occupy a staff member's time
+const ACTIVE_BOOKING_STATUSES = ['confirmed', 'rescheduled'];
+
+/**
+ * Load active staff for a business, including services and working hours.
+ * @param {string} businessId - Business ID (UUID)
+ * @returns {Promise<{staff: Array<{id: string, name: string, calendarId: string|null, locationId: string|null, serviceIds: string[], workingHours: Object|null}>, error: any}>}
+ *   locationId null = works at every branch; serviceIds empty = performs all services;
+ *   workingHours null = follows opening hours.
+ */
+export async function getStaffForBusiness(businessId) {
+  if (!businessId) {
+    return { staff: [], error: null };
+  }
+
+  const { data: staffRows, error } = await supabase
+    .from('staff')
+    .select('id, name, google_calendar_id, location_id, is_active')
+    .eq('business_id', businessId)
+    .eq('is_active', true)
+    .order('name', { ascending: true });
+
+  if (error) {
+    console.error('[STAFF] Error loading staff:', error);
+    return { staff: [], error };
+  }
+
+  if (!staffRows || staffRows.length === 0) {
+    return { staff: [], error: null };
+  }
+
+  const staffIds = staffRows.map((row) => row.id);
+
+  const [servicesResult, hoursResult] = await Promise.all([
+    supabase.from('staff_services').select('staff_id, service_id').in('staff_id', staffIds),
+    supabase.from('staff_working_hours').select('*').in('staff_id', staffIds),
+  ]);
+
+  if (servicesResult.error) {
+    console.error('[STAFF] Error loading staff_services:', servicesResult.error);
+  }
+  if (hoursResult.error) {
+    console.error('[STAFF] Error loading staff_working_hours:', hoursResult.error);
+  }
+
+  const staff = staffRows.map((row) => {
+    const serviceIds = (servicesResult.data || [])
+      .filter((s) => s.staff_id === row.id)
+      .map((s) => s.service_id);
+    const hourRows = (hoursResult.data || []).filter((h) => h.staff_id === row.id);
+
+    return {
+      id: row.id,
+      name: row.name,
+      calendarId: row.google_calendar_id || null,
+      locationId: row.location_id || null,
+      serviceIds,
+      workingHours: hourRows.length > 0 ? buildWeeklyHours(hourRows) : null,
+    };
+  });
+
+  return { staff, error: null };
+}
+
+/**
+ * Find a staff member by spoken/typed name ("Petra", "petra novakova").
+ * Exact (diacritics-insensitive) match wins, otherwise first name / substring match.
+ */
+export function findStaffByName(staff, name) {
+  const wanted = normalizeForMatch(name);
+  if (!wanted) return null;
+
+  const exact = staff.find((member) => normalizeForMatch(member.name) === wanted);
+  if (exact) return exact;
+
+  return staff.find((member) => {
+    const full = normalizeForMatch(member.name);
+    return full.split(/\s+/).includes(wanted) || full.includes(wanted) || wanted.includes(full);
+  }) || null;
+}
+
+/**
+ * Whether a staff member performs a service. Unknown service (serviceId null)
+ * or a member without service assignments is treated as qualified.
+ */
+export function canPerformService(member, serviceId) {
+  if (!serviceId || member.serviceIds.length === 0) return true;
+  return member.serviceIds.includes(serviceId);
+}
+
+/**
+ * Whether a staff member works at a location. Unknown location (locationId null)
+ * or a member without a location (works at every branch) is treated as a match.
+ */
+export function worksAtLocation(member, locationId) {
+  if (!locationId || !member.locationId) return true;
+  return member.locationId === locationId;
+}
+
+/**
+ * IVA settings with the staff member's own calendar (if any) instead of the business calendar.
+ * Also records the member (calendar_staff_id) for the internal calendar provider.
+ */
+export function settingsForStaff(settings, member) {
+  if (!member?.id && !member?.calendarId) return settings || {};
+  return {
+    ...(settings || {}),
+    ...(member.id ? { calendar_staff_id: member.id } : {}),
+    ...(member.calendarId ? { google_calendar_id: member.calendarId } : {}),
+  };
+}
+
+/**
+ * Calendar settings for an existing booking, in the same order createBooking() used:
+ * the assigned staff member's calendar, else the location's calendar, else the business settings.
+ * @param {Object} settings - IVA settings
+ * @param {Object} booking - bookings row
+ */
+export async function getCalendarSettingsForBooking(settings, booking) {
+  let result = settings || {};
+
+  if (booking?.location_id) {
+    const { data, error } = await supabase
+      .from('locations')
+      .select('google_calendar_id')
+      .eq('id', booking.location_id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('[STAFF] Error loading location calendar for booking:', error);
+    } else {
+      result = settingsForLocation(result, { id: booking.location_id, calendarId: data?.google_calendar_id || null });
+    }
+  }
+
+  if (booking?.staff_id) {
+    const { data, error } = await supabase
+      .from('staff')
+      .select('google_calendar_id')
+      .eq('id', booking.staff_id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('[STAFF] Error loading staff calendar for booking:', error);
+    } else {
+      result = settingsForStaff(result, { id: booking.staff_id, calendarId: data?.google_calendar_id || null });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Check that a staff member can take a booking: working hours, overlapping bookings
+ * assigned to them in the DB and (if they have one) their own calendar.
+ * @param {Object} member - Staff member from getStaffForBusiness()
+ * @param {Object} booking - { business_id, date, time, duration_minutes }
+ * @param {Object} settings - IVA settings
+ * @param {Object} [options]
+ * @param {string} [options.excludeBookingId] - Ignore this booking (reschedule)
+ * @returns {Promise<{ok: boolean, available: boolean, reason?: string}>}
+ *   reason: 'OUTSIDE_WORKING_HOURS' | 'BOOKED' | 'CALENDAR_BUSY'
+ */
+export async function isStaffSlotFree(member, booking, settings, { excludeBookingId = null } = {}) {
+  if (member.workingHours) {
+    const hoursCheck = checkHoursWindow(member.workingHours, {
+      date: booking.date,
+      time: booking.time,
+      durationMinutes: booking.duration_minutes,
+    });
+    if (!hoursCheck.withinHours) {
+      return { ok: true, available: false, reason: 'OUTSIDE_WORKING_HOURS' };
+    }
+  }
+
+  const { data: existing, error } = await supabase
+    .from('bookings')
+    .select('id, time, duration_minutes')
+    .eq('business_id', booking.business_id)
+    .eq('staff_id', member.id)
+    .eq('date', booking.date)
+    .in('status', ACTIVE_BOOKING_STATUSES);
+
+  if (error) {
+    console.error('[STAFF] Error loading staff bookings:', error);
+    return { ok: false, available: false };
+  }
+
+  const start = parseTimeToMinutes(booking.time);
+  const end = start + (booking.duration_minutes || 30);
+  const overlaps = (existing || []).some((row) => {
+    if (excludeBookingId && row.id === excludeBookingId) return false;
+    const rowStart = parseTimeToMinutes(row.time);
+    if (rowStart === null) return false;
+    return rowStart < end && rowStart + (row.duration_minutes || 30) > start;
+  });
+
+  if (overlaps) {
+    return { ok: true, available: false, reason: 'BOOKED' };
+  }
+
+  if (member.calendarId) {
+    const availability = await isSlotAvailable(booking, settingsForStaff(settings, member));
+    if (availability.ok && !availability.available) {
+      return { ok: true, available: false, reason: 'CALENDAR_BUSY' };
+    }
+  }
+
+  return { ok: true, available: true };
+}
+
+/**
+ * Pick a free, qualified staff member for a booking.
+ *
+ * - staffName given: that person is required (unless anyStaff is true, then they are only preferred)
+ * - no staffName: the first free qualified person (alphabetical order)
+ *
+ * Returns { ok: true, staff: null } when the business has no staff configured,
+ * so the caller can fall back to the single business calendar.
+ *
+ * @param {Object} params
+ * @param {string} params.businessId - Business ID (UUID)
+ * @param {Object} params.settings - IVA settings
+ * @param {Object} params.booking - { business_id, date, time, duration_minutes, location_id? }
+ *   With location_id, only staff working at that branch (or at every branch) are considered.
+ * @param {string|null} params.serviceId - services.id of the booked service (null if unknown)
+ * @param {string|null} [params.staffName] - Requested staff member
+ * @param {boolean} [params.anyStaff] - Accept anyone if the requested person is not free
+ * @returns {Promise<{ok: boolean, staff?: Object|null, error?: string, message_cs?: string, details?: Object}>}
+ *   error: 'STAFF_NOT_FOUND' | 'STAFF_NOT_AT_LOCATION' | 'STAFF_NOT_QUALIFIED' | 'NO_QUALIFIED_STAFF' | 'STAFF_UNAVAILABLE' | 'TIME_CONFLICT'
+ */
+export async function pickAvailableStaff({ businessId, settings, booking, serviceId, staffName = null, anyStaff = false }) {
+  const { staff, error } = await getStaffForBusiness(businessId);
+
+  if (error || staff.length === 0) {
+    if (error) console.warn('[STAFF] Staff unavailable – booking without staff assignment');
+    return { ok: true, staff: null };
+  }
+
+  const atLocation = staff.filter((member) => worksAtLocation(member, booking.location_id));
+  const qualified = atLocation.filter((member) => canPerformService(member, serviceId));
+  let requested = null;
+
+  if (staffName) {
+    requested = findStaffByName(staff, staffName);
+
+    if (!requested && !anyStaff) {
+      return {
+        ok: false,
+        error: 'STAFF_NOT_FOUND',
+        message_cs: `Omlouvám se, nikoho se jménem ${staffName} u nás nemáme. Můžu vás objednat k někomu jinému?`,
+        details: { staff: qualified.map((member) => member.name) },
+      };
+    }
+
+    if (requested && !worksAtLocation(requested, booking.location_id)) {
+      if (!anyStaff) {
+        return {
+          ok: false,
+          error: 'STAFF_NOT_AT_LOCATION',
+          message_cs: `${requested.name} na této pobočce nepracuje. Můžu vás objednat k někomu jinému?`,
+          details: { staff: qualified.map((member) => member.name) },
+        };
+      }
+      requested = null;
+    }
+
+    if (requested && !canPerformService(requested, serviceId)) {
+      if (!anyStaff) {
+        return {
+          ok: false,
+          error: 'STAFF_NOT_QUALIFIED',
+          message_cs: `${requested.name} tuto službu nedělá. Můžu vás objednat k někomu jinému?`,
+          details: { staff: qualified.map((member) => member.name) },
+        };
+      }
+      requested = null;
+    }
+  }
+
+  if (qualified.length === 0) {
+    return {
+      ok: false,
+      error: 'NO_QUALIFIED_STAFF',
+      message_cs: 'Omlouvám se, tuto službu teď nikdo z našeho týmu neprovádí.',
+    };
+  }
+
+  // Requested person first, then everyone else qualified
+  const candidates = requested
+    ? [requested, ...qualified.filter((member) => member.id !== requested.id)]
+    : qualified;
+
+  const freeAlternatives = [];
+  for (const member of candidates) {
+    const result = await isStaffSlotFree(member, booking, settings);
+    if (!result.available) {
+      console.log('[STAFF] Staff not available', { staff: member.name, reason: result.reason });
+      continue;
+    }
+
+    if (!requested || member.id === requested.id || anyStaff) {
+      console.log('[STAFF] Picked staff member', { staff: member.name, requested: requested?.name || null });
+      return { ok: true, staff: member };
+    }
+
+    // Named person is busy and the caller wants only them – remember who else is free
+    freeAlternatives.push(member.name);
+  }
+
+  if (requested) {
+    const suggestion = freeAlternatives.length > 0
+      ? ` Volno má: ${freeAlternatives.join(', ')}. Mám vás objednat k někomu z nich?`
+      : ' Můžeme zkusit jiný čas?';
+    return {
+      ok: false,
+      error: 'STAFF_UNAVAILABLE',
+      message_cs: `${requested.name} v tento čas nemá volno.${suggestion}`,
+      details: { staff: requested.name, freeStaff: freeAlternatives },
+    };
+  }
+
+  return { ok: false, error: 'TIME_CONFLICT' };
+}
@@ -0,0 +1,327 @@
+import crypto from 'node:crypto';
+import fetch from 'node-fetch';
+import { supabase } from './supabaseClient.js';
+import { planForStripePrice } from './usage.js';
+
+// Stripe billing: keeps the businesses.stripe_* / is_subscribed columns read by computeIsSubscribed()
+// (lib/subscription.js) up to date from webhooks, and creates Checkout / Customer Portal sessions.
+//
+// Talks to the Stripe REST API directly (form-encoded requests, no SDK).
+// Env: STRIPE_SECRET_KEY, STRIPE_WEBHOOK_SECRET, STRIPE_PRICE_ID (the IVA subscription price).
+// Columns: sql/2026-10-stripe-billing.sql.
+
+const STRIPE_API_URL = 'https://api.stripe.com/v1';
+const REQUEST_TIMEOUT_MS = 15000;
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+// past_due: Stripe is still retrying the renewal payment – keep access until it ends as canceled / unpaid
+const ACTIVE_STATUSES = new Set(['active', 'trialing', 'past_due']);
+
+export function isStripeConfigured() {
+  return Boolean(process.env.STRIPE_SECRET_KEY);
+}
+
+/**
+ * Verify the Stripe-Signature header ("t=<unix>,v1=<hex>[,v1=...]") and parse the event.
+ * @param {Buffer|string} rawBody - Exact request body bytes
+ * @param {string} header - Stripe-Signature header
+ * @param {string} secret - Webhook signing secret (whsec_...)
+ * @returns {{ok: boolean, event?: Object, reason?: string}}
+ */
+export function verifyStripeSignature(rawBody, header, secret) {
+  if (!secret) return { ok: false, reason: 'SECRET_NOT_CONFIGURED' };
+  if (!header || !rawBody) return { ok: false, reason: 'MISSING_SIGNATURE' };
+
+  let timestamp = null;
+  const signatures = [];
+  for (const part of header.split(',')) {
+    const [key, value] = part.split('=');
+    if (key === 't') timestamp = value;
+    else if (key === 'v1' && value) signatures.push(value);
+  }
+  if (!timestamp || signatures.length === 0) return { ok: false, reason: 'MALFORMED_SIGNATURE' };
+
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > SIGNATURE_TOLERANCE_SECONDS) {
+    return { ok: false, reason: 'STALE_TIMESTAMP' };
+  }
+
+  const expected = Buffer.from(
+    crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(rawBody).digest('hex')
+  );
+  const matches = signatures.some((signature) => {
+    const provided = Buffer.from(signature);
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+  });
+  if (!matches) return { ok: false, reason: 'BAD_SIGNATURE' };
+
+  try {
+    return { ok: true, event: JSON.parse(rawBody.toString('utf8')) };
+  } catch {
+    return { ok: false, reason: 'INVALID_JSON' };
+  }
+}
+
+// Stripe's form encoding: nested objects as a[b][c]=value
+function encodeForm(params, prefix = '', out = new URLSearchParams()) {
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null) continue;
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === 'object') {
+      encodeForm(value, name, out);
+    } else {
+      out.append(name, String(value));
+    }
+  }
+  return out;
+}
+
+async function stripeRequest(method, path, params = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(`${STRIPE_API_URL}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: method === 'GET' ? undefined : encodeForm(params).toString(),
+      signal: controller.signal,
+    });
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+      console.error('[BILLING] Stripe API error', { path, status: response.status, error: data?.error?.message });
+      return { ok: false, status: response.status, error: data?.error?.message || `HTTP ${response.status}` };
+    }
+    return { ok: true, data };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function billingReturnUrl(query) {
+  const base = (process.env.DASHBOARD_URL || 'https://ivaai.cz').replace(/\/+$/, '');
+  return `${base}/dashboard/billing${query ? `?${query}` : ''}`;
+}
+
+async function loadBillingBusiness(businessId) {
+  const { data, error } = await supabase
+    .from('businesses')
+    .select('id, stripe_customer_id')
+    .eq('id', businessId)
+    .maybeSingle();
+  if (error) {
+    console.error('[BILLING] Error loading business:', error);
+  }
+  return { data, error };
+}
+
+/**
+ * Stripe Checkout session for the IVA subscription (STRIPE_PRICE_ID).
+ * @param {Object} params
+ * @param {string} params.businessId
+ * @param {string|null} [params.email] - Prefilled for a new Stripe customer
+ * @returns {Promise<{ok: boolean, url?: string, error?: string, message_cs?: string}>}
+ */
+export async function createCheckoutSession({ businessId, email = null }) {
+  if (!isStripeConfigured() || !process.env.STRIPE_PRICE_ID) {
+    return { ok: false, error: 'BILLING_NOT_CONFIGURED', message_cs: 'Platby zatím nejsou nastavené.' };
+  }
+
+  const { data: business, error } = await loadBillingBusiness(businessId);
+  if (error || !business) {
+    return { ok: false, error: 'DB_ERROR', message_cs: 'Nepodařilo se načíst firmu.' };
+  }
+
+  const result = await stripeRequest('POST', '/checkout/sessions', {
+    mode: 'subscription',
+    line_items: { 0: { price: process.env.STRIPE_PRICE_ID, quantity: 1 } },
+    client_reference_id: businessId,
+    customer: business.stripe_customer_id || undefined,
+    customer_email: business.stripe_customer_id ? undefined : email || undefined,
+    // business_id on the subscription lets customer.subscription.* events find the business
+    subscription_data: { metadata: { business_id: businessId } },
+    metadata: { business_id: businessId },
+    success_url: billingReturnUrl('checkout=success'),
+    cancel_url: billingReturnUrl('checkout=cancelled'),
+  });
+
+  if (!result.ok) {
+    return { ok: false, error: 'STRIPE_ERROR', message_cs: 'Platební bránu se nepodařilo otevřít. Zkuste to prosím znovu.' };
+  }
+
+  console.log('[BILLING] Checkout session created', { businessId, sessionId: result.data.id });
+  return { ok: true, url: result.data.url };
+}
+
+/**
+ * Stripe Customer Portal session (change card, cancel, invoices).
+ * @returns {Promise<{ok: boolean, url?: string, error?: string, message_cs?: string}>}
+ */
+export async function createPortalSession({ businessId }) {
+  if (!isStripeConfigured()) {
+    return { ok: false, error: 'BILLING_NOT_CONFIGURED', message_cs: 'Platby zatím nejsou nastavené.' };
+  }
+
+  const { data: business, error } = await loadBillingBusiness(businessId);
+  if (error) {
+    return { ok: false, error: 'DB_ERROR', message_cs: 'Nepodařilo se načíst firmu.' };
+  }
+  if (!business?.stripe_customer_id) {
+    return { ok: false, error: 'NO_STRIPE_CUSTOMER', message_cs: 'Firma zatím nemá předplatné. Nejdřív ho prosím aktivujte.' };
+  }
+
+  const result = await stripeRequest('POST', '/billing_portal/sessions', {
+    customer: business.stripe_customer_id,
+    return_url: billingReturnUrl(''),
+  });
+
+  if (!result.ok) {
+    return { ok: false, error: 'STRIPE_ERROR', message_cs: 'Správu předplatného se nepodařilo otevřít. Zkuste to prosím znovu.' };
+  }
+  return { ok: true, url: result.data.url };
+}
+
+function toIso(unixSeconds) {
+  return typeof unixSeconds === 'number' ? new Date(unixSeconds * 1000).toISOString() : null;
+}
+
+/**
+ * Business for a Stripe object: metadata.business_id, else the stored stripe_customer_id.
+ */
+async function findBusinessId({ metadataBusinessId, customerId }) {
+  if (metadataBusinessId) return metadataBusinessId;
+  if (!customerId) return null;
+
+  const { data, error } = await supabase
+    .from('businesses')
+    .select('id')
+    .eq('stripe_customer_id', customerId)
+    .maybeSingle();
+  if (error) {
+    console.error('[BILLING] Error finding business by Stripe customer:', error);
+    throw error;
+  }
+  return data?.id || null;
+}
+
+/**
+ * Apply changes to a business. Subscription state (ordered = true) is applied only unless a newer
+ * subscription event was already applied (Stripe does not guarantee delivery order) and advances the
+ * stripe_event_at watermark; other events (customer / subscription IDs from Checkout) neither check
+ * nor move it, so an early checkout.session.completed cannot make the subscription events look outdated.
+ */
+async function updateBusinessBilling(businessId, event, changes, { ordered = true } = {}) {
+  const eventAt = ordered ? toIso(event.created) : null;
+
+  let query = supabase
+    .from('businesses')
+    .update(eventAt ? { ...changes, stripe_event_at: eventAt } : changes)
+    .eq('id', businessId);
+  if (eventAt) {
+    query = query.or(`stripe_event_at.is.null,stripe_event_at.lte.${eventAt}`);
+  }
+
+  const { data, error } = await query.select('id');
+  if (error) {
+    console.error('[BILLING] Error updating business billing state:', error);
+    throw error;
+  }
+  if (!data || data.length === 0) {
+    console.log('[BILLING] Skipped outdated or unknown-business event', { businessId, eventId: event.id, type: event.type });
+  }
+}
+
+function subscriptionChanges(subscription, deleted) {
+  const status = deleted ? 'canceled' : subscription.status;
+  const item = subscription.items?.data?.[0];
+  const changes = {
+    ...(subscription.customer ? { stripe_customer_id: subscription.customer } : {}),
+    stripe_subscription_id: subscription.id,
+    stripe_status: status,
+    stripe_price_id: item?.price?.id || null,
+    // Newer API versions moved the period to the subscription item
+    stripe_current_period_end: toIso(subscription.current_period_end ?? item?.current_period_end),
+    stripe_cancel_at_period_end: subscription.cancel_at_period_end === true,
+    is_subscribed: ACTIVE_STATUSES.has(status),
+  };
+  // Plan follows the subscribed price when it is mapped in STRIPE_PLAN_PRICES (lib/usage.js)
+  const plan = deleted ? null : planForStripePrice(item?.price?.id);
+  if (plan) changes.plan = plan;
+  return changes;
+}
+
+/**
+ * Process a verified Stripe event. Events are recorded in stripe_events, so Stripe's retries
+ * of an already processed event are no-ops.
+ * @returns {Promise<{handled: boolean, duplicate?: boolean}>}
+ */
+export async function handleStripeEvent(event) {
+  const { error: insertError } = await supabase
+    .from('stripe_events')
+    .insert({ id: event.id, type: event.type });
+  if (insertError) {
+    if (insertError.code === '23505') {
+      console.log('[BILLING] Duplicate event ignored', { eventId: event.id, type: event.type });
+      return { handled: false, duplicate: true };
+    }
+    console.error('[BILLING] Error recording Stripe event:', insertError);
+    throw insertError;
+  }
+
+  try {
+    const object = event.data?.object || {};
+    let businessId = null;
+
+    if (event.type === 'checkout.session.completed') {
+      businessId = object.client_reference_id || object.metadata?.business_id || null;
+      if (businessId) {
+        await updateBusinessBilling(
+          businessId,
+          event,
+          {
+            stripe_customer_id: object.customer || null,
+            stripe_subscription_id: object.subscription || null,
+          },
+          { ordered: false }
+        );
+      }
+    } else if (event.type.startsWith('customer.subscription.')) {
+      businessId = await findBusinessId({ metadataBusinessId: object.metadata?.business_id, customerId: object.customer });
+      if (businessId) {
+        await updateBusinessBilling(
+          businessId,
+          event,
+          subscriptionChanges(object, event.type === 'customer.subscription.deleted')
+        );
+      }
+    } else if (
+      event.type === 'invoice.paid' ||
+      event.type === 'invoice.payment_succeeded' ||
+      event.type === 'invoice.payment_failed'
+    ) {
+      // Logged only: Stripe follows every renewal / failed payment with customer.subscription.updated
+      // (new period, status past_due), which carries the subscription state
+      businessId = await findBusinessId({
+        metadataBusinessId: object.subscription_details?.metadata?.business_id,
+        customerId: object.customer,
+      });
+      if (event.type === 'invoice.payment_failed' && businessId) {
+        console.warn('[BILLING] Subscription payment failed', { businessId, invoiceId: object.id });
+      }
+    } else {
+      return { handled: false };
+    }
+
+    if (!businessId) {
+      console.warn('[BILLING] No business for Stripe event', { eventId: event.id, type: event.type });
+    } else {
+      console.log('[BILLING] Processed Stripe event', { eventId: event.id, type: event.type, businessId });
+    }
+    return { handled: Boolean(businessId) };
+  } catch (err) {
+    // Let Stripe retry: forget the event so the retry is not treated as a duplicate
+    await supabase.from('stripe_events').delete().eq('id', event.id);
+    throw err;
+  }
+}
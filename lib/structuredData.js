@@ -0,0 +1,459 @@
+import * as cheerio from 'cheerio';
+import { normalizePhoneToE164 } from './extractContact.js';
+import { parsePriceRange } from './extractServicesFromPriceList.js';
+
+// Helpers shared by the import adapters of external sources (lib/importSources.js):
+// schema.org JSON-LD (LocalBusiness / HairSalon / BeautySalon ...), opening hours, prices and durations
+// in the formats the exports use, and the final ImportedBusinessData cleanup.
+
+export const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+const DAY_NAMES = {
+  monday: 'mon', tuesday: 'tue', wednesday: 'wed', thursday: 'thu', friday: 'fri', saturday: 'sat', sunday: 'sun',
+  mon: 'mon', tue: 'tue', wed: 'wed', thu: 'thu', fri: 'fri', sat: 'sat', sun: 'sun',
+  mo: 'mon', tu: 'tue', we: 'wed', th: 'thu', fr: 'fri', sa: 'sat', su: 'sun',
+  pondeli: 'mon', utery: 'tue', streda: 'wed', ctvrtek: 'thu', patek: 'fri', sobota: 'sat', nedele: 'sun',
+  po: 'mon', ut: 'tue', st: 'wed', ct: 'thu', pa: 'fri', so: 'sat', ne: 'sun',
+};
+
+const BUSINESS_TYPES = /(LocalBusiness|HairSalon|BeautySalon|NailSalon|DaySpa|HealthAndBeautyBusiness|HealthClub|Store|Organization)$/;
+
+/**
+ * Weekday key ('mon' … 'sun') from an English / Czech day name, abbreviation or schema.org URL.
+ * @param {string|number} day - Also 0–6 (Sunday = 0, as in JavaScript and the Google API)
+ * @returns {string|null}
+ */
+export function toWeekday(day) {
+  if (typeof day === 'number') return WEEKDAYS[(day + 6) % 7] ?? null;
+  if (!day) return null;
+  const key = String(day)
+    .split('/')
+    .pop()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z]/g, '');
+  return DAY_NAMES[key] || null;
+}
+
+/**
+ * "9:00", "09:00:00", "0900", 9 or { hours: 9, minutes: 30 } → "HH:MM" (null when not a time).
+ */
+export function toHHMM(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'object') {
+    const hours = Number(value.hours ?? 0);
+    const minutes = Number(value.minutes ?? 0);
+    if (!Number.isFinite(hours) || !Number.isFinite(minutes) || hours > 24 || minutes > 59) return null;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+  }
+  const match = String(value).trim().match(/^(\d{1,2})(?::|\.)?(\d{2})?(?::\d{2})?$/);
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  if (hours > 24 || minutes > 59) return null;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Duration in minutes: ISO 8601 ("PT1H30M"), "1 h 30 min", "45 min", "1,5 hod" or a number of minutes.
+ * @param {string|number|null} value
+ * @param {{seconds?: boolean}} [options] - Numeric value is in seconds
+ * @returns {number|null}
+ */
+export function toDurationMinutes(value, { seconds = false } = {}) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value) || value <= 0) return null;
+    return Math.round(seconds ? value / 60 : value);
+  }
+
+  const text = String(value).trim().toLowerCase();
+  const iso = text.match(/^p(?:t)?(?:(\d+(?:\.\d+)?)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+  if (iso && (iso[1] || iso[2] || iso[3])) {
+    return Math.round(Number(iso[1] || 0) * 60 + Number(iso[2] || 0) + Number(iso[3] || 0) / 60) || null;
+  }
+  if (/^\d+$/.test(text)) return toDurationMinutes(Number(text), { seconds });
+
+  const hours = text.match(/(\d+(?:[.,]\d+)?)\s*(?:h|hod|hr|hour)/);
+  const minutes = text.match(/(\d+)\s*(?:m|min)/);
+  if (!hours && !minutes) return null;
+  return Math.round(Number(hours ? hours[1].replace(',', '.') : 0) * 60 + Number(minutes ? minutes[1] : 0)) || null;
+}
+
+/**
+ * Price range from a number, a text ("500 - 800 Kč", "od 350 Kč") or an amount object
+ * ({ amount }, { value }, { units, nanos } of the Google API).
+ * @returns {{priceFrom: number|null, priceTo: number|null}}
+ */
+export function toPriceRange(value) {
+  if (value === null || value === undefined || value === '') return { priceFrom: null, priceTo: null };
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? { priceFrom: value, priceTo: value } : { priceFrom: null, priceTo: null };
+  }
+  if (typeof value === 'object') {
+    if (value.units !== undefined) {
+      const amount = Number(value.units) + Number(value.nanos || 0) / 1e9;
+      return toPriceRange(Math.round(amount));
+    }
+    if (value.minPrice !== undefined || value.maxPrice !== undefined) {
+      const from = toPriceRange(value.minPrice ?? value.maxPrice).priceFrom;
+      const to = toPriceRange(value.maxPrice ?? value.minPrice).priceTo;
+      return { priceFrom: from, priceTo: to };
+    }
+    return toPriceRange(value.amount ?? value.value ?? value.price ?? null);
+  }
+  const text = String(value).replace(/\u00A0/g, ' ').trim();
+  if (/^\d+(?:[.,]\d+)?$/.test(text)) return toPriceRange(Math.round(Number(text.replace(',', '.'))));
+  // parsePriceRange expects the "Kč" suffix of Czech price lists; exports often use "CZK" or no currency
+  return parsePriceRange(/kč$/i.test(text) ? text : `${text.replace(/\s*(czk|eur|€)$/i, '')} Kč`);
+}
+
+export function normalizePhone(phone) {
+  if (!phone) return null;
+  return normalizePhoneToE164(String(phone)) || String(phone).trim() || null;
+}
+
+function cleanString(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.replace(/\s+/g, ' ').trim();
+  return text || null;
+}
+
+/**
+ * All JSON-LD objects of an HTML document (arrays and @graph flattened).
+ * @param {string} html
+ * @returns {Array<Object>}
+ */
+export function extractJsonLd(html) {
+  const $ = cheerio.load(html);
+  const objects = [];
+  $('script[type="application/ld+json"]').each((_, el) => {
+    try {
+      const parsed = JSON.parse($(el).contents().text());
+      for (const item of Array.isArray(parsed) ? parsed : [parsed]) {
+        if (Array.isArray(item?.['@graph'])) objects.push(...item['@graph']);
+        else if (item && typeof item === 'object') objects.push(item);
+      }
+    } catch {
+      // Broken JSON-LD blocks are common – skip them
+    }
+  });
+  return objects;
+}
+
+/**
+ * The JSON-LD object describing the business itself (the first LocalBusiness-like type).
+ */
+export function findBusinessNode(objects) {
+  return (
+    objects.find((obj) => {
+      const types = Array.isArray(obj?.['@type']) ? obj['@type'] : [obj?.['@type']];
+      return types.some((type) => typeof type === 'string' && BUSINESS_TYPES.test(type));
+    }) || null
+  );
+}
+
+/**
+ * Text of a content attribute or og: meta tag, e.g. metaContent($, 'og:title').
+ */
+export function metaContent($, name) {
+  return cleanString($(`meta[property="${name}"], meta[name="${name}"]`).attr('content') || null);
+}
+
+function formatSchemaAddress(address) {
+  if (!address) return null;
+  if (typeof address === 'string') return cleanString(address);
+  const street = cleanString(address.streetAddress);
+  const city = [cleanString(address.postalCode), cleanString(address.addressLocality)].filter(Boolean).join(' ');
+  return [street, city].filter(Boolean).join(', ') || null;
+}
+
+/**
+ * ImportedProfile from a schema.org business node.
+ * @returns {import('./importFromWeb.js').ImportedProfile}
+ */
+export function profileFromSchemaOrg(node) {
+  return {
+    name: cleanString(node?.name),
+    address: formatSchemaAddress(node?.address),
+    phone: normalizePhone(node?.telephone),
+    email: cleanString(node?.email)?.replace(/^mailto:/i, '') || null,
+    website: cleanString(node?.url),
+  };
+}
+
+/**
+ * Opening hours from schema.org: openingHoursSpecification objects or openingHours strings ("Mo-Fr 09:00-17:00").
+ * @returns {import('./importFromWeb.js').ImportedOpeningHour[]}
+ */
+export function openingHoursFromSchemaOrg(node) {
+  const hours = new Map();
+
+  const specs = node?.openingHoursSpecification;
+  for (const spec of Array.isArray(specs) ? specs : specs ? [specs] : []) {
+    const days = Array.isArray(spec?.dayOfWeek) ? spec.dayOfWeek : [spec?.dayOfWeek];
+    for (const day of days) {
+      const weekday = toWeekday(day);
+      const opensAt = toHHMM(spec?.opens);
+      const closesAt = toHHMM(spec?.closes);
+      if (opensAt !== closesAt) addHourRange(hours, weekday, opensAt, closesAt);
+    }
+  }
+
+  const lines = node?.openingHours;
+  for (const line of Array.isArray(lines) ? lines : lines ? [lines] : []) {
+    const match = String(line).match(/^\s*([A-Za-z]{2})(?:\s*-\s*([A-Za-z]{2}))?\s+(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})/);
+    if (!match) continue;
+    const from = WEEKDAYS.indexOf(toWeekday(match[1]));
+    const to = match[2] ? WEEKDAYS.indexOf(toWeekday(match[2])) : from;
+    if (from < 0 || to < 0) continue;
+    for (let i = from; i <= to; i += 1) {
+      addHourRange(hours, WEEKDAYS[i], toHHMM(match[3]), toHHMM(match[4]));
+    }
+  }
+
+  return buildOpeningHours(hours);
+}
+
+/**
+ * Services from schema.org offers: makesOffer and hasOfferCatalog (nested catalogs included).
+ * @returns {import('./importFromWeb.js').ImportedService[]}
+ */
+export function servicesFromSchemaOrg(node) {
+  const services = [];
+
+  const visitOffer = (offer) => {
+    if (!offer || typeof offer !== 'object') return;
+    if (Array.isArray(offer.itemListElement)) {
+      offer.itemListElement.forEach(visitOffer);
+      return;
+    }
+    const item = offer.itemOffered || offer.item || offer;
+    const price = offer.priceSpecification ? toPriceRange(offer.priceSpecification) : toPriceRange(offer.price ?? null);
+    services.push(
+      makeService({
+        name: item.name,
+        description: item.description,
+        durationMinutes: toDurationMinutes(item.duration ?? offer.duration ?? null),
+        ...price,
+      })
+    );
+  };
+
+  const offers = node?.makesOffer;
+  (Array.isArray(offers) ? offers : offers ? [offers] : []).forEach(visitOffer);
+  visitOffer(node?.hasOfferCatalog);
+
+  return services.filter(Boolean);
+}
+
+/**
+ * ImportedService with trimmed text, or null without a name. isCore as in the website import:
+ * a service with a price or duration.
+ * @returns {import('./importFromWeb.js').ImportedService|null}
+ */
+export function makeService({ name, description = null, durationMinutes = null, priceFrom = null, priceTo = null }) {
+  const cleanName = cleanString(name);
+  if (!cleanName) return null;
+  const service = {
+    name: cleanName,
+    description: cleanString(description),
+    durationMinutes: durationMinutes ?? null,
+    priceFrom: priceFrom ?? null,
+    priceTo: priceTo ?? null,
+  };
+  service.isCore = service.durationMinutes !== null || service.priceFrom !== null;
+  return service;
+}
+
+const NAME_KEYS = ['name', 'title', 'displayName', 'serviceName'];
+const PRICE_KEYS = ['price', 'priceFrom', 'priceMin', 'minPrice', 'retailPrice', 'formattedRetailPrice', 'priceFormatted', 'formattedPrice'];
+const PRICE_TO_KEYS = ['priceTo', 'priceMax', 'maxPrice'];
+const DURATION_KEYS = ['durationMinutes', 'durationInMinutes', 'duration', 'durationCaption', 'formattedDuration'];
+const DURATION_SECONDS_KEYS = ['durationSeconds', 'durationInSeconds'];
+const MAX_JSON_NODES = 20000;
+
+// JSON:API payloads (Reservio) keep the fields in "attributes"
+function flattenNode(node) {
+  return node.attributes && typeof node.attributes === 'object' ? { ...node, ...node.attributes } : node;
+}
+
+/**
+ * Depth-first walk over every object of a JSON document (bounded); visit() gets the object with
+ * JSON:API "attributes" merged in and may return true to stop the walk.
+ */
+export function walkJson(tree, visit) {
+  const stack = [tree];
+  let seen = 0;
+  while (stack.length > 0 && seen < MAX_JSON_NODES) {
+    const node = stack.pop();
+    seen += 1;
+    if (Array.isArray(node)) {
+      for (let i = node.length - 1; i >= 0; i -= 1) stack.push(node[i]);
+    } else if (node && typeof node === 'object') {
+      if (visit(flattenNode(node)) === true) return;
+      const values = Object.values(node);
+      for (let i = values.length - 1; i >= 0; i -= 1) {
+        if (values[i] && typeof values[i] === 'object') stack.push(values[i]);
+      }
+    }
+  }
+}
+
+function firstKey(node, keys) {
+  const key = keys.find((k) => node[k] !== undefined && node[k] !== null && node[k] !== '');
+  return key ? node[key] : undefined;
+}
+
+/**
+ * Services anywhere in a JSON document (booking platform state / API payload): objects with a name and
+ * a price or duration. Numeric "duration" over 600 is taken as seconds – no salon service takes 10 hours.
+ * @returns {import('./importFromWeb.js').ImportedService[]}
+ */
+export function findServicesInJson(tree) {
+  const services = [];
+  walkJson(tree, (node) => {
+    const name = firstKey(node, NAME_KEYS);
+    if (typeof name !== 'string') return;
+    const price = firstKey(node, PRICE_KEYS);
+    const seconds = firstKey(node, DURATION_SECONDS_KEYS);
+    const duration = firstKey(node, DURATION_KEYS);
+    if (price === undefined && duration === undefined && seconds === undefined) return;
+    // A price object with nested name is the price itself, not a service
+    if (typeof price === 'object' && price !== null && firstKey(price, NAME_KEYS)) return;
+
+    const range = toPriceRange(price ?? null);
+    const priceTo = firstKey(node, PRICE_TO_KEYS);
+    services.push(
+      makeService({
+        name,
+        description: typeof node.description === 'string' ? node.description : null,
+        durationMinutes:
+          seconds !== undefined
+            ? toDurationMinutes(Number(seconds), { seconds: true })
+            : toDurationMinutes(duration ?? null, { seconds: typeof duration === 'number' && duration > 600 }),
+        priceFrom: range.priceFrom,
+        priceTo: priceTo !== undefined ? toPriceRange(priceTo).priceTo : range.priceTo,
+      })
+    );
+  });
+  return services.filter(Boolean);
+}
+
+/**
+ * Opening hours anywhere in a JSON document: objects with a weekday (day / dayOfWeek / weekday)
+ * and opening / closing time (opens / open / from / start, closes / close / to / end).
+ * Several ranges of one day (lunch break) are joined from the first opening to the last closing.
+ * @returns {import('./importFromWeb.js').ImportedOpeningHour[]}
+ */
+export function findOpeningHoursInJson(tree) {
+  const hours = new Map();
+  walkJson(tree, (node) => {
+    const weekday = toWeekday(firstKey(node, ['dayOfWeek', 'weekday', 'day', 'dayName']));
+    const opensAt = toHHMM(firstKey(node, ['opens', 'open', 'openTime', 'from', 'start', 'startTime']));
+    const closesAt = toHHMM(firstKey(node, ['closes', 'close', 'closeTime', 'to', 'end', 'endTime']));
+    if (opensAt < closesAt) addHourRange(hours, weekday, opensAt, closesAt);
+  });
+  return buildOpeningHours(hours);
+}
+
+/**
+ * Profile, services and hours from a saved HTML page: schema.org JSON-LD of the business,
+ * og: meta tags as a fallback for the name and website.
+ * @param {string} html
+ * @returns {{profile: Object, services: Array<Object>, openingHours: Array<Object>}}
+ */
+export function parseSchemaOrgHtml(html) {
+  const $ = cheerio.load(html);
+  const node = findBusinessNode(extractJsonLd(html));
+  const profile = mergeProfiles(node ? profileFromSchemaOrg(node) : {}, {
+    name: metaContent($, 'og:title') || cleanString($('title').first().text()),
+    website: metaContent($, 'og:url'),
+  });
+  return {
+    profile,
+    services: node ? servicesFromSchemaOrg(node) : [],
+    openingHours: node ? openingHoursFromSchemaOrg(node) : [],
+  };
+}
+
+/**
+ * Add an open range of a day to a weekday → ranges map for buildOpeningHours(). Incomplete ranges are ignored.
+ * @param {Map<string, Array<{opensAt: string, closesAt: string}>>} hours
+ */
+export function addHourRange(hours, weekday, opensAt, closesAt) {
+  if (!weekday || !opensAt || !closesAt) return;
+  hours.set(weekday, [...(hours.get(weekday) || []), { opensAt, closesAt }]);
+}
+
+/**
+ * Map weekday → open ranges to ImportedOpeningHour[] in weekday order. Overlapping and adjacent ranges
+ * are joined. opening_hours holds one range a day, so a day that stays split (lunch break) is left out
+ * like a day without hours – it keeps its current hours instead of being opened over the break.
+ * @param {Map<string, Array<{opensAt: string, closesAt: string}>>} hours - See addHourRange()
+ */
+export function buildOpeningHours(hours) {
+  const openingHours = [];
+  const splitDays = [];
+  for (const weekday of WEEKDAYS) {
+    const ranges = [...(hours.get(weekday) || [])].sort((a, b) => a.opensAt.localeCompare(b.opensAt));
+    const joined = [];
+    for (const range of ranges) {
+      const last = joined[joined.length - 1];
+      if (last && range.opensAt <= last.closesAt) {
+        if (range.closesAt > last.closesAt) last.closesAt = range.closesAt;
+      } else {
+        joined.push({ ...range });
+      }
+    }
+
+    if (joined.length === 1) openingHours.push({ weekday, ...joined[0], closed: false });
+    else if (joined.length > 1) splitDays.push(weekday);
+  }
+
+  if (splitDays.length > 0) {
+    console.warn('[IMPORT_SOURCE] Split opening hours not imported, current hours kept:', splitDays.join(', '));
+  }
+  return openingHours;
+}
+
+/**
+ * Final ImportedBusinessData of an adapter: missing parts filled in, services deduplicated by name
+ * (the first occurrence with a price or duration wins).
+ * @returns {import('./importFromWeb.js').ImportedBusinessData}
+ */
+export function buildImportedData({ profile = {}, services = [], openingHours = [], locations = [] }) {
+  const byName = new Map();
+  for (const service of services.filter(Boolean)) {
+    const key = service.name.toLowerCase();
+    const existing = byName.get(key);
+    if (!existing || (!existing.isCore && service.isCore)) byName.set(key, service);
+  }
+
+  return {
+    profile: {
+      name: cleanString(profile.name),
+      address: cleanString(profile.address),
+      phone: profile.phone || null,
+      email: cleanString(profile.email),
+      website: cleanString(profile.website),
+    },
+    services: [...byName.values()],
+    openingHours,
+    locations,
+  };
+}
+
+/**
+ * Fill empty profile fields of the first profile with values of the next ones.
+ */
+export function mergeProfiles(...profiles) {
+  const merged = {};
+  for (const profile of profiles) {
+    for (const [key, value] of Object.entries(profile || {})) {
+      if (!merged[key] && value) merged[key] = value;
+    }
+  }
+  return merged;
+}
@@ -2,6 +2,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { supabase } from './supabaseClient.js';
+import { getBookableLocations, formatLocationsForPrompt } from './locations.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -46,9 +47,10 @@ async function getBusinessProfileForTenant(tenantId) {
  * @param {Object} params
  * @param {Object} params.settings - IVA settings object
  * @param {Object} params.businessProfile - Business profile object
+ * @param {Array<Object>} [params.locations] - Rows from the locations table (fallback: settings.locations)
  * @returns {string} Template with placeholders replaced
  */
-function applyPromptTemplate(template, { settings, businessProfile }) {
+function applyPromptTemplate(template, { settings, businessProfile, locations = [] }) {
   let result = template;
 
   // Map to real Supabase columns first, then fallbacks.
@@ -94,17 +96,10 @@ function applyPromptTemplate(template, { settings, businessProfile }) {
     businessProfile?.services_summary ||
     'kadeřnické a kosmetické služby';
 
-  const locationsArray = Array.isArray(settings?.locations) ? settings.locations : [];
-  const locationsText =
-    locationsArray.length === 0
-      ? ''
-      : locationsArray
-          .map((loc) => {
-            const name = loc?.name || '';
-            const addr = loc?.address ? ` – ${loc.address}` : '';
-            return `- ${name}${addr}`;
-          })
-          .join('\n');
+  const locationsArray = locations.length > 0
+    ? locations
+    : (Array.isArray(settings?.locations) ? settings.locations : []);
+  const locationsText = formatLocationsForPrompt(locationsArray);
 
   const nowIso = new Date().toISOString();
 
@@ -164,8 +159,11 @@ export async function buildSystemPrompt({ tenantId, settings }) {
   // 3) Load business_profile for tenant
   const businessProfile = await getBusinessProfileForTenant(tenantId);
 
-  // 4) Apply replacements
-  const finalPrompt = applyPromptTemplate(template, { settings, businessProfile });
+  // 4) Load locations (branches) for {{LOCATIONS_LIST}}
+  const { locations } = await getBookableLocations(tenantId);
+
+  // 5) Apply replacements
+  const finalPrompt = applyPromptTemplate(template, { settings, businessProfile, locations });
 
   console.log('[PROMPT] Business profile used for template:', {
     business_id: businessProfile?.business_id,
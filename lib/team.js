@@ -0,0 +1,314 @@
+import crypto from 'node:crypto';
+import { supabase } from './supabaseClient.js';
+import { hasRole } from './auth.js';
+import { sendTeamInviteEmail } from './notifications.js';
+
+// Dashboard team: people other than the owner with access to a business (`business_members`,
+// sql/2026-10-business-members.sql).
+//
+// Invites are sent by e-mail with a one-time link; only the SHA-256 of the token is stored.
+// The invite is bound to the e-mail address – it can only be accepted by a Supabase user with that e-mail.
+// Nobody can grant a role above their own, and the owner role is never granted (businesses.owner_id).
+
+export const MEMBER_ROLES = ['admin', 'staff', 'read_only'];
+
+export const ROLE_LABELS_CS = {
+  owner: 'majitel',
+  admin: 'správce',
+  staff: 'personál',
+  read_only: 'jen pro čtení',
+};
+
+const INVITE_TTL_DAYS = Number(process.env.TEAM_INVITE_TTL_DAYS) || 7;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MEMBER_COLUMNS = 'id, user_id, email, role, status, invited_by, invite_expires_at, accepted_at, created_at';
+
+function hashInviteToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function inviteUrl(token) {
+  const base = (process.env.DASHBOARD_URL || 'https://ivaai.cz').replace(/\/+$/, '');
+  return `${base}/invite?token=${encodeURIComponent(token)}`;
+}
+
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+/**
+ * Whether an actor with `actorRole` may manage (change / remove) a member with `targetRole`.
+ * The owner manages everyone; an admin manages admins and everyone below.
+ */
+function canManageRole(actorRole, targetRole) {
+  return hasRole(actorRole, 'admin') && hasRole(actorRole, targetRole);
+}
+
+const forbidden = () => ({
+  ok: false,
+  error: 'INSUFFICIENT_ROLE',
+  message_cs: 'Nemůžete udělit ani měnit roli vyšší, než je vaše vlastní.',
+});
+
+/**
+ * Team of a business: the owner plus invited / active members (revoked ones are left out).
+ * @returns {Promise<{ok: boolean, ownerUserId?: string|null, members?: Array<Object>, error?: any}>}
+ */
+export async function listTeam(businessId) {
+  const [{ data: business, error: businessError }, { data: members, error: membersError }] = await Promise.all([
+    supabase.from('businesses').select('id, owner_id').eq('id', businessId).maybeSingle(),
+    supabase
+      .from('business_members')
+      .select(MEMBER_COLUMNS)
+      .eq('business_id', businessId)
+      .neq('status', 'revoked')
+      .order('created_at', { ascending: true }),
+  ]);
+
+  if (businessError || membersError) {
+    console.error('[TEAM] Error listing team:', businessError || membersError);
+    return { ok: false, error: businessError || membersError };
+  }
+
+  return { ok: true, ownerUserId: business?.owner_id || null, members: members || [] };
+}
+
+/**
+ * Invite someone by e-mail (or re-send / change the role of a pending or revoked invite).
+ * @param {Object} params
+ * @param {string} params.businessId
+ * @param {string} params.email
+ * @param {string} params.role - admin | staff | read_only
+ * @param {{userId: string|null, role: string}} params.actor - req.auth of the inviting user
+ * @returns {Promise<{ok: boolean, member?: Object, inviteUrl?: string, emailSent?: boolean, error?: string, message_cs?: string}>}
+ */
+export async function inviteMember({ businessId, email, role, actor }) {
+  const normalizedEmail = normalizeEmail(email);
+  if (!EMAIL_PATTERN.test(normalizedEmail)) {
+    return { ok: false, error: 'INVALID_EMAIL', message_cs: 'Zadejte prosím platný e-mail.' };
+  }
+  if (!MEMBER_ROLES.includes(role)) {
+    return { ok: false, error: 'INVALID_ROLE', message_cs: 'Neplatná role. Povolené: správce, personál, jen pro čtení.' };
+  }
+  if (!canManageRole(actor.role, role)) {
+    return forbidden();
+  }
+
+  const { data: existing, error: existingError } = await supabase
+    .from('business_members')
+    .select(MEMBER_COLUMNS)
+    .eq('business_id', businessId)
+    .eq('email', normalizedEmail)
+    .maybeSingle();
+
+  if (existingError) {
+    console.error('[TEAM] Error loading existing member:', existingError);
+    return { ok: false, error: 'DB_ERROR', message_cs: 'Pozvánku se nepodařilo vytvořit.' };
+  }
+  if (existing?.status === 'active') {
+    return { ok: false, error: 'ALREADY_MEMBER', message_cs: 'Tento uživatel už je členem týmu.' };
+  }
+  if (existing && !canManageRole(actor.role, existing.role)) {
+    return forbidden();
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const invite = {
+    business_id: businessId,
+    email: normalizedEmail,
+    role,
+    status: 'invited',
+    user_id: null,
+    invite_token_hash: hashInviteToken(token),
+    invited_by: actor.userId,
+    invite_expires_at: new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    accepted_at: null,
+    updated_at: new Date().toISOString(),
+  };
+
+  const query = existing
+    ? supabase.from('business_members').update(invite).eq('id', existing.id)
+    : supabase.from('business_members').insert(invite);
+  const { data: member, error } = await query.select(MEMBER_COLUMNS).single();
+
+  if (error) {
+    console.error('[TEAM] Error saving invite:', error);
+    return { ok: false, error: 'DB_ERROR', message_cs: 'Pozvánku se nepodařilo vytvořit.' };
+  }
+
+  const { data: profile } = await supabase
+    .from('business_profile')
+    .select('name')
+    .eq('business_id', businessId)
+    .maybeSingle();
+
+  const url = inviteUrl(token);
+  let emailSent = false;
+  try {
+    const sent = await sendTeamInviteEmail({
+      to: normalizedEmail,
+      businessName: profile?.name || 'vaší firmy',
+      roleLabel: ROLE_LABELS_CS[role],
+      inviteUrl: url,
+    });
+    emailSent = !!sent.ok;
+  } catch (err) {
+    console.error('[TEAM] Error sending invite e-mail:', err);
+  }
+
+  console.log('[TEAM] Invited member', { businessId, memberId: member.id, role, emailSent });
+  // The link is returned too, so the dashboard can offer "copy link" when e-mail is not configured
+  return { ok: true, member, inviteUrl: url, emailSent };
+}
+
+/**
+ * Accept an invite as the signed-in user.
+ * @param {Object} params
+ * @param {string} params.token - Token from the invite link
+ * @param {{userId: string, email: string|null}} params.user - req.auth of the accepting user
+ * @returns {Promise<{ok: boolean, member?: Object, businessId?: string, error?: string, message_cs?: string}>}
+ */
+export async function acceptInvite({ token, user }) {
+  if (!token || typeof token !== 'string') {
+    return { ok: false, error: 'INVALID_INVITE', message_cs: 'Pozvánka je neplatná.' };
+  }
+
+  const { data: invite, error } = await supabase
+    .from('business_members')
+    .select(`business_id, ${MEMBER_COLUMNS}`)
+    .eq('invite_token_hash', hashInviteToken(token))
+    .eq('status', 'invited')
+    .maybeSingle();
+
+  if (error) {
+    console.error('[TEAM] Error loading invite:', error);
+    return { ok: false, error: 'DB_ERROR', message_cs: 'Pozvánku se nepodařilo ověřit.' };
+  }
+  if (!invite) {
+    return { ok: false, error: 'INVALID_INVITE', message_cs: 'Pozvánka je neplatná nebo už byla použita.' };
+  }
+  if (invite.invite_expires_at && new Date(invite.invite_expires_at).getTime() <= Date.now()) {
+    return { ok: false, error: 'INVITE_EXPIRED', message_cs: 'Platnost pozvánky vypršela. Požádejte o novou.' };
+  }
+  if (normalizeEmail(user.email) !== normalizeEmail(invite.email)) {
+    return {
+      ok: false,
+      error: 'EMAIL_MISMATCH',
+      message_cs: `Pozvánka je určena pro ${invite.email}. Přihlaste se prosím tímto e-mailem.`,
+    };
+  }
+
+  const now = new Date().toISOString();
+  const { data: member, error: updateError } = await supabase
+    .from('business_members')
+    .update({ user_id: user.userId, status: 'active', accepted_at: now, invite_token_hash: null, updated_at: now })
+    .eq('id', invite.id)
+    .eq('status', 'invited')
+    .select(MEMBER_COLUMNS)
+    .maybeSingle();
+
+  if (updateError) {
+    console.error('[TEAM] Error accepting invite:', updateError);
+    return { ok: false, error: 'DB_ERROR', message_cs: 'Pozvánku se nepodařilo přijmout.' };
+  }
+  if (!member) {
+    return { ok: false, error: 'INVALID_INVITE', message_cs: 'Pozvánka je neplatná nebo už byla použita.' };
+  }
+
+  console.log('[TEAM] Invite accepted', { businessId: invite.business_id, memberId: member.id, userId: user.userId });
+  return { ok: true, member, businessId: invite.business_id };
+}
+
+async function loadMember(businessId, memberId) {
+  const { data, error } = await supabase
+    .from('business_members')
+    .select(MEMBER_COLUMNS)
+    .eq('id', memberId)
+    .eq('business_id', businessId)
+    .neq('status', 'revoked')
+    .maybeSingle();
+
+  if (error) {
+    console.error('[TEAM] Error loading member:', error);
+  }
+  return { data, error };
+}
+
+/**
+ * Change a member's role.
+ * @param {Object} params
+ * @param {string} params.businessId
+ * @param {string} params.memberId - business_members.id
+ * @param {string} params.role - admin | staff | read_only
+ * @param {{userId: string|null, role: string}} params.actor - req.auth of the acting user
+ * @returns {Promise<{ok: boolean, member?: Object, error?: string, message_cs?: string}>}
+ */
+export async function updateMemberRole({ businessId, memberId, role, actor }) {
+  if (!MEMBER_ROLES.includes(role)) {
+    return { ok: false, error: 'INVALID_ROLE', message_cs: 'Neplatná role. Povolené: správce, personál, jen pro čtení.' };
+  }
+
+  const { data: existing, error } = await loadMember(businessId, memberId);
+  if (error) {
+    return { ok: false, error: 'DB_ERROR', message_cs: 'Roli se nepodařilo změnit.' };
+  }
+  if (!existing) {
+    return { ok: false, error: 'NOT_FOUND', message_cs: 'Člen týmu nebyl nalezen.' };
+  }
+  if (existing.user_id && existing.user_id === actor.userId) {
+    return { ok: false, error: 'CANNOT_CHANGE_OWN_ROLE', message_cs: 'Svou vlastní roli změnit nemůžete.' };
+  }
+  if (!canManageRole(actor.role, existing.role) || !canManageRole(actor.role, role)) {
+    return forbidden();
+  }
+
+  const { data: member, error: updateError } = await supabase
+    .from('business_members')
+    .update({ role, updated_at: new Date().toISOString() })
+    .eq('id', memberId)
+    .eq('business_id', businessId)
+    .select(MEMBER_COLUMNS)
+    .single();
+
+  if (updateError) {
+    console.error('[TEAM] Error updating member role:', updateError);
+    return { ok: false, error: 'DB_ERROR', message_cs: 'Roli se nepodařilo změnit.' };
+  }
+
+  console.log('[TEAM] Member role changed', { businessId, memberId, from: existing.role, to: role });
+  return { ok: true, member };
+}
+
+/**
+ * Remove a member or cancel a pending invite (access ends with the next request).
+ * Members may always remove themselves (leave the team).
+ * @returns {Promise<{ok: boolean, error?: string, message_cs?: string}>}
+ */
+export async function removeMember({ businessId, memberId, actor }) {
+  const { data: existing, error } = await loadMember(businessId, memberId);
+  if (error) {
+    return { ok: false, error: 'DB_ERROR', message_cs: 'Člena týmu se nepodařilo odebrat.' };
+  }
+  if (!existing) {
+    return { ok: false, error: 'NOT_FOUND', message_cs: 'Člen týmu nebyl nalezen.' };
+  }
+
+  const isSelf = existing.user_id && existing.user_id === actor.userId;
+  if (!isSelf && !canManageRole(actor.role, existing.role)) {
+    return forbidden();
+  }
+
+  const { error: updateError } = await supabase
+    .from('business_members')
+    .update({ status: 'revoked', invite_token_hash: null, updated_at: new Date().toISOString() })
+    .eq('id', memberId)
+    .eq('business_id', businessId);
+
+  if (updateError) {
+    console.error('[TEAM] Error removing member:', updateError);
+    return { ok: false, error: 'DB_ERROR', message_cs: 'Člena týmu se nepodařilo odebrat.' };
+  }
+
+  console.log('[TEAM] Member removed', { businessId, memberId, self: !!isSelf });
+  return { ok: true };
+}
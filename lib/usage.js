@@ -0,0 +1,209 @@
+import { DateTime } from 'luxon';
+import { supabase } from './supabaseClient.js';
+
+// Usage metering and plan limits (sql/2026-10-usage-metering.sql).
+//
+// - usage_events: one row per metered fact, unique per (business, kind, ref_id), so a re-sent
+//   end-of-call-report or a retried booking is never counted twice.
+//     call_seconds – ref_id = Vapi call id, quantity = call duration (recordEndOfCallReport)
+//     booking      – ref_id = booking id, quantity = 1 (createBooking)
+// - usage_monthly: view summing usage_events per calendar month (Europe/Prague).
+// - Plan: businesses.plan (PLANS below), individual limits overridden by businesses.plan_limits (jsonb).
+//   null = unlimited. Locations are counted live (active rows in `locations`); Vapi / bookings use only
+//   the oldest ones within the plan (getBookableLocations in lib/locations.js).
+// - legacy: businesses that existed before plans (and deployments without the migration) – unlimited
+//   until the Stripe webhook or an admin moves them to a plan.
+
+const TIME_ZONE = 'Europe/Prague';
+
+export const PLANS = {
+  starter: { callMinutes: 300, bookings: 150, locations: 1 },
+  pro: { callMinutes: 1000, bookings: 600, locations: 3 },
+  business: { callMinutes: 3000, bookings: null, locations: null },
+  legacy: { callMinutes: null, bookings: null, locations: null },
+};
+
+export const DEFAULT_PLAN = 'starter';
+const LEGACY_PLAN = 'legacy';
+
+export const PLAN_LIMIT_MESSAGES_CS = {
+  callMinutes:
+    'Omlouvám se, tento salon teď přes IVA hovory nepřijímá. Zavolejte prosím přímo do salonu, nebo to zkuste později.',
+  bookings:
+    'Omlouvám se, rezervaci teď přes IVA vytvořit nemohu. Zavolejte prosím přímo do salonu a domluvte si termín s obsluhou.',
+  locations: 'Počet poboček dosáhl limitu vašeho tarifu.',
+};
+
+// Limit checks run on every call / booking – cache the usage per business briefly
+const CHECK_CACHE_TTL_MS = 60 * 1000;
+const checkCache = new Map();
+
+/**
+ * The calendar month (Europe/Prague) containing `now`.
+ * @returns {{month: string, from: string, to: string}} month as YYYY-MM, from/to as ISO timestamps
+ */
+export function currentUsagePeriod(now = new Date()) {
+  const start = DateTime.fromJSDate(now).setZone(TIME_ZONE).startOf('month');
+  return {
+    month: start.toFormat('yyyy-MM'),
+    from: start.toUTC().toISO(),
+    to: start.plus({ months: 1 }).toUTC().toISO(),
+  };
+}
+
+/**
+ * Plan name for a Stripe price, from STRIPE_PLAN_PRICES ("starter=price_123,pro=price_456").
+ * @returns {string|null}
+ */
+export function planForStripePrice(priceId) {
+  if (!priceId) return null;
+  for (const entry of (process.env.STRIPE_PLAN_PRICES || '').split(',')) {
+    const [plan, price] = entry.split('=').map((part) => part?.trim());
+    if (price === priceId && PLANS[plan]) return plan;
+  }
+  return null;
+}
+
+/**
+ * Record a metered fact. Duplicates (same business, kind and ref_id) are ignored.
+ * Never throws – metering must not break calls or bookings.
+ * @param {Object} params
+ * @param {string} params.businessId
+ * @param {'call_seconds'|'booking'} params.kind
+ * @param {string} params.refId - Vapi call id / booking id
+ * @param {number} [params.quantity]
+ * @param {string|null} [params.occurredAt] - ISO timestamp (default now)
+ */
+export async function recordUsage({ businessId, kind, refId, quantity = 1, occurredAt = null }) {
+  if (!businessId || !kind || !refId) return { ok: false, error: 'MISSING_PARAMS' };
+
+  try {
+    const { error } = await supabase.from('usage_events').upsert(
+      {
+        business_id: businessId,
+        kind,
+        ref_id: String(refId),
+        quantity: Math.max(0, Math.round(quantity)),
+        occurred_at: occurredAt || new Date().toISOString(),
+      },
+      { onConflict: 'business_id,kind,ref_id', ignoreDuplicates: true }
+    );
+
+    if (error) {
+      console.error('[USAGE] Error recording usage:', { businessId, kind, refId, error });
+      return { ok: false, error };
+    }
+
+    checkCache.delete(businessId);
+    return { ok: true };
+  } catch (err) {
+    console.error('[USAGE] Unexpected error recording usage:', err);
+    return { ok: false, error: err };
+  }
+}
+
+/**
+ * Plan and effective limits of a business.
+ * @returns {Promise<{ok: boolean, plan: string, limits: {callMinutes: number|null, bookings: number|null, locations: number|null}, error?: any}>}
+ */
+export async function getBusinessPlan(businessId) {
+  // select * – deployments without the usage migration have no plan columns yet
+  const { data, error } = await supabase.from('businesses').select('*').eq('id', businessId).maybeSingle();
+
+  if (error) {
+    console.error('[USAGE] Error loading business plan:', error);
+  }
+
+  // No plan column yet (migration not applied) = legacy, unknown value = default plan
+  const plan = PLANS[data?.plan] ? data.plan : data && data.plan === undefined ? LEGACY_PLAN : DEFAULT_PLAN;
+  const overrides = data?.plan_limits && typeof data.plan_limits === 'object' ? data.plan_limits : {};
+  const limits = { ...PLANS[plan] };
+  for (const key of Object.keys(limits)) {
+    if (overrides[key] === null || Number.isFinite(overrides[key])) limits[key] = overrides[key];
+  }
+
+  return { ok: !error, plan, limits, error };
+}
+
+function describeMetric(used, limit) {
+  return {
+    used,
+    limit,
+    remaining: limit === null ? null : Math.max(0, limit - used),
+    limitReached: limit !== null && used >= limit,
+  };
+}
+
+/**
+ * Current month's consumption against the business's plan.
+ * @returns {Promise<{ok: boolean, period: Object, plan: string, usage: Object, error?: any}>}
+ */
+export async function getUsageSummary(businessId, now = new Date()) {
+  const period = currentUsagePeriod(now);
+
+  const [planResult, { data: monthly, error: monthlyError }, { count: locationCount, error: locationsError }] =
+    await Promise.all([
+      getBusinessPlan(businessId),
+      supabase
+        .from('usage_monthly')
+        .select('kind, total_quantity, event_count')
+        .eq('business_id', businessId)
+        .eq('month', period.month),
+      supabase
+        .from('locations')
+        .select('id', { count: 'exact', head: true })
+        .eq('business_id', businessId)
+        .eq('is_active', true),
+    ]);
+
+  if (monthlyError) console.error('[USAGE] Error loading usage_monthly:', monthlyError);
+  if (locationsError) console.error('[USAGE] Error counting locations:', locationsError);
+
+  const byKind = Object.fromEntries((monthly || []).map((row) => [row.kind, row]));
+  const callSeconds = Number(byKind.call_seconds?.total_quantity) || 0;
+  const { limits } = planResult;
+
+  return {
+    ok: planResult.ok && !monthlyError && !locationsError,
+    period,
+    plan: planResult.plan,
+    usage: {
+      callMinutes: describeMetric(Math.ceil(callSeconds / 60), limits.callMinutes),
+      calls: { used: Number(byKind.call_seconds?.event_count) || 0 },
+      bookings: describeMetric(Number(byKind.booking?.event_count) || 0, limits.bookings),
+      locations: describeMetric(locationCount || 0, limits.locations),
+    },
+    error: monthlyError || locationsError || planResult.error,
+  };
+}
+
+/**
+ * Whether the business may use one more unit of `metric` this month.
+ * Fails open: when usage cannot be loaded, the call / booking goes ahead.
+ * @param {string} businessId
+ * @param {'callMinutes'|'bookings'|'locations'} metric
+ * @returns {Promise<{allowed: boolean, used?: number, limit?: number|null, message_cs?: string}>}
+ */
+export async function checkPlanLimit(businessId, metric) {
+  if (!businessId) return { allowed: true };
+
+  try {
+    let cached = checkCache.get(businessId);
+    if (!cached || cached.expiresAt <= Date.now()) {
+      const summary = await getUsageSummary(businessId);
+      if (!summary.ok) return { allowed: true };
+      cached = { summary, expiresAt: Date.now() + CHECK_CACHE_TTL_MS };
+      checkCache.set(businessId, cached);
+    }
+
+    const { used, limit, limitReached } = cached.summary.usage[metric];
+    if (limitReached) {
+      console.warn('[USAGE] Plan limit reached', { businessId, metric, used, limit, plan: cached.summary.plan });
+      return { allowed: false, used, limit, message_cs: PLAN_LIMIT_MESSAGES_CS[metric] };
+    }
+    return { allowed: true, used, limit };
+  } catch (err) {
+    console.error('[USAGE] Plan limit check failed – allowing:', err);
+    return { allowed: true };
+  }
+}
@@ -0,0 +1,115 @@
+import crypto from 'node:crypto';
+
+// Authentication of requests from Vapi (webhook + tool routes) with a per-environment secret
+// VAPI_WEBHOOK_SECRET (the same value as the server URL secret / credential configured in Vapi).
+//
+// Accepted, in this order:
+// - x-vapi-signature: HMAC-SHA256 of the raw request body (hex, optional "sha256=" prefix).
+//   With x-vapi-timestamp (unix seconds) the signed message is "<timestamp>.<raw body>" and the
+//   timestamp must be within VAPI_SIGNATURE_TOLERANCE_SECONDS (default 300) – protects against replays.
+// - x-vapi-secret: <secret>  (Vapi "server URL secret")
+// - Authorization: Bearer <secret>
+//
+// Without VAPI_WEBHOOK_SECRET requests are let through outside production and rejected in production.
+
+const SIGNATURE_TOLERANCE_SECONDS = Number(process.env.VAPI_SIGNATURE_TOLERANCE_SECONDS) || 300;
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * HMAC-SHA256 signature (hex) of a Vapi request body, as expected in x-vapi-signature.
+ * @param {string|Buffer} rawBody - Exact request body bytes
+ * @param {string} secret
+ * @param {string|number|null} [timestamp] - x-vapi-timestamp, when sent
+ */
+export function signVapiPayload(rawBody, secret, timestamp = null) {
+  const hmac = crypto.createHmac('sha256', secret);
+  if (timestamp !== null && timestamp !== undefined && timestamp !== '') {
+    hmac.update(`${timestamp}.`);
+  }
+  hmac.update(rawBody);
+  return hmac.digest('hex');
+}
+
+/**
+ * Verify a Vapi request against the configured secret.
+ * @param {import('express').Request} req - req.rawBody must hold the body bytes (see index.js JSON parser)
+ * @returns {{ok: boolean, method?: string, reason?: string}}
+ */
+export function verifyVapiRequest(req) {
+  const secret = process.env.VAPI_WEBHOOK_SECRET || '';
+  if (!secret) {
+    return process.env.NODE_ENV === 'production'
+      ? { ok: false, reason: 'SECRET_NOT_CONFIGURED' }
+      : { ok: true, method: 'none' };
+  }
+
+  const signature = req.get('x-vapi-signature');
+  if (signature) {
+    const timestamp = req.get('x-vapi-timestamp') || null;
+    if (timestamp) {
+      const ageSeconds = Math.abs(Date.now() / 1000 - Number(timestamp));
+      if (!Number.isFinite(ageSeconds) || ageSeconds > SIGNATURE_TOLERANCE_SECONDS) {
+        return { ok: false, reason: 'STALE_TIMESTAMP' };
+      }
+    }
+
+    const expected = signVapiPayload(req.rawBody || '', secret, timestamp);
+    const provided = signature.trim().replace(/^sha256=/i, '').toLowerCase();
+    return safeEqual(provided, expected) ? { ok: true, method: 'hmac' } : { ok: false, reason: 'BAD_SIGNATURE' };
+  }
+
+  const headerSecret = req.get('x-vapi-secret');
+  if (headerSecret) {
+    return safeEqual(headerSecret.trim(), secret) ? { ok: true, method: 'secret' } : { ok: false, reason: 'BAD_SECRET' };
+  }
+
+  const bearer = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i)?.[1]?.trim();
+  if (bearer) {
+    return safeEqual(bearer, secret) ? { ok: true, method: 'bearer' } : { ok: false, reason: 'BAD_SECRET' };
+  }
+
+  return { ok: false, reason: 'MISSING_CREDENTIALS' };
+}
+
+let warnedUnconfigured = false;
+
+/**
+ * Express middleware for all Vapi routes: 401 VAPI_UNAUTHORIZED (503 when no secret is configured in production).
+ */
+export function requireVapiAuth(req, res, next) {
+  const result = verifyVapiRequest(req);
+
+  if (result.ok) {
+    if (result.method === 'none' && !warnedUnconfigured) {
+      warnedUnconfigured = true;
+      console.warn('[VAPI_AUTH] VAPI_WEBHOOK_SECRET is not set – Vapi requests are NOT verified (non-production only)');
+    }
+    return next();
+  }
+
+  console.warn('[VAPI_AUTH] Rejected request', {
+    path: req.originalUrl,
+    reason: result.reason,
+    ip: req.get('x-forwarded-for') || req.ip,
+  });
+
+  if (result.reason === 'SECRET_NOT_CONFIGURED') {
+    return res.status(503).json({
+      success: false,
+      error: 'VAPI_AUTH_NOT_CONFIGURED',
+      message_cs: 'Ověření požadavků z Vapi není nastavené (chybí VAPI_WEBHOOK_SECRET).',
+    });
+  }
+
+  return res.status(401).json({
+    success: false,
+    error: 'VAPI_UNAUTHORIZED',
+    reason: result.reason,
+    message_cs: 'Požadavek nebyl ověřen – chybí nebo nesedí podpis / tajný klíč Vapi.',
+  });
+}
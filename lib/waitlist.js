@@ -0,0 +1,571 @@
+import { supabase } from './supabaseClient.js';
+import { createBooking } from './bookingService.js';
+import { sendWaitlistOffer } from './notifications.js';
+import { findConflictingBooking } from './bookingConflicts.js';
+import { parseRelativeDate } from './dateUtils.js';
+import { normalizeForMatch } from '../utils/textUtils.js';
+import { DateTime } from 'luxon';
+
+// Waitlist for taken slots (see sql/2026-10-waitlist.sql):
+// - a client waits for a date + service (optionally a time window, location, staff member)
+// - when a booking is cancelled, matching entries are processed in FIFO order:
+//   iva_settings.waitlist_auto_book = true → the first entry that can be booked gets the slot,
+//   otherwise the slot is offered to the oldest matching entry only (status notified, offer_booking_id,
+//   offer_expires_at = iva_settings.waitlist_offer_minutes). When that client declines (status declined)
+//   or the offer window runs out (offer job → expired), the slot goes to the next matching entry.
+//
+// Entry status: waiting → notified → booked | declined | expired; cancelled at any time
+
+const TIME_ZONE = 'Europe/Prague';
+const DEFAULT_OFFER_MINUTES = 60;
+
+export const WAITLIST_STATUSES = ['waiting', 'notified', 'booked', 'declined', 'cancelled', 'expired'];
+
+function normalizeTime(value) {
+  if (!value) return null;
+  const m = String(value).trim().match(/^(\d{1,2}):(\d{2})/);
+  return m ? `${m[1].padStart(2, '0')}:${m[2]}` : null;
+}
+
+/**
+ * Add a client to the waitlist. An existing waiting entry for the same phone, date and service is reused.
+ * @param {string} businessId - Business ID (UUID)
+ * @param {Object} entry - { client_name, client_phone, client_email?, service_slug?, date, time_from?, time_to?, location?, staff_name?, notes?, source? }
+ * @returns {Promise<{ok: boolean, entry?: Object, existing?: boolean, error?: string, message_cs?: string}>}
+ */
+export async function addToWaitlist(businessId, entry) {
+  if (!businessId) {
+    return { ok: false, error: 'MISSING_TENANT_ID', message_cs: 'Chybí identifikátor firmy.' };
+  }
+
+  if (!entry?.client_name || !entry?.client_phone || !entry?.date) {
+    return {
+      ok: false,
+      error: 'MISSING_REQUIRED_FIELDS',
+      message_cs: 'Pro zápis na čekací listinu potřebuji jméno, telefon a den.',
+    };
+  }
+
+  const date = parseRelativeDate(entry.date);
+  const dateDt = date ? DateTime.fromISO(date, { zone: TIME_ZONE }) : null;
+  if (!dateDt || !dateDt.isValid) {
+    return {
+      ok: false,
+      error: 'INVALID_DATE',
+      message_cs: 'Systém nerozumí zadanému datu. Zkuste ho prosím říct třeba jako „8. 12. 2025" nebo „příští pondělí".',
+    };
+  }
+
+  if (dateDt < DateTime.now().setZone(TIME_ZONE).startOf('day')) {
+    return {
+      ok: false,
+      error: 'PAST_DATE',
+      message_cs: 'Omlouvám se, ale tenhle den je podle systému už v minulosti.',
+    };
+  }
+
+  const timeFrom = normalizeTime(entry.time_from);
+  const timeTo = normalizeTime(entry.time_to);
+  if ((entry.time_from && !timeFrom) || (entry.time_to && !timeTo) || (timeFrom && timeTo && timeFrom > timeTo)) {
+    return {
+      ok: false,
+      error: 'INVALID_TIME',
+      message_cs: 'Omlouvám se, časové rozmezí musí být ve formátu HH:MM, například "14:00" až "17:00".',
+    };
+  }
+
+  const serviceSlug = entry.service_slug ? String(entry.service_slug).trim() : null;
+
+  let existingQuery = supabase
+    .from('waitlist_entries')
+    .select('*')
+    .eq('business_id', businessId)
+    .eq('client_phone', entry.client_phone)
+    .eq('date', date)
+    .eq('status', 'waiting')
+    .limit(1);
+  existingQuery = serviceSlug ? existingQuery.eq('service_slug', serviceSlug) : existingQuery.is('service_slug', null);
+
+  const { data: existing, error: existingError } = await existingQuery;
+  if (existingError) {
+    console.error('[WAITLIST] Error checking existing entries:', existingError);
+  } else if (existing && existing.length > 0) {
+    console.log('[WAITLIST] Client already waiting, reusing entry:', existing[0].id);
+    return { ok: true, entry: existing[0], existing: true };
+  }
+
+  const { data, error } = await supabase
+    .from('waitlist_entries')
+    .insert({
+      business_id: businessId,
+      client_name: entry.client_name,
+      client_phone: entry.client_phone,
+      client_email: entry.client_email || null,
+      service_slug: serviceSlug,
+      date,
+      time_from: timeFrom,
+      time_to: timeTo,
+      location: entry.location || null,
+      staff_name: entry.staff_name || null,
+      notes: entry.notes || null,
+      source: entry.source || null,
+      status: 'waiting',
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('[WAITLIST] Error inserting entry:', error);
+    return {
+      ok: false,
+      error: 'DB_ERROR',
+      message_cs: 'Omlouvám se, zápis na čekací listinu se nepodařilo uložit.',
+    };
+  }
+
+  console.log('[WAITLIST] Added entry:', data.id, { businessId, date, serviceSlug });
+  return { ok: true, entry: data, existing: false };
+}
+
+/**
+ * List waitlist entries for the dashboard (FIFO order within a date).
+ * @param {string} businessId - Business ID (UUID)
+ * @param {Object} [filters] - { status?, from?, to?, limit?, offset? }
+ * @returns {Promise<{ok: boolean, entries: Array<Object>, total: number|null, error?: any}>}
+ */
+export async function listWaitlist(businessId, { status = null, from = null, to = null, limit = 50, offset = 0 } = {}) {
+  let query = supabase
+    .from('waitlist_entries')
+    .select('*', { count: 'exact' })
+    .eq('business_id', businessId)
+    .order('date', { ascending: true })
+    .order('created_at', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  if (status) query = query.eq('status', status);
+  if (from) query = query.gte('date', from);
+  if (to) query = query.lte('date', to);
+
+  const { data, error, count } = await query;
+  if (error) {
+    console.error('[WAITLIST] Error listing entries:', error);
+    return { ok: false, entries: [], total: null, error };
+  }
+
+  return { ok: true, entries: data || [], total: count ?? null };
+}
+
+/**
+ * Update a waitlist entry (status, date, time window, notes).
+ * @param {string} businessId - Business ID (UUID)
+ * @param {string} entryId - Entry ID (UUID)
+ * @param {Object} patch - { status?, date?, time_from?, time_to?, notes? }
+ * @returns {Promise<{ok: boolean, entry?: Object, error?: string, message_cs?: string}>}
+ */
+export async function updateWaitlistEntry(businessId, entryId, patch) {
+  const update = {};
+
+  if (patch.status !== undefined) {
+    if (!WAITLIST_STATUSES.includes(patch.status)) {
+      return {
+        ok: false,
+        error: 'INVALID_STATUS',
+        message_cs: `Neplatný stav. Povolené hodnoty: ${WAITLIST_STATUSES.join(', ')}.`,
+      };
+    }
+    update.status = patch.status;
+  }
+
+  if (patch.date !== undefined) {
+    const date = parseRelativeDate(patch.date);
+    if (!date) {
+      return { ok: false, error: 'INVALID_DATE', message_cs: 'Neplatné datum. Použijte formát RRRR-MM-DD.' };
+    }
+    update.date = date;
+  }
+
+  for (const field of ['time_from', 'time_to']) {
+    if (patch[field] !== undefined) {
+      const time = normalizeTime(patch[field]);
+      if (patch[field] && !time) {
+        return { ok: false, error: 'INVALID_TIME', message_cs: 'Čas musí být ve formátu HH:MM, například "14:30".' };
+      }
+      update[field] = time;
+    }
+  }
+
+  if (patch.notes !== undefined) {
+    update.notes = patch.notes || null;
+  }
+
+  if (Object.keys(update).length === 0) {
+    return { ok: false, error: 'NOTHING_TO_UPDATE', message_cs: 'Není co měnit.' };
+  }
+
+  update.updated_at = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('waitlist_entries')
+    .update(update)
+    .eq('id', entryId)
+    .eq('business_id', businessId)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error('[WAITLIST] Error updating entry:', error);
+    return { ok: false, error: 'DB_ERROR', message_cs: 'Omlouvám se, změnu se nepodařilo uložit.' };
+  }
+
+  if (!data) {
+    return { ok: false, error: 'NOT_FOUND', message_cs: 'Záznam na čekací listině jsem nenašla.' };
+  }
+
+  // The client turned the offered slot down (or left the waitlist) – offer it to the next one
+  if ((update.status === 'declined' || update.status === 'cancelled') && data.offer_booking_id) {
+    queuePassWaitlistOffer(data);
+  }
+
+  return { ok: true, entry: data };
+}
+
+/**
+ * Delete a waitlist entry.
+ * @returns {Promise<{ok: boolean, error?: string, message_cs?: string}>}
+ */
+export async function deleteWaitlistEntry(businessId, entryId) {
+  const { data, error } = await supabase
+    .from('waitlist_entries')
+    .delete()
+    .eq('id', entryId)
+    .eq('business_id', businessId)
+    .select('id');
+
+  if (error) {
+    console.error('[WAITLIST] Error deleting entry:', error);
+    return { ok: false, error: 'DB_ERROR', message_cs: 'Omlouvám se, záznam se nepodařilo smazat.' };
+  }
+
+  if (!data || data.length === 0) {
+    return { ok: false, error: 'NOT_FOUND', message_cs: 'Záznam na čekací listině jsem nenašla.' };
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Does a waiting entry want this freed slot? (service, time window, location)
+ */
+export function entryMatchesSlot(entry, slot) {
+  if (entry.service_slug && slot.service_slug &&
+    normalizeForMatch(entry.service_slug).replace(/_/g, ' ') !== normalizeForMatch(slot.service_slug).replace(/_/g, ' ')) {
+    return false;
+  }
+
+  const time = normalizeTime(slot.time);
+  const timeFrom = normalizeTime(entry.time_from);
+  const timeTo = normalizeTime(entry.time_to);
+  if (time && timeFrom && time < timeFrom) return false;
+  if (time && timeTo && time > timeTo) return false;
+
+  if (entry.location && slot.location &&
+    normalizeForMatch(entry.location) !== normalizeForMatch(slot.location)) {
+    return false;
+  }
+
+  return true;
+}
+
+function slotStartFor(booking) {
+  return DateTime.fromISO(`${booking.date}T${normalizeTime(booking.time)}`, { zone: TIME_ZONE });
+}
+
+/**
+ * Waiting entries for the day of a freed slot that want it, oldest first.
+ * @returns {Promise<{ok: boolean, entries: Array<Object>, error?: any}>}
+ */
+async function loadMatchingEntries(booking) {
+  const { data: waiting, error } = await supabase
+    .from('waitlist_entries')
+    .select('*')
+    .eq('business_id', booking.business_id)
+    .eq('date', booking.date)
+    .eq('status', 'waiting')
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('[WAITLIST] Error loading waiting entries:', error);
+    return { ok: false, entries: [], error };
+  }
+
+  return { ok: true, entries: (waiting || []).filter((entry) => entryMatchesSlot(entry, booking)) };
+}
+
+// Loaded directly – chatHandler.js imports bookingService.js, and this module imports bookingService.js
+async function loadWaitlistSettings(businessId) {
+  const { data: settings } = await supabase
+    .from('iva_settings')
+    .select('*')
+    .eq('business_id', businessId)
+    .maybeSingle();
+  return settings || null;
+}
+
+/**
+ * Offer the freed slot to the first entry (in the given FIFO order) the offer can be delivered to.
+ * The entry holds the offer until offer_expires_at (waitlist_offer_minutes, at most until the slot starts).
+ * @returns {Promise<Object|null>} The entry holding the offer
+ */
+async function offerSlotToFirstEntry(booking, entries, settings) {
+  const slotStart = slotStartFor(booking);
+  const offerMinutes = Number(settings?.waitlist_offer_minutes) > 0 ? Number(settings.waitlist_offer_minutes) : DEFAULT_OFFER_MINUTES;
+  const slot = { date: booking.date, time: normalizeTime(booking.time), location: booking.location };
+
+  for (const entry of entries) {
+    const result = await sendWaitlistOffer(entry, slot);
+    if (!result.ok || result.skipped) {
+      console.log('[WAITLIST] Offer not delivered to entry', entry.id, '- trying the next one');
+      continue;
+    }
+
+    const now = DateTime.now().setZone(TIME_ZONE);
+    const expiresAt = DateTime.min(now.plus({ minutes: offerMinutes }), slotStart);
+    await supabase
+      .from('waitlist_entries')
+      .update({
+        status: 'notified',
+        notified_at: now.toUTC().toISO(),
+        offer_booking_id: booking.id || null,
+        offer_expires_at: expiresAt.toUTC().toISO(),
+        updated_at: now.toUTC().toISO(),
+      })
+      .eq('id', entry.id);
+
+    console.log('[WAITLIST] Offered', booking.date, slot.time, 'to entry', entry.id, 'until', expiresAt.toISO());
+    return entry;
+  }
+
+  return null;
+}
+
+/**
+ * Offer a freed slot (from a cancelled booking) to the waitlist, in FIFO order.
+ * @param {Object} booking - The cancelled bookings row (id, business_id, service_slug, date, time, location)
+ * @returns {Promise<{ok: boolean, mode?: 'auto_book'|'notify', bookedEntryId?: string, bookingId?: string, offeredEntryId?: string, notified?: number, error?: any}>}
+ */
+export async function processWaitlistForFreedSlot(booking) {
+  if (!booking?.business_id || !booking?.date || !booking?.time) {
+    return { ok: false, error: 'MISSING_BOOKING' };
+  }
+
+  const slotStart = slotStartFor(booking);
+  if (!slotStart.isValid || slotStart <= DateTime.now().setZone(TIME_ZONE)) {
+    return { ok: true, mode: null, notified: 0 };
+  }
+
+  const { ok, entries: matching, error } = await loadMatchingEntries(booking);
+  if (!ok) {
+    return { ok: false, error };
+  }
+  if (matching.length === 0) {
+    return { ok: true, mode: null, notified: 0 };
+  }
+
+  const settings = await loadWaitlistSettings(booking.business_id);
+  const slotTime = normalizeTime(booking.time);
+
+  if (settings?.waitlist_auto_book === true) {
+    for (const entry of matching) {
+      const result = await createBooking(booking.business_id, settings, {
+        service: entry.service_slug || booking.service_slug,
+        client_name: entry.client_name,
+        client_phone: entry.client_phone,
+        client_email: entry.client_email || null,
+        location: entry.location || booking.location || '',
+        date: booking.date,
+        time: slotTime,
+        duration_minutes: entry.service_slug ? null : booking.duration_minutes,
+        notes: entry.notes || '',
+        staff_name: entry.staff_name || null,
+        any_staff: !entry.staff_name,
+        source: 'waitlist',
+      });
+
+      if (result.ok) {
+        await supabase
+          .from('waitlist_entries')
+          .update({ status: 'booked', booking_id: result.bookingId, updated_at: new Date().toISOString() })
+          .eq('id', entry.id);
+
+        console.log('[WAITLIST] Auto-booked entry', entry.id, '→ booking', result.bookingId);
+        return { ok: true, mode: 'auto_book', bookedEntryId: entry.id, bookingId: result.bookingId };
+      }
+
+      console.log('[WAITLIST] Auto-book failed for entry', entry.id, result.error);
+    }
+
+    return { ok: true, mode: 'auto_book', notified: 0 };
+  }
+
+  const offered = await offerSlotToFirstEntry(booking, matching, settings);
+  if (!offered) {
+    console.log('[WAITLIST] No offer delivered to', matching.length, 'waiting clients for', booking.date, slotTime);
+  }
+  return { ok: true, mode: 'notify', notified: offered ? 1 : 0, ...(offered ? { offeredEntryId: offered.id } : {}) };
+}
+
+/**
+ * Pass a slot offer on after its holder declined, cancelled or let it expire: the next matching waiting
+ * entry gets it – unless the slot has started, was booked meanwhile or is already offered to someone else.
+ * @param {Object} entry - waitlist_entries row that held the offer (business_id, offer_booking_id)
+ * @returns {Promise<{ok: boolean, offeredEntryId?: string, notified: number, skipped?: string, error?: any}>}
+ */
+export async function passWaitlistOffer(entry) {
+  if (!entry?.offer_booking_id) {
+    return { ok: true, notified: 0, skipped: 'NO_OFFER' };
+  }
+
+  const { data: freed, error } = await supabase
+    .from('bookings')
+    .select('*')
+    .eq('id', entry.offer_booking_id)
+    .eq('business_id', entry.business_id)
+    .maybeSingle();
+  if (error) {
+    console.error('[WAITLIST] Error loading offered slot:', error);
+    return { ok: false, notified: 0, error };
+  }
+  if (!freed) {
+    return { ok: true, notified: 0, skipped: 'SLOT_NOT_FOUND' };
+  }
+
+  const slotStart = slotStartFor(freed);
+  if (!slotStart.isValid || slotStart <= DateTime.now().setZone(TIME_ZONE)) {
+    return { ok: true, notified: 0, skipped: 'SLOT_STARTED' };
+  }
+
+  const { data: holders, error: holdersError } = await supabase
+    .from('waitlist_entries')
+    .select('id')
+    .eq('offer_booking_id', freed.id)
+    .eq('status', 'notified')
+    .limit(1);
+  if (holdersError) {
+    console.error('[WAITLIST] Error checking current offer holder:', holdersError);
+    return { ok: false, notified: 0, error: holdersError };
+  }
+  if (holders && holders.length > 0) {
+    return { ok: true, notified: 0, skipped: 'ALREADY_OFFERED' };
+  }
+
+  const conflict = await findConflictingBooking({
+    businessId: freed.business_id,
+    date: freed.date,
+    time: normalizeTime(freed.time),
+    durationMinutes: freed.duration_minutes,
+    staffId: freed.staff_id || null,
+    locationId: freed.location_id || null,
+  });
+  if (!conflict.ok) {
+    return { ok: false, notified: 0, error: conflict.error };
+  }
+  if (conflict.conflict) {
+    console.log('[WAITLIST] Offered slot was booked meanwhile, not passing it on', { bookingId: freed.id });
+    return { ok: true, notified: 0, skipped: 'SLOT_TAKEN' };
+  }
+
+  const { ok, entries: matching, error: loadError } = await loadMatchingEntries(freed);
+  if (!ok) {
+    return { ok: false, notified: 0, error: loadError };
+  }
+
+  const offered = await offerSlotToFirstEntry(freed, matching, await loadWaitlistSettings(freed.business_id));
+  return { ok: true, notified: offered ? 1 : 0, ...(offered ? { offeredEntryId: offered.id } : {}) };
+}
+
+function queuePassWaitlistOffer(entry) {
+  passWaitlistOffer(entry).catch((err) => {
+    console.error('[WAITLIST] Failed to pass offer on:', err.message);
+  });
+}
+
+/**
+ * Expire offers whose window ran out and pass each slot on to the next waiting client.
+ * @param {Object} [options]
+ * @param {DateTime} [options.now] - Current time (testing)
+ * @returns {Promise<{ok: boolean, expired: number, error?: any}>}
+ */
+export async function expireWaitlistOffers({ now = DateTime.now().setZone(TIME_ZONE) } = {}) {
+  const { data: due, error } = await supabase
+    .from('waitlist_entries')
+    .select('*')
+    .eq('status', 'notified')
+    .not('offer_expires_at', 'is', null)
+    .lte('offer_expires_at', now.toUTC().toISO())
+    .order('offer_expires_at', { ascending: true });
+
+  if (error) {
+    console.error('[WAITLIST] Error loading expired offers:', error);
+    return { ok: false, expired: 0, error };
+  }
+
+  let expired = 0;
+  for (const entry of due || []) {
+    // Guarded by status: an entry staff just marked booked is left alone
+    const { data: updated, error: updateError } = await supabase
+      .from('waitlist_entries')
+      .update({ status: 'expired', updated_at: new Date().toISOString() })
+      .eq('id', entry.id)
+      .eq('status', 'notified')
+      .select('id');
+    if (updateError) {
+      console.error('[WAITLIST] Error expiring offer:', updateError);
+      continue;
+    }
+    if (!updated || updated.length === 0) continue;
+
+    expired += 1;
+    await passWaitlistOffer(entry);
+  }
+
+  if (expired > 0) {
+    console.log('[WAITLIST] Offers expired:', expired);
+  }
+  return { ok: true, expired };
+}
+
+/**
+ * Start the periodic offer expiry job (WAITLIST_OFFER_CHECK_INTERVAL_MINUTES, default 5).
+ * @returns {NodeJS.Timeout} Interval handle (unref'd so it never keeps the process alive)
+ */
+export function startWaitlistOfferScheduler({
+  intervalMinutes = Number(process.env.WAITLIST_OFFER_CHECK_INTERVAL_MINUTES) || 5,
+} = {}) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await expireWaitlistOffers();
+    } catch (err) {
+      console.error('[WAITLIST] Offer expiry job failed:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const handle = setInterval(tick, intervalMinutes * 60 * 1000);
+  handle.unref();
+  console.log(`[WAITLIST] Offer expiry scheduler started (every ${intervalMinutes} min)`);
+  return handle;
+}
+
+/**
+ * Fire-and-forget wrapper – the waitlist must never fail or delay a cancellation.
+ */
+export function queueWaitlistForFreedSlot(booking) {
+  processWaitlistForFreedSlot(booking).catch((err) => {
+    console.error('[WAITLIST] Failed to process waitlist:', err.message);
+  });
+}
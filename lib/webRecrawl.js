@@ -0,0 +1,403 @@
+import OpenAI from 'openai';
+import { supabase } from './supabaseClient.js';
+import { crawlBusinessWebsite, applyImportedBusinessData } from './importFromWeb.js';
+import { chunkText, cleanText } from '../utils/textUtils.js';
+import { buildImportPreview, summarizeImportPreview, selectImportedData } from './importPreview.js';
+
+// Scheduled re-crawl of imported websites (sql/2026-10-web-recrawl.sql).
+//
+// Unlike POST /api/onboarding/import_from_web, a re-crawl never writes business data directly:
+// - crawlBusinessWebsite(..., { incremental: true }) only re-chunks pages that changed (ETag /
+//   Last-Modified / content hash) and skips extraction when no page changed,
+// - the extracted data is compared with services / opening_hours / business_profile / locations,
+// - a non-empty diff is stored as a pending import_reviews row; applyImportedBusinessData() runs only
+//   when the owner accepts it. A newer review supersedes an older pending one.
+//
+// Import previews (lib/importPreview.js) are reviews too (kind 'preview'), accepted with a selection.
+//
+// Re-crawls run as import jobs in mode 'recrawl' (lib/importJobs.js), both the scheduled ones and
+// POST /api/onboarding/recrawl, so a business never has a re-crawl and a full import running at once.
+
+const RECRAWL_INTERVAL_HOURS = Number(process.env.WEB_RECRAWL_INTERVAL_HOURS) || 168;
+const RECRAWL_MAX_PER_RUN = Number(process.env.WEB_RECRAWL_MAX_PER_RUN) || 3;
+// Failed crawls are retried after 6 h, doubling with every further failure up to the regular interval
+const RECRAWL_RETRY_HOURS = Number(process.env.WEB_RECRAWL_RETRY_HOURS) || 6;
+const REVIEW_COLUMNS =
+  'id, business_id, source_id, kind, status, diff, preview, selection, crawl_changes, decided_by, decided_at, created_at';
+
+const openai = new OpenAI({
+  apiKey: process.env.OPENAI_API_KEY,
+});
+
+/**
+ * Current business data in the shape buildImportPreview() compares against.
+ */
+export async function loadCurrentBusinessData(businessId) {
+  const [profileResult, servicesResult, hoursResult, locationsResult] = await Promise.all([
+    supabase.from('business_profile').select('*').eq('business_id', businessId).maybeSingle(),
+    supabase.from('services').select('slug, name, price_from, price_to, duration_minutes, description').eq('business_id', businessId),
+    supabase.from('opening_hours').select('weekday, opens_at, closes_at').eq('business_id', businessId),
+    supabase.from('locations').select('slug, name, address').eq('business_id', businessId),
+  ]);
+
+  const error = profileResult.error || servicesResult.error || hoursResult.error || locationsResult.error;
+  if (error) throw new Error(`Failed to load current business data: ${error.message}`);
+
+  return {
+    profile: profileResult.data || null,
+    services: servicesResult.data || [],
+    openingHours: hoursResult.data || [],
+    locations: locationsResult.data || [],
+  };
+}
+
+/**
+ * Store extracted data as a pending review; older pending reviews of the same kind and source are superseded
+ * (a re-crawl does not discard an import preview the owner is still going through, and vice versa).
+ * @param {Object} params
+ * @param {string} params.businessId
+ * @param {string|null} [params.sourceId]
+ * @param {import('./importFromWeb.js').ImportedBusinessData} params.importedData
+ * @param {Object} params.diff - summarizeImportPreview()
+ * @param {'recrawl'|'preview'} [params.kind]
+ * @param {Object|null} [params.preview] - buildImportPreview()
+ * @returns {Promise<{review?: Object, error?: any}>}
+ */
+export async function saveImportReview({ businessId, sourceId = null, importedData, diff, kind = 'recrawl', preview = null }) {
+  let supersede = supabase
+    .from('import_reviews')
+    .update({ status: 'superseded', decided_at: new Date().toISOString() })
+    .eq('business_id', businessId)
+    .eq('kind', kind)
+    .eq('status', 'pending');
+  supersede = sourceId ? supersede.eq('source_id', sourceId) : supersede.is('source_id', null);
+  const { error: supersedeError } = await supersede;
+  if (supersedeError) {
+    console.error('[RECRAWL] Error superseding pending import reviews:', supersedeError);
+  }
+
+  const { data: review, error } = await supabase
+    .from('import_reviews')
+    .insert({
+      business_id: businessId,
+      source_id: sourceId,
+      kind,
+      status: 'pending',
+      imported_data: importedData,
+      diff,
+      preview,
+      crawl_changes: importedData.crawl || null,
+    })
+    .select(REVIEW_COLUMNS)
+    .single();
+
+  if (error) {
+    console.error('[RECRAWL] Error saving import review:', error);
+    return { error };
+  }
+  return { review };
+}
+
+/**
+ * The business's imported website (latest indexed web source).
+ * @param {string} businessId
+ * @returns {Promise<{ok: boolean, source?: {id: string, source_url: string, recrawl_failures: number}, error?: string}>}
+ *   error: 'DB_ERROR' | 'NO_WEB_SOURCE'
+ */
+export async function findWebSource(businessId) {
+  const { data: source, error } = await supabase
+    .from('kb_sources')
+    .select('id, source_url, recrawl_failures')
+    .eq('business_id', businessId)
+    .eq('type', 'web')
+    .order('last_indexed_at', { ascending: false, nullsFirst: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[RECRAWL] Error loading web source:', error);
+    return { ok: false, error: 'DB_ERROR' };
+  }
+  if (!source?.source_url) {
+    return { ok: false, error: 'NO_WEB_SOURCE' };
+  }
+  return { ok: true, source };
+}
+
+/**
+ * Re-crawl the business's imported website and store the changes as a pending review.
+ * Runs inside an import job in mode 'recrawl' (lib/importJobs.js) – don't call it outside the job worker.
+ * Crawl errors are thrown (same codes as crawlBusinessWebsite: FETCH_FAILED, PARSE_FAILED, PLAYWRIGHT_MISSING)
+ * and counted in kb_sources.recrawl_failures for the retry backoff.
+ * @param {string} businessId
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Progress callback of crawlBusinessWebsite()
+ * @returns {Promise<{ok: boolean, changed?: boolean, review?: Object, crawl?: Object, error?: string}>}
+ */
+export async function recrawlBusinessWebsite(businessId, { onProgress = null } = {}) {
+  const found = await findWebSource(businessId);
+  if (!found.ok) return found;
+  const { source } = found;
+
+  console.log('[RECRAWL] Re-crawling', { businessId, url: source.source_url });
+
+  let importedData;
+  try {
+    importedData = await crawlBusinessWebsite(source.source_url, {
+      businessId,
+      supabase,
+      openai,
+      chunkText,
+      cleanText,
+      incremental: true,
+      onProgress,
+    });
+  } catch (err) {
+    // crawlBusinessWebsite marked the source failed – count it for the backoff
+    await supabase
+      .from('kb_sources')
+      .update({ recrawl_failures: (source.recrawl_failures || 0) + 1 })
+      .eq('id', source.id);
+    throw err;
+  }
+  if (source.recrawl_failures) {
+    await supabase.from('kb_sources').update({ recrawl_failures: 0 }).eq('id', source.id);
+  }
+
+  if (!importedData) {
+    return { ok: true, changed: false };
+  }
+
+  const current = await loadCurrentBusinessData(businessId);
+  const preview = buildImportPreview(current, importedData);
+  const diff = summarizeImportPreview(preview);
+  if (!diff.hasChanges) {
+    console.log('[RECRAWL] Pages changed but no business data differs', { businessId });
+    return { ok: true, changed: false, crawl: importedData.crawl };
+  }
+
+  const { review, error: saveError } = await saveImportReview({
+    businessId,
+    sourceId: source.id,
+    importedData,
+    diff,
+    preview,
+  });
+  if (saveError) {
+    return { ok: false, error: 'DB_ERROR' };
+  }
+
+  console.log('[RECRAWL] Import review created', {
+    businessId,
+    reviewId: review.id,
+    newServices: diff.newServices.length,
+    priceChanges: diff.priceChanges.length,
+    openingHours: diff.openingHours.length,
+  });
+  return { ok: true, changed: true, review, crawl: importedData.crawl };
+}
+
+/**
+ * Import reviews of a business, newest first.
+ * @param {string} businessId
+ * @param {{status?: string|null, limit?: number}} [options]
+ */
+export async function listImportReviews(businessId, { status = null, limit = 20 } = {}) {
+  let query = supabase
+    .from('import_reviews')
+    .select(REVIEW_COLUMNS)
+    .eq('business_id', businessId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  if (status) query = query.eq('status', status);
+
+  const { data, error } = await query;
+  if (error) {
+    console.error('[RECRAWL] Error listing import reviews:', error);
+    return { ok: false, error };
+  }
+  return { ok: true, reviews: data || [] };
+}
+
+/**
+ * One import review of a business, or null.
+ */
+export async function getImportReview(businessId, reviewId) {
+  const { data, error } = await supabase
+    .from('import_reviews')
+    .select(REVIEW_COLUMNS)
+    .eq('id', reviewId)
+    .eq('business_id', businessId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[RECRAWL] Error loading import review:', error);
+    return { ok: false, error };
+  }
+  return { ok: true, review: data || null };
+}
+
+async function decideReview(businessId, reviewId, status, userId, selection = null) {
+  const { data, error } = await supabase
+    .from('import_reviews')
+    .update({ status, selection, decided_by: userId || null, decided_at: new Date().toISOString() })
+    .eq('id', reviewId)
+    .eq('business_id', businessId)
+    .eq('status', 'pending')
+    .select('id, imported_data')
+    .maybeSingle();
+
+  if (error) {
+    console.error('[RECRAWL] Error updating import review:', error);
+    return { ok: false, error: 'DB_ERROR', message_cs: 'Změny se nepodařilo uložit.' };
+  }
+  if (!data) {
+    return { ok: false, error: 'NOT_FOUND', message_cs: 'Čekající změny z webu nebyly nalezeny (možná už byly vyřízeny).' };
+  }
+  return { ok: true, review: data };
+}
+
+/**
+ * Accept a pending review: apply its data with applyImportedBusinessData().
+ * @param {Object} params
+ * @param {string} params.businessId
+ * @param {string} params.reviewId
+ * @param {string|null} [params.userId]
+ * @param {Object|null} [params.selection] - Only these services / openingHours / profile fields / locations
+ *   (lib/importPreview.js selectImportedData); null applies everything
+ * @returns {Promise<{ok: boolean, error?: string, message_cs?: string}>}
+ */
+export async function acceptImportReview({ businessId, reviewId, userId, selection = null }) {
+  // Claim the review first so two clicks cannot apply it twice
+  const claimed = await decideReview(businessId, reviewId, 'accepted', userId, selection);
+  if (!claimed.ok) return claimed;
+
+  try {
+    await applyImportedBusinessData(supabase, businessId, selectImportedData(claimed.review.imported_data, selection));
+  } catch (err) {
+    console.error('[RECRAWL] Error applying import review:', err);
+    await supabase
+      .from('import_reviews')
+      .update({ status: 'pending', selection: null, decided_by: null, decided_at: null })
+      .eq('id', reviewId);
+    return { ok: false, error: 'SAVE_ERROR', message_cs: 'Změny z webu se nepodařilo uložit. Zkuste to prosím znovu.' };
+  }
+
+  console.log('[RECRAWL] Import review accepted', { businessId, reviewId, partial: Boolean(selection) });
+  return { ok: true };
+}
+
+/**
+ * Reject a pending review – nothing is written to the business data.
+ */
+export async function rejectImportReview({ businessId, reviewId, userId }) {
+  const result = await decideReview(businessId, reviewId, 'rejected', userId);
+  if (result.ok) console.log('[RECRAWL] Import review rejected', { businessId, reviewId });
+  return result.ok ? { ok: true } : result;
+}
+
+/**
+ * Hours before a failed source is crawled again: WEB_RECRAWL_RETRY_HOURS, doubled per further failure,
+ * at most the regular interval.
+ */
+function retryAfterHours(failures) {
+  return Math.min(RECRAWL_INTERVAL_HOURS, RECRAWL_RETRY_HOURS * 2 ** Math.max(0, (failures || 1) - 1));
+}
+
+// Web sources of subscribed businesses (inner join, so the filter stays in SQL)
+function sourcesDueQuery(status, indexedBefore) {
+  return supabase
+    .from('kb_sources')
+    .select('id, business_id, source_url, last_indexed_at, recrawl_failures, businesses!inner(is_subscribed)')
+    .eq('type', 'web')
+    .eq('status', status)
+    .eq('recrawl_enabled', true)
+    .eq('businesses.is_subscribed', true)
+    .lt('last_indexed_at', indexedBefore)
+    .order('last_indexed_at', { ascending: true })
+    .limit(RECRAWL_MAX_PER_RUN * 3);
+}
+
+/**
+ * Queue a re-crawl job for the business. Inserted directly (importJobs.js imports this module); the unique
+ * index import_jobs_one_active_idx rejects it while the business has an active import or re-crawl job.
+ * @returns {Promise<boolean>} true when queued
+ */
+async function queueRecrawlJob(businessId, url) {
+  const { error } = await supabase.from('import_jobs').insert({ business_id: businessId, url, mode: 'recrawl' });
+  if (error?.code === '23505') {
+    console.log('[RECRAWL] Business has an active import job, re-crawl postponed', { businessId });
+    return false;
+  }
+  if (error) {
+    console.error('[RECRAWL] Error queueing re-crawl job:', error);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Queue re-crawls of web sources of subscribed businesses not indexed for WEB_RECRAWL_INTERVAL_HOURS
+ * (default 168 = weekly); failed sources are retried with a backoff (retryAfterHours). At most
+ * WEB_RECRAWL_MAX_PER_RUN per run; the import job worker runs them one by one.
+ */
+export async function runWebRecrawlJob(now = new Date()) {
+  const hoursAgo = (hours) => new Date(now.getTime() - hours * 60 * 60 * 1000);
+
+  const [{ data: due, error }, { data: failed, error: failedError }] = await Promise.all([
+    sourcesDueQuery('success', hoursAgo(RECRAWL_INTERVAL_HOURS).toISOString()),
+    sourcesDueQuery('failed', hoursAgo(RECRAWL_RETRY_HOURS).toISOString()),
+  ]);
+
+  if (error || failedError) {
+    console.error('[RECRAWL] Error loading sources due for re-crawl:', error || failedError);
+    return { ok: false, reason: 'DB_ERROR' };
+  }
+
+  const retryDue = (failed || []).filter(
+    (row) => new Date(row.last_indexed_at) < hoursAgo(retryAfterHours(row.recrawl_failures))
+  );
+  const sources = [...(due || []), ...retryDue].sort((a, b) =>
+    String(a.last_indexed_at).localeCompare(String(b.last_indexed_at))
+  );
+
+  const sourceByBusiness = new Map();
+  for (const row of sources) {
+    if (!sourceByBusiness.has(row.business_id)) sourceByBusiness.set(row.business_id, row);
+  }
+
+  let queued = 0;
+  for (const [businessId, source] of [...sourceByBusiness].slice(0, RECRAWL_MAX_PER_RUN)) {
+    if (await queueRecrawlJob(businessId, source.source_url)) queued += 1;
+  }
+
+  if (queued > 0) console.log('[RECRAWL] Re-crawl jobs queued:', queued);
+  return { ok: true, queued };
+}
+
+/**
+ * Start the periodic re-crawl check (every WEB_RECRAWL_CHECK_MINUTES, default 60).
+ * @returns {NodeJS.Timeout} Interval handle (unref'd)
+ */
+export function startWebRecrawlScheduler({
+  checkMinutes = Number(process.env.WEB_RECRAWL_CHECK_MINUTES) || 60,
+} = {}) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runWebRecrawlJob();
+    } catch (err) {
+      console.error('[RECRAWL] Re-crawl job failed:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const handle = setInterval(tick, checkMinutes * 60 * 1000);
+  handle.unref();
+  console.log(`[RECRAWL] Re-crawl scheduler started (check every ${checkMinutes} min, re-crawl after ${RECRAWL_INTERVAL_HOURS} h)`);
+  return handle;
+}
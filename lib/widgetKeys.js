@@ -0,0 +1,145 @@
+import crypto from 'node:crypto';
+import { supabase } from './supabaseClient.js';
+
+// Public widget keys ("iva_pk_..."): identify the business for the website chat
+// without exposing the business UUID. Stored in `widget_keys` (sql/2026-10-widget-keys.sql).
+
+const WIDGET_KEY_PATTERN = /^iva_pk_[A-Za-z0-9]{16,64}$/;
+
+/**
+ * Resolve an active widget key to its business.
+ * @param {string} key - Public widget key
+ * @returns {Promise<{businessId: string|null, error?: any}>}
+ */
+export async function resolveWidgetKey(key) {
+  if (!key || typeof key !== 'string' || !WIDGET_KEY_PATTERN.test(key.trim())) {
+    return { businessId: null };
+  }
+
+  const { data, error } = await supabase
+    .from('widget_keys')
+    .select('business_id')
+    .eq('key', key.trim())
+    .eq('is_active', true)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[WIDGET] Error resolving widget key:', error);
+    return { businessId: null, error };
+  }
+
+  return { businessId: data?.business_id || null };
+}
+
+const DEFAULT_WIDGET_GREETING = 'Dobrý den, tady IVA. Jak vám mohu pomoci?';
+const DEFAULT_BRAND_COLOR = '#6d28d9';
+const HEX_COLOR_PATTERN = /^#(?:[0-9a-fA-F]{3}){1,2}$/;
+
+/**
+ * Whether a value is a CSS hex color (#abc / #aabbcc) – brand colors end up inside the widget's CSS.
+ */
+export function isHexColor(value) {
+  return typeof value === 'string' && HEX_COLOR_PATTERN.test(value);
+}
+
+/**
+ * New random public key ("iva_pk_" + 32 alphanumeric characters).
+ */
+export function generateWidgetKey() {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  const bytes = crypto.randomBytes(32);
+  let key = 'iva_pk_';
+  for (const byte of bytes) key += alphabet[byte % alphabet.length];
+  return key;
+}
+
+/**
+ * Widget keys of a business (active first, newest first).
+ * @returns {Promise<{ok: boolean, keys?: Array<Object>, error?: any}>}
+ */
+export async function listWidgetKeys(businessId) {
+  const { data, error } = await supabase
+    .from('widget_keys')
+    .select('id, key, is_active, created_at, revoked_at')
+    .eq('business_id', businessId)
+    .order('is_active', { ascending: false })
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    console.error('[WIDGET] Error listing widget keys:', error);
+    return { ok: false, error };
+  }
+  return { ok: true, keys: data || [] };
+}
+
+/**
+ * Create a new active widget key for a business.
+ * @returns {Promise<{ok: boolean, widgetKey?: Object, error?: any}>}
+ */
+export async function createWidgetKey(businessId) {
+  const { data, error } = await supabase
+    .from('widget_keys')
+    .insert({ business_id: businessId, key: generateWidgetKey() })
+    .select('id, key, is_active, created_at, revoked_at')
+    .single();
+
+  if (error) {
+    console.error('[WIDGET] Error creating widget key:', error);
+    return { ok: false, error };
+  }
+  console.log('[WIDGET] Created widget key', { businessId, id: data.id });
+  return { ok: true, widgetKey: data };
+}
+
+/**
+ * Revoke a widget key (the website widget using it stops working immediately).
+ * @returns {Promise<{ok: boolean, error?: string, message_cs?: string}>}
+ */
+export async function revokeWidgetKey(businessId, id) {
+  const { data, error } = await supabase
+    .from('widget_keys')
+    .update({ is_active: false, revoked_at: new Date().toISOString() })
+    .eq('id', id)
+    .eq('business_id', businessId)
+    .select('id')
+    .maybeSingle();
+
+  if (error) {
+    console.error('[WIDGET] Error revoking widget key:', error);
+    return { ok: false, error: 'DB_ERROR', message_cs: 'Klíč widgetu se nepodařilo zneplatnit.' };
+  }
+  if (!data) {
+    return { ok: false, error: 'NOT_FOUND', message_cs: 'Klíč widgetu nebyl nalezen.' };
+  }
+  console.log('[WIDGET] Revoked widget key', { businessId, id });
+  return { ok: true };
+}
+
+/**
+ * Public widget configuration (no internal IDs): business name, brand colors and greeting.
+ * @returns {Promise<{name: string, brandColor: string, brandTextColor: string, greeting: string}>}
+ */
+export async function getWidgetConfig(businessId) {
+  const [{ data: profile, error: profileError }, { data: settings, error: settingsError }] = await Promise.all([
+    supabase
+      .from('business_profile')
+      .select('name, brand_color, brand_text_color')
+      .eq('business_id', businessId)
+      .maybeSingle(),
+    supabase
+      .from('iva_settings')
+      .select('greeting, widget_greeting')
+      .eq('business_id', businessId)
+      .maybeSingle(),
+  ]);
+
+  if (profileError) console.error('[WIDGET] Error loading business_profile:', profileError);
+  if (settingsError) console.error('[WIDGET] Error loading iva_settings:', settingsError);
+
+  return {
+    name: profile?.name || 'IVA',
+    brandColor: isHexColor(profile?.brand_color) ? profile.brand_color : DEFAULT_BRAND_COLOR,
+    brandTextColor: isHexColor(profile?.brand_text_color) ? profile.brand_text_color : '#ffffff',
+    greeting: settings?.widget_greeting || settings?.greeting || DEFAULT_WIDGET_GREETING,
+  };
+}
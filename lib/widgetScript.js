@@ -0,0 +1,215 @@
+// Source of the embeddable website chat widget served as GET /widget.js?key=...
+//
+// widgetMain() runs in the visitor's browser, so it must be self-contained (no imports, no closures
+// over this module) and stick to syntax every current browser supports. The server serializes it
+// with the public config inlined; the chat endpoint is derived from the script's own URL.
+
+function widgetMain(config) {
+  if (window.__ivaWidgetLoaded) return;
+  window.__ivaWidgetLoaded = true;
+
+  var script = document.currentScript;
+  var apiUrl = new URL('/api/chat', script && script.src ? script.src : window.location.href).toString();
+  var storageKey = 'iva_widget_session_' + config.key;
+
+  function getSessionId() {
+    try {
+      var existing = window.localStorage.getItem(storageKey);
+      if (existing) return existing;
+      var created = 'w' + Date.now().toString(36) + Math.random().toString(36).slice(2, 12);
+      window.localStorage.setItem(storageKey, created);
+      return created;
+    } catch (e) {
+      return null; // storage blocked – the server generates a session per page view
+    }
+  }
+
+  var sessionId = getSessionId();
+
+  var host = document.createElement('div');
+  host.setAttribute('data-iva-widget', '');
+  var root = host.attachShadow ? host.attachShadow({ mode: 'open' }) : host;
+
+  var style = document.createElement('style');
+  style.textContent = [
+    ':host{all:initial}',
+    '.iva-btn{position:fixed;right:20px;bottom:20px;width:56px;height:56px;border-radius:50%;border:0;cursor:pointer;',
+    'background:' + config.brandColor + ';color:' + config.brandTextColor + ';font:600 22px sans-serif;',
+    'box-shadow:0 4px 14px rgba(0,0,0,.25);z-index:2147483000}',
+    '.iva-panel{position:fixed;right:20px;bottom:88px;width:340px;max-width:calc(100vw - 40px);height:480px;',
+    'max-height:calc(100vh - 120px);display:none;flex-direction:column;background:#fff;border-radius:12px;',
+    'box-shadow:0 8px 30px rgba(0,0,0,.25);overflow:hidden;z-index:2147483000;font:14px/1.4 sans-serif;color:#111}',
+    '.iva-panel.open{display:flex}',
+    '.iva-head{padding:12px 16px;background:' + config.brandColor + ';color:' + config.brandTextColor + ';font-weight:600}',
+    '.iva-log{flex:1;overflow-y:auto;padding:12px;background:#f7f7f8}',
+    '.iva-msg{margin:6px 0;padding:8px 12px;border-radius:12px;max-width:85%;white-space:pre-wrap;word-wrap:break-word}',
+    '.iva-msg.bot{background:#fff;border:1px solid #e5e5e5}',
+    '.iva-msg.user{margin-left:auto;background:' + config.brandColor + ';color:' + config.brandTextColor + '}',
+    '.iva-form{display:flex;border-top:1px solid #e5e5e5}',
+    '.iva-input{flex:1;border:0;padding:12px;font:inherit;outline:none}',
+    '.iva-send{border:0;padding:0 16px;background:none;color:' + config.brandColor + ';font:600 14px sans-serif;cursor:pointer}',
+    '.iva-send:disabled{opacity:.4;cursor:default}',
+  ].join('');
+  root.appendChild(style);
+
+  var panel = document.createElement('div');
+  panel.className = 'iva-panel';
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-label', config.name);
+
+  var head = document.createElement('div');
+  head.className = 'iva-head';
+  head.textContent = config.name;
+
+  var log = document.createElement('div');
+  log.className = 'iva-log';
+  log.setAttribute('aria-live', 'polite');
+
+  var form = document.createElement('form');
+  form.className = 'iva-form';
+  var input = document.createElement('input');
+  input.className = 'iva-input';
+  input.placeholder = 'Napište zprávu…';
+  input.maxLength = 2000;
+  var send = document.createElement('button');
+  send.className = 'iva-send';
+  send.type = 'submit';
+  send.textContent = 'Odeslat';
+  form.appendChild(input);
+  form.appendChild(send);
+
+  panel.appendChild(head);
+  panel.appendChild(log);
+  panel.appendChild(form);
+
+  var button = document.createElement('button');
+  button.className = 'iva-btn';
+  button.type = 'button';
+  button.setAttribute('aria-label', 'Chat – ' + config.name);
+  button.textContent = '💬';
+
+  root.appendChild(panel);
+  root.appendChild(button);
+  if (document.body) {
+    document.body.appendChild(host);
+  } else {
+    document.addEventListener('DOMContentLoaded', function () {
+      document.body.appendChild(host);
+    });
+  }
+
+  function addMessage(role, text) {
+    var el = document.createElement('div');
+    el.className = 'iva-msg ' + role;
+    el.textContent = text;
+    log.appendChild(el);
+    log.scrollTop = log.scrollHeight;
+    return el;
+  }
+
+  addMessage('bot', config.greeting);
+
+  button.addEventListener('click', function () {
+    panel.classList.toggle('open');
+    if (panel.classList.contains('open')) input.focus();
+  });
+
+  var errorText = 'Omlouvám se, něco se pokazilo. Zkuste to prosím znovu, nebo zavolejte přímo do salonu.';
+
+  function handleEvent(name, data, bubble) {
+    if (name === 'session' && data.session_id && !sessionId) {
+      sessionId = data.session_id;
+    } else if (name === 'delta') {
+      bubble.textContent += data.text;
+    } else if (name === 'done') {
+      bubble.textContent = data.message; // authoritative final text
+    } else if (name === 'error') {
+      bubble.textContent = data.message_cs || errorText;
+    }
+    log.scrollTop = log.scrollHeight;
+  }
+
+  function readStream(response, bubble) {
+    var reader = response.body.getReader();
+    var decoder = new TextDecoder();
+    var buffer = '';
+
+    function pump() {
+      return reader.read().then(function (result) {
+        if (result.done) return;
+        buffer += decoder.decode(result.value, { stream: true });
+        var parts = buffer.split('\n\n');
+        buffer = parts.pop();
+        parts.forEach(function (part) {
+          var name = 'message';
+          var data = '';
+          part.split('\n').forEach(function (line) {
+            if (line.indexOf('event:') === 0) name = line.slice(6).trim();
+            else if (line.indexOf('data:') === 0) data += line.slice(5).trim();
+          });
+          if (data) handleEvent(name, JSON.parse(data), bubble);
+        });
+        return pump();
+      });
+    }
+
+    return pump();
+  }
+
+  form.addEventListener('submit', function (event) {
+    event.preventDefault();
+    var text = input.value.trim();
+    if (!text || send.disabled) return;
+
+    input.value = '';
+    send.disabled = true;
+    addMessage('user', text);
+    var bubble = addMessage('bot', '');
+
+    var headers = { 'Content-Type': 'application/json', 'x-widget-key': config.key };
+    if (sessionId) headers['x-session-id'] = sessionId;
+    var canStream = !!(window.ReadableStream && window.TextDecoder);
+    if (canStream) headers.Accept = 'text/event-stream';
+
+    fetch(apiUrl, { method: 'POST', headers: headers, body: JSON.stringify({ message: text }) })
+      .then(function (response) {
+        var type = response.headers.get('content-type') || '';
+        if (response.ok && canStream && type.indexOf('text/event-stream') !== -1) {
+          return readStream(response, bubble);
+        }
+        return response.json().then(function (data) {
+          if (data.session_id && !sessionId) sessionId = data.session_id;
+          bubble.textContent = data.message || data.message_cs || errorText;
+        });
+      })
+      .catch(function () {
+        bubble.textContent = errorText;
+      })
+      .then(function () {
+        if (!bubble.textContent) bubble.textContent = errorText;
+        send.disabled = false;
+        input.focus();
+      });
+  });
+}
+
+/**
+ * JavaScript for GET /widget.js with the widget config inlined.
+ * @param {Object} config - { key, name, brandColor, brandTextColor, greeting }
+ * @returns {string}
+ */
+export function buildWidgetScript(config) {
+  // JSON is valid JS, but "</script>" and U+2028/2029 must not appear raw in an inline-able script
+  const json = JSON.stringify(config)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+  return `/* IVA chat widget */\n(${widgetMain.toString()})(${json});\n`;
+}
+
+/**
+ * JavaScript served for an unknown / revoked key: a console warning instead of a broken widget.
+ */
+export function buildWidgetErrorScript(message) {
+  return `/* IVA chat widget */\nconsole.warn(${JSON.stringify(`[IVA widget] ${message}`)});\n`;
+}
@@ -0,0 +1,107 @@
+import express from 'express';
+import { requireTenantAuth, requireRole } from '../lib/auth.js';
+import {
+  verifyStripeSignature,
+  handleStripeEvent,
+  createCheckoutSession,
+  createPortalSession,
+} from '../lib/stripeBilling.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/billing/stripe_webhook
+ *
+ * Stripe webhook (no user auth – verified by the Stripe-Signature header and STRIPE_WEBHOOK_SECRET).
+ * Handles checkout.session.completed, customer.subscription.*, invoice.paid / payment_succeeded / payment_failed.
+ * Needs the raw body (req.rawBody, captured by the JSON parser in index.js).
+ */
+router.post('/stripe_webhook', async (req, res) => {
+  const verified = verifyStripeSignature(
+    req.rawBody,
+    req.get('stripe-signature'),
+    process.env.STRIPE_WEBHOOK_SECRET || ''
+  );
+
+  if (!verified.ok) {
+    console.warn('[BILLING] Rejected Stripe webhook', { reason: verified.reason });
+    return res.status(verified.reason === 'SECRET_NOT_CONFIGURED' ? 503 : 400).json({
+      success: false,
+      error: 'INVALID_SIGNATURE',
+      reason: verified.reason,
+    });
+  }
+
+  try {
+    const result = await handleStripeEvent(verified.event);
+    return res.status(200).json({ success: true, received: true, handled: result.handled });
+  } catch (err) {
+    // 500 makes Stripe retry the event later
+    console.error('[BILLING] Stripe webhook processing error', { eventId: verified.event?.id, err });
+    return res.status(500).json({ success: false, error: 'PROCESSING_FAILED' });
+  }
+});
+
+// Checkout and portal manage the business's subscription – owner only
+router.use(requireTenantAuth, requireRole('owner'));
+
+/**
+ * POST /api/billing/checkout_session
+ *
+ * Creates a Stripe Checkout session for the IVA subscription and returns its URL.
+ * After payment Stripe redirects to DASHBOARD_URL/dashboard/billing?checkout=success.
+ *
+ * Headers:
+ * - x-tenant-id: business ID (UUID) - REQUIRED
+ */
+router.post('/checkout_session', async (req, res) => {
+  try {
+    const result = await createCheckoutSession({ businessId: req.auth.businessId, email: req.auth.email });
+    if (!result.ok) {
+      return res.status(result.error === 'BILLING_NOT_CONFIGURED' ? 503 : 200).json({
+        success: false,
+        error: result.error,
+        message_cs: result.message_cs,
+      });
+    }
+    return res.status(200).json({ success: true, url: result.url });
+  } catch (err) {
+    console.error('[BILLING] POST /api/billing/checkout_session error', err);
+    return res.status(500).json({
+      success: false,
+      error: 'UNEXPECTED_ERROR',
+      message_cs: 'Omlouvám se, platební bránu se nepodařilo otevřít.',
+    });
+  }
+});
+
+/**
+ * POST /api/billing/portal_session
+ *
+ * Creates a Stripe Customer Portal session (payment method, invoices, cancellation) and returns its URL.
+ *
+ * Headers:
+ * - x-tenant-id: business ID (UUID) - REQUIRED
+ */
+router.post('/portal_session', async (req, res) => {
+  try {
+    const result = await createPortalSession({ businessId: req.auth.businessId });
+    if (!result.ok) {
+      return res.status(result.error === 'BILLING_NOT_CONFIGURED' ? 503 : 200).json({
+        success: false,
+        error: result.error,
+        message_cs: result.message_cs,
+      });
+    }
+    return res.status(200).json({ success: true, url: result.url });
+  } catch (err) {
+    console.error('[BILLING] POST /api/billing/portal_session error', err);
+    return res.status(500).json({
+      success: false,
+      error: 'UNEXPECTED_ERROR',
+      message_cs: 'Omlouvám se, správu předplatného se nepodařilo otevřít.',
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,73 @@
+import express from 'express';
+import { handleCalendarNotification, syncBusinessCalendars } from '../lib/calendarSync.js';
+import { requireTenantAuth, requireRole } from '../lib/auth.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/calendar/webhook
+ *
+ * Google Calendar push notifications (events.watch channels created by lib/calendarSync.js).
+ * Google sends headers only (X-Goog-Channel-ID, X-Goog-Channel-Token, X-Goog-Resource-ID,
+ * X-Goog-Resource-State); the channel token is checked against calendar_sync_state.
+ *
+ * Always answers quickly – the incremental sync runs in the background.
+ */
+router.post('/webhook', async (req, res) => {
+  try {
+    const result = await handleCalendarNotification(req.headers);
+
+    if (!result.ok && (result.reason === 'UNKNOWN_CHANNEL' || result.reason === 'INVALID_TOKEN')) {
+      // Unknown / stale channel – 404 tells Google to stop retrying it
+      return res.status(404).json({ ok: false, error: result.reason });
+    }
+
+    return res.status(200).json({ ok: result.ok });
+  } catch (err) {
+    console.error('[CALSYNC] webhook error', err);
+    return res.status(200).json({ ok: false });
+  }
+});
+
+/**
+ * POST /api/calendar/sync
+ *
+ * Runs the calendar sync for the tenant right away (renews push channels, applies changes
+ * made directly in Google Calendar to bookings). Normally done by the reconciliation job.
+ *
+ * Headers:
+ * - Authorization: Bearer <Supabase access token> - REQUIRED
+ * - x-tenant-id: business ID (UUID) - REQUIRED
+ */
+router.post('/sync', requireTenantAuth, requireRole('staff'), async (req, res) => {
+  try {
+    const tenantId = req.headers['x-tenant-id'];
+
+    if (!tenantId || typeof tenantId !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'MISSING_TENANT_ID',
+        message_cs: 'Chybí identifikátor firmy (tenant). Zkuste se znovu přihlásit.',
+      });
+    }
+
+    const result = await syncBusinessCalendars(tenantId);
+
+    return res.status(200).json({
+      success: result.ok,
+      calendars: result.calendars,
+      message_cs: result.ok
+        ? 'Kalendář byl synchronizován.'
+        : 'Synchronizace kalendáře se nepodařila u všech kalendářů. Zkontrolujte propojení s Google Kalendářem.',
+    });
+  } catch (err) {
+    console.error('[CALSYNC] manual sync error', err);
+    return res.status(500).json({
+      success: false,
+      error: 'UNEXPECTED_ERROR',
+      message_cs: 'Omlouvám se, při synchronizaci kalendáře se něco pokazilo.',
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,239 @@
+import crypto from 'node:crypto';
+import express from 'express';
+import { supabase } from '../lib/supabaseClient.js';
+import { handleChatMessage, streamChatMessage } from '../lib/chatHandler.js';
+import { computeIsSubscribed } from '../lib/subscription.js';
+import { resolveWidgetKey } from '../lib/widgetKeys.js';
+import { createRateLimiter } from '../lib/rateLimiter.js';
+import { requireTenantAuth } from '../lib/auth.js';
+
+const router = express.Router();
+
+const MAX_MESSAGE_LENGTH = Number(process.env.CHAT_MAX_MESSAGE_LENGTH) || 2000;
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+
+// Per session: normal conversation pace; per IP: stops clients that rotate session IDs
+const sessionLimiter = createRateLimiter({
+  max: Number(process.env.CHAT_RATE_LIMIT_PER_MINUTE) || 10,
+  windowMs: 60 * 1000,
+});
+const ipLimiter = createRateLimiter({
+  max: Number(process.env.CHAT_RATE_LIMIT_PER_IP_PER_MINUTE) || 60,
+  windowMs: 60 * 1000,
+});
+
+function widgetKeyFor(req) {
+  return req.get('x-widget-key') || req.body?.widget_key || null;
+}
+
+/**
+ * Public widget requests pass; without a widget key the caller must be a signed-in member of the
+ * business in x-tenant-id (dashboard preview) – requireTenantAuth sets req.auth.businessId.
+ */
+function requireWidgetKeyOrTenantAuth(req, res, next) {
+  if (widgetKeyFor(req)) return next();
+  return requireTenantAuth(req, res, next);
+}
+
+/**
+ * Tenant for a chat request: public widget key (x-widget-key header or body.widget_key),
+ * else the business verified by requireTenantAuth (dashboard preview).
+ * @returns {Promise<{tenantId: string|null, via: 'widget_key'|'dashboard'|null}>}
+ */
+async function resolveChatTenant(req) {
+  const widgetKey = widgetKeyFor(req);
+  if (widgetKey) {
+    const { businessId } = await resolveWidgetKey(widgetKey);
+    return { tenantId: businessId, via: businessId ? 'widget_key' : null };
+  }
+
+  if (req.auth?.businessId) {
+    return { tenantId: req.auth.businessId, via: 'dashboard' };
+  }
+
+  return { tenantId: null, via: null };
+}
+
+async function isTenantSubscribed(tenantId) {
+  const { data, error } = await supabase
+    .from('businesses')
+    .select('id, is_subscribed')
+    .eq('id', tenantId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[WEBCHAT] business subscription fetch error', error);
+    return false;
+  }
+  return computeIsSubscribed(data);
+}
+
+// req.ip honours 'trust proxy' (TRUST_PROXY_HOPS in index.js), so a spoofed X-Forwarded-For is ignored
+function clientIp(req) {
+  return req.ip || 'unknown';
+}
+
+function wantsEventStream(req) {
+  return req.query.stream === '1' || req.body?.stream === true || (req.get('accept') || '').includes('text/event-stream');
+}
+
+function writeSseEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * POST /api/chat
+ *
+ * Website chat with IVA (same prompt and booking handling as the phone assistant).
+ *
+ * Headers:
+ * - x-widget-key: public widget key (website widget) – or –
+ * - Authorization: Bearer <Supabase JWT> + x-tenant-id: business ID (dashboard preview, member of the business)
+ * - x-session-id: conversation ID (optional, also body.session_id; generated when missing)
+ * - Accept: text/event-stream – stream the reply (also ?stream=1 or body.stream = true)
+ *
+ * Body:
+ * - message: string (REQUIRED)
+ *
+ * JSON response: { success, session_id, message, booking_sent, booking_id }
+ *
+ * Streamed response (server-sent events):
+ * - event: session  data: { session_id }
+ * - event: delta    data: { text }           – reply text as it is generated
+ * - event: done     data: { message, booking_sent, booking_id } – final reply; replaces the streamed text
+ * - event: error    data: { error, message_cs }
+ */
+router.post('/', requireWidgetKeyOrTenantAuth, async (req, res) => {
+  try {
+    const { tenantId, via } = await resolveChatTenant(req);
+
+    if (!tenantId) {
+      return res.status(401).json({
+        success: false,
+        error: 'UNKNOWN_TENANT',
+        message_cs: 'Chat není pro tento web nastavený. Zkontrolujte prosím klíč widgetu.',
+      });
+    }
+
+    const message = typeof req.body?.message === 'string' ? req.body.message.trim() : '';
+    if (!message) {
+      return res.status(400).json({
+        success: false,
+        error: 'MISSING_MESSAGE',
+        message_cs: 'Napište prosím zprávu.',
+      });
+    }
+    if (message.length > MAX_MESSAGE_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: 'MESSAGE_TOO_LONG',
+        message_cs: `Zpráva je příliš dlouhá (max. ${MAX_MESSAGE_LENGTH} znaků). Zkuste ji prosím zkrátit.`,
+      });
+    }
+
+    const rawSessionId = req.get('x-session-id') || req.body?.session_id || null;
+    if (rawSessionId && !SESSION_ID_PATTERN.test(String(rawSessionId))) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_SESSION_ID',
+        message_cs: 'Neplatný identifikátor konverzace.',
+      });
+    }
+    const clientSessionId = rawSessionId ? String(rawSessionId) : crypto.randomUUID();
+
+    const ipLimit = ipLimiter.consume(clientIp(req));
+    const sessionLimit = sessionLimiter.consume(`${tenantId}:${clientSessionId}`);
+    if (!ipLimit.allowed || !sessionLimit.allowed) {
+      const retryAfter = Math.max(ipLimit.retryAfterSeconds, sessionLimit.retryAfterSeconds);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'RATE_LIMITED',
+        message_cs: 'Posíláte zprávy příliš rychle. Zkuste to prosím za chvilku znovu.',
+        retry_after_seconds: retryAfter,
+      });
+    }
+
+    if (!(await isTenantSubscribed(tenantId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'NOT_SUBSCRIBED',
+        message_cs: 'Omlouvám se, chat IVA není pro tento salon aktivní. Kontaktujte prosím salon přímo.',
+      });
+    }
+
+    // History is namespaced per tenant so a session ID from one website cannot read another's conversation
+    const sessionId = `web:${tenantId}:${clientSessionId}`;
+
+    console.log('[WEBCHAT] POST /api/chat', { tenantId, via, sessionId: clientSessionId, stream: wantsEventStream(req) });
+
+    if (!wantsEventStream(req)) {
+      const result = await handleChatMessage({ message, tenantId, source: 'web', sessionId });
+      return res.status(200).json({
+        success: true,
+        session_id: clientSessionId,
+        message: result.message,
+        booking_sent: result.booking_sent,
+        booking_id: result.booking_id,
+      });
+    }
+
+    res.status(200);
+    res.set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // disable proxy buffering (nginx / Railway)
+    });
+    res.flushHeaders();
+
+    // Stop generating when the visitor closes the page
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) abortController.abort();
+    });
+
+    writeSseEvent(res, 'session', { session_id: clientSessionId });
+
+    try {
+      const result = await streamChatMessage({
+        message,
+        tenantId,
+        source: 'web',
+        sessionId,
+        signal: abortController.signal,
+        onDelta: (text) => writeSseEvent(res, 'delta', { text }),
+      });
+
+      writeSseEvent(res, 'done', {
+        message: result.message,
+        booking_sent: result.booking_sent,
+        booking_id: result.booking_id,
+      });
+    } catch (err) {
+      if (abortController.signal.aborted) {
+        console.log('[WEBCHAT] Client disconnected, stream aborted', { sessionId: clientSessionId });
+        return;
+      }
+      console.error('[WEBCHAT] stream error', err);
+      writeSseEvent(res, 'error', {
+        error: 'UNEXPECTED_ERROR',
+        message_cs: 'Omlouvám se, něco se pokazilo. Zkuste to prosím znovu, nebo zavolejte přímo do salonu.',
+      });
+    }
+
+    return res.end();
+  } catch (err) {
+    console.error('[WEBCHAT] POST /api/chat error', err);
+    if (res.headersSent) {
+      return res.end();
+    }
+    return res.status(500).json({
+      success: false,
+      error: 'UNEXPECTED_ERROR',
+      message_cs: 'Omlouvám se, něco se pokazilo. Zkuste to prosím znovu, nebo zavolejte přímo do salonu.',
+    });
+  }
+});
+
+export default router;
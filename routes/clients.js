@@ -0,0 +1,176 @@
+import express from 'express';
+import { requireTenantAuth, requireRole } from '../lib/auth.js';
+import { listClients, getClientDetail, saveClient } from '../lib/clients.js';
+
+const router = express.Router();
+
+// HTTP status per lib/clients.js error code; DB errors stay 200 with success: false like the other dashboard routes
+const ERROR_STATUS = {
+  INVALID_PHONE: 400,
+  MISSING_PHONE: 400,
+  UNKNOWN_STAFF: 400,
+  NOT_FOUND: 404,
+  CLIENT_EXISTS: 409,
+};
+
+function formatClient(row) {
+  return {
+    id: row.id,
+    name: row.name || null,
+    phone: row.phone,
+    email: row.email || null,
+    notes: row.notes || null,
+    preferredStaffId: row.preferred_staff_id || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function formatHistoryItem(row) {
+  return {
+    id: row.id,
+    date: row.date,
+    time: row.time ? String(row.time).slice(0, 5) : null,
+    durationMinutes: row.duration_minutes ?? null,
+    service: row.service_slug,
+    status: row.status,
+    staffId: row.staff_id || null,
+    location: row.location || null,
+  };
+}
+
+router.use(requireTenantAuth);
+
+/**
+ * GET /api/clients
+ *
+ * Lists the business's clients (alphabetically) with visit count, no-shows, last visit and next booking.
+ *
+ * Headers:
+ * - x-tenant-id: business ID (UUID) - REQUIRED
+ *
+ * Query:
+ * - search: part of the name or phone (optional)
+ * - limit: 1–200, default 50
+ * - offset: default 0
+ */
+router.get('/', requireRole('read_only'), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const search = typeof req.query.search === 'string' ? req.query.search.trim() : null;
+
+    const result = await listClients({ businessId: req.auth.businessId, search, limit, offset });
+    if (!result.ok) {
+      return res.status(200).json({
+        success: false,
+        error: 'DB_ERROR',
+        message_cs: 'Omlouvám se, nepodařilo se mi načíst klienty.',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      clients: result.clients.map((client) => ({ ...formatClient(client), stats: client.stats })),
+      pagination: { limit, offset, total: result.total, hasMore: offset + result.clients.length < result.total },
+    });
+  } catch (err) {
+    console.error('[CLIENTS] GET /api/clients error', err);
+    return res.status(500).json({
+      success: false,
+      error: 'UNEXPECTED_ERROR',
+      message_cs: 'Omlouvám se, při načítání klientů se něco pokazilo.',
+    });
+  }
+});
+
+/**
+ * GET /api/clients/:id
+ *
+ * One client with the full booking history (newest first) and stats.
+ *
+ * Headers:
+ * - x-tenant-id: business ID (UUID) - REQUIRED
+ */
+router.get('/:id', requireRole('read_only'), async (req, res) => {
+  try {
+    const result = await getClientDetail(req.auth.businessId, req.params.id);
+    if (!result.ok) {
+      return res.status(200).json({
+        success: false,
+        error: 'DB_ERROR',
+        message_cs: 'Omlouvám se, nepodařilo se mi načíst klienta.',
+      });
+    }
+    if (!result.client) {
+      return res.status(404).json({
+        success: false,
+        error: 'NOT_FOUND',
+        message_cs: 'Klient nebyl nalezen.',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      client: formatClient(result.client),
+      stats: result.stats,
+      history: result.history.map(formatHistoryItem),
+    });
+  } catch (err) {
+    console.error('[CLIENTS] GET /api/clients/:id error', err);
+    return res.status(500).json({
+      success: false,
+      error: 'UNEXPECTED_ERROR',
+      message_cs: 'Omlouvám se, při načítání klienta se něco pokazilo.',
+    });
+  }
+});
+
+/**
+ * POST /api/clients
+ *
+ * Creates a client, or updates one when `id` is given (only the fields sent are changed).
+ *
+ * Headers:
+ * - x-tenant-id: business ID (UUID) - REQUIRED
+ *
+ * Body:
+ * - id: client ID (UUID) – update instead of create
+ * - phone: string (REQUIRED when creating; normalized to +420XXXXXXXXX)
+ * - name, email, notes: string | null
+ * - preferred_staff_id: staff ID (UUID) | null
+ */
+router.post('/', requireRole('staff'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const fields = {};
+    for (const key of ['name', 'phone', 'email', 'notes', 'preferred_staff_id']) {
+      if (body[key] !== undefined) fields[key] = body[key];
+    }
+
+    const result = await saveClient({ businessId: req.auth.businessId, id: body.id || null, fields });
+    if (!result.ok) {
+      return res.status(ERROR_STATUS[result.error] || 200).json({
+        success: false,
+        error: result.error,
+        clientId: result.clientId,
+        message_cs: result.message_cs,
+      });
+    }
+
+    return res.status(body.id ? 200 : 201).json({
+      success: true,
+      client: formatClient(result.client),
+      message_cs: body.id ? 'Klient byl uložen.' : 'Klient byl přidán.',
+    });
+  } catch (err) {
+    console.error('[CLIENTS] POST /api/clients error', err);
+    return res.status(500).json({
+      success: false,
+      error: 'UNEXPECTED_ERROR',
+      message_cs: 'Omlouvám se, při ukládání klienta se něco pokazilo.',
+    });
+  }
+});
+
+export default router;
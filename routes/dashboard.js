@@ -3,13 +3,28 @@ import { supabase } from '../lib/supabaseClient.js';
 import { DateTime } from 'luxon';
 import { handleUpdateAppointment, handleBookAppointment } from '../lib/appointments.js';
 import { computeIsSubscribed } from '../lib/subscription.js';
+import {
+  addToWaitlist,
+  listWaitlist,
+  updateWaitlistEntry,
+  deleteWaitlistEntry,
+  WAITLIST_STATUSES,
+} from '../lib/waitlist.js';
+import { listWidgetKeys, createWidgetKey, revokeWidgetKey, isHexColor } from '../lib/widgetKeys.js';
+import { requireTenantAuth, requireRole } from '../lib/auth.js';
+import { getUsageSummary } from '../lib/usage.js';
 
 const router = express.Router();
 
+// Every dashboard route needs a Supabase JWT (Authorization: Bearer) of a user with access to x-tenant-id.
+// Any role may read; writes declare a minimum role: staff for bookings / waitlist, admin for settings
+// (business profile, widget keys and future settings routes), owner for billing.
+router.use(requireTenantAuth);
+
 /**
  * GET /api/business_profile
  * 
- * Returns the business profile, services, opening hours for the dashboard settings page.
+ * Returns the business profile, services, opening hours and locations for the dashboard settings page.
  * 
  * Headers:
  * - x-tenant-id: business ID (UUID) - REQUIRED
@@ -30,11 +45,11 @@ router.get('/business_profile', async (req, res) => {
     console.log('[DASHBOARD] GET /api/business_profile', { tenantId });
 
     // Fetch business subscription state (may be missing)
-    // NOTE: Some deployments don't have stripe_* columns in businesses table.
-    // Only select columns we know exist.
+    // NOTE: Deployments without sql/2026-10-stripe-billing.sql don't have the stripe_* columns,
+    // so select * instead of naming them.
     const { data: businessRow, error: businessError } = await supabase
       .from('businesses')
-      .select('id, is_subscribed')
+      .select('*')
       .eq('id', tenantId)
       .maybeSingle();
 
@@ -74,6 +89,17 @@ router.get('/business_profile', async (req, res) => {
       console.error('[DASHBOARD] Error fetching opening_hours:', hoursError);
     }
 
+    // Fetch locations (branches)
+    const { data: locationsData, error: locationsError } = await supabase
+      .from('locations')
+      .select('*')
+      .eq('business_id', tenantId)
+      .order('name', { ascending: true });
+
+    if (locationsError) {
+      console.error('[DASHBOARD] Error fetching locations:', locationsError);
+    }
+
     // Build response
     const profile = profileData ? {
       id: profileData.id,
@@ -105,17 +131,27 @@ router.get('/business_profile', async (req, res) => {
       closed: h.closed ?? false,
     }));
 
+    const locations = (locationsData || []).map(l => ({
+      id: l.id,
+      name: l.name,
+      address: l.address || null,
+      google_calendar_id: l.google_calendar_id || null,
+      is_active: l.is_active ?? true,
+    }));
+
     return res.status(200).json({
       profile,
       services,
       openingHours,
-      locations: [],
+      locations,
       subscription: {
         isSubscribed: computeIsSubscribed(businessRow),
         is_subscribed: businessRow?.is_subscribed === true,
-        stripeStatus: null,
-        stripeSubscriptionStatus: null,
-        stripeCurrentPeriodEnd: null,
+        stripeStatus: businessRow?.stripe_status || null,
+        stripeSubscriptionStatus: businessRow?.stripe_status || null,
+        stripeCurrentPeriodEnd: businessRow?.stripe_current_period_end || null,
+        stripeCancelAtPeriodEnd: businessRow?.stripe_cancel_at_period_end === true,
+        hasStripeCustomer: Boolean(businessRow?.stripe_customer_id),
       },
     });
   } catch (err) {
@@ -136,9 +172,10 @@ router.get('/business_profile', async (req, res) => {
  * - x-tenant-id: business ID (UUID) - REQUIRED
  * 
  * Body:
- * - profile: { name?, address?, phone?, email?, website_url?, instagram_url?, notes? }
+ * - profile: { name?, address?, phone?, email?, website_url?, instagram_url?, notes?, brand_color?, brand_text_color? }
+ *   brand_color / brand_text_color: hex colors of the website chat widget (kept when not sent)
  */
-router.post('/business_profile', async (req, res) => {
+router.post('/business_profile', requireRole('admin'), async (req, res) => {
   try {
     const tenantId = req.headers['x-tenant-id'];
 
@@ -158,6 +195,15 @@ router.post('/business_profile', async (req, res) => {
       });
     }
 
+    for (const field of ['brand_color', 'brand_text_color']) {
+      if (profile[field] && !isHexColor(profile[field])) {
+        return res.status(400).json({
+          error: 'INVALID_COLOR',
+          message_cs: 'Barva musí být v hex formátu, například #6d28d9.',
+        });
+      }
+    }
+
     console.log('[DASHBOARD] POST /api/business_profile', { tenantId, profile });
 
     // Upsert business_profile
@@ -172,6 +218,8 @@ router.post('/business_profile', async (req, res) => {
         website_url: profile.website_url || null,
         instagram_url: profile.instagram_url || null,
         notes: profile.notes || null,
+        ...('brand_color' in profile ? { brand_color: profile.brand_color || null } : {}),
+        ...('brand_text_color' in profile ? { brand_text_color: profile.brand_text_color || null } : {}),
         updated_at: new Date().toISOString(),
       }, {
         onConflict: 'business_id',
@@ -322,22 +370,578 @@ router.get('/bookings', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/calls
+ *
+ * Returns the call log (Vapi calls) for the current tenant, newest first.
+ *
+ * Query parameters:
+ * - from: start date (YYYY-MM-DD), default = today - 30 days in Europe/Prague
+ * - to: end date (YYYY-MM-DD, inclusive), default = today in Europe/Prague
+ * - limit: page size (default 50, hard cap 200)
+ * - offset: number of records to skip (default 0)
+ *
+ * Headers:
+ * - x-tenant-id: business ID (UUID) - REQUIRED
+ */
+router.get('/calls', async (req, res) => {
+  try {
+    const tenantId = req.headers['x-tenant-id'];
+
+    if (!tenantId || typeof tenantId !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'MISSING_TENANT_ID',
+        message_cs: 'Chybí identifikátor firmy (tenant). Zkuste se znovu přihlásit.',
+      });
+    }
+
+    const today = DateTime.now().setZone('Europe/Prague').startOf('day');
+    const fromDt = req.query.from
+      ? DateTime.fromISO(req.query.from.toString(), { zone: 'Europe/Prague' }).startOf('day')
+      : today.minus({ days: 30 });
+    const toDt = req.query.to
+      ? DateTime.fromISO(req.query.to.toString(), { zone: 'Europe/Prague' }).startOf('day')
+      : today;
+
+    if (!fromDt.isValid || !toDt.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_DATE',
+        message_cs: 'Neplatné datum ve filtru. Použijte formát RRRR-MM-DD.',
+      });
+    }
+
+    const limitParam = parseInt(req.query.limit?.toString() || '50', 10);
+    const limit = Math.min(Math.max(Number.isFinite(limitParam) ? limitParam : 50, 1), 200);
+    const offsetParam = parseInt(req.query.offset?.toString() || '0', 10);
+    const offset = Math.max(Number.isFinite(offsetParam) ? offsetParam : 0, 0);
+
+    console.log('[DASHBOARD] GET /api/calls', {
+      tenantId,
+      from: fromDt.toISODate(),
+      to: toDt.toISODate(),
+      limit,
+      offset,
+    });
+
+    const { data: rows, error, count } = await supabase
+      .from('calls')
+      .select('id, vapi_call_id, caller_number, called_number, status, started_at, ended_at, duration_seconds, transcript, summary, ended_reason, booking_ids, created_at', { count: 'exact' })
+      .eq('business_id', tenantId)
+      .gte('created_at', fromDt.toUTC().toISO())
+      .lt('created_at', toDt.plus({ days: 1 }).toUTC().toISO())
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      console.error('[DASHBOARD] GET /api/calls Supabase query error:', error);
+      return res.status(200).json({
+        success: false,
+        error: 'DB_ERROR',
+        message_cs: 'Omlouvám se, nepodařilo se mi načíst historii hovorů. Zkuste to prosím později.',
+      });
+    }
+
+    const calls = (rows || []).map(row => ({
+      id: row.id,
+      callId: row.vapi_call_id,
+      callerNumber: row.caller_number || '',
+      calledNumber: row.called_number || '',
+      status: row.status || '',
+      startedAt: row.started_at || row.created_at || null,
+      endedAt: row.ended_at || null,
+      durationSeconds: row.duration_seconds ?? null,
+      transcript: row.transcript || '',
+      summary: row.summary || '',
+      endedReason: row.ended_reason || '',
+      bookingIds: Array.isArray(row.booking_ids) ? row.booking_ids : [],
+    }));
+
+    return res.status(200).json({
+      success: true,
+      calls,
+      pagination: {
+        limit,
+        offset,
+        total: count ?? null,
+        hasMore: count != null ? offset + calls.length < count : calls.length === limit,
+      },
+    });
+  } catch (err) {
+    console.error('[DASHBOARD] GET /api/calls unexpected error:', err);
+    return res.status(200).json({
+      success: false,
+      error: 'DB_ERROR',
+      message_cs: 'Omlouvám se, nepodařilo se mi načíst historii hovorů. Zkuste to prosím později.',
+    });
+  }
+});
+
+/**
+ * GET /api/waitlist
+ *
+ * Lists waitlist entries for the tenant (by date, FIFO within a day).
+ *
+ * Query params:
+ * - status: waiting | notified | booked | declined | cancelled | expired (optional)
+ * - from, to: YYYY-MM-DD date filter (optional)
+ * - limit: page size (default 50, max 200)
+ * - offset: number of entries to skip (default 0)
+ *
+ * Headers:
+ * - x-tenant-id: business ID (UUID) - REQUIRED
+ */
+router.get('/waitlist', async (req, res) => {
+  try {
+    const tenantId = req.headers['x-tenant-id'];
+
+    if (!tenantId || typeof tenantId !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'MISSING_TENANT_ID',
+        message_cs: 'Chybí identifikátor firmy (tenant). Zkuste se znovu přihlásit.',
+      });
+    }
+
+    const status = req.query.status ? req.query.status.toString() : null;
+    if (status && !WAITLIST_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_STATUS',
+        message_cs: `Neplatný stav. Povolené hodnoty: ${WAITLIST_STATUSES.join(', ')}.`,
+      });
+    }
+
+    const limitParam = parseInt(req.query.limit?.toString() || '50', 10);
+    const limit = Math.min(Math.max(Number.isFinite(limitParam) ? limitParam : 50, 1), 200);
+    const offsetParam = parseInt(req.query.offset?.toString() || '0', 10);
+    const offset = Math.max(Number.isFinite(offsetParam) ? offsetParam : 0, 0);
+
+    const result = await listWaitlist(tenantId, {
+      status,
+      from: req.query.from ? req.query.from.toString() : null,
+      to: req.query.to ? req.query.to.toString() : null,
+      limit,
+      offset,
+    });
+
+    if (!result.ok) {
+      return res.status(200).json({
+        success: false,
+        error: 'DB_ERROR',
+        message_cs: 'Omlouvám se, nepodařilo se mi načíst čekací listinu. Zkuste to prosím později.',
+      });
+    }
+
+    const entries = result.entries.map(row => ({
+      id: row.id,
+      customerName: row.client_name || '',
+      customerPhone: row.client_phone || '',
+      customerEmail: row.client_email || null,
+      serviceName: row.service_slug || null,
+      date: row.date,
+      timeFrom: row.time_from ? String(row.time_from).slice(0, 5) : null,
+      timeTo: row.time_to ? String(row.time_to).slice(0, 5) : null,
+      locationName: row.location || null,
+      staffName: row.staff_name || null,
+      notes: row.notes || null,
+      source: row.source || null,
+      status: row.status,
+      bookingId: row.booking_id || null,
+      notifiedAt: row.notified_at || null,
+      offerExpiresAt: row.offer_expires_at || null,
+      createdAt: row.created_at,
+    }));
+
+    return res.status(200).json({
+      success: true,
+      entries,
+      pagination: {
+        limit,
+        offset,
+        total: result.total,
+        hasMore: result.total != null ? offset + entries.length < result.total : entries.length === limit,
+      },
+    });
+  } catch (err) {
+    console.error('[DASHBOARD] GET /api/waitlist unexpected error:', err);
+    return res.status(200).json({
+      success: false,
+      error: 'DB_ERROR',
+      message_cs: 'Omlouvám se, nepodařilo se mi načíst čekací listinu. Zkuste to prosím později.',
+    });
+  }
+});
+
+/**
+ * POST /api/waitlist
+ *
+ * Adds a client to the waitlist from the dashboard.
+ *
+ * Body:
+ * - customerName, customerPhone, date (YYYY-MM-DD) - REQUIRED
+ * - serviceName, timeFrom, timeTo (HH:mm), locationName, staffName, customerEmail, notes (optional)
+ *
+ * Headers:
+ * - x-tenant-id: business ID (UUID) - REQUIRED
+ */
+router.post('/waitlist', requireRole('staff'), async (req, res) => {
+  try {
+    const tenantId = req.headers['x-tenant-id'];
+
+    if (!tenantId || typeof tenantId !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'MISSING_TENANT_ID',
+        message_cs: 'Chybí identifikátor firmy (tenant). Zkuste se znovu přihlásit.',
+      });
+    }
+
+    const body = req.body || {};
+    const result = await addToWaitlist(tenantId, {
+      client_name: body.customerName,
+      client_phone: body.customerPhone,
+      client_email: body.customerEmail || null,
+      service_slug: body.serviceName || null,
+      date: body.date,
+      time_from: body.timeFrom || null,
+      time_to: body.timeTo || null,
+      location: body.locationName || null,
+      staff_name: body.staffName || null,
+      notes: body.notes || null,
+      source: 'dashboard',
+    });
+
+    if (!result.ok) {
+      return res.status(result.error === 'DB_ERROR' ? 200 : 400).json({
+        success: false,
+        error: result.error,
+        message_cs: result.message_cs,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      entryId: result.entry.id,
+      existing: result.existing,
+      message_cs: result.existing ? 'Klient už na čekací listině je.' : 'Klient byl zapsán na čekací listinu.',
+    });
+  } catch (err) {
+    console.error('[DASHBOARD] POST /api/waitlist error', err);
+    return res.status(500).json({
+      success: false,
+      error: 'UNEXPECTED_ERROR',
+      message_cs: 'Omlouvám se, při zápisu na čekací listinu se něco pokazilo.',
+    });
+  }
+});
+
+/**
+ * PATCH /api/waitlist/:id
+ *
+ * Updates a waitlist entry.
+ *
+ * Body (all optional):
+ * - status: waiting | notified | booked | declined | cancelled | expired
+ *   (declined / cancelled on an entry holding an offer passes the slot to the next waiting client)
+ * - date (YYYY-MM-DD), timeFrom, timeTo (HH:mm, null = no limit), notes
+ *
+ * Headers:
+ * - x-tenant-id: business ID (UUID) - REQUIRED
+ */
+router.patch('/waitlist/:id', requireRole('staff'), async (req, res) => {
+  try {
+    const tenantId = req.headers['x-tenant-id'];
+
+    if (!tenantId || typeof tenantId !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'MISSING_TENANT_ID',
+        message_cs: 'Chybí identifikátor firmy (tenant). Zkuste se znovu přihlásit.',
+      });
+    }
+
+    const body = req.body || {};
+    const result = await updateWaitlistEntry(tenantId, req.params.id, {
+      status: body.status,
+      date: body.date,
+      time_from: body.timeFrom,
+      time_to: body.timeTo,
+      notes: body.notes,
+    });
+
+    if (!result.ok) {
+      const status = result.error === 'NOT_FOUND' ? 404 : result.error === 'DB_ERROR' ? 200 : 400;
+      return res.status(status).json({
+        success: false,
+        error: result.error,
+        message_cs: result.message_cs,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message_cs: 'Záznam na čekací listině byl upraven.',
+    });
+  } catch (err) {
+    console.error('[DASHBOARD] PATCH /api/waitlist error', err);
+    return res.status(500).json({
+      success: false,
+      error: 'UNEXPECTED_ERROR',
+      message_cs: 'Omlouvám se, při úpravě čekací listiny se něco pokazilo.',
+    });
+  }
+});
+
+/**
+ * DELETE /api/waitlist/:id
+ *
+ * Removes a waitlist entry.
+ *
+ * Headers:
+ * - x-tenant-id: business ID (UUID) - REQUIRED
+ */
+router.delete('/waitlist/:id', requireRole('staff'), async (req, res) => {
+  try {
+    const tenantId = req.headers['x-tenant-id'];
+
+    if (!tenantId || typeof tenantId !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'MISSING_TENANT_ID',
+        message_cs: 'Chybí identifikátor firmy (tenant). Zkuste se znovu přihlásit.',
+      });
+    }
+
+    const result = await deleteWaitlistEntry(tenantId, req.params.id);
+
+    if (!result.ok) {
+      return res.status(result.error === 'NOT_FOUND' ? 404 : 200).json({
+        success: false,
+        error: result.error,
+        message_cs: result.message_cs,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message_cs: 'Záznam byl z čekací listiny odstraněn.',
+    });
+  } catch (err) {
+    console.error('[DASHBOARD] DELETE /api/waitlist error', err);
+    return res.status(500).json({
+      success: false,
+      error: 'UNEXPECTED_ERROR',
+      message_cs: 'Omlouvám se, při mazání z čekací listiny se něco pokazilo.',
+    });
+  }
+});
+
+function widgetEmbedCode(req, key) {
+  const baseUrl = (process.env.PUBLIC_BASE_URL || `https://${req.get('host')}`).replace(/\/$/, '');
+  return `<script src="${baseUrl}/widget.js?key=${key}" async></script>`;
+}
+
+/**
+ * GET /api/widget_keys
+ *
+ * Lists the tenant's public website widget keys with their embed code.
+ *
+ * Headers:
+ * - x-tenant-id: business ID (UUID) - REQUIRED
+ */
+router.get('/widget_keys', async (req, res) => {
+  try {
+    const tenantId = req.headers['x-tenant-id'];
+
+    if (!tenantId || typeof tenantId !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'MISSING_TENANT_ID',
+        message_cs: 'Chybí identifikátor firmy (tenant). Zkuste se znovu přihlásit.',
+      });
+    }
+
+    const result = await listWidgetKeys(tenantId);
+    if (!result.ok) {
+      return res.status(200).json({
+        success: false,
+        error: 'DB_ERROR',
+        message_cs: 'Omlouvám se, nepodařilo se mi načíst klíče widgetu.',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      keys: result.keys.map((row) => ({
+        id: row.id,
+        key: row.key,
+        isActive: row.is_active,
+        createdAt: row.created_at,
+        revokedAt: row.revoked_at || null,
+        embedCode: row.is_active ? widgetEmbedCode(req, row.key) : null,
+      })),
+    });
+  } catch (err) {
+    console.error('[DASHBOARD] GET /api/widget_keys error', err);
+    return res.status(500).json({
+      success: false,
+      error: 'UNEXPECTED_ERROR',
+      message_cs: 'Omlouvám se, při načítání klíčů widgetu se něco pokazilo.',
+    });
+  }
+});
+
+/**
+ * POST /api/widget_keys
+ *
+ * Creates a new public widget key (e.g. for a second website, or before revoking a leaked one).
+ *
+ * Headers:
+ * - x-tenant-id: business ID (UUID) - REQUIRED
+ */
+router.post('/widget_keys', requireRole('admin'), async (req, res) => {
+  try {
+    const tenantId = req.headers['x-tenant-id'];
+
+    if (!tenantId || typeof tenantId !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'MISSING_TENANT_ID',
+        message_cs: 'Chybí identifikátor firmy (tenant). Zkuste se znovu přihlásit.',
+      });
+    }
+
+    const result = await createWidgetKey(tenantId);
+    if (!result.ok) {
+      return res.status(200).json({
+        success: false,
+        error: 'DB_ERROR',
+        message_cs: 'Omlouvám se, klíč widgetu se nepodařilo vytvořit.',
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      key: {
+        id: result.widgetKey.id,
+        key: result.widgetKey.key,
+        isActive: true,
+        createdAt: result.widgetKey.created_at,
+        revokedAt: null,
+        embedCode: widgetEmbedCode(req, result.widgetKey.key),
+      },
+      message_cs: 'Klíč widgetu byl vytvořen. Vložte kód pro vložení na svůj web.',
+    });
+  } catch (err) {
+    console.error('[DASHBOARD] POST /api/widget_keys error', err);
+    return res.status(500).json({
+      success: false,
+      error: 'UNEXPECTED_ERROR',
+      message_cs: 'Omlouvám se, při vytváření klíče widgetu se něco pokazilo.',
+    });
+  }
+});
+
+/**
+ * DELETE /api/widget_keys/:id
+ *
+ * Revokes a widget key – the widget on websites using it stops working.
+ *
+ * Headers:
+ * - x-tenant-id: business ID (UUID) - REQUIRED
+ */
+router.delete('/widget_keys/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const tenantId = req.headers['x-tenant-id'];
+
+    if (!tenantId || typeof tenantId !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'MISSING_TENANT_ID',
+        message_cs: 'Chybí identifikátor firmy (tenant). Zkuste se znovu přihlásit.',
+      });
+    }
+
+    const result = await revokeWidgetKey(tenantId, req.params.id);
+    if (!result.ok) {
+      return res.status(result.error === 'NOT_FOUND' ? 404 : 200).json({
+        success: false,
+        error: result.error,
+        message_cs: result.message_cs,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message_cs: 'Klíč widgetu byl zneplatněn.',
+    });
+  } catch (err) {
+    console.error('[DASHBOARD] DELETE /api/widget_keys error', err);
+    return res.status(500).json({
+      success: false,
+      error: 'UNEXPECTED_ERROR',
+      message_cs: 'Omlouvám se, při rušení klíče widgetu se něco pokazilo.',
+    });
+  }
+});
+
+/**
+ * GET /api/usage
+ *
+ * Current month's consumption (Europe/Prague calendar month) against the business's plan:
+ * call minutes and calls (from end-of-call reports), bookings, active locations.
+ *
+ * Headers:
+ * - x-tenant-id: business ID (UUID) - REQUIRED
+ */
+router.get('/usage', async (req, res) => {
+  try {
+    const tenantId = req.auth.businessId;
+    res.set('Cache-Control', 'no-store');
+
+    const summary = await getUsageSummary(tenantId);
+    if (!summary.ok) {
+      return res.status(200).json({
+        success: false,
+        error: 'DB_ERROR',
+        message_cs: 'Omlouvám se, nepodařilo se mi načíst využití tarifu.',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      plan: summary.plan,
+      period: { month: summary.period.month, from: summary.period.from, to: summary.period.to },
+      usage: summary.usage,
+    });
+  } catch (err) {
+    console.error('[DASHBOARD] GET /api/usage error', err);
+    return res.status(500).json({
+      success: false,
+      error: 'UNEXPECTED_ERROR',
+      message_cs: 'Omlouvám se, při načítání využití tarifu se něco pokazilo.',
+    });
+  }
+});
+
 /**
  * POST /api/dashboard/updateBooking
  * 
- * Updates a booking (cancel or reschedule).
+ * Updates a booking (cancel, reschedule or mark as no-show).
  * Reuses the same logic as /api/vapi/update_appointment.
  * 
  * Body:
  * - bookingId: Booking ID (UUID) - REQUIRED
- * - action: 'cancel' or 'reschedule' - REQUIRED
+ * - action: 'cancel', 'reschedule' or 'no_show' - REQUIRED
  * - date: New date for reschedule (YYYY-MM-DD) - REQUIRED for reschedule
  * - time: New time for reschedule (HH:mm) - REQUIRED for reschedule
  * 
  * Headers:
  * - x-tenant-id: business ID (UUID) - REQUIRED
  */
-router.post('/dashboard/updateBooking', async (req, res) => {
+router.post('/dashboard/updateBooking', requireRole('staff'), async (req, res) => {
   try {
     const { bookingId, action, date, time } = req.body || {};
 
@@ -396,11 +1000,14 @@ router.post('/dashboard/updateBooking', async (req, res) => {
  * - notes: Notes (optional)
  * - customerEmail: Customer email (optional)
  * - durationMinutes: Duration in minutes (optional)
+ * - staffName: Staff member to book with (optional)
+ * - anyStaff: true = book anyone free if staffName is busy (optional)
  * 
  * Headers:
  * - x-tenant-id: business ID (UUID) - REQUIRED
+ * - Idempotency-Key: resubmitting with the same key returns the original booking (optional)
  */
-router.post('/dashboard/createBooking', async (req, res) => {
+router.post('/dashboard/createBooking', requireRole('staff'), async (req, res) => {
   try {
     const {
       serviceName,
@@ -412,6 +1019,8 @@ router.post('/dashboard/createBooking', async (req, res) => {
       notes,
       customerEmail,
       durationMinutes,
+      staffName,
+      anyStaff,
     } = req.body || {};
 
     // Read tenant ID from header
@@ -446,6 +1055,9 @@ router.post('/dashboard/createBooking', async (req, res) => {
       notes: notes || '',
       customerEmail: customerEmail || null,
       durationMinutes: durationMinutes || null,
+      staffName: staffName || null,
+      anyStaff: anyStaff === true,
+      idempotencyKey: req.get('idempotency-key') || null,
     });
 
     return res.status(200).json(result);
@@ -1,37 +1,92 @@
 import express from 'express';
 import { supabase } from '../lib/supabaseClient.js';
-import { crawlBusinessWebsite, applyImportedBusinessData } from '../lib/importFromWeb.js';
-import { chunkText, cleanText } from '../utils/textUtils.js';
-import OpenAI from 'openai';
+import { requireAuth, requireTenantAuth, requireRole } from '../lib/auth.js';
+import {
+  findWebSource,
+  listImportReviews,
+  getImportReview,
+  acceptImportReview,
+  rejectImportReview,
+} from '../lib/webRecrawl.js';
+import {
+  createImportJob,
+  getImportJob,
+  listImportJobs,
+  IMPORT_JOB_MODES,
+  RECRAWL_JOB_MODE,
+} from '../lib/importJobs.js';
+import { parseImportSelection } from '../lib/importPreview.js';
+import { IMPORT_SOURCES, importFromSource } from '../lib/importSources.js';
 
 const router = express.Router();
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+function formatImportReview(row) {
+  return {
+    id: row.id,
+    kind: row.kind || 'recrawl',
+    status: row.status,
+    diff: row.diff,
+    preview: row.preview || null,
+    selection: row.selection || null,
+    crawlChanges: row.crawl_changes || null,
+    decidedBy: row.decided_by || null,
+    decidedAt: row.decided_at || null,
+    createdAt: row.created_at,
+  };
+}
+
+function formatImportJob(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    mode: row.mode || 'apply',
+    status: row.status,
+    phase: row.phase,
+    progress: {
+      pagesDone: row.pages_done ?? 0,
+      pagesTotal: row.pages_total ?? null,
+    },
+    error: row.error || null,
+    errorMessage_cs: row.error_message_cs || null,
+    summary: row.summary || null,
+    reviewId: row.review_id || null,
+    attempts: row.attempts,
+    createdAt: row.created_at,
+    startedAt: row.started_at || null,
+    finishedAt: row.finished_at || null,
+  };
+}
 
 /**
  * POST /api/onboarding/import_from_web
  * 
- * Crawls a business website and imports structured data (name, address, phone, services, opening hours).
+ * Queues a background import of a business website (name, address, phone, services, opening hours,
+ * knowledge base). The crawl takes minutes, so the response only carries the job ID – poll
+ * GET /api/onboarding/import_jobs/:id for the progress and the result.
  * 
  * Body:
  * - url: Website URL to crawl - REQUIRED
+ * - mode: 'apply' (default) saves the data; 'preview' only prepares an import review with a row-level diff
+ *   (created / updated / unchanged) to be accepted in part via POST /api/onboarding/import_reviews/:id/accept
  * - businessId: Business ID (UUID) - REQUIRED (also read from x-tenant-id header)
  * 
  * Headers:
+ * - Authorization: Bearer <Supabase access token> - REQUIRED
  * - x-tenant-id: business ID (UUID) - REQUIRED
  * 
- * Response:
+ * Response (202):
  * - success: boolean
+ * - jobId: import job ID
+ * - mode: 'apply' | 'preview'
+ * - status: 'queued' | 'running'
+ * - existing: true when an import of this business was already in progress (its job is returned)
  * - message_cs: Czech message for UI
  * - error?: error code
  * - subscriptionRequired?: boolean (if subscription check failed)
  */
-router.post('/import_from_web', async (req, res) => {
+router.post('/import_from_web', requireTenantAuth, requireRole('admin'), async (req, res) => {
   try {
-    const { url } = req.body || {};
+    const { url, mode = 'apply' } = req.body || {};
     
     // Read business ID from header or body
     const businessId = req.headers['x-tenant-id'] || req.body?.businessId;
@@ -52,6 +107,14 @@ router.post('/import_from_web', async (req, res) => {
       });
     }
 
+    if (!IMPORT_JOB_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_MODE',
+        message_cs: 'Neplatný režim importu (apply nebo preview).',
+      });
+    }
+
     // Normalize and validate URL format
     // Auto-prepend https:// if no protocol is provided
     let normalizedUrl = url.trim();
@@ -104,66 +167,116 @@ router.post('/import_from_web', async (req, res) => {
       });
     }
 
-    // Crawl website and extract data
-    console.log('[ONBOARDING] Starting crawl for subscribed business:', businessId);
-    
-    let importedData;
-    try {
-      importedData = await crawlBusinessWebsite(parsedUrl.href, {
-        businessId,
-        supabase,
-        openai,
-        chunkText,
-        cleanText,
+    const result = await createImportJob({
+      businessId,
+      url: parsedUrl.href,
+      userId: req.auth?.userId || null,
+      mode,
+    });
+    if (!result.ok) {
+      return res.status(200).json({
+        success: false,
+        error: 'DB_ERROR',
+        message_cs: 'Import webu se nepodařilo spustit. Zkuste to prosím znovu.',
       });
-    } catch (crawlError) {
-      const errorMessage = crawlError?.message || String(crawlError);
-      console.error('[ONBOARDING] Crawl error:', errorMessage);
+    }
 
-      if (errorMessage.includes('PLAYWRIGHT_MISSING')) {
-        return res.status(503).json({
-          success: false,
-          error: 'PLAYWRIGHT_MISSING',
-          message_cs: 'Spouštění Playwright pro crawling je momentálně nedostupné. Zkuste to prosím za chvíli.',
-        });
-      }
+    return res.status(202).json({
+      success: true,
+      jobId: result.job.id,
+      mode: result.job.mode || 'apply',
+      status: result.job.status,
+      existing: result.existing,
+      message_cs: result.existing
+        ? 'Import webu už probíhá. Průběh sledujte v onboardingu.'
+        : mode === 'preview'
+          ? 'Náhled importu byl spuštěn. Po dokončení uvidíte, co by se změnilo.'
+          : 'Import webu byl spuštěn. Analýza může trvat několik minut.',
+    });
+  } catch (err) {
+    console.error('[ONBOARDING] Unexpected error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'UNEXPECTED_ERROR',
+      message_cs: 'Při analýze webu došlo k neočekávané chybě. Zkuste to prosím znovu.',
+    });
+  }
+});
 
-      if (errorMessage.includes('INVALID_URL')) {
-        return res.status(400).json({
-          success: false,
-          error: 'INVALID_URL',
-          message_cs: 'Zadejte prosím platnou URL adresu.',
-        });
-      }
+/**
+ * POST /api/onboarding/import_from_source
+ *
+ * Imports business data from an export of another source than the website and merges it like the web import
+ * (services and hours upserted, profile fields only filled in). Parsing is quick, so no background job.
+ *
+ * Body:
+ * - source: 'google_business' | 'facebook' | 'fresha' | 'reservio' - REQUIRED
+ * - content: exported JSON (object or text) or saved HTML page - REQUIRED
+ * - mode: 'apply' (default) or 'preview' – only prepare an import review (accept via import_reviews/:id/accept)
+ *
+ * Response:
+ * - success: boolean
+ * - imported: { name, servicesCount, hasOpeningHours, locationsCount }
+ * - review?: pending review with the preview (mode 'preview')
+ * - message_cs: Czech message for UI
+ * - error?: INVALID_SOURCE | MISSING_CONTENT | INVALID_MODE | PARSE_FAILED | SAVE_ERROR | DB_ERROR
+ */
+router.post('/import_from_source', requireTenantAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const { businessId } = req.auth;
+    const { source, content, mode = 'apply' } = req.body || {};
 
-      if (errorMessage.includes('FETCH_FAILED')) {
-        return res.status(502).json({
-          success: false,
-          error: 'FETCH_FAILED',
-          message_cs: 'Nepodařilo se načíst webovou stránku. Zkontrolujte, že URL je správná a stránka je dostupná.',
-        });
-      }
+    if (!IMPORT_SOURCES.includes(source)) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_SOURCE',
+        message_cs: 'Vyberte prosím zdroj importu (Google, Facebook, Fresha nebo Reservio).',
+      });
+    }
+    if (!content || (typeof content !== 'string' && typeof content !== 'object')) {
+      return res.status(400).json({
+        success: false,
+        error: 'MISSING_CONTENT',
+        message_cs: 'Vložte prosím exportovaná data (JSON) nebo uloženou stránku (HTML).',
+      });
+    }
+    if (!IMPORT_JOB_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_MODE',
+        message_cs: 'Neplatný režim importu (apply nebo preview).',
+      });
+    }
 
-      if (errorMessage.includes('PARSE_FAILED')) {
-        return res.status(422).json({
-          success: false,
-          error: 'PARSE_FAILED',
-          message_cs: 'Nepodařilo se analyzovat obsah webu. Zkuste to prosím znovu později.',
-        });
-      }
+    const { data: business } = await supabase
+      .from('businesses')
+      .select('id, is_subscribed')
+      .eq('id', businessId)
+      .maybeSingle();
 
-      return res.status(500).json({
+    if (!business?.is_subscribed) {
+      return res.status(402).json({
         success: false,
-        error: 'CRAWL_ERROR',
-        message_cs: 'Při analýze webu došlo k chybě. Zkuste to prosím znovu později.',
+        error: 'subscription_required',
+        subscriptionRequired: true,
+        message_cs: 'Pro import dat je potřeba mít aktivní předplatné.',
       });
     }
 
-    // Apply imported data to database
+    let result;
     try {
-      await applyImportedBusinessData(supabase, businessId, importedData);
-    } catch (applyError) {
-      console.error('[ONBOARDING] Apply error:', applyError);
+      result = await importFromSource({ businessId, source, content, mode });
+    } catch (importError) {
+      const errorMessage = importError?.message || String(importError);
+      if (errorMessage.startsWith('PARSE_FAILED')) {
+        console.warn('[ONBOARDING] Import source parse failed:', { businessId, source, error: errorMessage });
+        return res.status(422).json({
+          success: false,
+          error: 'PARSE_FAILED',
+          message_cs: 'V datech se nepodařilo najít název, služby ani otevírací dobu. Zkontrolujte prosím zdroj a formát.',
+        });
+      }
+      console.error('[ONBOARDING] Import source apply error:', importError);
       return res.status(500).json({
         success: false,
         error: 'SAVE_ERROR',
@@ -171,32 +284,328 @@ router.post('/import_from_web', async (req, res) => {
       });
     }
 
-    // Success response
-    const servicesCount = importedData.services?.length || 0;
-    const hasOpeningHours = importedData.openingHours?.some(oh => !oh.closed) || false;
-    
-    console.log('[ONBOARDING] Import successful:', {
-      businessId,
-      name: importedData.profile?.name,
-      servicesCount,
-      hasOpeningHours,
-    });
+    if (!result.ok) {
+      return res.status(200).json({
+        success: false,
+        error: result.error,
+        message_cs: 'Náhled importu se nepodařilo uložit. Zkuste to prosím znovu.',
+      });
+    }
 
+    const { importedData } = result;
+    const servicesCount = importedData.services.length;
     return res.status(200).json({
       success: true,
-      message_cs: `Data z webu byla úspěšně načtena a uložena. Nalezeno ${servicesCount} služeb.`,
       imported: {
-        name: importedData.profile?.name || null,
+        name: importedData.profile.name || null,
         servicesCount,
-        hasOpeningHours,
+        hasOpeningHours: importedData.openingHours.length > 0,
+        locationsCount: importedData.locations.length,
       },
+      review: result.review ? formatImportReview(result.review) : null,
+      message_cs: result.review
+        ? 'Data byla načtena. Zkontrolujte prosím náhled změn a potvrďte, co se má uložit.'
+        : `Data byla úspěšně načtena a uložena. Nalezeno ${servicesCount} služeb.`,
     });
   } catch (err) {
-    console.error('[ONBOARDING] Unexpected error:', err);
+    console.error('[ONBOARDING] POST /api/onboarding/import_from_source error', err);
     return res.status(500).json({
       success: false,
       error: 'UNEXPECTED_ERROR',
-      message_cs: 'Při analýze webu došlo k neočekávané chybě. Zkuste to prosím znovu.',
+      message_cs: 'Při importu dat došlo k neočekávané chybě. Zkuste to prosím znovu.',
+    });
+  }
+});
+
+/**
+ * GET /api/onboarding/import_jobs
+ *
+ * Latest website import jobs of the business (newest first).
+ */
+router.get('/import_jobs', requireTenantAuth, requireRole('read_only'), async (req, res) => {
+  try {
+    const result = await listImportJobs(req.auth.businessId);
+    if (!result.ok) {
+      return res.status(200).json({
+        success: false,
+        error: 'DB_ERROR',
+        message_cs: 'Omlouvám se, nepodařilo se načíst importy webu.',
+      });
+    }
+
+    return res.status(200).json({ success: true, jobs: result.jobs.map(formatImportJob) });
+  } catch (err) {
+    console.error('[ONBOARDING] GET /api/onboarding/import_jobs error', err);
+    return res.status(500).json({
+      success: false,
+      error: 'UNEXPECTED_ERROR',
+      message_cs: 'Omlouvám se, při načítání importů webu se něco pokazilo.',
+    });
+  }
+});
+
+/**
+ * GET /api/onboarding/import_jobs/:id
+ *
+ * Progress of a website import: phase (queued, starting, sitemap, crawling, extracting, applying, done),
+ * crawled pages (progress.pagesDone / progress.pagesTotal), error code + Czech message when failed
+ * and a summary (name, servicesCount, hasOpeningHours, locationsCount) when succeeded.
+ */
+router.get('/import_jobs/:id', requireTenantAuth, requireRole('read_only'), async (req, res) => {
+  try {
+    const result = await getImportJob(req.auth.businessId, req.params.id);
+    if (!result.ok) {
+      return res.status(200).json({
+        success: false,
+        error: 'DB_ERROR',
+        message_cs: 'Omlouvám se, nepodařilo se načíst stav importu.',
+      });
+    }
+    if (!result.job) {
+      return res.status(404).json({
+        success: false,
+        error: 'NOT_FOUND',
+        message_cs: 'Import nebyl nalezen.',
+      });
+    }
+
+    return res.status(200).json({ success: true, job: formatImportJob(result.job) });
+  } catch (err) {
+    console.error('[ONBOARDING] GET /api/onboarding/import_jobs/:id error', err);
+    return res.status(500).json({
+      success: false,
+      error: 'UNEXPECTED_ERROR',
+      message_cs: 'Omlouvám se, při načítání stavu importu se něco pokazilo.',
+    });
+  }
+});
+
+/**
+ * POST /api/onboarding/recrawl
+ *
+ * Queues a re-crawl of the imported website now (the scheduler does this weekly) as an import job in mode
+ * 'recrawl'. Only changed pages are re-chunked; changed business data is NOT saved but stored as a pending
+ * review (accept / reject below). Poll GET /api/onboarding/import_jobs/:id: a finished job has
+ * summary.changed and reviewId. While an import or re-crawl of the business runs, that job is returned.
+ *
+ * Headers:
+ * - Authorization: Bearer <Supabase access token> - REQUIRED
+ * - x-tenant-id: business ID (UUID) - REQUIRED
+ *
+ * Response (202):
+ * - success: boolean
+ * - jobId, status, existing: same as import_from_web
+ */
+router.post('/recrawl', requireTenantAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const { businessId } = req.auth;
+
+    const { data: business } = await supabase
+      .from('businesses')
+      .select('id, is_subscribed')
+      .eq('id', businessId)
+      .maybeSingle();
+
+    if (!business?.is_subscribed) {
+      return res.status(402).json({
+        success: false,
+        error: 'subscription_required',
+        subscriptionRequired: true,
+        message_cs: 'Pro analýzu webu je potřeba mít aktivní předplatné.',
+      });
+    }
+
+    const found = await findWebSource(businessId);
+    if (!found.ok) {
+      return res.status(found.error === 'NO_WEB_SOURCE' ? 404 : 200).json({
+        success: false,
+        error: found.error,
+        message_cs: found.error === 'NO_WEB_SOURCE'
+          ? 'Web zatím nebyl importován. Nejdřív ho načtěte přes import z webu.'
+          : 'Omlouvám se, kontrolu webu se nepodařilo spustit.',
+      });
+    }
+
+    const result = await createImportJob({
+      businessId,
+      url: found.source.source_url,
+      userId: req.auth?.userId || null,
+      mode: RECRAWL_JOB_MODE,
+    });
+    if (!result.ok) {
+      return res.status(200).json({
+        success: false,
+        error: 'DB_ERROR',
+        message_cs: 'Kontrolu webu se nepodařilo spustit. Zkuste to prosím znovu.',
+      });
+    }
+
+    return res.status(202).json({
+      success: true,
+      jobId: result.job.id,
+      mode: result.job.mode,
+      status: result.job.status,
+      existing: result.existing,
+      message_cs: result.existing
+        ? 'Import nebo kontrola webu už probíhá. Průběh sledujte v onboardingu.'
+        : 'Kontrola webu byla spuštěna. Změny uvidíte po jejím dokončení.',
+    });
+  } catch (err) {
+    console.error('[ONBOARDING] POST /api/onboarding/recrawl error', err);
+    return res.status(500).json({
+      success: false,
+      error: 'UNEXPECTED_ERROR',
+      message_cs: 'Při kontrole webu došlo k neočekávané chybě. Zkuste to prosím znovu.',
+    });
+  }
+});
+
+/**
+ * GET /api/onboarding/import_reviews
+ *
+ * Changes found by re-crawls (newest first) with their diff:
+ * newServices, priceChanges, changedServices, openingHours, profile, newLocations, changedLocations.
+ *
+ * Query:
+ * - status: 'pending' | 'accepted' | 'rejected' | 'superseded' (optional)
+ */
+router.get('/import_reviews', requireTenantAuth, requireRole('read_only'), async (req, res) => {
+  try {
+    const status = typeof req.query.status === 'string' ? req.query.status : null;
+    const result = await listImportReviews(req.auth.businessId, { status });
+    if (!result.ok) {
+      return res.status(200).json({
+        success: false,
+        error: 'DB_ERROR',
+        message_cs: 'Omlouvám se, změny z webu se nepodařilo načíst.',
+      });
+    }
+
+    return res.status(200).json({ success: true, reviews: result.reviews.map(formatImportReview) });
+  } catch (err) {
+    console.error('[ONBOARDING] GET /api/onboarding/import_reviews error', err);
+    return res.status(500).json({
+      success: false,
+      error: 'UNEXPECTED_ERROR',
+      message_cs: 'Omlouvám se, při načítání změn z webu se něco pokazilo.',
+    });
+  }
+});
+
+/**
+ * GET /api/onboarding/import_reviews/:id
+ *
+ * One review incl. the preview (per service / weekday / profile field / branch: create, update with
+ * before/after per field, or unchanged) – import jobs in mode 'preview' point to it with reviewId.
+ */
+router.get('/import_reviews/:id', requireTenantAuth, requireRole('read_only'), async (req, res) => {
+  try {
+    const result = await getImportReview(req.auth.businessId, req.params.id);
+    if (!result.ok) {
+      return res.status(200).json({
+        success: false,
+        error: 'DB_ERROR',
+        message_cs: 'Omlouvám se, nepodařilo se načíst změny z webu.',
+      });
+    }
+    if (!result.review) {
+      return res.status(404).json({
+        success: false,
+        error: 'NOT_FOUND',
+        message_cs: 'Změny z webu nebyly nalezeny.',
+      });
+    }
+
+    return res.status(200).json({ success: true, review: formatImportReview(result.review) });
+  } catch (err) {
+    console.error('[ONBOARDING] GET /api/onboarding/import_reviews/:id error', err);
+    return res.status(500).json({
+      success: false,
+      error: 'UNEXPECTED_ERROR',
+      message_cs: 'Omlouvám se, při načítání změn z webu se něco pokazilo.',
+    });
+  }
+});
+
+/**
+ * POST /api/onboarding/import_reviews/:id/accept
+ *
+ * Saves the data of a pending review (services, opening hours, profile, locations).
+ *
+ * Body (optional – without it everything is saved):
+ * - services: slugs of the services to save
+ * - openingHours: weekdays to save ('mon' … 'sun')
+ * - profile: profile fields to save (name, address, phone, email, website)
+ * - locations: slugs of the branches to save
+ * A missing key saves all items of that kind, an empty array none.
+ */
+router.post('/import_reviews/:id/accept', requireTenantAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const parsed = parseImportSelection(req.body);
+    if (!parsed.ok) {
+      console.warn('[ONBOARDING] Invalid import selection:', parsed.error);
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_SELECTION',
+        message_cs: 'Výběr změn má neplatný formát.',
+      });
+    }
+
+    const result = await acceptImportReview({
+      businessId: req.auth.businessId,
+      reviewId: req.params.id,
+      userId: req.auth.userId,
+      selection: parsed.selection,
+    });
+    if (!result.ok) {
+      return res.status(result.error === 'NOT_FOUND' ? 404 : 200).json({
+        success: false,
+        error: result.error,
+        message_cs: result.message_cs,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message_cs: parsed.selection ? 'Vybrané změny z webu byly uloženy.' : 'Změny z webu byly uloženy.',
+    });
+  } catch (err) {
+    console.error('[ONBOARDING] POST /api/onboarding/import_reviews/:id/accept error', err);
+    return res.status(500).json({
+      success: false,
+      error: 'UNEXPECTED_ERROR',
+      message_cs: 'Omlouvám se, při ukládání změn z webu se něco pokazilo.',
+    });
+  }
+});
+
+/**
+ * POST /api/onboarding/import_reviews/:id/reject
+ *
+ * Discards a pending review – the business data stays as it is.
+ */
+router.post('/import_reviews/:id/reject', requireTenantAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await rejectImportReview({
+      businessId: req.auth.businessId,
+      reviewId: req.params.id,
+      userId: req.auth.userId,
+    });
+    if (!result.ok) {
+      return res.status(result.error === 'NOT_FOUND' ? 404 : 200).json({
+        success: false,
+        error: result.error,
+        message_cs: result.message_cs,
+      });
+    }
+
+    return res.status(200).json({ success: true, message_cs: 'Změny z webu byly zamítnuty.' });
+  } catch (err) {
+    console.error('[ONBOARDING] POST /api/onboarding/import_reviews/:id/reject error', err);
+    return res.status(500).json({
+      success: false,
+      error: 'UNEXPECTED_ERROR',
+      message_cs: 'Omlouvám se, při zamítání změn z webu se něco pokazilo.',
     });
   }
 });
@@ -211,7 +620,7 @@ router.post('/import_from_web', async (req, res) => {
  * - url: Website URL to test
  * - businessId: Business ID (optional, uses test ID if not provided)
  */
-router.get('/test_extract', async (req, res) => {
+router.get('/test_extract', requireAuth, async (req, res) => {
   // Only allow in development
   if (process.env.NODE_ENV === 'production') {
     return res.status(403).json({ error: 'Endpoint disabled in production' });
@@ -0,0 +1,229 @@
+import express from 'express';
+import { requireAuth, requireTenantAuth, requireRole } from '../lib/auth.js';
+import { listTeam, inviteMember, acceptInvite, updateMemberRole, removeMember, ROLE_LABELS_CS } from '../lib/team.js';
+
+const router = express.Router();
+
+// HTTP status per lib/team.js error code; DB errors stay 200 with success: false like the other dashboard routes
+const ERROR_STATUS = {
+  INVALID_EMAIL: 400,
+  INVALID_ROLE: 400,
+  INVALID_INVITE: 400,
+  INVITE_EXPIRED: 400,
+  CANNOT_CHANGE_OWN_ROLE: 400,
+  EMAIL_MISMATCH: 403,
+  INSUFFICIENT_ROLE: 403,
+  NOT_FOUND: 404,
+  ALREADY_MEMBER: 409,
+};
+
+function formatMember(row) {
+  return {
+    id: row.id,
+    userId: row.user_id || null,
+    email: row.email,
+    role: row.role,
+    roleLabel: ROLE_LABELS_CS[row.role] || row.role,
+    status: row.status,
+    inviteExpiresAt: row.invite_expires_at || null,
+    acceptedAt: row.accepted_at || null,
+    createdAt: row.created_at,
+  };
+}
+
+function sendFailure(res, result) {
+  return res.status(ERROR_STATUS[result.error] || 200).json({
+    success: false,
+    error: result.error,
+    message_cs: result.message_cs,
+  });
+}
+
+/**
+ * POST /api/team/invites/accept
+ *
+ * Accepts an invite for the signed-in user (the e-mail of the account must match the invite).
+ * No x-tenant-id – the business comes from the invite.
+ *
+ * Body:
+ * - token: string (REQUIRED) – from the invite link
+ */
+router.post('/invites/accept', requireAuth, async (req, res) => {
+  try {
+    const result = await acceptInvite({ token: req.body?.token, user: req.auth });
+    if (!result.ok) {
+      return sendFailure(res, result);
+    }
+
+    return res.status(200).json({
+      success: true,
+      businessId: result.businessId,
+      member: formatMember(result.member),
+      message_cs: 'Pozvánka byla přijata. Vítejte v týmu!',
+    });
+  } catch (err) {
+    console.error('[TEAM] POST /api/team/invites/accept error', err);
+    return res.status(500).json({
+      success: false,
+      error: 'UNEXPECTED_ERROR',
+      message_cs: 'Omlouvám se, při přijímání pozvánky se něco pokazilo.',
+    });
+  }
+});
+
+// Everything below manages the team of the business in x-tenant-id
+router.use(requireTenantAuth);
+
+/**
+ * GET /api/team
+ *
+ * Lists the owner and members / pending invites, plus the caller's own role.
+ *
+ * Headers:
+ * - x-tenant-id: business ID (UUID) - REQUIRED
+ */
+router.get('/', requireRole('read_only'), async (req, res) => {
+  try {
+    const result = await listTeam(req.auth.businessId);
+    if (!result.ok) {
+      return res.status(200).json({
+        success: false,
+        error: 'DB_ERROR',
+        message_cs: 'Omlouvám se, nepodařilo se mi načíst tým.',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      myRole: req.auth.role,
+      ownerUserId: result.ownerUserId,
+      members: result.members.map(formatMember),
+    });
+  } catch (err) {
+    console.error('[TEAM] GET /api/team error', err);
+    return res.status(500).json({
+      success: false,
+      error: 'UNEXPECTED_ERROR',
+      message_cs: 'Omlouvám se, při načítání týmu se něco pokazilo.',
+    });
+  }
+});
+
+/**
+ * POST /api/team/invites
+ *
+ * Invites a team member by e-mail (re-sending an invite issues a new link).
+ *
+ * Headers:
+ * - x-tenant-id: business ID (UUID) - REQUIRED
+ *
+ * Body:
+ * - email: string (REQUIRED)
+ * - role: 'admin' | 'staff' | 'read_only' (REQUIRED, at most the caller's own role)
+ */
+router.post('/invites', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await inviteMember({
+      businessId: req.auth.businessId,
+      email: req.body?.email,
+      role: req.body?.role,
+      actor: req.auth,
+    });
+
+    if (!result.ok) {
+      return sendFailure(res, result);
+    }
+
+    return res.status(201).json({
+      success: true,
+      member: formatMember(result.member),
+      inviteUrl: result.inviteUrl,
+      emailSent: result.emailSent,
+      message_cs: result.emailSent
+        ? 'Pozvánka byla odeslána e-mailem.'
+        : 'Pozvánka byla vytvořena. E-mail se nepodařilo odeslat – pošlete prosím odkaz ručně.',
+    });
+  } catch (err) {
+    console.error('[TEAM] POST /api/team/invites error', err);
+    return res.status(500).json({
+      success: false,
+      error: 'UNEXPECTED_ERROR',
+      message_cs: 'Omlouvám se, při vytváření pozvánky se něco pokazilo.',
+    });
+  }
+});
+
+/**
+ * PATCH /api/team/members/:id
+ *
+ * Changes a member's role.
+ *
+ * Headers:
+ * - x-tenant-id: business ID (UUID) - REQUIRED
+ *
+ * Body:
+ * - role: 'admin' | 'staff' | 'read_only' (REQUIRED)
+ */
+router.patch('/members/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await updateMemberRole({
+      businessId: req.auth.businessId,
+      memberId: req.params.id,
+      role: req.body?.role,
+      actor: req.auth,
+    });
+
+    if (!result.ok) {
+      return sendFailure(res, result);
+    }
+
+    return res.status(200).json({
+      success: true,
+      member: formatMember(result.member),
+      message_cs: 'Role byla změněna.',
+    });
+  } catch (err) {
+    console.error('[TEAM] PATCH /api/team/members/:id error', err);
+    return res.status(500).json({
+      success: false,
+      error: 'UNEXPECTED_ERROR',
+      message_cs: 'Omlouvám se, při změně role se něco pokazilo.',
+    });
+  }
+});
+
+/**
+ * DELETE /api/team/members/:id
+ *
+ * Removes a member or cancels a pending invite. Admins manage others; anyone may remove themselves.
+ *
+ * Headers:
+ * - x-tenant-id: business ID (UUID) - REQUIRED
+ */
+router.delete('/members/:id', requireRole('read_only'), async (req, res) => {
+  try {
+    const result = await removeMember({
+      businessId: req.auth.businessId,
+      memberId: req.params.id,
+      actor: req.auth,
+    });
+
+    if (!result.ok) {
+      return sendFailure(res, result);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message_cs: 'Člen týmu byl odebrán.',
+    });
+  } catch (err) {
+    console.error('[TEAM] DELETE /api/team/members/:id error', err);
+    return res.status(500).json({
+      success: false,
+      error: 'UNEXPECTED_ERROR',
+      message_cs: 'Omlouvám se, při odebírání člena týmu se něco pokazilo.',
+    });
+  }
+});
+
+export default router;
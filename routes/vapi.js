@@ -1,10 +1,20 @@
 import express from 'express';
 import { handleChatMessage, getIvaSettingsForTenant } from '../lib/chatHandler.js';
-import { createBooking } from '../lib/bookingService.js';
+import { createBooking, resolveServiceDurationMinutes, checkRescheduleHours } from '../lib/bookingService.js';
+import { findFreeSlots, normalizePartOfDay, formatSlotForCzech } from '../lib/availability.js';
+import { recordCallStatus, recordEndOfCallReport, linkBookingToCall } from '../lib/callLog.js';
+import { getCalendarSettingsForBooking } from '../lib/staff.js';
+import { queueBookingNotification } from '../lib/notifications.js';
+import { addToWaitlist, queueWaitlistForFreedSlot } from '../lib/waitlist.js';
+import { getBookableLocations, resolveBookingLocation, settingsForLocation } from '../lib/locations.js';
 import { parseRelativeDate } from '../lib/dateUtils.js';
 import { supabase } from '../lib/supabaseClient.js';
-import { cancelCalendarEvent, rescheduleCalendarEvent, isSlotAvailable } from '../lib/googleCalendar.js';
+import { cancelCalendarEvent, rescheduleCalendarEvent, isSlotAvailable } from '../lib/calendarProvider.js';
+import { findConflictingBooking, isBookingOverlapError } from '../lib/bookingConflicts.js';
 import { DateTime } from 'luxon';
+import { requireVapiAuth } from '../lib/vapiAuth.js';
+import { checkPlanLimit, PLAN_LIMIT_MESSAGES_CS } from '../lib/usage.js';
+import { searchKnowledgeBase } from '../lib/knowledgeBase.js';
 import { resolveBusinessByCalledNumber, extractCalledNumberDetailed, normalizeE164Like } from '../lib/tenantResolver.js';
 
 // Keep in sync with index.js MAX_BODY_SIZE_BYTES (debug endpoint needs same limit).
@@ -562,6 +572,10 @@ function pickDebugHeaders(req) {
 // This avoids repeated called-number DB lookups across webhook + tool calls.
 const __tenantBySessionId = new Map();
 
+// Call-minute limit decision per call (checked once at the first utterance, so a call that is
+// already running is never cut off when other calls push the business over its plan limit).
+const __minutesAllowedBySessionId = new Map();
+
 /**
  * Debug endpoint to inspect what Vapi sends + how we resolve tenant/business.
  *
@@ -660,6 +674,28 @@ function getSessionIdFromAny(payload) {
   );
 }
 
+/**
+ * Idempotency key for a booking tool call: explicit Idempotency-Key header,
+ * otherwise the Vapi tool call id (stays the same when Vapi retries the call).
+ */
+function getIdempotencyKey(req, payload) {
+  const header = req.get('idempotency-key') || req.get('x-idempotency-key');
+  if (header && String(header).trim()) return String(header).trim();
+
+  if (!payload || typeof payload !== 'object') return null;
+  const message = payload.message || {};
+  const toolCallId =
+    payload.toolCallId ||
+    payload.tool_call_id ||
+    payload.toolCall?.id ||
+    message.toolCallList?.[0]?.id ||
+    message.toolCalls?.[0]?.id ||
+    message.toolWithToolCallList?.[0]?.toolCall?.id ||
+    null;
+
+  return toolCallId ? `vapi:${toolCallId}` : null;
+}
+
 function extractTenantIdFromPayload(payload) {
   if (!payload || typeof payload !== 'object') return null;
 
@@ -740,6 +776,10 @@ async function isBusinessSubscribed(businessId) {
   return data?.is_subscribed === true;
 }
 
+// Everything below (webhook + tool routes) must come from Vapi: x-vapi-signature / x-vapi-secret
+// checked against VAPI_WEBHOOK_SECRET. /_debug above keeps its own VAPI_DEBUG_TOKEN check.
+router.use(requireVapiAuth);
+
 /**
  * Vapi webhook endpoint - Server URL format
  * POST /vapi/webhook
@@ -818,9 +858,11 @@ router.post('/webhook', async (req, res) => {
         // Handle actual conversation messages here
         return await handleConversationUpdate(message, res, req.body);
       
-      case 'function-call':
       case 'status-update':
       case 'end-of-call-report':
+        return await handleCallLogEvent(message, res, req.body);
+
+      case 'function-call':
         // Log but don't handle for now
         console.log('[VAPI] Unhandled event type:', message.type);
         return res.status(200).json({ ok: true });
@@ -838,6 +880,52 @@ router.post('/webhook', async (req, res) => {
   }
 });
 
+/**
+ * Handle status-update and end-of-call-report events from Vapi.
+ * Persists one `calls` row per call (see lib/callLog.js). Always responds 200 –
+ * Vapi does not act on the response and failures must not affect the call.
+ */
+async function handleCallLogEvent(message, res, rawPayload) {
+  const call = message.call || {};
+  const sessionId = getSessionIdFromCall(call);
+
+  const { tenantId: resolvedTenantId } = await resolveTenantForVapi(rawPayload ?? message ?? call, {
+    allowDbLookup: true,
+  });
+
+  let tenantId = resolvedTenantId || null;
+  if (!isProdEnv() && !tenantId) {
+    tenantId = process.env.DEFAULT_BUSINESS_ID || null;
+  }
+
+  if (!tenantId || !sessionId) {
+    console.warn('[VAPI] Call log event without tenant or call id, skipping:', {
+      type: message.type,
+      hasTenant: !!tenantId,
+      hasCallId: !!sessionId,
+    });
+    return res.status(200).json({ ok: true });
+  }
+
+  const result = message.type === 'end-of-call-report'
+    ? await recordEndOfCallReport(message, tenantId)
+    : await recordCallStatus(message, tenantId);
+
+  console.log('[VAPI] Call log event stored:', {
+    type: message.type,
+    callId: sessionId,
+    ok: result.ok,
+  });
+
+  // The call is over – drop the cached tenant and plan-limit decision for this session.
+  if (message.type === 'end-of-call-report') {
+    __tenantBySessionId.delete(sessionId);
+    __minutesAllowedBySessionId.delete(sessionId);
+  }
+
+  return res.status(200).json({ ok: true });
+}
+
 /**
  * Handle assistant-request events from Vapi
  * This event occurs at the START of a call - Vapi is asking which assistant to use
@@ -1002,6 +1090,29 @@ async function handleConversationUpdate(message, res, rawPayload) {
     }
   }
 
+  // Plan limit: monthly call minutes (lib/usage.js)
+  const limitSessionId = getSessionIdFromCall(call);
+  let minutesAllowed = limitSessionId ? __minutesAllowedBySessionId.get(limitSessionId) : undefined;
+  if (minutesAllowed === undefined) {
+    const limit = await checkPlanLimit(tenantId, 'callMinutes');
+    minutesAllowed = limit.allowed;
+    if (limitSessionId) __minutesAllowedBySessionId.set(limitSessionId, minutesAllowed);
+  }
+  if (!minutesAllowed) {
+    return res.status(200).json({
+      response: {
+        type: 'assistant-response',
+        response: {
+          role: 'assistant',
+          content: [{
+            type: 'text',
+            text: PLAN_LIMIT_MESSAGES_CS.callMinutes,
+          }],
+        },
+      },
+    });
+  }
+
   // 2) Extract user text from Vapi payload in a robust way.
   const bodyForText = (rawPayload && typeof rawPayload === 'object')
     ? rawPayload
@@ -1065,6 +1176,7 @@ async function handleConversationUpdate(message, res, rawPayload) {
     message: userText,
     sessionId,
     source: 'vapi',
+    callerPhone: call.customer?.number ?? customer.number ?? null,
   });
 
   const replyText = ivaResult.message || 'Rozumím. Jak vám mohu ještě pomoci s rezervací?';
@@ -1075,6 +1187,7 @@ async function handleConversationUpdate(message, res, rawPayload) {
       bookingId: ivaResult.booking_id,
       calendarEventId: ivaResult.calendar_event_id,
     });
+    await linkBookingToCall({ callId: stableSessionId, businessId: tenantId, bookingId: ivaResult.booking_id });
   }
 
   // 5) Respond to Vapi in assistant-response format
@@ -1104,6 +1217,16 @@ async function handleConversationUpdate(message, res, rawPayload) {
  * 
  * Called by Vapi when the assistant decides to create a booking.
  * Reuses the same booking logic as IVA chat.
+ *
+ * Optional staff selection:
+ * - staffName: book with this person (fails with STAFF_UNAVAILABLE if they are busy)
+ * - anyStaff: true = if staffName is busy (or not given), book any free qualified person
+ *
+ * locationName is validated against the business locations (UNKNOWN_LOCATION / LOCATION_REQUIRED
+ * with the list of branches in `locations`); businesses without locations accept any text.
+ *
+ * Retries are idempotent: the Vapi tool call id (or an Idempotency-Key header) is stored with
+ * the booking, and a repeated call returns the original booking with duplicate: true.
  */
 router.post('/book_appointment', async (req, res) => {
   const t0 = Date.now();
@@ -1343,11 +1466,17 @@ router.post('/book_appointment', async (req, res) => {
       time: bookingTime,
       duration_minutes: body.durationMinutes || null,
       notes: body.notes || '',
+      staff_name: body.staffName || null,
+      any_staff: body.anyStaff === true || body.anyStaff === 'true',
     };
 
     // Call the existing booking logic (same as IVA chat)
     const bookingStart = Date.now();
-    const result = await createBooking(businessId, settings || {}, bookingPayload);
+    // Plan limit (bookings per month) is checked after the duplicate lookup: a retried call gets its booking
+    const result = await createBooking(businessId, settings || {}, bookingPayload, {
+      idempotencyKey: getIdempotencyKey(req, body),
+      enforcePlanLimit: true,
+    });
     const bookingDuration = Date.now() - bookingStart;
     console.log('[VAPI_TOOL] timing createBooking ms=', bookingDuration);
 
@@ -1356,11 +1485,16 @@ router.post('/book_appointment', async (req, res) => {
       let errorMessageCs = 'Omlouvám se, rezervaci se nepodařilo vytvořit. Zkuste prosím jiný termín nebo službu.';
       
       if (result.error === 'TIME_CONFLICT') {
-        errorMessageCs = 'Bohužel tento termín už je obsazený. Můžu vám nabídnout jiný čas nebo den?';
+        errorMessageCs = 'Bohužel tento termín už je obsazený. Můžu vám nabídnout jiný čas nebo den, případně vás zapsat na čekací listinu – kdyby se termín uvolnil, dáme vám vědět.';
       } else if (result.error === 'INVALID_DATE') {
         errorMessageCs = 'Omlouvám se, nerozumím přesně datu rezervace. Můžete mi prosím říct konkrétní den?';
       } else if (result.error === 'INVALID_PAYLOAD') {
         errorMessageCs = 'Omlouvám se, některé údaje o rezervaci chybí. Můžete prosím zopakovat všechny potřebné informace?';
+      } else if (result.error === 'OUTSIDE_OPENING_HOURS') {
+        errorMessageCs = result.message_cs || 'Omlouvám se, tento čas je mimo otevírací dobu salonu. Můžeme zkusit jiný čas?';
+      } else if (result.message_cs) {
+        // Staff errors (STAFF_NOT_FOUND, STAFF_UNAVAILABLE, ...) come with their own message
+        errorMessageCs = result.message_cs;
       }
 
       console.log('[VAPI_TOOL] book_appointment total_ms=', Date.now() - t0, {
@@ -1371,6 +1505,10 @@ router.post('/book_appointment', async (req, res) => {
         success: false,
         error: result.error || 'Booking failed',
         message_cs: errorMessageCs,
+        ...(result.details?.alternatives ? { suggestedSlots: result.details.alternatives } : {}),
+        ...(result.details?.freeStaff ? { freeStaff: result.details.freeStaff } : {}),
+        ...(result.details?.locations ? { locations: result.details.locations } : {}),
+        ...(result.error === 'TIME_CONFLICT' ? { waitlistAvailable: true } : {}),
       });
     }
 
@@ -1387,7 +1525,13 @@ router.post('/book_appointment', async (req, res) => {
       }
     };
 
-    const confirmationMessageCs = `Skvěle! Vytvořila jsem pro vás rezervaci na službu ${body.serviceName || body.serviceId || 'zvolenou službu'} dne ${formatDateForCzech(bookingDate)} v ${bookingTime}. Brzy by vám mělo přijít potvrzení e-mailem nebo SMS.`;
+    await linkBookingToCall({
+      callId: getSessionIdFromAny(body),
+      businessId,
+      bookingId: result.bookingId,
+    });
+
+    const confirmationMessageCs = `Skvěle! Vytvořila jsem pro vás rezervaci na službu ${body.serviceName || body.serviceId || 'zvolenou službu'} dne ${formatDateForCzech(bookingDate)} v ${bookingTime}${result.staffName ? ` (${result.staffName})` : ''}. Brzy by vám mělo přijít potvrzení e-mailem nebo SMS.`;
 
     console.log('[VAPI_TOOL] book_appointment total_ms=', Date.now() - t0, {
       bookingDurationMs: bookingDuration,
@@ -1395,17 +1539,19 @@ router.post('/book_appointment', async (req, res) => {
 
     return res.status(200).json({
       success: true,
+      duplicate: result.duplicate === true,
       eventId: result.calendarEventId || null,
       bookingId: result.bookingId || null,
       booking: {
         serviceName: body.serviceName || body.serviceId || '',
-        locationName: body.locationName || '',
+        locationName: result.locationName || body.locationName || '',
         startIso: body.startIso || `${bookingDate}T${bookingTime}:00`,
         date: bookingDate,
         time: bookingTime,
         durationMinutes: bookingPayload.duration_minutes || null,
         customerName: body.customerName,
         customerPhone: body.customerPhone,
+        staffName: result.staffName || null,
       },
       message_cs: confirmationMessageCs,
     });
@@ -1423,6 +1569,403 @@ router.post('/book_appointment', async (req, res) => {
   }
 });
 
+/**
+ * Vapi tool endpoint: join_waitlist
+ * POST /api/vapi/join_waitlist
+ *
+ * Puts the caller on the waitlist for a day (and service) when the wanted slot is taken
+ * (book_appointment returns TIME_CONFLICT with waitlistAvailable: true).
+ * When a matching booking is cancelled, the client is notified or booked automatically
+ * (iva_settings.waitlist_auto_book), see lib/waitlist.js.
+ *
+ * Body: customerName, customerPhone (fallback: caller number), date / dateText, serviceName?,
+ * timeFrom?, timeTo? (HH:MM window), locationName?, staffName?, customerEmail?, notes?
+ */
+router.post('/join_waitlist', async (req, res) => {
+  try {
+    const body = req.body || {};
+
+    const isProd = isProdEnv();
+    let tenantResult = null;
+    try {
+      tenantResult = await resolveTenantForVapi(body, { allowDbLookup: true });
+    } catch (e) {
+      if (isDebugVapiToolEnabled()) {
+        console.error('[VAPI_TOOL][debug] tenant resolve threw', { message: e?.message || String(e) });
+      }
+      return res.status(isProd ? 400 : 200).json({
+        success: false,
+        error: 'UNKNOWN_TENANT',
+        message_cs: 'Nepodařilo se určit podnik pro toto volání.',
+      });
+    }
+    const businessId = tenantResult.tenantId || null;
+
+    if (!businessId) {
+      return res.status(isProd ? 400 : 200).json({
+        success: false,
+        error: 'UNKNOWN_TENANT',
+        message_cs: 'Omlouvám se, nepodařilo se určit salon pro tento požadavek.',
+      });
+    }
+
+    if (!(await isBusinessSubscribed(businessId))) {
+      return res.status(200).json({
+        success: false,
+        error: 'NOT_SUBSCRIBED',
+        message_cs: 'Omlouvám se, ale služba IVA není pro tento salon aktivní.',
+      });
+    }
+
+    const rawCustomerPhone =
+      body.customerPhone ??
+      body?.message?.call?.customer?.number ??
+      body?.call?.customer?.number ??
+      null;
+    const customerPhoneNormalized = rawCustomerPhone ? normalizeE164Like(String(rawCustomerPhone)) : null;
+
+    if (!customerPhoneNormalized || !/^\+\d{8,15}$/.test(customerPhoneNormalized)) {
+      return res.status(200).json({
+        success: false,
+        error: 'MISSING_CUSTOMER_PHONE',
+        message_cs: 'Prosím, nadiktujte mi vaše telefonní číslo, abychom vám mohli dát vědět.',
+      });
+    }
+
+    if (!body.customerName || String(body.customerName).trim().length === 0) {
+      return res.status(200).json({
+        success: false,
+        error: 'MISSING_CUSTOMER_NAME',
+        message_cs: 'Prosím, řekněte mi vaše jméno pro zápis na čekací listinu.',
+      });
+    }
+
+    const rawDate = body.dateText ?? body.date ?? '';
+    const resolvedDate = resolveCzechDate(rawDate) || body.date || null;
+    if (!resolvedDate) {
+      return res.status(200).json({
+        success: false,
+        error: 'MISSING_DATE',
+        message_cs: 'Na který den vás mám zapsat na čekací listinu?',
+      });
+    }
+
+    console.log('[VAPI_TOOL] join_waitlist request', {
+      businessId,
+      customerPhone: customerPhoneNormalized,
+      serviceName: body.serviceName,
+      date: resolvedDate,
+      timeFrom: body.timeFrom,
+      timeTo: body.timeTo,
+    });
+
+    const result = await addToWaitlist(businessId, {
+      client_name: body.customerName,
+      client_phone: customerPhoneNormalized,
+      client_email: body.customerEmail || null,
+      service_slug: body.serviceName || null,
+      date: resolvedDate,
+      time_from: body.timeFrom || null,
+      time_to: body.timeTo || null,
+      location: body.locationName || null,
+      staff_name: body.staffName || null,
+      notes: body.notes || null,
+      source: 'phone',
+    });
+
+    if (!result.ok) {
+      return res.status(200).json({
+        success: false,
+        error: result.error,
+        message_cs: result.message_cs,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      waitlistEntryId: result.entry.id,
+      message_cs: result.existing
+        ? 'Na čekací listině už vás máme. Jakmile se termín uvolní, dáme vám vědět.'
+        : 'Zapsala jsem vás na čekací listinu. Jakmile se termín uvolní, dáme vám vědět.',
+    });
+  } catch (err) {
+    console.error('[VAPI_TOOL] join_waitlist error', err);
+    return res.status(200).json({
+      success: false,
+      error: 'UNEXPECTED_ERROR',
+      message_cs: 'Omlouvám se, došlo k technické chybě. Zkuste to prosím za chvíli znovu.',
+    });
+  }
+});
+
+/**
+ * Vapi tool endpoint: kb_search
+ * POST /api/vapi/kb_search
+ *
+ * Searches the salon's knowledge base (crawled website in kb_chunks) and returns the top-k passages
+ * for the caller's question. Semantic search over chunk embeddings, lexical fallback when they are unavailable.
+ *
+ * Body:
+ * - query: question in Czech (REQUIRED)
+ * - topK: number of passages, 1–10 (default 5)
+ */
+router.post('/kb_search', async (req, res) => {
+  try {
+    const body = req.body || {};
+
+    console.log('[VAPI_TOOL] kb_search request', { query: body.query, topK: body.topK });
+
+    const isProd = isProdEnv();
+    let tenantResult = null;
+    try {
+      tenantResult = await resolveTenantForVapi(body, { allowDbLookup: true });
+    } catch {
+      return res.status(isProd ? 400 : 200).json({
+        success: false,
+        error: 'UNKNOWN_TENANT',
+        message_cs: 'Nepodařilo se určit podnik pro toto volání.',
+      });
+    }
+    const businessId = tenantResult.tenantId || null;
+
+    if (!businessId) {
+      console.warn('[VAPI_TOOL] kb_search: unknown tenant');
+      return res.status(isProd ? 400 : 200).json({
+        success: false,
+        error: 'UNKNOWN_TENANT',
+        message_cs: 'Omlouvám se, nepodařilo se určit salon pro tento požadavek.',
+      });
+    }
+
+    if (!(await isBusinessSubscribed(businessId))) {
+      return res.status(200).json({
+        success: false,
+        error: 'NOT_SUBSCRIBED',
+        message_cs: 'Omlouvám se, ale služba IVA není pro tento salon aktivní.',
+      });
+    }
+
+    const query = body.query?.toString()?.trim() || '';
+    if (!query) {
+      return res.status(200).json({
+        success: false,
+        error: 'MISSING_QUERY',
+        message_cs: 'Na co se mám v informacích o salonu podívat?',
+      });
+    }
+
+    const result = await searchKnowledgeBase({ businessId, query, topK: body.topK });
+    if (!result.ok) {
+      return res.status(200).json({
+        success: false,
+        error: 'SEARCH_FAILED',
+        message_cs: 'Omlouvám se, informace o salonu se mi teď nepodařilo načíst.',
+      });
+    }
+
+    console.log('[VAPI_TOOL] kb_search results', { businessId, mode: result.mode, count: result.results.length });
+
+    return res.status(200).json({
+      success: true,
+      mode: result.mode,
+      results: result.results,
+      message_cs: result.results.length > 0
+        ? 'Našla jsem tyto informace o salonu.'
+        : 'Omlouvám se, tuto informaci v systému nemám.',
+    });
+  } catch (err) {
+    console.error('[VAPI_TOOL] kb_search error', err);
+    return res.status(200).json({
+      success: false,
+      error: 'UNEXPECTED_ERROR',
+      message_cs: 'Omlouvám se, informace o salonu se mi teď nepodařilo načíst.',
+    });
+  }
+});
+
+/**
+ * Vapi tool endpoint: find_free_slots
+ * POST /api/vapi/find_free_slots
+ *
+ * Returns the nearest free start times for a service, so IVA can offer concrete
+ * times ("něco zítra odpoledne") instead of guessing them one by one.
+ * Uses Google Calendar freebusy, the opening_hours table and the service duration.
+ * When the calendar can't be read (calendarChecked: false), the slots only follow the opening hours
+ * and message_cs offers them as possible times, not as free ones.
+ */
+router.post('/find_free_slots', async (req, res) => {
+  try {
+    const body = req.body || {};
+
+    console.log('[VAPI_TOOL] find_free_slots request', body);
+
+    const isProd = isProdEnv();
+    let tenantResult = null;
+    try {
+      tenantResult = await resolveTenantForVapi(body, { allowDbLookup: true });
+    } catch {
+      return res.status(isProd ? 400 : 200).json({
+        success: false,
+        error: 'UNKNOWN_TENANT',
+        message_cs: 'Nepodařilo se určit podnik pro toto volání.',
+      });
+    }
+    const businessId = tenantResult.tenantId || null;
+
+    if (!businessId) {
+      console.warn('[VAPI_TOOL] find_free_slots: unknown tenant');
+      return res.status(isProd ? 400 : 200).json({
+        success: false,
+        error: 'UNKNOWN_TENANT',
+        message_cs: 'Omlouvám se, nepodařilo se určit salon pro tento požadavek.',
+      });
+    }
+
+    // Subscription gating
+    if (!(await isBusinessSubscribed(businessId))) {
+      return res.status(200).json({
+        success: false,
+        error: 'NOT_SUBSCRIBED',
+        message_cs: 'Omlouvám se, ale služba IVA není pro tento salon aktivní.',
+      });
+    }
+
+    const serviceCode = body.serviceId || body.serviceName || '';
+    if (!serviceCode && !body.durationMinutes) {
+      return res.status(200).json({
+        success: false,
+        error: 'MISSING_SERVICE',
+        message_cs: 'Na jakou službu vám mám hledat volný termín?',
+      });
+    }
+
+    // Date range: explicit fromDate/toDate, or a single day (dateText/date), or the next 7 days
+    const today = DateTime.local().setZone('Europe/Prague').startOf('day');
+    const rawFrom = body.fromDate ?? body.dateText ?? body.date ?? '';
+    const rawTo = body.toDate ?? '';
+
+    let fromDate = today.toISODate();
+    let toDate = today.plus({ days: 6 }).toISODate();
+
+    if (rawFrom) {
+      const resolvedFrom = resolveCzechDate(String(rawFrom));
+      if (!resolvedFrom) {
+        return res.status(200).json({
+          success: false,
+          error: 'INVALID_DATE',
+          message_cs: 'Systém nerozumí zadanému datu. Zkuste ho prosím říct třeba jako „8. 12. 2025" nebo „příští pondělí".',
+        });
+      }
+      fromDate = resolvedFrom;
+      toDate = resolvedFrom;
+    }
+
+    if (rawTo) {
+      const resolvedTo = resolveCzechDate(String(rawTo));
+      if (!resolvedTo) {
+        return res.status(200).json({
+          success: false,
+          error: 'INVALID_DATE',
+          message_cs: 'Systém nerozumí zadanému datu. Zkuste ho prosím říct třeba jako „8. 12. 2025" nebo „příští pondělí".',
+        });
+      }
+      toDate = resolvedTo;
+    }
+
+    if (DateTime.fromISO(toDate, { zone: 'Europe/Prague' }) < today) {
+      return res.status(200).json({
+        success: false,
+        error: 'PAST_DATE',
+        message_cs: 'Omlouvám se, ale tenhle termín je podle systému už v minulosti. Zkusme prosím vybrat nějaký jiný, budoucí termín.',
+      });
+    }
+
+    const partOfDay = normalizePartOfDay(body.partOfDay);
+    if (body.partOfDay && !partOfDay) {
+      console.warn('[VAPI_TOOL] find_free_slots: unknown partOfDay, ignoring', body.partOfDay);
+    }
+
+    const durationMinutes = Number(body.durationMinutes) > 0
+      ? Number(body.durationMinutes)
+      : await resolveServiceDurationMinutes(businessId, serviceCode);
+
+    // Load IVA settings (needed for Google Calendar integration)
+    const { settings, error: settingsError } = await getIvaSettingsForTenant(businessId);
+    if (settingsError) {
+      console.error('[VAPI_TOOL] Failed to load settings:', settingsError);
+      // Continue anyway - opening hours still narrow down the slots
+    }
+
+    // Branch-specific hours and calendar (businesses without locations skip this)
+    const { locations } = await getBookableLocations(businessId);
+    let location = null;
+    if (locations.length > 0 && body.locationName) {
+      const locationResult = resolveBookingLocation(locations, body.locationName);
+      if (!locationResult.ok) {
+        return res.status(200).json({
+          success: false,
+          error: locationResult.error,
+          message_cs: locationResult.message_cs,
+          locations: locationResult.details?.locations || [],
+        });
+      }
+      location = locationResult.location;
+    } else if (locations.length === 1) {
+      location = locations[0];
+    }
+
+    const result = await findFreeSlots({
+      businessId,
+      settings: settingsForLocation(settings, location),
+      durationMinutes,
+      fromDate,
+      toDate,
+      partOfDay,
+      limit: body.limit,
+      openingHours: location?.openingHours || null,
+    });
+
+    if (!result.ok) {
+      return res.status(200).json({
+        success: false,
+        error: result.error || 'SLOT_SEARCH_FAILED',
+        message_cs: 'Omlouvám se, volné termíny se mi teď nepodařilo načíst. Zkuste mi prosím říct konkrétní čas.',
+      });
+    }
+
+    const slots = result.slots || [];
+    const slotList = slots.map(formatSlotForCzech).join(', ');
+    // Without calendar data the slots only fit the opening hours – don't present them as free;
+    // book_appointment still checks the calendar when the client picks one
+    let message_cs = 'V tomto období bohužel nemám žádný volný termín. Můžeme zkusit jiný den nebo jinou část dne?';
+    if (slots.length > 0) {
+      message_cs = result.calendarChecked
+        ? `Nejbližší volné termíny: ${slotList}.`
+        : `Kalendář teď nemohu ověřit. Podle otevírací doby přicházejí v úvahu tyto časy: ${slotList}. Zda je termín opravdu volný, potvrdím až při rezervaci.`;
+    }
+
+    return res.status(200).json({
+      success: true,
+      serviceName: serviceCode,
+      durationMinutes: result.durationMinutes,
+      fromDate,
+      toDate,
+      partOfDay,
+      locationName: location?.name || null,
+      calendarChecked: result.calendarChecked,
+      slots,
+      message_cs,
+    });
+  } catch (err) {
+    console.error('[VAPI_TOOL] find_free_slots error', err);
+    return res.status(200).json({
+      success: false,
+      error: 'UNEXPECTED_ERROR',
+      message_cs: 'Omlouvám se, volné termíny se mi teď nepodařilo načíst. Zkuste to prosím za chvíli znovu.',
+    });
+  }
+});
+
 /**
  * Vapi tool endpoint: find_appointments
  * POST /api/vapi/find_appointments
@@ -1671,6 +2214,9 @@ router.post('/update_appointment', async (req, res) => {
       });
     }
 
+    // Bookings assigned to a staff member live in that person's calendar
+    const calendarSettings = await getCalendarSettingsForBooking(settings, booking);
+
     // Handle cancel action
     if (action === 'cancel') {
       // Update booking status to cancelled
@@ -1691,7 +2237,7 @@ router.post('/update_appointment', async (req, res) => {
       // Delete calendar event if exists (log errors but don't fail the request)
       if (booking.calendar_event_id) {
         try {
-          await cancelCalendarEvent(booking.calendar_event_id, settings);
+          await cancelCalendarEvent(booking.calendar_event_id, calendarSettings);
           console.log('[VAPI_TOOL] Cancelled calendar event:', booking.calendar_event_id);
         } catch (calendarError) {
           console.error('[VAPI_TOOL] Error cancelling calendar event:', calendarError);
@@ -1700,6 +2246,8 @@ router.post('/update_appointment', async (req, res) => {
       }
 
       console.log('[VAPI_TOOL] Cancelled booking:', finalBookingId);
+      queueBookingNotification('cancellation', { ...booking, status: 'cancelled' });
+      queueWaitlistForFreedSlot(booking);
 
       return res.status(200).json({
         success: true,
@@ -1760,6 +2308,16 @@ router.post('/update_appointment', async (req, res) => {
         });
       }
 
+      // Opening hours (location / business) and staff working hours, as for a new booking
+      const hoursCheck = await checkRescheduleHours(businessId, booking, { date: resolvedDate, time: normalizedTime });
+      if (!hoursCheck.ok) {
+        return res.status(200).json({
+          success: false,
+          error: hoursCheck.error,
+          message_cs: hoursCheck.message_cs,
+        });
+      }
+
       // Check slot availability using the same helper as book_appointment
       const durationMinutes = booking.duration_minutes || 60;
       const availability = await isSlotAvailable(
@@ -1768,8 +2326,9 @@ router.post('/update_appointment', async (req, res) => {
           date: resolvedDate,
           time: normalizedTime,
           duration_minutes: durationMinutes,
+          exclude_booking_id: booking.id,
         },
-        settings || {}
+        calendarSettings
       );
 
       if (availability.ok && !availability.available) {
@@ -1780,6 +2339,25 @@ router.post('/update_appointment', async (req, res) => {
         });
       }
 
+      // Overlapping bookings in the DB (independent of the calendar provider)
+      const conflictCheck = await findConflictingBooking({
+        businessId,
+        date: resolvedDate,
+        time: normalizedTime,
+        durationMinutes,
+        staffId: booking.staff_id || null,
+        locationId: booking.location_id || null,
+        excludeBookingId: booking.id,
+      });
+
+      if (conflictCheck.ok && conflictCheck.conflict) {
+        return res.status(200).json({
+          success: false,
+          error: 'TIME_NOT_AVAILABLE',
+          message_cs: 'V tomto termínu už je plno. Zkuste prosím jiný čas.',
+        });
+      }
+
       // Update booking date/time and status to 'rescheduled'
       const payload = {
         date: resolvedDate,
@@ -1793,6 +2371,13 @@ router.post('/update_appointment', async (req, res) => {
         .eq('id', finalBookingId);
 
       if (updateError) {
+        if (isBookingOverlapError(updateError)) {
+          return res.status(200).json({
+            success: false,
+            error: 'TIME_NOT_AVAILABLE',
+            message_cs: 'V tomto termínu už je plno. Zkuste prosím jiný čas.',
+          });
+        }
         console.error('[VAPI_TOOL] Error updating booking date/time:', updateError);
         return res.status(200).json({
           success: false,
@@ -1809,7 +2394,7 @@ router.post('/update_appointment', async (req, res) => {
             resolvedDate,
             normalizedTime,
             durationMinutes,
-            settings
+            calendarSettings
           );
           console.log('[VAPI_TOOL] Rescheduled calendar event:', booking.calendar_event_id);
         } catch (calendarError) {
@@ -1819,6 +2404,7 @@ router.post('/update_appointment', async (req, res) => {
       }
 
       console.log('[VAPI_TOOL] Rescheduled booking:', finalBookingId);
+      queueBookingNotification('reschedule', { ...booking, ...payload });
 
       return res.status(200).json({
         success: true,
@@ -1844,6 +2430,12 @@ export default router;
 // - "[VAPI_TOOL] book_appointment total_ms=": full HTTP handler time
 
 // VAPI_TOOL endpoints:
+// /api/vapi/find_free_slots
+//   - POST with body: { serviceName|serviceId, durationMinutes?, dateText?|date?|fromDate?, toDate?, partOfDay?, limit?, locationName? }
+//   - partOfDay: 'dopoledne'|'odpoledne'|'večer' (or morning/afternoon/evening)
+//   - locationName: branch from the locations table (its own hours/calendar are used)
+//   - Returns { success, slots: [{ date, time, startIso, endIso }], message_cs }
+//
 // /api/vapi/find_appointments
 //   - POST with body: { customerPhone, businessId?, fromDate?, toDate?, limit? }
 //   - Returns { success, appointments: [...] }
@@ -1851,4 +2443,8 @@ export default router;
 // /api/vapi/update_appointment
 //   - POST with body: { businessId?, bookingId, action: 'cancel'|'reschedule', newDate?, newTime? }
 //   - Returns { success, action, booking?, message_cs }
-
+//   - cancel: the freed slot is offered to the waitlist (lib/waitlist.js)
+//
+// /api/vapi/join_waitlist
+//   - POST with body: { customerName, customerPhone?, date|dateText, serviceName?, timeFrom?, timeTo?, locationName?, staffName?, customerEmail?, notes? }
+//   - Returns { success, waitlistEntryId, message_cs }
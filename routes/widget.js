@@ -0,0 +1,42 @@
+import express from 'express';
+import { resolveWidgetKey, getWidgetConfig } from '../lib/widgetKeys.js';
+import { buildWidgetScript, buildWidgetErrorScript } from '../lib/widgetScript.js';
+
+const router = express.Router();
+
+/**
+ * GET /widget.js?key=iva_pk_...
+ *
+ * Embeddable website chat widget. The salon pastes
+ *   <script src="https://<backend>/widget.js?key=iva_pk_..." async></script>
+ * on its site; the widget is themed from business_profile (name, brand_color, brand_text_color)
+ * and iva_settings (widget_greeting / greeting) and talks to POST /api/chat with the same key.
+ * The business ID never reaches the browser.
+ */
+router.get('/widget.js', async (req, res) => {
+  res.type('application/javascript; charset=utf-8');
+
+  try {
+    const key = req.query.key ? req.query.key.toString() : '';
+    const { businessId, error } = await resolveWidgetKey(key);
+
+    if (!businessId) {
+      res.set('Cache-Control', 'no-store');
+      return res
+        .status(error ? 500 : 404)
+        .send(buildWidgetErrorScript(error ? 'Widget se nepodařilo načíst.' : 'Neplatný nebo zneplatněný klíč widgetu.'));
+    }
+
+    const config = await getWidgetConfig(businessId);
+
+    // Short cache: theme changes and revoked keys take effect within minutes
+    res.set('Cache-Control', 'public, max-age=300');
+    return res.status(200).send(buildWidgetScript({ key: key.trim(), ...config }));
+  } catch (err) {
+    console.error('[WIDGET] GET /widget.js error', err);
+    res.set('Cache-Control', 'no-store');
+    return res.status(500).send(buildWidgetErrorScript('Widget se nepodařilo načíst.'));
+  }
+});
+
+export default router;
@@ -0,0 +1,163 @@
+// Checks of the Vapi request authentication (lib/vapiAuth.js) against the recorded payloads
+// vapi.json and payload.json in the repo root.
+//
+// Run: npm test
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { verifyVapiRequest, requireVapiAuth, signVapiPayload } from '../lib/vapiAuth.js';
+
+const SECRET = 'test-vapi-secret';
+const PAYLOADS = ['vapi.json', 'payload.json'].map((file) => ({
+  file,
+  rawBody: readFileSync(fileURLToPath(new URL(`../${file}`, import.meta.url))),
+}));
+
+// Minimal Express request: header lookup is case-insensitive, rawBody as set by the JSON parser in index.js
+function fakeRequest(rawBody, headers = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { rawBody, originalUrl: '/api/vapi/webhook', ip: '127.0.0.1', get: (name) => lower[name.toLowerCase()] };
+}
+
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+function withEnv(env, fn) {
+  const previous = {};
+  for (const [key, value] of Object.entries(env)) {
+    previous[key] = process.env[key];
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+  try {
+    return fn();
+  } finally {
+    for (const [key, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+}
+
+function tamper(rawBody) {
+  return Buffer.from(rawBody.toString('utf8').replace('+420777228540', '+420777228541'));
+}
+
+for (const { file, rawBody } of PAYLOADS) {
+  test(`${file}: valid HMAC signature is accepted`, () => {
+    withEnv({ VAPI_WEBHOOK_SECRET: SECRET }, () => {
+      const req = fakeRequest(rawBody, { 'x-vapi-signature': signVapiPayload(rawBody, SECRET) });
+      assert.deepEqual(verifyVapiRequest(req), { ok: true, method: 'hmac' });
+    });
+  });
+
+  test(`${file}: valid HMAC with timestamp and sha256= prefix is accepted`, () => {
+    withEnv({ VAPI_WEBHOOK_SECRET: SECRET }, () => {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const req = fakeRequest(rawBody, {
+        'x-vapi-signature': `sha256=${signVapiPayload(rawBody, SECRET, timestamp)}`,
+        'x-vapi-timestamp': timestamp,
+      });
+      assert.deepEqual(verifyVapiRequest(req), { ok: true, method: 'hmac' });
+    });
+  });
+
+  test(`${file}: tampered body is rejected`, () => {
+    withEnv({ VAPI_WEBHOOK_SECRET: SECRET }, () => {
+      const tampered = tamper(rawBody);
+      assert.notDeepEqual(tampered, rawBody);
+      const req = fakeRequest(tampered, { 'x-vapi-signature': signVapiPayload(rawBody, SECRET) });
+      assert.deepEqual(verifyVapiRequest(req), { ok: false, reason: 'BAD_SIGNATURE' });
+    });
+  });
+
+  test(`${file}: stale timestamp is rejected`, () => {
+    withEnv({ VAPI_WEBHOOK_SECRET: SECRET }, () => {
+      const timestamp = String(Math.floor(Date.now() / 1000) - 3600);
+      const req = fakeRequest(rawBody, {
+        'x-vapi-signature': signVapiPayload(rawBody, SECRET, timestamp),
+        'x-vapi-timestamp': timestamp,
+      });
+      assert.deepEqual(verifyVapiRequest(req), { ok: false, reason: 'STALE_TIMESTAMP' });
+    });
+  });
+
+  test(`${file}: signature made with a wrong secret is rejected`, () => {
+    withEnv({ VAPI_WEBHOOK_SECRET: SECRET }, () => {
+      const req = fakeRequest(rawBody, { 'x-vapi-signature': signVapiPayload(rawBody, 'wrong-secret') });
+      assert.deepEqual(verifyVapiRequest(req), { ok: false, reason: 'BAD_SIGNATURE' });
+    });
+  });
+}
+
+test('x-vapi-secret: right secret is accepted, wrong one rejected', () => {
+  withEnv({ VAPI_WEBHOOK_SECRET: SECRET }, () => {
+    const { rawBody } = PAYLOADS[0];
+    assert.deepEqual(verifyVapiRequest(fakeRequest(rawBody, { 'x-vapi-secret': SECRET })), { ok: true, method: 'secret' });
+    assert.deepEqual(verifyVapiRequest(fakeRequest(rawBody, { 'x-vapi-secret': 'wrong-secret' })), {
+      ok: false,
+      reason: 'BAD_SECRET',
+    });
+  });
+});
+
+test('Bearer: right secret is accepted, wrong one rejected', () => {
+  withEnv({ VAPI_WEBHOOK_SECRET: SECRET }, () => {
+    const { rawBody } = PAYLOADS[0];
+    assert.deepEqual(verifyVapiRequest(fakeRequest(rawBody, { Authorization: `Bearer ${SECRET}` })), {
+      ok: true,
+      method: 'bearer',
+    });
+    assert.deepEqual(verifyVapiRequest(fakeRequest(rawBody, { Authorization: 'Bearer wrong-secret' })), {
+      ok: false,
+      reason: 'BAD_SECRET',
+    });
+  });
+});
+
+test('missing credentials: 401 VAPI_UNAUTHORIZED', () => {
+  withEnv({ VAPI_WEBHOOK_SECRET: SECRET }, () => {
+    const res = fakeResponse();
+    let nextCalled = false;
+    requireVapiAuth(fakeRequest(PAYLOADS[0].rawBody), res, () => {
+      nextCalled = true;
+    });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.error, 'VAPI_UNAUTHORIZED');
+    assert.equal(res.body.reason, 'MISSING_CREDENTIALS');
+  });
+});
+
+test('no secret in production: 503 VAPI_AUTH_NOT_CONFIGURED', () => {
+  withEnv({ VAPI_WEBHOOK_SECRET: undefined, NODE_ENV: 'production' }, () => {
+    const res = fakeResponse();
+    let nextCalled = false;
+    requireVapiAuth(fakeRequest(PAYLOADS[0].rawBody, { Authorization: `Bearer ${SECRET}` }), res, () => {
+      nextCalled = true;
+    });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 503);
+    assert.equal(res.body.error, 'VAPI_AUTH_NOT_CONFIGURED');
+  });
+});
+
+test('no secret outside production: request passes unverified', () => {
+  withEnv({ VAPI_WEBHOOK_SECRET: undefined, NODE_ENV: 'development' }, () => {
+    assert.deepEqual(verifyVapiRequest(fakeRequest(PAYLOADS[0].rawBody)), { ok: true, method: 'none' });
+  });
+});
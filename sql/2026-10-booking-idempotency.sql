@@ -0,0 +1,13 @@
+-- Apply in Supabase SQL editor
+-- Migration: Idempotent booking creation (retried Vapi tool calls, see createBooking in lib/bookingService.js)
+
+-- Vapi tool call id ("vapi:<id>") or Idempotency-Key header of the request that created the booking
+alter table bookings add column if not exists idempotency_key text;
+
+create unique index if not exists bookings_business_idempotency_key_idx
+  on bookings (business_id, idempotency_key)
+  where idempotency_key is not null;
+
+-- Duplicate rule lookup: same business, phone, date and time
+create index if not exists bookings_duplicate_lookup_idx
+  on bookings (business_id, client_phone, date, time);
@@ -0,0 +1,25 @@
+-- Apply in Supabase SQL editor
+-- Migration: Prevent double-booking at the database level (see lib/bookingConflicts.js)
+
+-- gist index support for uuid equality inside the exclusion constraint
+create extension if not exists btree_gist;
+
+-- Before applying, list existing overlaps (they must be cancelled or moved first, otherwise the constraint fails):
+--   select a.id, b.id, a.date, a.time, b.time
+--   from bookings a join bookings b
+--     on a.business_id = b.business_id and a.id < b.id and a.date = b.date
+--    and coalesce(a.staff_id, a.location_id) is not distinct from coalesce(b.staff_id, b.location_id)
+--    and a.time < b.time + b.duration_minutes * interval '1 minute'
+--    and b.time < a.time + a.duration_minutes * interval '1 minute'
+--   where a.status in ('confirmed', 'rescheduled') and b.status in ('confirmed', 'rescheduled');
+
+-- Active bookings of one resource (staff member, else location, else the whole business) must not overlap.
+-- Violations fail with SQLSTATE 23P01; the backend answers TIME_CONFLICT.
+alter table bookings drop constraint if exists bookings_no_overlap;
+alter table bookings add constraint bookings_no_overlap
+  exclude using gist (
+    business_id with =,
+    (coalesce(staff_id, location_id, '00000000-0000-0000-0000-000000000000'::uuid)) with =,
+    (tsrange(date + time, date + time + duration_minutes * interval '1 minute')) with &&
+  )
+  where (status in ('confirmed', 'rescheduled'));
@@ -0,0 +1,29 @@
+-- Apply in Supabase SQL editor
+-- Migration: Team members and roles per business (see lib/team.js, /api/team)
+
+-- The owner stays in businesses.owner_id; this table holds everyone else invited to the dashboard.
+-- role:   admin (settings, team, widget), staff (bookings, waitlist), read_only (view only)
+-- status: invited (user_id null until accepted) -> active -> revoked
+create table if not exists business_members (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id) on delete cascade,
+  user_id uuid references auth.users(id) on delete cascade,
+  email text not null,
+  role text not null check (role in ('admin', 'staff', 'read_only')),
+  status text not null default 'invited' check (status in ('invited', 'active', 'revoked')),
+  invite_token_hash text unique,
+  invited_by uuid references auth.users(id) on delete set null,
+  invite_expires_at timestamptz,
+  accepted_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists business_members_business_email_idx
+  on business_members (business_id, lower(email));
+create index if not exists business_members_user_id_idx on business_members (user_id);
+
+alter table business_members enable row level security;
+
+create policy "Service role can manage all business members" on business_members
+  for all using (true);
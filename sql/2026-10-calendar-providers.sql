@@ -0,0 +1,17 @@
+-- Apply in Supabase SQL editor
+-- Migration: Pluggable calendar providers (Google / CalDAV / internal), see lib/calendarProvider.js
+
+-- null = Google Calendar when configured, otherwise internal (bookings table only)
+alter table iva_settings add column if not exists calendar_provider text;
+
+alter table iva_settings drop constraint if exists iva_settings_calendar_provider_check;
+alter table iva_settings add constraint iva_settings_calendar_provider_check
+  check (calendar_provider is null or calendar_provider in ('google', 'caldav', 'internal'));
+
+-- CalDAV calendar collection (iCloud, Nextcloud, Fastmail, ...); use an app-specific password
+alter table iva_settings add column if not exists caldav_url text;
+alter table iva_settings add column if not exists caldav_username text;
+alter table iva_settings add column if not exists caldav_password text;
+
+-- Internal provider: optional read-only ICS feed whose events block booking slots
+alter table iva_settings add column if not exists calendar_ics_url text;
@@ -0,0 +1,27 @@
+-- Apply in Supabase SQL editor
+-- Migration: Two-way Google Calendar sync state (sync tokens + push channels, see lib/calendarSync.js)
+
+create table if not exists calendar_sync_state (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id) on delete cascade,
+  calendar_id text not null,
+  sync_token text, -- nextSyncToken of the last incremental sync
+  channel_id text unique, -- events.watch channel (X-Goog-Channel-ID)
+  channel_token text, -- secret echoed back in X-Goog-Channel-Token
+  channel_resource_id text,
+  channel_expires_at timestamptz,
+  last_synced_at timestamptz,
+  last_error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (business_id, calendar_id)
+);
+
+-- Changed events are matched to bookings by event id
+create index if not exists bookings_calendar_event_id_idx on bookings (business_id, calendar_event_id);
+
+-- Backend only (service role)
+alter table calendar_sync_state enable row level security;
+
+create policy "Service role can manage all calendar sync state" on calendar_sync_state
+  for all using (true);
@@ -0,0 +1,29 @@
+-- Apply in Supabase SQL editor
+-- Migration: Call log for Vapi calls (status-update / end-of-call-report, see lib/callLog.js)
+
+create table if not exists calls (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id) on delete cascade,
+  vapi_call_id text not null unique,
+  caller_number text,
+  called_number text,
+  status text,
+  started_at timestamptz,
+  ended_at timestamptz,
+  duration_seconds integer,
+  transcript text,
+  summary text,
+  ended_reason text,
+  booking_ids uuid[] not null default '{}',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Dashboard listing: GET /api/calls (per tenant, newest first, date filter)
+create index if not exists calls_business_created_idx on calls (business_id, created_at desc);
+
+-- Backend only (service role)
+alter table calls enable row level security;
+
+create policy "Service role can manage all calls" on calls
+  for all using (true);
@@ -0,0 +1,46 @@
+-- Apply in Supabase SQL editor
+-- Migration: Client records per business (see lib/clients.js, /api/clients)
+
+-- One row per client and business, keyed by the normalized phone (+420XXXXXXXXX).
+-- Visit history, no-show count and last visit are derived from bookings.client_id.
+create table if not exists clients (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id) on delete cascade,
+  phone text not null,
+  name text,
+  email text,
+  notes text,
+  preferred_staff_id uuid references staff(id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (business_id, phone)
+);
+
+create index if not exists clients_business_name_idx on clients (business_id, name);
+
+alter table clients enable row level security;
+
+create policy "Service role can manage all clients" on clients
+  for all using (true);
+
+alter table bookings
+  add column if not exists client_id uuid references clients(id) on delete set null;
+
+create index if not exists bookings_client_id_idx on bookings (client_id);
+
+-- Bookings can be marked as a no-show from the dashboard (POST /api/dashboard/updateBooking, action no_show)
+
+-- Backfill from existing bookings (phones from Vapi are already +420...; the latest name wins)
+insert into clients (business_id, phone, name, email)
+select distinct on (business_id, client_phone) business_id, client_phone, client_name, client_email
+from bookings
+where client_phone like '+%'
+order by business_id, client_phone, created_at desc
+on conflict (business_id, phone) do nothing;
+
+update bookings b
+set client_id = c.id
+from clients c
+where b.client_id is null
+  and c.business_id = b.business_id
+  and c.phone = b.client_phone;
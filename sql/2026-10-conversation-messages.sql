@@ -0,0 +1,46 @@
+-- Apply in Supabase SQL editor
+-- Migration: Persistent conversation history for IVA chat / Vapi sessions (lib/conversationStore.js)
+
+create table if not exists conversation_messages (
+  id bigserial primary key,
+  session_id text not null,
+  role text not null check (role in ('user', 'assistant')),
+  content text not null,
+  created_at timestamptz not null default now()
+);
+
+-- History lookup: latest messages of one session
+create index if not exists conversation_messages_session_idx on conversation_messages (session_id, created_at desc, id desc);
+
+-- TTL purge: sessions idle for CONVERSATION_TTL_MINUTES
+create index if not exists conversation_messages_created_at_idx on conversation_messages (created_at);
+
+-- Delete whole sessions whose newest message is older than p_cutoff; sessions still in use keep all their
+-- messages. Returns the number of deleted messages.
+create or replace function purge_idle_conversations(p_cutoff timestamptz)
+returns integer
+language sql
+as $$
+  with idle as (
+    select distinct old.session_id
+    from conversation_messages old
+    where old.created_at < p_cutoff
+      and not exists (
+        select 1 from conversation_messages recent
+        where recent.session_id = old.session_id and recent.created_at >= p_cutoff
+      )
+  ),
+  deleted as (
+    delete from conversation_messages m
+    using idle
+    where m.session_id = idle.session_id
+    returning 1
+  )
+  select count(*)::integer from deleted;
+$$;
+
+-- Backend only (service role); no client access
+alter table conversation_messages enable row level security;
+
+create policy "Service role can manage all conversation messages" on conversation_messages
+  for all using (true);
@@ -0,0 +1,34 @@
+-- Apply in Supabase SQL editor
+-- Migration: Background website import jobs with progress (see lib/importJobs.js)
+
+create table if not exists import_jobs (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id) on delete cascade,
+  url text not null,
+  status text not null default 'queued'
+    check (status in ('queued', 'running', 'succeeded', 'failed')),
+  phase text not null default 'queued', -- queued | starting | sitemap | crawling | extracting | applying | done
+  pages_done int not null default 0,
+  pages_total int,
+  attempts int not null default 0, -- a job interrupted by a restart is picked up again (max. 3 attempts)
+  error text, -- error code (FETCH_FAILED, PARSE_FAILED, ...)
+  error_message_cs text,
+  summary jsonb, -- { name, servicesCount, hasOpeningHours, ... } when succeeded
+  created_by uuid,
+  started_at timestamptz,
+  finished_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now() -- heartbeat: refreshed with every progress update
+);
+
+create index if not exists import_jobs_business_created_idx on import_jobs (business_id, created_at desc);
+create index if not exists import_jobs_status_idx on import_jobs (status, created_at);
+-- At most one active job per business (a concurrent second insert fails with 23505, see createImportJob)
+create unique index if not exists import_jobs_one_active_idx on import_jobs (business_id)
+  where status in ('queued', 'running');
+
+-- Backend only (service role)
+alter table import_jobs enable row level security;
+
+create policy "Service role can manage all import jobs" on import_jobs
+  for all using (true);
@@ -0,0 +1,19 @@
+-- Apply in Supabase SQL editor
+-- Migration: Import preview (dry run) with a partial commit (see lib/importPreview.js)
+
+-- Preview and re-crawl jobs (lib/webRecrawl.js) do not write business data; they end with a pending import review
+alter table import_jobs
+  add column if not exists mode text not null default 'apply',
+  add column if not exists review_id uuid references import_reviews(id) on delete set null;
+
+alter table import_jobs drop constraint if exists import_jobs_mode_check;
+alter table import_jobs add constraint import_jobs_mode_check check (mode in ('apply', 'preview', 'recrawl'));
+
+-- Reviews come from the scheduled re-crawl or from a preview job
+alter table import_reviews
+  add column if not exists kind text not null default 'recrawl',
+  add column if not exists preview jsonb, -- buildImportPreview(): create / update / unchanged per row and field
+  add column if not exists selection jsonb; -- accepted subset { services, openingHours, profile, locations } (null = all)
+
+alter table import_reviews drop constraint if exists import_reviews_kind_check;
+alter table import_reviews add constraint import_reviews_kind_check check (kind in ('recrawl', 'preview'));
@@ -0,0 +1,43 @@
+-- Apply in Supabase SQL editor
+-- Migration: Embeddings for knowledge-base chunks + semantic search RPC (see lib/knowledgeBase.js, /api/vapi/kb_search)
+
+create extension if not exists vector;
+
+-- text-embedding-3-small (KB_EMBEDDING_MODEL) = 1536 dimensions
+alter table kb_chunks
+  add column if not exists embedding vector(1536),
+  add column if not exists embedding_model text;
+
+create index if not exists kb_chunks_business_id_idx on kb_chunks (business_id);
+-- No global HNSW index: it filters by business only after the approximate search, so a business with
+-- few chunks among many tenants would get fewer than k (or no) results. A business has at most a few
+-- thousand chunks, so an exact scan of its own rows is cheap.
+drop index if exists kb_chunks_embedding_idx;
+
+-- Top-k chunks of one business by cosine similarity to the query embedding (exact: the materialized CTE
+-- scores every chunk of the business, so the planner cannot switch to an approximate index scan)
+create or replace function match_kb_chunks(
+  p_business_id uuid,
+  p_query_embedding vector(1536),
+  p_match_count int default 5
+)
+returns table (chunk_id text, text text, page_url text, page_title text, similarity double precision)
+language sql stable
+as $$
+  with scored as materialized (
+    select c.id, coalesce(c.content, c.text) as text, c.page_id, c.embedding <=> p_query_embedding as distance
+    from kb_chunks c
+    where c.business_id = p_business_id
+      and c.embedding is not null
+  )
+  select
+    s.id::text,
+    s.text,
+    p.url,
+    p.title,
+    1 - s.distance
+  from scored s
+  left join kb_pages p on p.id = s.page_id
+  order by s.distance
+  limit p_match_count;
+$$;
@@ -0,0 +1,44 @@
+-- Apply in Supabase SQL editor
+-- Migration: First-class business locations / branches (lib/locations.js)
+--
+-- Rows are created by the web importer (utils/locationUtils.js → applyImportedBusinessData).
+-- google_calendar_id and location_opening_hours are managed manually and never overwritten by imports.
+-- Businesses without location rows keep bookings.location as free text.
+
+create table if not exists locations (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id) on delete cascade,
+  name text not null,
+  slug text not null,
+  address text,
+  -- Own Google Calendar (optional). Without it, the business calendar is used.
+  google_calendar_id text,
+  booking_providers text[] not null default '{}',
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (business_id, slug)
+);
+
+-- Weekly hours per location (same shape as opening_hours).
+-- No rows for a location = business opening_hours apply.
+create table if not exists location_opening_hours (
+  id uuid primary key default gen_random_uuid(),
+  location_id uuid not null references locations(id) on delete cascade,
+  weekday text not null check (weekday in ('mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun')),
+  opens_at time,
+  closes_at time,
+  closed boolean not null default false,
+  unique (location_id, weekday)
+);
+
+-- Bookings: resolved location (bookings.location keeps the location name)
+alter table bookings add column if not exists location_id uuid references locations(id) on delete set null;
+
+alter table locations enable row level security;
+alter table location_opening_hours enable row level security;
+
+create policy "Service role can manage all locations" on locations
+  for all using (true);
+create policy "Service role can manage all location opening hours" on location_opening_hours
+  for all using (true);
@@ -0,0 +1,115 @@
+-- Apply in Supabase SQL editor
+-- Migration: Booking notifications (confirmation / cancellation / reschedule / reminder, see lib/notifications.js)
+
+-- Per-business settings
+alter table iva_settings add column if not exists notifications_enabled boolean not null default true;
+alter table iva_settings add column if not exists reminder_hours_before integer not null default 24;
+-- Template overrides: { "<type>": { "sms": "...", "email_subject": "...", "email_body": "..." } }
+alter table iva_settings add column if not exists notification_templates jsonb;
+
+-- Send log (one row per booking / type / channel; a reminder is sent once, failed ones are retried a few times)
+create table if not exists booking_notifications (
+  id uuid primary key default gen_random_uuid(),
+  booking_id uuid not null references bookings(id) on delete cascade,
+  business_id uuid not null references businesses(id) on delete cascade,
+  type text not null check (type in ('confirmation', 'cancellation', 'reschedule', 'reminder')),
+  channel text not null check (channel in ('sms', 'email')),
+  recipient text,
+  status text not null check (status in ('sent', 'failed')),
+  provider_message_id text,
+  error text,
+  sent_at timestamptz not null default now(),
+  unique (booking_id, type, channel)
+);
+
+-- Send attempts so far (reminder retries stop at MAX_REMINDER_ATTEMPTS, see lib/notifications.js)
+alter table booking_notifications add column if not exists attempts integer not null default 1;
+
+create index if not exists booking_notifications_business_idx on booking_notifications (business_id, sent_at desc);
+
+-- Reminder job: upcoming bookings by date
+create index if not exists bookings_status_date_idx on bookings (status, date);
+
+-- Send claims: a reminder is claimed here before it is sent, so several app instances never send
+-- the same one. attempts counts the claims (retries stop at p_max_attempts).
+create table if not exists booking_notification_claims (
+  booking_id uuid not null references bookings(id) on delete cascade,
+  type text not null,
+  attempts integer not null default 1,
+  claimed_at timestamptz not null default now(),
+  primary key (booking_id, type)
+);
+
+-- Claim up to p_limit bookings whose reminder is due: active, inside the business's reminder window
+-- (iva_settings.reminder_hours_before, default 24 h, max 72 h), not reminded yet and not claimed within
+-- p_retry_minutes. A new claim is inserted with "on conflict do nothing"; a failed one is claimed again
+-- only while its attempts are below p_max_attempts. Claimed rows drop out of the next call, so the
+-- caller pages by calling again until fewer than p_limit come back.
+create or replace function claim_due_reminders(
+  p_now timestamptz default now(),
+  p_limit int default 100,
+  p_max_attempts int default 3,
+  p_retry_minutes int default 10
+)
+returns table (booking_id uuid, attempt int)
+language plpgsql
+as $$
+#variable_conflict use_column
+declare
+  v_today date := (p_now at time zone 'Europe/Prague')::date;
+  v_retry_before timestamptz := p_now - make_interval(mins => p_retry_minutes);
+begin
+  return query
+  with due as (
+    select b.id, c.booking_id is not null as retry
+    from bookings b
+    left join iva_settings s on s.business_id = b.business_id
+    left join booking_notification_claims c on c.booking_id = b.id and c.type = 'reminder'
+    where b.status in ('confirmed', 'rescheduled')
+      and b.date between v_today and v_today + 3
+      and coalesce(s.notifications_enabled, true)
+      and least(coalesce(s.reminder_hours_before, 24), 72) > 0
+      and (b.date + b.time) at time zone 'Europe/Prague' > p_now
+      and (b.date + b.time) at time zone 'Europe/Prague'
+        <= p_now + make_interval(hours => least(coalesce(s.reminder_hours_before, 24), 72))
+      and (c.booking_id is null or (c.attempts < p_max_attempts and c.claimed_at < v_retry_before))
+      and not exists (
+        select 1 from booking_notifications n
+        where n.booking_id = b.id and n.type = 'reminder' and n.status = 'sent'
+      )
+    order by b.date, b.time
+    limit p_limit
+  ),
+  claimed as (
+    insert into booking_notification_claims as c (booking_id, type, attempts, claimed_at)
+    select d.id, 'reminder', 1, p_now from due d where not d.retry
+    on conflict (booking_id, type) do nothing
+    returning c.booking_id, c.attempts
+  ),
+  reclaimed as (
+    -- Row lock + re-checked condition: of two concurrent rounds only one bumps the attempt
+    update booking_notification_claims c
+    set attempts = c.attempts + 1, claimed_at = p_now
+    from due d
+    where d.retry
+      and c.booking_id = d.id
+      and c.type = 'reminder'
+      and c.attempts < p_max_attempts
+      and c.claimed_at < v_retry_before
+    returning c.booking_id, c.attempts
+  )
+  select * from claimed
+  union all
+  select * from reclaimed;
+end;
+$$;
+
+-- Backend only (service role)
+alter table booking_notifications enable row level security;
+alter table booking_notification_claims enable row level security;
+
+create policy "Service role can manage all booking notifications" on booking_notifications
+  for all using (true);
+
+create policy "Service role can manage all booking notification claims" on booking_notification_claims
+  for all using (true);
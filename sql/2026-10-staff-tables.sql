@@ -0,0 +1,54 @@
+-- Apply in Supabase SQL editor
+-- Migration: Staff / resource-aware booking (lib/staff.js)
+--
+-- Businesses without staff rows keep booking against the single business calendar.
+
+create table if not exists staff (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id) on delete cascade,
+  name text not null,
+  -- Own Google Calendar (optional). Without it, availability uses bookings assigned to the person.
+  google_calendar_id text,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists staff_business_id_idx on staff (business_id);
+
+-- Which services a staff member performs. No rows for a person = performs every service.
+create table if not exists staff_services (
+  staff_id uuid not null references staff(id) on delete cascade,
+  service_id uuid not null references services(id) on delete cascade,
+  primary key (staff_id, service_id)
+);
+
+-- Weekly working hours per staff member (same shape as opening_hours).
+-- No rows for a person = follows the business opening hours.
+create table if not exists staff_working_hours (
+  id uuid primary key default gen_random_uuid(),
+  staff_id uuid not null references staff(id) on delete cascade,
+  weekday text not null check (weekday in ('mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun')),
+  opens_at time,
+  closes_at time,
+  closed boolean not null default false,
+  unique (staff_id, weekday)
+);
+
+-- Bookings: assigned staff member
+alter table bookings add column if not exists staff_id uuid references staff(id) on delete set null;
+create index if not exists bookings_staff_date_idx on bookings (staff_id, date);
+
+-- Branch the person works at (sql/2026-10-locations-tables.sql). Null = works at every branch.
+alter table staff add column if not exists location_id uuid references locations(id) on delete set null;
+
+alter table staff enable row level security;
+alter table staff_services enable row level security;
+alter table staff_working_hours enable row level security;
+
+create policy "Service role can manage all staff" on staff
+  for all using (true);
+create policy "Service role can manage all staff services" on staff_services
+  for all using (true);
+create policy "Service role can manage all staff working hours" on staff_working_hours
+  for all using (true);
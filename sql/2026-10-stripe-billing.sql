@@ -0,0 +1,28 @@
+-- Apply in Supabase SQL editor
+-- Migration: Stripe billing state on businesses (see lib/stripeBilling.js, /api/billing/*)
+
+-- Written by POST /api/billing/stripe_webhook, read by computeIsSubscribed() (lib/subscription.js)
+alter table businesses
+  add column if not exists stripe_customer_id text,
+  add column if not exists stripe_subscription_id text,
+  add column if not exists stripe_status text,
+  add column if not exists stripe_price_id text,
+  add column if not exists stripe_current_period_end timestamptz,
+  add column if not exists stripe_cancel_at_period_end boolean not null default false,
+  -- created time of the last applied customer.subscription.* event (older, out-of-order ones are skipped)
+  add column if not exists stripe_event_at timestamptz;
+
+create unique index if not exists businesses_stripe_customer_id_idx
+  on businesses (stripe_customer_id) where stripe_customer_id is not null;
+
+-- Processed Stripe event IDs: webhook retries of the same event are ignored
+create table if not exists stripe_events (
+  id text primary key,
+  type text not null,
+  received_at timestamptz not null default now()
+);
+
+alter table stripe_events enable row level security;
+
+create policy "Service role can manage all stripe events" on stripe_events
+  for all using (true);
@@ -0,0 +1,46 @@
+-- Apply in Supabase SQL editor
+-- Migration: Usage metering and plan limits (see lib/usage.js, GET /api/usage)
+
+-- Plan of the business (starter | pro | business | legacy, limits in lib/usage.js PLANS).
+-- plan_limits overrides single limits, e.g. {"callMinutes": 500} or {"bookings": null} (= unlimited).
+-- Existing businesses get 'legacy' (no limits) so paying customers are not cut down to starter quotas;
+-- new businesses start on 'starter'. The Stripe webhook sets the plan from the subscribed price
+-- (STRIPE_PLAN_PRICES) on the next subscription event.
+alter table businesses
+  add column if not exists plan text not null default 'legacy',
+  add column if not exists plan_limits jsonb;
+
+alter table businesses alter column plan set default 'starter';
+
+-- Optional backfill of current subscribers from their Stripe price (same mapping as STRIPE_PLAN_PRICES):
+-- update businesses set plan = 'pro' where plan = 'legacy' and stripe_price_id = 'price_...';
+
+-- One row per metered fact; the unique key makes re-sent reports / retried bookings count once
+create table if not exists usage_events (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id) on delete cascade,
+  kind text not null check (kind in ('call_seconds', 'booking')),
+  ref_id text not null,
+  quantity integer not null default 1,
+  occurred_at timestamptz not null default now(),
+  created_at timestamptz not null default now(),
+  unique (business_id, kind, ref_id)
+);
+
+create index if not exists usage_events_business_occurred_idx on usage_events (business_id, occurred_at);
+
+alter table usage_events enable row level security;
+
+create policy "Service role can manage all usage events" on usage_events
+  for all using (true);
+
+-- Monthly totals per business (calendar months in Europe/Prague)
+create or replace view usage_monthly as
+  select
+    business_id,
+    to_char(occurred_at at time zone 'Europe/Prague', 'YYYY-MM') as month,
+    kind,
+    sum(quantity)::bigint as total_quantity,
+    count(*)::bigint as event_count
+  from usage_events
+  group by business_id, to_char(occurred_at at time zone 'Europe/Prague', 'YYYY-MM'), kind;
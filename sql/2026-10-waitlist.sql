@@ -0,0 +1,47 @@
+-- Apply in Supabase SQL editor
+-- Migration: Waitlist for taken slots (see lib/waitlist.js)
+
+-- true = a cancelled slot is booked for the first matching waitlist entry,
+-- false = the slot is offered to the first matching entry, then to the next one on decline / expiry
+alter table iva_settings add column if not exists waitlist_auto_book boolean not null default false;
+-- How long a client holds an offered slot before it goes to the next entry
+alter table iva_settings add column if not exists waitlist_offer_minutes integer not null default 60;
+
+create table if not exists waitlist_entries (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id) on delete cascade,
+  client_name text not null,
+  client_phone text not null,
+  client_email text,
+  service_slug text, -- null = any service
+  date date not null,
+  time_from time, -- optional preferred window
+  time_to time,
+  location text,
+  staff_name text,
+  notes text,
+  source text, -- phone | dashboard
+  status text not null default 'waiting'
+    check (status in ('waiting', 'notified', 'booked', 'declined', 'cancelled', 'expired')),
+  booking_id uuid references bookings(id) on delete set null,
+  notified_at timestamptz,
+  -- Slot currently offered (status notified): the cancelled booking and the end of the offer window
+  offer_booking_id uuid references bookings(id) on delete set null,
+  offer_expires_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Cancellation lookup: waiting entries for a day in FIFO order
+create index if not exists waitlist_entries_business_date_idx
+  on waitlist_entries (business_id, date, status, created_at);
+
+-- Offer expiry job: open offers by deadline
+create index if not exists waitlist_entries_offer_expiry_idx
+  on waitlist_entries (offer_expires_at) where status = 'notified';
+
+-- Backend only (service role)
+alter table waitlist_entries enable row level security;
+
+create policy "Service role can manage all waitlist entries" on waitlist_entries
+  for all using (true);
@@ -0,0 +1,39 @@
+-- Apply in Supabase SQL editor
+-- Migration: Incremental re-crawl of imported websites + import reviews (see lib/webRecrawl.js)
+
+-- Change detection per page: HTTP validators of the last crawl and a hash of the extracted text
+alter table kb_pages
+  add column if not exists etag text,
+  add column if not exists last_modified text,
+  add column if not exists content_hash text,
+  add column if not exists last_checked_at timestamptz;
+
+create index if not exists kb_pages_source_url_idx on kb_pages (source_id, url);
+
+-- Scheduled re-crawl can be switched off per source; consecutive failed re-crawls drive the retry backoff
+alter table kb_sources
+  add column if not exists recrawl_enabled boolean not null default true,
+  add column if not exists recrawl_failures integer not null default 0;
+
+-- Data extracted by a re-crawl waits here until the owner accepts (applied) or rejects it
+create table if not exists import_reviews (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id) on delete cascade,
+  source_id uuid references kb_sources(id) on delete set null,
+  status text not null default 'pending'
+    check (status in ('pending', 'accepted', 'rejected', 'superseded')),
+  imported_data jsonb not null, -- ImportedBusinessData (lib/importFromWeb.js)
+  diff jsonb not null, -- summarizeImportPreview() against the data at the time of the crawl
+  crawl_changes jsonb, -- pages new / changed / unchanged / removed
+  decided_by uuid,
+  decided_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists import_reviews_business_status_idx on import_reviews (business_id, status, created_at desc);
+
+-- Backend only (service role)
+alter table import_reviews enable row level security;
+
+create policy "Service role can manage all import reviews" on import_reviews
+  for all using (true);
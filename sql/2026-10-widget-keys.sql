@@ -0,0 +1,19 @@
+-- Apply in Supabase SQL editor
+-- Migration: Public widget keys for the website chat (see lib/widgetKeys.js, POST /api/chat)
+
+-- A widget key is public (it is embedded in the salon's website) and only grants access to the web chat.
+create table if not exists widget_keys (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id) on delete cascade,
+  key text not null unique,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  revoked_at timestamptz
+);
+
+create index if not exists widget_keys_business_id_idx on widget_keys (business_id);
+
+alter table widget_keys enable row level security;
+
+create policy "Service role can manage all widget keys" on widget_keys
+  for all using (true);
@@ -0,0 +1,9 @@
+-- Apply in Supabase SQL editor
+-- Migration: Website chat widget theme (see GET /widget.js, lib/widgetKeys.js)
+
+-- Hex colors of the widget button / header (e.g. #6d28d9) and the text on them
+alter table business_profile add column if not exists brand_color text;
+alter table business_profile add column if not exists brand_text_color text;
+
+-- First widget message; falls back to iva_settings.greeting (the phone greeting)
+alter table iva_settings add column if not exists widget_greeting text;
@@ -98,3 +98,17 @@ export function chunkText(text, chunkSize = 900, overlap = 150) {
   return chunks;
 }
 
+/**
+ * Normalizes a name for loose matching: lowercase, trimmed, without Czech diacritics.
+ * "Petra Nováková" → "petra novakova"
+ * @param {string} value - Name to normalize
+ * @returns {string} Normalized name
+ */
+export function normalizeForMatch(value) {
+  return String(value || '')
+    .trim()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ');
+}